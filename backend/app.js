@@ -11,6 +11,13 @@ const socketIo = require("socket.io");
 const morgan = require("morgan");
 const dotenv = require("dotenv");
 
+// Get the node identifier from the command line arguments
+const nodeEnv = process.argv[2] || "default";  // Defaulting to 'default' if no argument is provided
+
+// Configuring dotenv to load a specific .env file based on the node identifier.
+// This runs before the route imports below, since the services they create read their settings from the environment.
+dotenv.config({ path: `.env.${nodeEnv}` });
+
 // Import database utility
 const { connectDatabase } = require("./utils/database");
 
@@ -24,13 +31,10 @@ const faucetRoutes = require("./faucet/routes/faucetRoutes");
 const explorerRoutes = require("./explorer/routes/explorerRoutes");
 const transactionRoutes = require("./blockchain/routes/transactionRoutes");
 const nodeRoutes = require("./blockchain/routes/nodeRoutes");
-
-// Get the node identifier from the command line arguments
-const nodeEnv = process.argv[2] || "default";  // Defaulting to 'default' if no argument is provided
-
-// Configuring dotenv to load a specific .env file based on the node identifier
-dotenv.config({ path: `.env.${nodeEnv}` });
-
+const BlockchainService = require("./blockchain/services/BlockchainService");
+const ChainAuditService = require("./blockchain/services/ChainAuditService");
+const PeerHealthService = require("./blockchain/services/PeerHealthService");
+const PeerTransportService = require("./blockchain/services/PeerTransportService");
 
 connectDatabase(); // Establish MongoDB connection
 
@@ -72,7 +76,22 @@ io.on("connection", (socket) => {
   console.log(`A user connected with socket id: ${socket.id}`);
   socket.on("disconnect", () => console.log(`User disconnected: ${socket.id}`));
 });
+// Peer nodes connect on their own namespace
+PeerTransportService.shared().attach(io);
 
-// Server start
+// Server start, once the database is known to hold the configured genesis block
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+new BlockchainService().ready
+  .then(() => {
+    server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+    // Audit the whole chain in the background on a schedule
+    ChainAuditService.shared().start();
+    // Ping the registered peers on a schedule
+    PeerHealthService.shared().start();
+    // Keep a connection open with every registered peer
+    PeerTransportService.shared().start();
+  })
+  .catch((error) => {
+    console.error(`Refusing to start: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+/**
+ * @file consensus.js
+ * @description Consensus parameters shared by block assembly and block validation. Every node on a network must run
+ * with the same values, otherwise they will reject each other's blocks. The chain id, initial difficulty and reward
+ * parameters come from the genesis configuration (see genesis.js); the other limits are read from the environment.
+ */
+
+const genesis = require("./genesis");
+
+const consensus = Object.freeze({
+  // Identifier of the network, from the genesis configuration
+  chainId: genesis.chainId,
+  // Initial number of leading zero hex digits a block hash must have; later blocks carry their own difficulty
+  difficulty: genesis.difficulty,
+  // Time in milliseconds the network aims to spend on each block
+  targetBlockTime: Number(process.env.TARGET_BLOCK_TIME) || 10000,
+  // Number of blocks between difficulty retargets
+  difficultyAdjustmentInterval: Number(process.env.DIFFICULTY_ADJUSTMENT_INTERVAL) || 10,
+  // Initial block subsidy paid to the miner on top of the fees collected from the block's transactions
+  miningReward: genesis.reward.initialSubsidy,
+  // Number of blocks after which the block subsidy halves
+  halvingInterval: genesis.reward.halvingInterval,
+  // Maximum number of coins that block subsidies may ever create, on top of the genesis allocations
+  maxMinedSupply: genesis.reward.maxMinedSupply,
+  // Number of confirmations a reward needs before it can be spent
+  coinbaseMaturity: genesis.reward.coinbaseMaturity,
+  // Maximum total size in bytes of the transactions in a block, coinbase included
+  maxBlockSize: Number(process.env.MAX_BLOCK_SIZE) || 100000,
+  // Maximum number of transactions in a block, coinbase included
+  maxBlockTransactions: Number(process.env.MAX_BLOCK_TRANSACTIONS) || 2000,
+  // How far in milliseconds a block timestamp may lie ahead of the validating node's clock
+  maxFutureBlockTime: Number(process.env.MAX_FUTURE_BLOCK_TIME) || 2 * 60 * 60 * 1000,
+  // Number of preceding blocks whose median timestamp a new block's timestamp must exceed
+  medianTimeBlocks: 11,
+});
+
+module.exports = consensus;
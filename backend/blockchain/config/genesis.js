@@ -0,0 +1,94 @@
+/**
+ * @file genesis.js
+ * @description Loads the genesis configuration of the network: its chain id, the genesis timestamp and
+ * allocations, the initial difficulty and the reward parameters. The genesis block is built from this file alone,
+ * so every node configured with the same file derives the same genesis hash. The file defaults to genesis.json next
+ * to this module and can be replaced with the GENESIS_FILE environment variable.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const genesisFile = process.env.GENESIS_FILE
+  ? path.resolve(process.env.GENESIS_FILE)
+  : path.join(__dirname, "genesis.json");
+
+/**
+ * Throws a configuration error that names the genesis file.
+ * @param {string} message - What is wrong with the file.
+ */
+function fail(message) {
+  throw new Error(`Invalid genesis configuration ${genesisFile}: ${message}`);
+}
+
+/**
+ * Checks that a value is a number within bounds.
+ * @param {*} value - The value to check.
+ * @param {string} name - The field name, for the error message.
+ * @param {Object} [options] - `min` (inclusive) and whether the value must be an `integer`.
+ * @returns {number} The value.
+ */
+function requireNumber(value, name, { min = 0, integer = false } = {}) {
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    fail(`${name} must be ${integer ? "an integer" : "a number"} of at least ${min}.`);
+  }
+  return value;
+}
+
+/**
+ * Reads and checks the genesis file.
+ * @returns {Object} The frozen genesis configuration, with the timestamp in milliseconds.
+ */
+function loadGenesis() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(genesisFile, "utf8"));
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (typeof config.chainId !== "string" || config.chainId.length === 0) {
+    fail("chainId must be a non-empty string.");
+  }
+
+  const timestamp = new Date(config.timestamp).getTime();
+  if (!Number.isFinite(timestamp)) {
+    fail("timestamp must be a date.");
+  }
+
+  if (!Array.isArray(config.allocations) || config.allocations.length === 0) {
+    fail("allocations must list at least one address.");
+  }
+  const addresses = new Set();
+  const allocations = config.allocations.map(({ address, amount }, position) => {
+    if (typeof address !== "string" || address.length === 0) {
+      fail(`allocations[${position}].address must be a non-empty string.`);
+    }
+    // Allocations become genesis transactions identified by their content, so one address is funded only once
+    if (addresses.has(address)) {
+      fail(`allocations[${position}] funds ${address} a second time.`);
+    }
+    addresses.add(address);
+    if (requireNumber(amount, `allocations[${position}].amount`) === 0) {
+      fail(`allocations[${position}].amount must be positive.`);
+    }
+    return Object.freeze({ address, amount });
+  });
+
+  const reward = config.reward || {};
+  return Object.freeze({
+    file: genesisFile,
+    chainId: config.chainId,
+    timestamp,
+    difficulty: requireNumber(config.difficulty, "difficulty", { min: 1, integer: true }),
+    allocations: Object.freeze(allocations),
+    reward: Object.freeze({
+      initialSubsidy: requireNumber(reward.initialSubsidy, "reward.initialSubsidy"),
+      halvingInterval: requireNumber(reward.halvingInterval, "reward.halvingInterval", { min: 1, integer: true }),
+      maxMinedSupply: requireNumber(reward.maxMinedSupply, "reward.maxMinedSupply"),
+      coinbaseMaturity: requireNumber(reward.coinbaseMaturity, "reward.coinbaseMaturity", { integer: true }),
+    }),
+  });
+}
+
+module.exports = loadGenesis();
@@ -0,0 +1,18 @@
+/**
+ * @file protocol.js
+ * @description Versions exchanged in the peer handshake. The protocol version changes whenever the messages nodes
+ * exchange change incompatibly; peers older than the minimum supported protocol version are refused.
+ */
+
+const { version } = require("../../package.json");
+
+const protocol = Object.freeze({
+  // Version of the node-to-node messages this node speaks
+  protocolVersion: 1,
+  // Oldest protocol version this node still accepts from peers
+  minProtocolVersion: 1,
+  // Version of this node's software, reported to peers for information only
+  softwareVersion: version,
+});
+
+module.exports = protocol;
@@ -1,6 +1,12 @@
 const BlockchainService = require("../services/BlockchainService");
 const MiningService = require("../services/MiningService");
+const ChainAuditService = require("../services/ChainAuditService");
 const ValidationService = require("../services/ValidationService");
+const TransactionService = require("../services/TransactionService");
+
+// Largest page of headers served at once, and the page size when none is asked for
+const MAX_HEADERS = 2000;
+const DEFAULT_HEADERS = 500;
 
 /**
  * @class BlockchainController
@@ -22,37 +28,33 @@ class BlockchainController {
    * @param {Response} res - The HTTP response object.
    */
   async createTransaction(req, res) {
-    const { fromAddress, toAddress, amount, privateKey } = req.body;
+    const { fromAddress, toAddress, amount, privateKey, fee, nonce } = req.body;
     try {
-      if (
-        !ValidationService.validateTransaction(
-          fromAddress,
-          toAddress,
-          amount,
-          privateKey
-        )
-      ) {
+      if (!fromAddress || !toAddress || !amount || !privateKey) {
         return res.status(400).send("Incomplete or invalid transaction data.");
       }
 
-      const transaction = await this.blockchainService.createTransaction(
+      const transaction = await TransactionService.createTransaction(
         fromAddress,
         toAddress,
         amount,
-        privateKey
+        privateKey,
+        { fee, nonce, pendingTransactions: this.blockchainService.pendingTransactions }
       );
       if (!transaction) {
         throw new Error("Transaction creation failed.");
       }
 
+      await ValidationService.validateTransaction(transaction);
       await this.blockchainService.addTransaction(transaction);
       res
         .status(201)
         .json({ message: "Transaction successfully added.", transaction });
     } catch (error) {
-      res
-        .status(500)
-        .json({ message: `Error creating transaction: ${error.message}` });
+      res.status(error.statusCode || 500).json({
+        message: `Error creating transaction: ${error.message}`,
+        code: error.code,
+      });
     }
   }
 
@@ -69,16 +71,34 @@ class BlockchainController {
         return res.status(400).send("Reward address is required.");
       }
 
-      await this.miningService.mineBlock(rewardAddress);
+      const { block } = await this.miningService.mineBlock(rewardAddress);
       console.log("Mining successful");
       res.json({
         message: "Block successfully mined and added to the blockchain.",
+        index: block.index,
+        hash: block.hash,
       });
     } catch (error) {
       console.error("Mining failed:", error);
+      res.status(error.statusCode || 500).json({
+        message: `Failed to mine block: ${error.message}`,
+        code: error.code,
+      });
+    }
+  }
+
+  /**
+   * Reports the progress of the block currently being mined, or of the last mining job.
+   * @param {Request} req - The HTTP request object.
+   * @param {Response} res - The HTTP response object.
+   */
+  getMiningStatus(req, res) {
+    try {
+      res.json(this.miningService.getStatus());
+    } catch (error) {
       res
         .status(500)
-        .json({ message: `Failed to mine block: ${error.message}` });
+        .json({ message: `Failed to retrieve mining status: ${error.message}` });
     }
   }
 
@@ -87,9 +107,9 @@ class BlockchainController {
    * @param {Request} req - The HTTP request object.
    * @param {Response} res - The HTTP response object.
    */
-  getBlockchain(req, res) {
+  async getBlockchain(req, res) {
     try {
-      const chain = this.blockchainService.getChain();
+      const chain = await this.blockchainService.getChain();
       res.json(chain);
     } catch (error) {
       res
@@ -99,17 +119,64 @@ class BlockchainController {
   }
 
   /**
-   * Validates the entire blockchain to ensure its integrity.
+   * Retrieves a page of main-chain block headers, starting at the `from` index (0 by default) and holding at most
+   * `limit` headers, together with the height of the chain.
+   * @param {Request} req - The HTTP request object, with `from` and `limit` in the query string.
+   * @param {Response} res - The HTTP response object.
+   */
+  async getHeaders(req, res) {
+    try {
+      const from = req.query.from === undefined ? 0 : Number(req.query.from);
+      const limit = req.query.limit === undefined ? DEFAULT_HEADERS : Number(req.query.limit);
+      if (!Number.isInteger(from) || from < 0) {
+        return res.status(400).json({ message: "from must be a non-negative integer." });
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HEADERS) {
+        return res.status(400).json({ message: `limit must be an integer from 1 to ${MAX_HEADERS}.` });
+      }
+
+      const tip = await this.blockchainService.getLatestBlock();
+      const headers = await this.blockchainService.getHeaders(from, limit);
+      res.json({ height: tip.index, headers });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: `Failed to retrieve headers: ${error.message}` });
+    }
+  }
+
+  /**
+   * Retrieves a block by its hash, on any branch, with its transactions embedded so a peer can check it.
+   * @param {Request} req - The HTTP request object, with the block hash in the path.
+   * @param {Response} res - The HTTP response object.
+   */
+  async getBlock(req, res) {
+    try {
+      const block = await this.blockchainService.getBlockByHash(req.params.hash);
+      if (!block) {
+        return res.status(404).json({ message: "Block not found.", code: "BLOCK_NOT_FOUND" });
+      }
+      res.json(block);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: `Failed to retrieve block: ${error.message}` });
+    }
+  }
+
+  /**
+   * Validates the entire blockchain to ensure its integrity, by running a full audit now.
    * @param {Request} req - The HTTP request object.
    * @param {Response} res - The HTTP response object.
    */
-  validateChain(req, res) {
+  async validateChain(req, res) {
     try {
-      const isValid = this.blockchainService.isChainValid();
+      const audit = await ChainAuditService.shared().runAudit();
       res.json({
-        message: isValid
+        message: audit.valid
           ? "Blockchain is valid."
           : "Blockchain validation failed.",
+        audit,
       });
     } catch (error) {
       res
@@ -118,19 +185,34 @@ class BlockchainController {
     }
   }
 
+  /**
+   * Reports the validity state of the chain: the validated tip and the outcome of the last background audit.
+   * @param {Request} req - The HTTP request object.
+   * @param {Response} res - The HTTP response object.
+   */
+  getValidationStatus(req, res) {
+    try {
+      res.json(ChainAuditService.shared().getStatus());
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: `Failed to retrieve validation status: ${error.message}` });
+    }
+  }
+
   /**
    * Retrieves the balance of a specific blockchain address.
    * @param {Request} req - The HTTP request object.
    * @param {Response} res - The HTTP response object.
    */
-  getBalanceOfAddress(req, res) {
+  async getBalanceOfAddress(req, res) {
     try {
       const { address } = req.params;
       if (!ValidationService.validateAddress(address)) {
         return res.status(400).json({ message: "Invalid address." });
       }
 
-      const balance = this.blockchainService.getBalanceOfAddress(address);
+      const balance = await this.blockchainService.getBalanceOfAddress(address);
       res.json({ balance });
     } catch (error) {
       res
@@ -1,64 +1,161 @@
 const SynchronizationService = require("../services/SynchronizationService");
-const Node = require("../models/NodeModel");
+const PeerService = require("../services/PeerService");
+const GossipService = require("../services/GossipService");
+const PeerTransportService = require("../services/PeerTransportService");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
 
 /**
  * @class NodeController
- * @description Handles node-related operations within the blockchain network, including registration and synchronization.
+ * @description Handles node-related operations within the blockchain network, including registration, synchronization
+ * and the blocks and transactions announced by peers.
  */
 class NodeController {
   /**
    * Initializes the NodeController with necessary services.
    * @param {SynchronizationService} synchronizationService - The synchronization service instance.
+   * @param {Object} [options] - Further services.
+   * @param {PeerService} [options.peerService] - The registered peers. Defaults to the shared peer list.
+   * @param {GossipService} [options.gossipService] - Handles announced blocks and transactions. Defaults to the
+   * shared service.
+   * @param {PeerTransportService} [options.transport] - Long-lived peer connections. Defaults to the shared
+   * transport.
    */
-  constructor(synchronizationService) {
+  constructor(
+    synchronizationService,
+    {
+      peerService = PeerService.shared(),
+      gossipService = GossipService.shared(),
+      transport = PeerTransportService.shared(),
+    } = {}
+  ) {
     this.synchronizationService = synchronizationService;
-    this.nodes = []; // This could also utilize a database for persistence.
+    this.peerService = peerService;
+    this.gossipService = gossipService;
+    this.transport = transport;
   }
 
   /**
-   * Registers a new node within the network if it's not already registered and is valid.
+   * Registers a new node within the network if it's not already registered, is valid and accepts a handshake.
    * @param {string} nodeUrl - The URL of the node to register.
-   * @returns {Node} The registered node object.
-   * @throws {Error} Throws an error if the node is invalid or already exists.
+   * @param {Object} [options] - Registration options.
+   * @param {boolean} [options.bidirectional=false] - Whether the node should register this node in return.
+   * @returns {Promise<Node>} The registered node object.
+   * @throws {Error} Throws an error if the node is invalid, already exists or is incompatible.
    */
-  registerNode(nodeUrl) {
-    // Create a new Node with an object that contains the 'url' key
-    const node = new Node({ url: nodeUrl });
-    if (!node.validate()) {
-      throw new Error("Invalid node URL.");
-    }
-
-    const isNodeExist = this.nodes.some((n) => n.url === node.url);
-    if (isNodeExist) {
-      throw new Error("Node already exists.");
-    }
-
-    this.nodes.push(node);
+  async registerNode(nodeUrl, { bidirectional = false } = {}) {
+    const node = await this.peerService.register(nodeUrl, { bidirectional });
     console.log(`Node registered successfully: ${nodeUrl}`);
+    this.transport.connect(node.url);
     return node;
   }
 
   /**
    * Lists all registered nodes in the network.
-   * @returns {Node[]} An array of registered nodes.
+   * @returns {Promise<Node[]>} An array of registered nodes.
+   */
+  async listNodes() {
+    return this.peerService.list();
+  }
+
+  /**
+   * Answers a handshake from another node (see PeerService.acceptHandshake).
+   * @param {Object} info - The other node's handshake.
+   * @returns {Promise<Object>} This node's handshake.
    */
-  listNodes() {
-    return this.nodes;
+  async acceptHandshake(info) {
+    const answer = await this.peerService.acceptHandshake(info);
+    console.log(`Handshake from ${info.nodeUrl || "an unnamed node"} accepted.`);
+    return answer;
+  }
+
+  /**
+   * Removes a registered node.
+   * @param {string} id - The node's id.
+   * @returns {Promise<Node>} The removed node.
+   * @throws {Error} With code NODE_NOT_FOUND if no node has this id.
+   */
+  async removeNode(id) {
+    const node = await this.peerService.remove(id);
+    console.log(`Node removed: ${node.url}`);
+    this.transport.disconnect(node.url);
+    return node;
   }
 
   /**
    * Initiates synchronization of the local blockchain with another node in the network.
    * @param {string} nodeUrl - The URL of the target node for synchronization.
-   * @returns {Promise<void>} A promise that resolves when synchronization is complete or throws an error if failed.
+   * @returns {Promise<Object>} A summary of the synchronization, or throws an error if failed. A node that sends
+   * invalid blocks or turns out to be incompatible is penalized.
    */
   async synchronizeWithNode(nodeUrl) {
     console.log(`Attempting to synchronize with node: ${nodeUrl}`);
     try {
-      await this.synchronizationService.synchronizeChain(nodeUrl);
+      // Only nodes of the same network that are not banned are synchronized with
+      await this.peerService.assertNotBanned(nodeUrl);
+      await this.peerService.handshake(nodeUrl);
+      const summary = await this.synchronizationService.synchronizeChain(nodeUrl);
+      await this.peerService.recordSuccess(nodeUrl, { height: summary.networkHeight });
       console.log("Synchronization successful.");
+      return summary;
     } catch (error) {
       console.error(`Synchronization failed: ${error.message}`);
-      throw new Error(`Failed to synchronize with node: ${error.message}`);
+      if (error.code === "INVALID_BLOCK") {
+        await this.peerService.penalize(nodeUrl, "invalidBlock");
+      } else if (error.code === "INCOMPATIBLE_PEER") {
+        await this.peerService.penalize(nodeUrl, "incompatible");
+      }
+      throw createOperationalError(
+        `Failed to synchronize with node: ${error.message}`,
+        error.statusCode || 500,
+        error.code,
+        error.details
+      );
+    }
+  }
+
+  /**
+   * Handles a block announced by a peer (see GossipService.receiveBlock), once the announcement's signature is
+   * checked (see PeerService.authenticate).
+   * @param {Object} message - The signed announcement: the `block` as JSON, with its transactions embedded, and the
+   * `nodeUrl` of the announcing peer, used to fetch missing parents.
+   * @returns {Promise<Object>} The outcome and the block's index and hash.
+   */
+  async receiveBlock(message) {
+    const nodeUrl = message && message.nodeUrl;
+    try {
+      const fromUrl = await this.peerService.authenticate("block", message);
+      const { status, block: stored } = await this.gossipService.receiveBlock(message.block, fromUrl);
+      console.log(`Block ${stored.index} received from ${nodeUrl || "a peer"}: ${status}.`);
+      return { status, index: stored.index, hash: stored.hash };
+    } catch (error) {
+      console.error(`Rejected block announced by ${nodeUrl || "a peer"}: ${error.message}`);
+      throw createOperationalError(
+        `Failed to accept block: ${error.message}`,
+        error.statusCode || 500,
+        error.code,
+        error.details
+      );
+    }
+  }
+
+  /**
+   * Handles a transaction relayed by a peer (see GossipService.receiveTransaction), once the relay's signature is
+   * checked (see PeerService.authenticate).
+   * @param {Object} message - The signed relay: the `transaction` as JSON and the `nodeUrl` of the relaying peer.
+   * @returns {Promise<Object>} The outcome and the transaction id.
+   */
+  async receiveTransaction(message) {
+    const nodeUrl = message && message.nodeUrl;
+    try {
+      const fromUrl = await this.peerService.authenticate("transaction", message);
+      return await this.gossipService.receiveTransaction(message.transaction, fromUrl);
+    } catch (error) {
+      console.error(`Rejected transaction relayed by ${nodeUrl || "a peer"}: ${error.message}`);
+      throw createOperationalError(
+        `Failed to accept transaction: ${error.message}`,
+        error.statusCode || 500,
+        error.code
+      );
     }
   }
 }
@@ -1,5 +1,7 @@
 const TransactionService = require("../services/TransactionService");
 const BlockchainService = require("../services/BlockchainService");
+const ChainAuditService = require("../services/ChainAuditService");
+const Transaction = require("../models/TransactionModel");
 
 /**
  * @class TransactionController
@@ -10,20 +12,29 @@ class TransactionController {
 
   /**
    * Handles the creation and submission of a new transaction to the blockchain.
-   * Verifies the blockchain's integrity before proceeding.
+   * Refuses submissions while the chain is known to be corrupt: the blocks connected since the last check are
+   * validated, and the outcome of the last background audit is consulted.
    * @param {Request} req - The HTTP request object containing the transaction details.
    * @param {Response} res - The HTTP response object.
    */
   static async createTransaction(req, res) {
     try {
-      const { fromAddress, toAddress, amount, privateKey } = req.body;
+      const { fromAddress, toAddress, amount, privateKey, fee, nonce } = req.body;
 
       // Check blockchain integrity before processing transactions
-      if (!(await this.blockchainService.isChainValid())) {
-        // Use the instance to call isChainValid
+      try {
+        await this.blockchainService.validateNewBlocks();
+      } catch (error) {
+        return res.status(403).json({
+          message: `Blockchain integrity is compromised, cannot process transactions: ${error.message}`,
+          code: error.code,
+        });
+      }
+      if (ChainAuditService.shared().hasFoundCorruption()) {
         return res.status(403).json({
           message:
             "Blockchain integrity is compromised, cannot process transactions.",
+          audit: ChainAuditService.shared().getStatus().audit.last,
         });
       }
 
@@ -32,7 +43,8 @@ class TransactionController {
         fromAddress,
         toAddress,
         amount,
-        privateKey
+        privateKey,
+        { fee, nonce, pendingTransactions: this.blockchainService.pendingTransactions }
       );
 
       if (!(await transaction.isValid())) {
@@ -49,9 +61,10 @@ class TransactionController {
         transaction,
       });
     } catch (error) {
-      res
-        .status(500)
-        .json({ message: `Failed to create transaction: ${error.message}` });
+      res.status(error.statusCode || 500).json({
+        message: `Failed to create transaction: ${error.message}`,
+        code: error.code,
+      });
     }
   }
 
@@ -76,15 +89,38 @@ class TransactionController {
     }
   }
 
+  /**
+   * Returns the nonce that the next transaction from an address must carry, counting its pending transactions.
+   * @param {Request} req - The HTTP request object.
+   * @param {Response} res - The HTTP response object.
+   */
+  static async getNextNonce(req, res) {
+    try {
+      const { address } = req.params;
+      const nonce = await TransactionService.getNextNonce(
+        address,
+        this.blockchainService.pendingTransactions
+      );
+
+      res.json({ address, nonce });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: `Failed to retrieve nonce: ${error.message}` });
+    }
+  }
+
   /**
    * Validates the integrity and rules compliance of a specified transaction.
    * @param {Request} req - The HTTP request object.
    * @param {Response} res - The HTTP response object.
    */
-  static validateTransaction(req, res) {
+  static async validateTransaction(req, res) {
     try {
       const { transaction } = req.body;
-      const isValid = TransactionService.validateTransaction(transaction);
+      const isValid = await TransactionService.validateTransaction(
+        new Transaction(transaction)
+      );
 
       if (!isValid) {
         return res.status(400).json({ message: "Transaction is invalid." });
@@ -0,0 +1,52 @@
+/**
+ * @file AccountModel.js
+ * @description Defines the MongoDB model for the account state of the main chain. Each entry holds what the
+ * connected blocks add up to for one address: its balance, the nonce its next transfer must carry, the number of
+ * transactions it took part in and when it was last active. Entries only change when a block is connected to or
+ * disconnected from the main chain (see AccountStateService), so pending transactions never show up here.
+ */
+
+const mongoose = require("mongoose");
+
+// Define the account state schema
+const accountSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: [true, "Address is required"],
+      unique: true,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    // Number of transfers the address has sent, i.e. the nonce of its next transfer
+    nonce: {
+      type: Number,
+      default: 0,
+      min: [0, "Nonce cannot be negative"],
+    },
+    txCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Transaction count cannot be negative"],
+    },
+    // Index and timestamp of the latest main-chain block with a transaction of the address
+    lastActivityBlock: {
+      type: Number,
+      default: null,
+    },
+    lastActivityAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create the model from the schema
+const Account = mongoose.model("Account", accountSchema);
+
+module.exports = Account;
@@ -0,0 +1,36 @@
+/**
+ * @file AccountStateTipModel.js
+ * @description Defines the MongoDB model recording the main-chain block the account state (see AccountModel) was
+ * last brought up to. The account state is written after the main-chain flags of a block, so a node stopped in
+ * between leaves the two out of step; comparing this record with the main-chain tip at startup tells whether the
+ * account state has to be rebuilt (see AccountStateService.ensureBuilt).
+ */
+
+const mongoose = require("mongoose");
+
+// Define the account state tip schema; there is a single document, with the fixed id "accounts"
+const accountStateTipSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: "accounts",
+    },
+    // Hash and index of the block the account state includes last, or null if it includes no block
+    hash: {
+      type: String,
+      default: null,
+    },
+    index: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create the model from the schema
+const AccountStateTip = mongoose.model("AccountStateTip", accountStateTipSchema);
+
+module.exports = AccountStateTip;
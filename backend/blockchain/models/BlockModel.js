@@ -2,10 +2,11 @@
  * @file BlockModel.js
  * @description Defines the MongoDB model for storing blocks in the blockchain. Each block contains a list of transactions,
  * an index, a timestamp, a nonce for the mining process, the hash of the block, and the hash of the previous block.
+ * Blocks of competing branches are stored alongside the active chain and flagged with `isMainChain`.
  */
 
 const mongoose = require("mongoose");
-const crypto = require("crypto");
+const canonical = require("../../lib/canonical");
 const MerkleTree = require("../../lib/merkleTree");  // Adjust the path as necessary
 
 /**
@@ -15,7 +16,7 @@ const blockSchema = new mongoose.Schema({
     index: {
         type: Number,
         required: true,
-        unique: true
+        index: true
     },
     timestamp: {
         type: Date,
@@ -23,7 +24,7 @@ const blockSchema = new mongoose.Schema({
         default: Date.now
     },
     transactions: [{
-        type: mongoose.Schema.Types.ObjectId,
+        type: String,
         ref: "Transaction",
         required: true
     }],
@@ -31,6 +32,12 @@ const blockSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Number of leading zero hex digits the block hash must have
+    difficulty: {
+        type: Number,
+        required: true,
+        min: 1
+    },
     previousHash: {
         type: String,
         required: true
@@ -41,71 +48,111 @@ const blockSchema = new mongoose.Schema({
     },
     hash: {
         type: String,
-        required: true
+        required: true,
+        unique: true
+    },
+    // Whether the block is part of the active chain or of a competing branch
+    isMainChain: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    // Total proof-of-work of the chain ending at this block, used to pick the best branch
+    chainWork: {
+        type: Number,
+        default: 0
+    },
+    // Set when the block, or a block it builds on, failed validation as its branch was connected
+    isInvalid: {
+        type: Boolean,
+        default: false
     }
 }, {
     timestamps: true
 });
 
 /**
- * Pre-save middleware to calculate the block's hash and Merkle root after ensuring the transaction list is non-empty.
+ * Pre-save middleware to fill in the block's Merkle root and hash when they are missing, after ensuring the
+ * transaction list is non-empty. Mined and received blocks keep the values they were sealed with.
  */
 blockSchema.pre('save', async function(next) {
     if (!this.transactions || this.transactions.length === 0) {
         return next(new Error("Block must contain at least one transaction."));
     }
 
-    if (this.isNew || this.isModified('transactions')) {
-        await this.calculateMerkleRoot();
+    if (!this.merkleRoot) {
+        this.merkleRoot = this.calculateMerkleRoot();
+    }
+    if (!this.hash) {
+        this.hash = this.calculateHash();
     }
-    this.hash = this.calculateHash();
     next();
 });
 
 /**
- * Calculates the Merkle root of the block's transactions using transaction data hashes.
- * @throws {Error} If unable to fetch transactions or if the transactions array is empty.
+ * Calculates the Merkle root of the block's transactions. The leaves are the transaction ids, which are content
+ * hashes, taken in block order.
+ * @returns {string} - The Merkle root.
+ * @throws {Error} If the block has no transactions.
  */
-blockSchema.methods.calculateMerkleRoot = async function() {
-    const transactions = await this.model('Transaction').find({_id: { $in: this.transactions }});
-    if (!transactions || transactions.length === 0) {
-        throw new Error("Cannot compute Merkle Root: No transactions found.");
-    }
-    const transactionData = transactions.map(tx => JSON.stringify(tx));
-    const merkleTree = new MerkleTree(transactionData);
-    this.merkleRoot = merkleTree.getRoot();
+blockSchema.methods.calculateMerkleRoot = function() {
+    return new MerkleTree(this.transactions.map(String)).getRoot();
 };
 
+/**
+ * Returns the block header: every field covered by the block hash.
+ * @returns {Object} - The header fields.
+ */
+blockSchema.methods.getHeader = function() {
+    return {
+        index: this.index,
+        previousHash: this.previousHash,
+        timestamp: this.timestamp,
+        merkleRoot: this.merkleRoot,
+        nonce: this.nonce,
+        difficulty: this.difficulty
+    };
+};
 
 /**
- * Calculates the hash of the block using SHA-256, based on block properties including the Merkle Root.
+ * Hashes a block header with SHA-256 over its canonical encoding.
+ * @param {Object} header - The header fields, as returned by getHeader.
+ * @returns {string} - The hexadecimal string of the hash.
+ */
+blockSchema.statics.hashHeader = function(header) {
+    return canonical.hash(header);
+};
+
+/**
+ * Calculates the hash of the block using SHA-256, based on block properties including the Merkle Root and difficulty.
  * @returns {string} - The hexadecimal string of the hash.
  */
 blockSchema.methods.calculateHash = function() {
-    const data = `${this.index}${this.previousHash}${this.timestamp}${this.merkleRoot}${this.nonce}`;
-    return crypto.createHash('sha256').update(data).digest('hex');
+    return this.constructor.hashHeader(this.getHeader());
 };
 
 /**
- * Validates all transactions in the block.
- * @returns {Promise<boolean>} - Resolves to true if all transactions are valid.
+ * Splits the encoded header around the nonce, so that proof-of-work workers can try nonces without
+ * re-serializing the rest of the block.
+ * @returns {{prefix: string, suffix: string}} - The encoded header before and after the nonce.
  */
-blockSchema.methods.hasValidTransactions = async function() {
-    const transactions = await this.model('Transaction').find({_id: { $in: this.transactions }});
-    for (let transaction of transactions) {
-        if (!await transaction.isValid()) {
-            return false;
-        }
-    }
-    return true;
+blockSchema.methods.getHashTemplate = function() {
+    const marker = '"nonce":';
+    const encoded = canonical.encode({ ...this.getHeader(), nonce: 0 });
+    const position = encoded.indexOf(marker) + marker.length;
+    return {
+        prefix: encoded.slice(0, position),
+        suffix: encoded.slice(position + 1)
+    };
 };
 
 /**
  * Error handling for save operations.
  */
 blockSchema.post('save', function(error, doc, next) {
-    if (error.name === 'MongoError' && error.code === 11000) {
-        next(new Error('Block with the same index already exists.'));
+    // The code tells duplicate keys apart whichever driver error class reports them
+    if (error.code === 11000) {
+        next(Object.assign(new Error('Block with the same hash already exists.'), { code: error.code }));
     } else {
         next(error);
     }
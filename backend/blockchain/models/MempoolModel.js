@@ -0,0 +1,65 @@
+/**
+ * @file MempoolModel.js
+ * @description Defines the MongoDB model for the pending transaction pool (mempool). Each entry stores a snapshot of
+ * a signed transaction that has been accepted but not yet mined, so the pool survives restarts and is shared by every
+ * service of the node.
+ */
+
+const mongoose = require("mongoose");
+
+// Define the mempool entry schema
+const mempoolSchema = new mongoose.Schema(
+  {
+    transactionId: {
+      type: String,
+      required: [true, "Transaction id is required"],
+      unique: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Transaction data is required"],
+    },
+    fromAddress: {
+      type: String,
+      required: [true, "Sender address is required"],
+      index: true,
+    },
+    nonce: {
+      type: Number,
+      required: [true, "Nonce is required"],
+    },
+    fee: {
+      type: Number,
+      required: [true, "Fee is required"],
+      min: [0, "Fee cannot be negative"],
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+      // MongoDB removes the entry once this date has passed
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Error handling for save operations
+mempoolSchema.post("save", function (error, doc, next) {
+  // The code tells duplicate keys apart whichever driver error class reports them
+  if (error.code === 11000) {
+    next(Object.assign(new Error("Transaction is already in the mempool."), { code: error.code }));
+  } else {
+    next(error);
+  }
+});
+
+// Create the model from the schema
+const Mempool = mongoose.model("Mempool", mempoolSchema);
+
+module.exports = Mempool;
@@ -1,6 +1,10 @@
 /**
  * @file NodeModel.js
  * @description Defines the MongoDB model for nodes within the blockchain network. Nodes are essential for network communication and synchronization.
+ * Besides its URL, each registered peer carries what was last learned about it: when it last answered, the chain
+ * height and id it reported, its software version and how many requests to it have failed in a row, along with its
+ * misbehaviour score and, if the score got too high, until when it is banned. A peer is also bound to the identity
+ * (public key) it first signed a handshake with; messages claiming to come from its URL must be signed with it.
  */
 
 const mongoose = require("mongoose");
@@ -22,6 +26,46 @@ const nodeSchema = new mongoose.Schema(
         message: (props) => `${props.value} is not a valid URL!`,
       },
     },
+    // Public key of the peer's node identity, learned from its first signed handshake
+    identity: {
+      type: String,
+      default: null,
+    },
+    lastSeen: {
+      type: Date,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+    chainId: {
+      type: String,
+      default: null,
+    },
+    version: {
+      type: String,
+      default: null,
+    },
+    protocolVersion: {
+      type: Number,
+      default: null,
+    },
+    // Requests that failed since the peer last answered
+    failureCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Failure count cannot be negative"],
+    },
+    // Misbehaviour points collected since the peer was last banned
+    score: {
+      type: Number,
+      default: 0,
+    },
+    bannedUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt fields
@@ -30,8 +74,9 @@ const nodeSchema = new mongoose.Schema(
 
 // Error handling for save operations
 nodeSchema.post("save", function (error, doc, next) {
-  if (error.name === "MongoError" && error.code === 11000) {
-    next(new Error("Node URL must be unique."));
+  // The code tells duplicate keys apart whichever driver error class reports them
+  if (error.code === 11000) {
+    next(Object.assign(new Error("Node URL must be unique."), { code: error.code }));
   } else if (error.name === "ValidationError") {
     next(
       new Error("Invalid node URL, please check the format and uniqueness.")
@@ -4,18 +4,38 @@
  */
 
 const mongoose = require("mongoose");
+const Wallet = require("../../lib/Wallet");
+const canonical = require("../../lib/canonical");
+
+/**
+ * Fields covered by a transaction's signature. Any field added to this list becomes part of what the sender signs.
+ * The chain id is signed so that a transaction cannot be replayed on another network where the same keys hold funds.
+ */
+const SIGNED_FIELDS = ["chainId", "fromAddress", "toAddress", "amount", "fee", "nonce", "timestamp"];
+
+// Smallest amount a transaction may carry, enforced both by the schema and by isValid
+const MIN_AMOUNT = 0.01;
 
 /**
  * Transaction schema for blockchain operations with specific validation rules to handle different types of transactions, including genesis and reward.
  */
 const transactionSchema = new mongoose.Schema(
   {
+    // Content hash of the transaction (see calculateId), so that every node derives the same id
+    _id: {
+      type: String,
+    },
+    // Identifier of the network the transaction belongs to (see genesis.js)
+    chainId: {
+      type: String,
+      required: [true, "Chain id is required"],
+    },
     fromAddress: {
       type: String,
       required: [
         function () {
-          // Allow 'null' only for special cases like reward transactions
-          return this.fromAddress !== null || this.isReward === true;
+          // Allow 'null' only for special cases like genesis or reward transactions
+          return !this.isReward && !this.isGenesis;
         },
         "Sender address is required unless it is a genesis or reward transaction",
       ],
@@ -30,13 +50,33 @@ const transactionSchema = new mongoose.Schema(
     amount: {
       type: Number,
       required: [true, "Transaction amount is required"],
-      min: [0.01, "Minimum transaction amount is 0.01"],
+      min: [MIN_AMOUNT, `Minimum transaction amount is ${MIN_AMOUNT}`],
+    },
+    fee: {
+      type: Number,
+      default: 0,
+      min: [0, "Transaction fee cannot be negative"],
+    },
+    nonce: {
+      type: Number,
+      min: [0, "Nonce cannot be negative"],
+      validate: {
+        validator: Number.isInteger,
+        message: (props) => `${props.value} is not a valid nonce!`,
+      },
+      required: [
+        function () {
+          // Genesis and reward transactions have no sender sequence to follow
+          return !this.isReward && !this.isGenesis;
+        },
+        "Nonce is required for transfers",
+      ],
     },
     signature: {
       type: String,
       required: function () {
         // Signature is not required for genesis or reward transactions
-        return this.fromAddress !== null;
+        return !this.isReward && !this.isGenesis;
       },
     },
     timestamp: {
@@ -47,12 +87,29 @@ const transactionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    isGenesis: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+/**
+ * Pre-validate hook that derives the transaction id from its contents when it has none, and rejects ids that do
+ * not match the contents.
+ */
+transactionSchema.pre("validate", function (next) {
+  if (!this._id) {
+    this._id = this.calculateId();
+  } else if (this._id !== this.calculateId()) {
+    this.invalidate("_id", "Transaction id does not match the transaction's contents");
+  }
+  next();
+});
+
 /**
  * Post-save hook for handling errors during transaction save operations, specifically focusing on validation errors.
  */
@@ -68,22 +125,123 @@ transactionSchema.post("save", function (error, doc, next) {
 });
 
 /**
- * Method to validate a transaction's integrity and correctness.
- * This includes signature verification (mocked here) and ensuring the transaction amount is positive.
+ * Builds the canonical payload that the sender signs. Only the fields listed in SIGNED_FIELDS are included;
+ * missing fields are encoded as null.
+ * @returns {string} The serialized signing payload.
+ */
+transactionSchema.methods.getSigningPayload = function () {
+  const payload = {};
+  SIGNED_FIELDS.forEach((field) => {
+    payload[field] = this[field] === undefined ? null : this[field];
+  });
+  return canonical.encode(payload);
+};
+
+/**
+ * Calculates the hash of the signing payload, which is the message the signature is made over.
+ * @returns {string} The hexadecimal SHA-256 hash of the signing payload.
+ */
+transactionSchema.methods.calculateHash = function () {
+  return Wallet.hashData(this.getSigningPayload());
+};
+
+/**
+ * Calculates the transaction id: the hash of the signed fields together with the signature and the coinbase flags.
+ * Two nodes holding the same transaction therefore always agree on its id.
+ * @returns {string} The hexadecimal SHA-256 content hash.
+ */
+transactionSchema.methods.calculateId = function () {
+  const content = {
+    signature: this.signature || null,
+    isReward: this.isReward === true,
+    isGenesis: this.isGenesis === true,
+  };
+  SIGNED_FIELDS.forEach((field) => {
+    content[field] = this[field] === undefined ? null : this[field];
+  });
+  return canonical.hash(content);
+};
+
+/**
+ * Estimates the serialized size of the transaction in bytes: its signing payload plus its DER signature.
+ * Used to rank transactions by fee per byte and to enforce the block size limit.
+ * @returns {number} The transaction size in bytes.
+ */
+transactionSchema.methods.getSize = function () {
+  const signatureBytes = this.signature ? this.signature.length / 2 : 0;
+  return Buffer.byteLength(this.getSigningPayload()) + signatureBytes;
+};
+
+/**
+ * Signs the transaction with the sender's private key and assigns its id.
+ * @param {string} privateKey - The sender's private key in hexadecimal format.
+ * @throws {Error} If the private key does not belong to the transaction's sender.
+ */
+transactionSchema.methods.signTransaction = function (privateKey) {
+  const wallet = new Wallet(privateKey);
+  if (wallet.publicKey !== this.fromAddress) {
+    throw new Error("You cannot sign transactions for other wallets.");
+  }
+  this.signature = wallet.sign(this.calculateHash());
+  this._id = this.calculateId();
+};
+
+/**
+ * Indicates whether the transaction mints new coins (genesis allocation or mining reward) rather than
+ * transferring them from a sender.
+ * @returns {boolean} True for genesis and reward transactions.
+ */
+transactionSchema.methods.isCoinbase = function () {
+  return this.isGenesis === true || this.isReward === true;
+};
+
+/**
+ * Method to validate a transaction's integrity and correctness. The id must be the transaction's content hash and
+ * the amount at least MIN_AMOUNT, as the schema requires. Genesis and reward transactions must have no sender and no signature; every other transaction must carry
+ * a nonce and a valid secp256k1 signature over its signing payload, made by the key behind `fromAddress`.
  * @returns {Promise<boolean>} Resolves to true if the transaction is valid, false otherwise.
  */
 transactionSchema.methods.isValid = async function () {
-  if (!this.signature || this.signature.length === 0) {
+  // The id commits to the contents, so a mismatch means the transaction was altered
+  if (this._id !== this.calculateId()) {
     return false;
   }
 
-  // Ensure the transaction has a positive amount
-  if (this.amount <= 0) {
+  // Ensure the transaction has at least the minimum amount, a non-negative fee and a recipient
+  if (!Number.isFinite(this.amount) || this.amount < MIN_AMOUNT || !this.toAddress) {
+    return false;
+  }
+  if (!Number.isFinite(this.fee) || this.fee < 0) {
     return false;
   }
 
-  return true;
+  if (this.isCoinbase()) {
+    if (this.isGenesis && this.isReward) {
+      return false;
+    }
+    return this.fromAddress === null && !this.signature && this.fee === 0;
+  }
+
+  if (!this.fromAddress || !this.signature || this.signature.length === 0) {
+    return false;
+  }
+
+  if (!Number.isInteger(this.nonce) || this.nonce < 0) {
+    return false;
+  }
+
+  try {
+    return Wallet.verifySignature(
+      this.calculateHash(),
+      this.signature,
+      this.fromAddress
+    );
+  } catch (error) {
+    // Malformed keys or DER signatures are treated as invalid rather than as server errors
+    return false;
+  }
 };
 
 const Transaction = mongoose.model("Transaction", transactionSchema);
+Transaction.MIN_AMOUNT = MIN_AMOUNT;
 module.exports = Transaction;
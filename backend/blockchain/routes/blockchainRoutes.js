@@ -18,6 +18,29 @@ router.get('/chain', async (req, res) => {
   }
 });
 
+/**
+ * Route to get a page of main-chain block headers: `from` is the first index (0 by default), `limit` the page
+ * size (500 by default, at most 2000). The chain's height is returned alongside.
+ */
+router.get('/headers', async (req, res) => {
+  try {
+    await blockchainController.getHeaders(req, res);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to retrieve headers: " + error.message });
+  }
+});
+
+/**
+ * Route to get a block by its hash, with its full transactions.
+ */
+router.get('/blocks/:hash', async (req, res) => {
+  try {
+    await blockchainController.getBlock(req, res);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to retrieve block: " + error.message });
+  }
+});
+
 /**
  * Route to create and add a new transaction to the blockchain.
  */
@@ -41,7 +64,18 @@ router.post('/mine', async (req, res) => {
 });
 
 /**
- * Route to validate the entire blockchain's integrity.
+ * Route to report mining progress: hashes tried and hashrate of the running job, and the outcome of the last one.
+ */
+router.get('/mining/status', async (req, res) => {
+  try {
+    await blockchainController.getMiningStatus(req, res);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to retrieve mining status: " + error.message });
+  }
+});
+
+/**
+ * Route to validate the entire blockchain's integrity with a full audit.
  */
 router.get('/validate', async (req, res) => {
   try {
@@ -51,6 +85,18 @@ router.get('/validate', async (req, res) => {
   }
 });
 
+/**
+ * Route to report how far the chain has been validated and the outcome of the last background audit, including
+ * the index of the first corrupt block if it found one.
+ */
+router.get('/validation/status', async (req, res) => {
+  try {
+    await blockchainController.getValidationStatus(req, res);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to retrieve validation status: " + error.message });
+  }
+});
+
 /**
  * Route to retrieve the balance of a given blockchain address.
  */
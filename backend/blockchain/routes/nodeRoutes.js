@@ -14,32 +14,57 @@ const router = express.Router();
 
 /**
  * POST /nodes/register
- * Route to register a new node in the blockchain network.
+ * Route to register a new node in the blockchain network. The node must accept a handshake first; with
+ * `bidirectional: true` it is also asked to register this node.
  */
 router.post("/register", async (req, res) => {
   try {
-    const { nodeUrl } = req.body;
-    const node = nodeController.registerNode(nodeUrl);
+    const { nodeUrl, bidirectional } = req.body;
+    const node = await nodeController.registerNode(nodeUrl, { bidirectional: Boolean(bidirectional) });
     res.status(201).json({
       success: true,
       message: "Node registered successfully",
       node,
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+});
+
+/**
+ * POST /nodes/handshake
+ * Route for other nodes to shake hands: the body carries their chain id, genesis hash, protocol version, best
+ * height and advertised address (`nodeUrl`), and `register: true` if they want to be registered as a peer, signed
+ * with their node identity in `proof`. The answer carries the same details for this node, signed with its identity.
+ */
+router.post("/handshake", async (req, res) => {
+  try {
+    const answer = await nodeController.acceptHandshake(req.body);
+    res.status(200).json({
+      success: true,
+      ...answer,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message,
+      code: error.code,
     });
   }
 });
 
 /**
  * GET /nodes
- * Route to list all registered nodes in the blockchain network.
+ * Route to list all registered nodes in the blockchain network, with when each was last seen, the height, chain id
+ * and version it reported, its count of failed requests, its misbehaviour score and whether it is banned.
  */
-router.get("/", (req, res) => {
+router.get("/", async (req, res) => {
   try {
-    const nodes = nodeController.listNodes();
+    const nodes = await nodeController.listNodes();
     res.status(200).json({
       success: true,
       nodes,
@@ -52,6 +77,27 @@ router.get("/", (req, res) => {
   }
 });
 
+/**
+ * DELETE /nodes/:id
+ * Route to remove a registered node.
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const node = await nodeController.removeNode(req.params.id);
+    res.status(200).json({
+      success: true,
+      message: "Node removed successfully",
+      node,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+});
+
 /**
  * POST /nodes/synchronize
  * Route to initiate synchronization with another node.
@@ -59,15 +105,61 @@ router.get("/", (req, res) => {
 router.post("/synchronize", async (req, res) => {
   try {
     const { nodeUrl } = req.body;
-    await nodeController.synchronizeWithNode(nodeUrl);
+    const summary = await nodeController.synchronizeWithNode(nodeUrl);
     res.status(200).json({
       success: true,
       message: "Synchronization successful",
+      ...summary,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: `Synchronization failed: ${error.message}`,
+      code: error.code,
+      details: error.details,
+    });
+  }
+});
+
+/**
+ * POST /nodes/blocks
+ * Route for peers to announce a block. The body carries the block, with its transactions embedded, and the
+ * announcing node's URL, from which missing parents are fetched, signed with the announcing node's identity.
+ */
+router.post("/blocks", async (req, res) => {
+  try {
+    const outcome = await nodeController.receiveBlock(req.body);
+    res.status(200).json({
+      success: true,
+      ...outcome,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+});
+
+/**
+ * POST /nodes/transactions
+ * Route for peers to relay a pending transaction. The body carries the transaction and the relaying node's URL,
+ * signed with the relaying node's identity.
+ */
+router.post("/transactions", async (req, res) => {
+  try {
+    const outcome = await nodeController.receiveTransaction(req.body);
+    res.status(outcome.status === "accepted" ? 201 : 200).json({
+      success: true,
+      ...outcome,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      code: error.code,
     });
   }
 });
@@ -5,12 +5,21 @@ const TransactionController = require('../controllers/transactionController');
 /**
  * POST /transactions
  * Route for creating a new transaction. It expects a JSON body with fromAddress, toAddress, amount, and privateKey.
+ * An optional fee and nonce may be supplied; otherwise the suggested fee and the sender's next expected nonce are used.
  * The transaction is created and added to the blockchain if valid.
  */
 router.post('/', async (req, res) => {
   await TransactionController.createTransaction(req, res);
 });
 
+/**
+ * GET /transactions/nonce/:address
+ * Route for retrieving the nonce that the next transaction from an address must carry.
+ */
+router.get('/nonce/:address', async (req, res) => {
+  await TransactionController.getNextNonce(req, res);
+});
+
 /**
  * GET /transactions/:address
  * Route for retrieving transactions associated with a specific address.
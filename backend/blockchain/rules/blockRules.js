@@ -0,0 +1,231 @@
+/**
+ * @file blockRules.js
+ * @description The consensus rules every block must pass before it can join the block tree, independent of account
+ * state. Each rule has a name and a `check(block, context)` function that returns null when the block passes, or a
+ * rejection `{ message, details }` when it does not. Rules only look at their arguments, so they can be run (and
+ * tested) one by one on plain JSON.
+ *
+ * The block passed to a rule has its header fields (`index`, `previousHash`, `timestamp` in milliseconds,
+ * `merkleRoot`, `nonce`, `difficulty`), its `hash`, and its `transactions` as TransactionModel instances in block
+ * order. The context may carry:
+ * - `now`: the validating node's clock, in milliseconds;
+ * - `expectedDifficulty`: the difficulty required by the block's branch, when the parent is known;
+ * - `medianTimePast`: the median timestamp of the preceding blocks, when they are known.
+ */
+
+const Block = require("../models/BlockModel");
+const MerkleTree = require("../../lib/merkleTree");
+const consensus = require("../config/consensus");
+const DifficultyService = require("../services/DifficultyService");
+const EmissionService = require("../services/EmissionService");
+const TransactionService = require("../services/TransactionService");
+
+const blockRules = [
+  {
+    name: "blockHash",
+    check(block) {
+      const expected = Block.hashHeader({
+        index: block.index,
+        previousHash: block.previousHash,
+        timestamp: block.timestamp,
+        merkleRoot: block.merkleRoot,
+        nonce: block.nonce,
+        difficulty: block.difficulty,
+      });
+      if (block.hash !== expected) {
+        return { message: "Block hash does not match the block header.", details: { expected } };
+      }
+      return null;
+    },
+  },
+  {
+    name: "proofOfWork",
+    check(block, { expectedDifficulty }) {
+      // The genesis block is fixed by configuration rather than mined
+      if (block.index === 0) {
+        return null;
+      }
+      if (expectedDifficulty !== undefined && block.difficulty !== expectedDifficulty) {
+        return {
+          message: `Block must be mined at difficulty ${expectedDifficulty}.`,
+          details: { difficulty: block.difficulty, expectedDifficulty },
+        };
+      }
+      if (!DifficultyService.meetsDifficulty(block.hash, block.difficulty)) {
+        return {
+          message: `Block hash does not meet difficulty ${block.difficulty}.`,
+          details: { difficulty: block.difficulty },
+        };
+      }
+      return null;
+    },
+  },
+  {
+    name: "timestamp",
+    check(block, { now, medianTimePast }) {
+      if (!Number.isFinite(block.timestamp)) {
+        return { message: "Block timestamp is not a valid time.", details: {} };
+      }
+      const latest = now + consensus.maxFutureBlockTime;
+      if (block.timestamp > latest) {
+        return {
+          message: "Block timestamp is too far in the future.",
+          details: { timestamp: block.timestamp, latest },
+        };
+      }
+      if (medianTimePast !== undefined && block.timestamp <= medianTimePast) {
+        return {
+          message: "Block timestamp is not after the median time of the preceding blocks.",
+          details: { timestamp: block.timestamp, medianTimePast },
+        };
+      }
+      return null;
+    },
+  },
+  {
+    name: "maxTransactionCount",
+    check(block) {
+      const count = block.transactions.length;
+      if (count === 0 || count > consensus.maxBlockTransactions) {
+        return {
+          message: `Block must contain between 1 and ${consensus.maxBlockTransactions} transactions.`,
+          details: { count, limit: consensus.maxBlockTransactions },
+        };
+      }
+      return null;
+    },
+  },
+  {
+    name: "maxBlockSize",
+    check(block) {
+      const size = block.transactions.reduce((total, transaction) => total + transaction.getSize(), 0);
+      if (size > consensus.maxBlockSize) {
+        return {
+          message: `Block transactions take ${size} bytes, more than the ${consensus.maxBlockSize} allowed.`,
+          details: { size, limit: consensus.maxBlockSize },
+        };
+      }
+      return null;
+    },
+  },
+  {
+    name: "coinbase",
+    check(block) {
+      const { transactions } = block;
+      if (block.index === 0) {
+        if (!transactions.every((transaction) => transaction.isGenesis && !transaction.isReward)) {
+          return { message: "The genesis block may only contain genesis allocations.", details: {} };
+        }
+        return null;
+      }
+
+      const rewardPositions = transactions
+        .map((transaction, position) => (transaction.isReward ? position : -1))
+        .filter((position) => position !== -1);
+      // A reward below the minimum transaction amount cannot be paid, so such a block has no reward transaction
+      const reward = EmissionService.getBlockReward(block.index, TransactionService.getBlockFees(transactions));
+      if (reward === 0) {
+        if (rewardPositions.length > 0) {
+          return {
+            message: "Block has no reward to claim and must not contain a reward transaction.",
+            details: { rewardPositions },
+          };
+        }
+      } else if (rewardPositions.length !== 1 || rewardPositions[0] !== 0) {
+        return {
+          message: "Block must contain exactly one reward transaction, in first position.",
+          details: { rewardPositions },
+        };
+      }
+      if (transactions.some((transaction) => transaction.isGenesis)) {
+        return { message: "Genesis allocations are only allowed in the genesis block.", details: {} };
+      }
+      return null;
+    },
+  },
+  {
+    name: "rewardAmount",
+    check(block) {
+      if (block.index === 0) {
+        return null;
+      }
+      try {
+        TransactionService.assertRewardAmount(
+          block.transactions,
+          EmissionService.getBlockSubsidy(block.index)
+        );
+      } catch (error) {
+        return { message: error.message, details: { code: error.code } };
+      }
+      return null;
+    },
+  },
+  {
+    name: "noDuplicateTransactions",
+    check(block) {
+      const seen = new Set();
+      const duplicates = [];
+      block.transactions.forEach((transaction) => {
+        const id = String(transaction._id);
+        if (seen.has(id)) {
+          duplicates.push(id);
+        }
+        seen.add(id);
+      });
+      if (duplicates.length > 0) {
+        return { message: "Block contains the same transaction more than once.", details: { duplicates } };
+      }
+      return null;
+    },
+  },
+  {
+    name: "merkleRoot",
+    check(block) {
+      if (block.transactions.length === 0) {
+        return { message: "Cannot compute the Merkle root of an empty block.", details: {} };
+      }
+      const expected = new MerkleTree(
+        block.transactions.map((transaction) => String(transaction._id))
+      ).getRoot();
+      if (block.merkleRoot !== expected) {
+        return { message: "Merkle root does not match the block's transactions.", details: { expected } };
+      }
+      return null;
+    },
+  },
+  {
+    name: "chainId",
+    check(block) {
+      const foreign = block.transactions
+        .filter((transaction) => transaction.chainId !== consensus.chainId)
+        .map((transaction) => String(transaction._id));
+      if (foreign.length > 0) {
+        return {
+          message: `Block contains transactions of another network than ${consensus.chainId}.`,
+          details: { foreign },
+        };
+      }
+      return null;
+    },
+  },
+  {
+    name: "validTransactions",
+    async check(block) {
+      const invalid = [];
+      for (const transaction of block.transactions) {
+        if (!(await transaction.isValid())) {
+          invalid.push(String(transaction._id));
+        }
+      }
+      if (invalid.length > 0) {
+        return {
+          message: "Block contains transactions with an invalid id, signature or amount.",
+          details: { invalid },
+        };
+      }
+      return null;
+    },
+  },
+];
+
+module.exports = blockRules;
@@ -0,0 +1,246 @@
+const Account = require("../models/AccountModel");
+const AccountStateTip = require("../models/AccountStateTipModel");
+const Block = require("../models/BlockModel");
+const Transaction = require("../models/TransactionModel");
+const TransactionService = require("./TransactionService");
+
+/**
+ * @class AccountStateService
+ * @description Maintains the account state collection (see AccountModel) as blocks are connected to and
+ * disconnected from the main chain. Connecting a block adds its transactions to the balances, nonces and transaction
+ * counts of the addresses involved; disconnecting it takes them off again. Balance queries then read a single
+ * document instead of scanning every transaction of an address.
+ *
+ * Each update also records the block the state now ends at (see AccountStateTipModel). The updates are not atomic
+ * with the main-chain flags, so at startup a state whose recorded tip is not the main-chain tip is rebuilt.
+ */
+class AccountStateService {
+  /**
+   * Returns the account state of an address. Addresses that never appeared on the main chain have an empty state.
+   * @param {string} address - The address.
+   * @returns {Promise<Object>} The address's balance, nonce, transaction count and last activity.
+   */
+  static async getAccount(address) {
+    const account = await Account.findOne({ address }).lean();
+    return {
+      address,
+      balance: account ? account.balance : 0,
+      nonce: account ? account.nonce : 0,
+      txCount: account ? account.txCount : 0,
+      lastActivityBlock: account ? account.lastActivityBlock : null,
+      lastActivityAt: account ? account.lastActivityAt : null,
+    };
+  }
+
+  /**
+   * Sums what a block's transactions change for each address involved.
+   * @param {TransactionModel[]} transactions - The block's transactions.
+   * @returns {Map<string, {balance: number, nonce: number, txCount: number}>} The changes, keyed by address.
+   */
+  static getBlockChanges(transactions) {
+    const changes = new Map();
+    const changeOf = (address) => {
+      if (!changes.has(address)) {
+        changes.set(address, { balance: 0, nonce: 0, txCount: 0 });
+      }
+      return changes.get(address);
+    };
+
+    transactions.forEach((transaction) => {
+      if (transaction.fromAddress) {
+        const sender = changeOf(transaction.fromAddress);
+        sender.balance -= TransactionService.getTransactionCost(transaction);
+        sender.nonce += 1;
+        sender.txCount += 1;
+      }
+      const recipient = changeOf(transaction.toAddress);
+      recipient.balance += transaction.amount;
+      // A transfer to oneself is still a single transaction of the address
+      if (transaction.toAddress !== transaction.fromAddress) {
+        recipient.txCount += 1;
+      }
+    });
+
+    changes.forEach((change) => {
+      change.balance = Number(change.balance.toFixed(8));
+    });
+    return changes;
+  }
+
+  /**
+   * Adds the changes of a block to a running total of changes, or takes them off.
+   * @param {Map<string, {balance: number, nonce: number, txCount: number}>} total - The total, keyed by address.
+   * Updated in place.
+   * @param {Map<string, {balance: number, nonce: number, txCount: number}>} changes - The block's changes (see
+   * getBlockChanges).
+   * @param {number} [sign=1] - 1 to add the changes, -1 to take them off.
+   * @returns {Map<string, {balance: number, nonce: number, txCount: number}>} The total.
+   */
+  static mergeChanges(total, changes, sign = 1) {
+    changes.forEach((change, address) => {
+      const sum = total.get(address) || { balance: 0, nonce: 0, txCount: 0 };
+      total.set(address, {
+        balance: Number((sum.balance + sign * change.balance).toFixed(8)),
+        nonce: sum.nonce + sign * change.nonce,
+        txCount: sum.txCount + sign * change.txCount,
+      });
+    });
+    return total;
+  }
+
+  /**
+   * Applies a block that has just joined the main chain to the account state.
+   * @param {BlockModel} block - The connected block.
+   */
+  static async connectBlock(block) {
+    const changes = this.getBlockChanges(await this.loadTransactions(block));
+    await Account.bulkWrite(
+      [...changes].map(([address, change]) => ({
+        updateOne: {
+          filter: { address },
+          update: {
+            $inc: change,
+            $set: { lastActivityBlock: block.index, lastActivityAt: block.timestamp },
+          },
+          upsert: true,
+        },
+      }))
+    );
+    await this.recordTip(block);
+  }
+
+  /**
+   * Reverts a block that has just left the main chain from the account state. Blocks must be disconnected tip
+   * first, so the state always matches a prefix of the chain.
+   * @param {BlockModel} block - The disconnected block.
+   */
+  static async disconnectBlock(block) {
+    const changes = this.getBlockChanges(await this.loadTransactions(block));
+    const addresses = [...changes.keys()];
+    await Account.bulkWrite(
+      [...changes].map(([address, change]) => ({
+        updateOne: {
+          filter: { address },
+          update: {
+            $inc: {
+              balance: -change.balance,
+              nonce: -change.nonce,
+              txCount: -change.txCount,
+            },
+          },
+        },
+      }))
+    );
+    await Account.deleteMany({ address: { $in: addresses }, txCount: { $lte: 0 } });
+
+    // The block was the last activity of its addresses; look up the activity before it
+    for (const address of addresses) {
+      const previous = await this.findLastActivity(address, block.index);
+      await Account.updateOne(
+        { address },
+        {
+          $set: {
+            lastActivityBlock: previous ? previous.index : null,
+            lastActivityAt: previous ? previous.timestamp : null,
+          },
+        }
+      );
+    }
+    await this.recordTip({ hash: block.previousHash, index: block.index - 1 });
+  }
+
+  /**
+   * Records the block the account state now ends at. Called once the state includes the block, so that a node
+   * stopped halfway through an update finds the previous tip recorded.
+   * @param {{hash: string, index: number}|null} block - The block, or null if the state includes no block.
+   */
+  static async recordTip(block) {
+    await AccountStateTip.updateOne(
+      { _id: "accounts" },
+      { $set: { hash: block ? block.hash : null, index: block ? block.index : null } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Finds the latest main-chain block below a height that has a transaction of an address.
+   * @param {string} address - The address.
+   * @param {number} beforeIndex - The height to search below.
+   * @returns {Promise<BlockModel|null>} The block, or null if the address has no earlier activity.
+   */
+  static async findLastActivity(address, beforeIndex) {
+    const ids = await Transaction.distinct("_id", {
+      $or: [{ fromAddress: address }, { toAddress: address }],
+    });
+    return Block.findOne({
+      isMainChain: true,
+      index: { $lt: beforeIndex },
+      transactions: { $in: ids },
+    })
+      .sort({ index: -1 })
+      .select("index timestamp");
+  }
+
+  /**
+   * Recomputes the whole account state from the main chain, replacing what is stored.
+   * @returns {Promise<number>} The number of accounts.
+   */
+  static async rebuild() {
+    const accounts = new Map();
+    const blocks = await Block.find({ isMainChain: true }).sort({ index: 1 });
+    for (const block of blocks) {
+      this.getBlockChanges(await this.loadTransactions(block)).forEach((change, address) => {
+        const account = accounts.get(address) || { address, balance: 0, nonce: 0, txCount: 0 };
+        account.balance = Number((account.balance + change.balance).toFixed(8));
+        account.nonce += change.nonce;
+        account.txCount += change.txCount;
+        account.lastActivityBlock = block.index;
+        account.lastActivityAt = block.timestamp;
+        accounts.set(address, account);
+      });
+    }
+
+    await Account.deleteMany({});
+    await Account.insertMany([...accounts.values()]);
+    await this.recordTip(blocks.length > 0 ? blocks[blocks.length - 1] : null);
+    console.log(`Account state rebuilt from ${blocks.length} block(s): ${accounts.size} account(s).`);
+    return accounts.size;
+  }
+
+  /**
+   * Rebuilds the account state from the main chain unless it was built up to the main-chain tip: it may never have
+   * been built (e.g. for a database created before the account state existed), or the node may have stopped between
+   * flagging blocks as main chain and updating the state for them.
+   * @returns {Promise<boolean>} Whether the state was rebuilt.
+   */
+  static async ensureBuilt() {
+    const tip = await Block.findOne({ isMainChain: true }).sort({ index: -1 }).select("index hash");
+    if (!tip) {
+      return false;
+    }
+    const built = await AccountStateTip.findById("accounts").lean();
+    if (built && built.hash === tip.hash) {
+      return false;
+    }
+    console.log(
+      `Account state ends at block ${built ? built.hash : "none"}, not at the main-chain tip ${tip.hash}; rebuilding.`
+    );
+    await this.rebuild();
+    return true;
+  }
+
+  /**
+   * Returns a block's transactions, loading them if the block only references them by id.
+   * @param {BlockModel} block - The block.
+   * @returns {Promise<TransactionModel[]>} The transactions.
+   */
+  static async loadTransactions(block) {
+    const references = block.transactions || [];
+    if (references.every((transaction) => transaction && typeof transaction === "object" && "amount" in transaction)) {
+      return references;
+    }
+    return Transaction.find({ _id: { $in: references.map((transaction) => String(transaction._id || transaction)) } });
+  }
+}
+
+module.exports = AccountStateService;
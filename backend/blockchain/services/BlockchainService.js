@@ -1,7 +1,22 @@
 const BlockModel = require("../models/BlockModel");
 const Transaction = require("../models/TransactionModel");
-const MerkleTree = require("../../lib/merkleTree");
-const crypto = require("crypto");
+const TransactionService = require("./TransactionService");
+const MempoolService = require("./MempoolService");
+const ProofOfWorkService = require("./ProofOfWorkService");
+const consensus = require("../config/consensus");
+const genesis = require("../config/genesis");
+const ValidationService = require("./ValidationService");
+const DifficultyService = require("./DifficultyService");
+const EmissionService = require("./EmissionService");
+const AccountStateService = require("./AccountStateService");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+// Chain updates (mining, received blocks, reorganizations) are applied one at a time across every service instance
+let chainUpdateQueue = Promise.resolve();
+// Genesis check and mempool reload, run once for every service instance
+let initialization = null;
+// Latest main-chain block up to which every block has passed full validation in this process
+let validatedTip = null;
 
 /**
  * @class BlockchainService
@@ -9,96 +24,116 @@ const crypto = require("crypto");
  * This includes mining new blocks only when there are pending transactions, and properly integrating Merkle Trees for transaction integrity.
  */
 class BlockchainService {
-  constructor() {
-    this.difficulty = 4; // Difficulty of Proof of Work
-    this.miningReward = 100; // Reward given for mining a block
-    this.pendingTransactions = []; // List of pending transactions
-    this.initializeBlockchain();
+  /**
+   * @param {MempoolService} [mempool] - The pending transaction pool. Defaults to the pool shared by every service.
+   * @param {ProofOfWorkService} [proofOfWorkService] - The nonce search runner. Defaults to the shared runner.
+   */
+  constructor(mempool = MempoolService.shared(), proofOfWorkService = ProofOfWorkService.shared()) {
+    this.mempool = mempool; // Pool of pending transactions
+    this.proofOfWorkService = proofOfWorkService; // Runs the nonce search off the main thread
+    this.ready = this.initializeBlockchain();
   }
 
   /**
-   * Initializes the blockchain with the genesis block if it does not already exist in the database.
+   * The transactions currently waiting in the mempool.
+   * @returns {TransactionModel[]} The pending transactions.
    */
-  async initializeBlockchain() {
-    const count = await BlockModel.countDocuments();
-    if (count === 0) {
-      const genesisBlock = await this.createGenesisBlock();
-      await this.safeBlockSave(genesisBlock);
-      console.log("Genesis block created and saved!");
-    } else {
-      console.log("Genesis block already exists.");
+  get pendingTransactions() {
+    return this.mempool.getTransactions();
+  }
+
+  /**
+   * Initializes the blockchain with the configured genesis block if the database is empty, checks that a
+   * non-empty database was built on that same genesis block, rebuilds the account state if it is missing or does
+   * not end at the main-chain tip, then reloads the pending transactions persisted by the mempool. Initialization runs
+   * once per process, however many service instances are created.
+   * @returns {Promise<void>} Resolves once the chain is ready.
+   * @throws {Error} With code GENESIS_MISMATCH if the stored genesis block differs from the configured one.
+   */
+  initializeBlockchain() {
+    if (!initialization) {
+      initialization = (async () => {
+        await this.ensureGenesisBlock();
+        await AccountStateService.ensureBuilt();
+        await this.mempool.load();
+      })();
     }
+    return initialization;
   }
 
   /**
-   * Creates the genesis block for the blockchain.
-   * @returns {BlockModel} The genesis block.
+   * Stores the configured genesis block in an empty database, or checks the stored one against it.
+   * @throws {Error} With code GENESIS_MISMATCH if the database holds blocks of another genesis.
    */
+  async ensureGenesisBlock() {
+    const { block: genesisBlock, transactions } = BlockchainService.buildGenesisBlock();
+    const storedGenesis = await BlockModel.findOne({ index: 0, isMainChain: true });
 
-  async createGenesisBlock() {
-    // Define a list of initial transactions to fund the wallets
-    const initialTransactions = [
-      {
-        fromAddress: null, // Genesis block transactions don't have a sender
-        toAddress:
-          "04e21dd2ea40413d18393b7f3c22a51e55c1ca9456e02e0b9a3c0e415b135d2a9d110ed6236e0ae6d062eb70753d36329773e29f5d847b3f9d9b2f98fe3f17c2b6",
-        amount: 5000, // Amount to be adjusted as needed
-        timestamp: Date.now(),
-        signature: "genesis-signature",
-      },
-      {
-        fromAddress: null,
-        toAddress:
-          "04ae619269e81c9a45f6e9d99b777ba0c5d0b0779803deaf418e7ae5e7c2af8d4f58a807b09414521c247fe66e402125c51c9b3fd7d9525a7cc57464ad2b1f52d2",
-        amount: 5000,
-        timestamp: Date.now(),
-        signature: "genesis-signature",
-      },
-      {
-        fromAddress: null,
-        toAddress:
-          "046d97399e73236961d1984eb17fd83554ab30448d3efc3749b4fca415501981cdc9cecec27daab6edb0753e60505f9bbf4d3d3a8b917398267732302b3671962b",
-        amount: 5000,
-        timestamp: Date.now(),
-        signature: "genesis-signature",
-      },
-      {
-        fromAddress: null,
-        toAddress:
-          "0424821e7550f331fd566d54b38a1c941f1954cabd88ef908868dc878ff41d3a844f7d4032b31bbe857050dea6f4acfbba79ecc6f9b80fc38e5e9e1b0378581269",
-        amount: 10000, // Larger amount for the faucet wallet
-        timestamp: Date.now(),
-        signature: "genesis-signature",
-      },
-    ];
+    if (storedGenesis) {
+      if (storedGenesis.hash !== genesisBlock.hash) {
+        throw createOperationalError(
+          `The database holds genesis block ${storedGenesis.hash}, but ${genesis.file} configures ` +
+            `${genesisBlock.hash} for chain ${genesis.chainId}. Use a database of this network or the matching ` +
+            "genesis file.",
+          500,
+          "GENESIS_MISMATCH"
+        );
+      }
+      console.log(`Genesis block ${genesisBlock.hash} matches chain ${genesis.chainId}.`);
+      validatedTip = { index: 0, hash: genesisBlock.hash };
+      return;
+    }
+    if ((await BlockModel.countDocuments()) > 0) {
+      throw createOperationalError(
+        "The database holds blocks but no main-chain genesis block.",
+        500,
+        "GENESIS_MISMATCH"
+      );
+    }
 
-    // Convert each object to a TransactionModel instance and insert into the database
-    const genesisTransactions = initialTransactions.map(
-      (tx) => new Transaction(tx)
-    );
-    await Transaction.insertMany(genesisTransactions);
+    await Transaction.insertMany(transactions);
+    genesisBlock.isMainChain = true;
+    genesisBlock.chainWork = DifficultyService.getBlockWork(genesisBlock);
+    await this.safeBlockSave(genesisBlock);
+    await AccountStateService.connectBlock({ ...genesisBlock.toObject(), transactions });
+    validatedTip = { index: 0, hash: genesisBlock.hash };
+    console.log(`Genesis block ${genesisBlock.hash} created for chain ${genesis.chainId}.`);
+  }
 
-    // Create a Merkle Tree from the transactions
-    const merkleTree = new MerkleTree(
-      genesisTransactions.map((tx) => JSON.stringify(tx))
-    );
-    const genesisBlock = new BlockModel({
+  /**
+   * Builds the genesis block and its allocation transactions from the genesis configuration. Nothing depends on
+   * the local clock or database, so every node with the same configuration builds the same block and hash. The
+   * allocations carry the chain id, so networks that differ only by their chain id have different genesis blocks.
+   * @param {Object} [config] - The genesis configuration; defaults to the configured one (see genesis.js).
+   * @returns {{ block: BlockModel, transactions: TransactionModel[] }} The unsaved genesis block and transactions.
+   */
+  static buildGenesisBlock(config = genesis) {
+    // Genesis transactions have no sender or signature, and are identified by their content hash
+    const transactions = config.allocations.map(({ address, amount }) => {
+      const transaction = new Transaction({
+        chainId: config.chainId,
+        fromAddress: null,
+        toAddress: address,
+        amount,
+        timestamp: config.timestamp,
+        isGenesis: true,
+      });
+      transaction._id = transaction.calculateId();
+      return transaction;
+    });
+
+    const block = new BlockModel({
       index: 0,
       previousHash: "0",
-      timestamp: Date.now(),
-      transactions: genesisTransactions.map((tx) => tx._id),
+      timestamp: config.timestamp,
+      transactions: transactions.map((tx) => tx._id),
       nonce: 0,
-      merkleRoot: merkleTree.getRoot(),
-      hash: this.calculateHashForBlock(
-        0,
-        "0",
-        Date.now(),
-        merkleTree.getRoot(),
-        0
-      ),
+      difficulty: config.difficulty,
     });
+    block.merkleRoot = block.calculateMerkleRoot();
+    block.hash = block.calculateHash();
 
-    return genesisBlock;
+    return { block, transactions };
   }
 
   /**
@@ -110,7 +145,7 @@ class BlockchainService {
       await block.save();
       console.log(`Block saved: ${block.index}`);
     } catch (error) {
-      if (error.name === "MongoError" && error.code === 11000) {
+      if (error.code === 11000) {
         console.error(`Duplicate block not saved: ${block.index}`);
       } else {
         console.error(`Error saving block: ${error}`);
@@ -120,145 +155,686 @@ class BlockchainService {
   }
 
   /**
-   * Retrieves the latest block from the blockchain.
+   * Retrieves the latest block of the main chain.
    * @returns {Promise<BlockModel>} The latest block.
    */
   async getLatestBlock() {
-    return await BlockModel.findOne().sort({ index: -1 });
+    return await BlockModel.findOne({ isMainChain: true }).sort({ index: -1 });
   }
 
   /**
-   * Adds a transaction to the blockchain as a pending transaction.
+   * Adds a transaction to the blockchain as a pending transaction, storing it once it has been admitted.
+   * Admissions run one at a time, between chain updates, so that two transactions reusing a nonce or the same funds
+   * cannot both be checked against the pool before either has entered it.
    * @param {TransactionModel} transaction - The transaction to add.
-   * @throws {Error} If the transaction is missing critical information or is invalid.
+   * @throws {Error} If the transaction is missing critical information or is invalid, with code WRONG_CHAIN if it
+   * belongs to another network, DOUBLE_SPEND if it is already pending, NONCE_TOO_LOW / NONCE_TOO_HIGH if it is out
+   * of the sender's sequence, or with code INSUFFICIENT_FUNDS / DOUBLE_SPEND if the sender cannot cover it (see
+   * TransactionService.assertSpendable).
    */
-  async addTransaction(transaction) {
+  addTransaction(transaction) {
+    return this.runExclusive(() => this.admitTransaction(transaction));
+  }
+
+  /**
+   * Checks a transaction against the chain tip and the pending pool, then admits and stores it (see
+   * addTransaction). Callers must already hold the chain update queue.
+   * @param {TransactionModel} transaction - The transaction to admit.
+   */
+  async admitTransaction(transaction) {
     if (!transaction.fromAddress || !transaction.toAddress) {
       throw new Error("Transaction must include from and to addresses.");
     }
+    if (transaction.chainId !== consensus.chainId) {
+      throw createOperationalError(
+        `Transaction belongs to network ${transaction.chainId}, not ${consensus.chainId}.`,
+        422,
+        "WRONG_CHAIN"
+      );
+    }
     if (!(await transaction.isValid())) {
       throw new Error("Cannot add invalid transaction to the chain.");
     }
-    this.pendingTransactions.push(transaction);
-    console.log("Added transaction to pending list:", transaction);
+    await this.mempool.load();
+    if (this.mempool.has(String(transaction._id))) {
+      throw createOperationalError("Transaction is already pending.", 409, "DOUBLE_SPEND");
+    }
+    await TransactionService.assertNextNonce(
+      transaction,
+      this.pendingTransactions
+    );
+    await TransactionService.assertSpendable(
+      transaction,
+      this.pendingTransactions
+    );
+    // Schema errors must surface before the pool relays the transaction, since it could never be stored or mined
+    try {
+      await transaction.validate();
+    } catch (error) {
+      throw new Error(`Cannot add invalid transaction to the chain: ${error.message}`);
+    }
+    await this.mempool.add(transaction);
+    // Blocks only reference their transactions, so a transaction must be stored before it can be mined. It is only
+    // stored once admitted, so that refused transactions never show up in address histories.
+    try {
+      if (!(await Transaction.exists({ _id: transaction._id }))) {
+        await transaction.save();
+      }
+    } catch (error) {
+      await this.mempool.remove([transaction]);
+      throw error;
+    }
+    console.log(`Added transaction ${transaction._id} to the pending pool.`);
   }
 
   /**
    * Mines pending transactions in a new block, only if there are pending transactions.
+   * Transactions are chosen by fee per byte up to the block size limit, and the reward transaction pays the
+   * block subsidy of the emission schedule plus every fee collected from the chosen transactions. A block whose
+   * reward would be below the minimum transaction amount has no reward transaction (see EmissionService.getBlockReward).
    * @param {string} miningRewardAddress - The address to receive the mining reward.
-   * @throws {Error} If there are no transactions to mine or if an error occurs during the mining process.
+   * @returns {Promise<{status: string, block: BlockModel}>} The mined block and how it was attached (see attachBlock).
+   * @throws {Error} If there are no transactions to mine or if an error occurs during the mining process, with code
+   * MINING_CANCELLED if the chain tip or the mempool changed while mining, in which case the block can be
+   * reassembled and mined again.
    */
   async minePendingTransactions(miningRewardAddress) {
+    await this.mempool.load();
     if (this.pendingTransactions.length === 0) {
       throw new Error("No transactions to mine.");
     }
-    const latestBlock = await this.getLatestBlock();
-    const rewardTransaction = new Transaction({
-      fromAddress: null,
-      toAddress: miningRewardAddress,
-      amount: this.miningReward,
-      timestamp: Date.now(),
-    });
-    this.pendingTransactions.push(rewardTransaction);
-    const transactionData = this.pendingTransactions.map((tx) =>
-      JSON.stringify(tx)
-    );
-    const merkleTree = new MerkleTree(transactionData);
+    // The template is assembled and the nonce search started within one chain update: a block connected from a
+    // peer meanwhile is either connected first and built on, or connected after and cancels the search as stale
+    const { newBlock, rewardTransaction, search } = await this.runExclusive(async () => {
+      const latestBlock = await this.getLatestBlock();
+      const subsidy = EmissionService.getBlockSubsidy(latestBlock.index + 1);
+      const rewardTransaction = new Transaction({
+        chainId: consensus.chainId,
+        fromAddress: null,
+        toAddress: miningRewardAddress,
+        amount: subsidy,
+        timestamp: Date.now(),
+        isReward: true,
+      });
 
-    const newBlock = new BlockModel({
-      index: latestBlock.index + 1,
-      previousHash: latestBlock.hash,
-      timestamp: Date.now(),
-      transactions: this.pendingTransactions.map((tx) => tx._id),
-      nonce: 0,
-      merkleRoot: merkleTree.getRoot(),
-      hash: this.calculateHashForBlock(
+      // Leave room for the reward transaction, whose amount grows by the fees collected
+      const confirmedNonces = await this.getConfirmedNonces(this.pendingTransactions);
+      const selectedTransactions = this.mempool.selectForBlock(
+        consensus.maxBlockSize - rewardTransaction.getSize() - 32,
+        confirmedNonces
+      );
+      if (selectedTransactions.length === 0) {
+        throw new Error("No pending transactions fit in a block.");
+      }
+      rewardTransaction.amount = EmissionService.getBlockReward(
         latestBlock.index + 1,
-        latestBlock.hash,
-        Date.now(),
-        merkleTree.getRoot(),
-        0
-      ),
+        TransactionService.getBlockFees(selectedTransactions)
+      );
+      rewardTransaction._id = rewardTransaction.calculateId();
+
+      // Consensus requires the reward transaction to come first, and no reward transaction when there is nothing to
+      // claim
+      const claimsReward = rewardTransaction.amount > 0;
+      const blockTransactions = claimsReward ? [rewardTransaction, ...selectedTransactions] : selectedTransactions;
+      const { expectedDifficulty: difficulty, medianTimePast } = await ValidationService.getBlockContext({
+        previousHash: latestBlock.hash,
+      });
+
+      const newBlock = new BlockModel({
+        index: latestBlock.index + 1,
+        previousHash: latestBlock.hash,
+        // The timestamp rule requires a time after the median of the preceding blocks, which a clock running behind
+        // the network's, or a burst of fast blocks, may not give
+        timestamp: Math.max(Date.now(), medianTimePast + 1),
+        transactions: blockTransactions.map((tx) => tx._id),
+        nonce: 0,
+        difficulty,
+      });
+      newBlock.merkleRoot = newBlock.calculateMerkleRoot();
+
+      // Not awaited here, so that the search does not hold up other chain updates
+      return {
+        newBlock,
+        rewardTransaction: claimsReward ? rewardTransaction : null,
+        search: this.proofOfWork(newBlock),
+      };
     });
 
-    await this.proofOfWork(newBlock);
-    await this.safeBlockSave(newBlock);
+    await search;
+    if (rewardTransaction) {
+      await rewardTransaction.save();
+    }
+
+    // Mined transactions leave the pool once the block is connected to the main chain
+    const result = await this.attachBlock(newBlock);
+    if (result.status === "side-branch") {
+      console.log("Mined block lost to a competing branch with more work.");
+    } else {
+      console.log("Block successfully mined and added to the blockchain!");
+    }
+    return result;
+  }
 
-    console.log("Block successfully mined and added to the blockchain!");
-    this.pendingTransactions = []; // Clear the list of pending transactions after mining
+  /**
+   * Looks up the confirmed nonce of every sender in a list of transactions.
+   * @param {TransactionModel[]} transactions - The transactions whose senders to look up.
+   * @returns {Promise<Object<string, number>>} Next expected nonce per sender.
+   */
+  async getConfirmedNonces(transactions) {
+    const nonces = {};
+    for (const { fromAddress } of transactions) {
+      if (fromAddress && nonces[fromAddress] === undefined) {
+        nonces[fromAddress] = await TransactionService.getConfirmedNonce(fromAddress);
+      }
+    }
+    return nonces;
   }
 
   /**
-   * Implements Proof of Work mining algorithm.
+   * Implements Proof of Work mining algorithm, searching for a nonce that meets the block's own difficulty.
+   * The search runs in worker threads and is cancelled if the mempool changes substantially in the meantime.
    * @param {BlockModel} block - The block to mine.
+   * @throws {Error} With code MINING_CANCELLED if the search is cancelled before a nonce is found.
    */
   async proofOfWork(block) {
-    while (!block.hash.startsWith(Array(this.difficulty + 1).join("0"))) {
-      block.nonce++;
-      block.hash = block.calculateHash();
+    await this.proofOfWorkService.mine(block, { mempool: this.mempool });
+  }
+
+  /**
+   * Accepts a block received from a peer. The block is checked against the consensus rules (see
+   * ValidationService.checkBlock), its transactions are stored, and it is then attached to the block tree
+   * (see attachBlock).
+   * @param {Object} blockData - The block as JSON, with its transactions embedded as full objects.
+   * @returns {Promise<{status: string, block: BlockModel}>} The outcome: "duplicate", "extended", "reorganized"
+   * or "side-branch".
+   * @throws {Error} With code INVALID_BLOCK and the broken rules in `details` if the block is invalid or already
+   * failed validation, or ORPHAN_BLOCK if its parent is unknown.
+   */
+  async acceptBlock(blockData) {
+    const known = await BlockModel.findOne({ hash: blockData.hash });
+    if (known && known.isInvalid) {
+      throw createOperationalError(`Block ${known.index} failed validation before.`, 422, "INVALID_BLOCK");
     }
+    if (known) {
+      return { status: "duplicate", block: known };
+    }
+
+    let candidate;
+    try {
+      candidate = ValidationService.toRuleInput(blockData);
+    } catch (error) {
+      throw createOperationalError(error.message, 422, "INVALID_BLOCK");
+    }
+    await ValidationService.assertValidBlock(
+      candidate,
+      await ValidationService.getBlockContext(candidate)
+    );
+
+    const { transactions } = candidate;
+    const block = new BlockModel({
+      index: candidate.index,
+      previousHash: candidate.previousHash,
+      timestamp: candidate.timestamp,
+      transactions: transactions.map((transaction) => transaction._id),
+      nonce: candidate.nonce,
+      difficulty: candidate.difficulty,
+      merkleRoot: candidate.merkleRoot,
+      hash: candidate.hash,
+    });
+
+    const storedIds = (
+      await Transaction.distinct("_id", { _id: { $in: block.transactions } })
+    ).map(String);
+    await Transaction.insertMany(
+      transactions.filter((transaction) => !storedIds.includes(String(transaction._id)))
+    );
+
+    return this.attachBlock(block);
   }
 
   /**
-   * Validates the entire blockchain's integrity.
-   * @returns {Promise<boolean>} True if the blockchain is valid, otherwise false.
+   * Stores a sealed block in the block tree and switches to its branch if that branch now has the most cumulative
+   * proof-of-work. Blocks that do not win are kept as a competing branch so they can still take over later.
+   * @param {BlockModel} block - A block whose transactions are already stored.
+   * @returns {Promise<{status: string, block: BlockModel}>} The outcome: "extended", "reorganized" or "side-branch".
+   * @throws {Error} With code ORPHAN_BLOCK if the parent is unknown, or INVALID_BLOCK if the block does not fit
+   * its parent, builds on a block that failed validation, or fails validation when connected.
    */
-  async isChainValid() {
-    const blocks = await BlockModel.find().sort({ index: 1 });
-    for (let i = 1; i < blocks.length; i++) {
-      const current = blocks[i];
-      const previous = blocks[i - 1];
+  attachBlock(block) {
+    return this.runExclusive(async () => {
+      const parent = await BlockModel.findOne({ hash: block.previousHash });
+      if (!parent) {
+        throw createOperationalError(
+          `Parent ${block.previousHash} of block ${block.index} is unknown.`,
+          404,
+          "ORPHAN_BLOCK"
+        );
+      }
+      if (parent.isInvalid) {
+        throw createOperationalError(
+          `Block ${block.index} extends block ${parent.hash}, which failed validation.`,
+          422,
+          "INVALID_BLOCK"
+        );
+      }
+      if (block.index !== parent.index + 1) {
+        throw createOperationalError(
+          `Block ${block.index} does not follow its parent at index ${parent.index}.`,
+          422,
+          "INVALID_BLOCK"
+        );
+      }
+      const expectedDifficulty = await DifficultyService.getNextDifficulty(parent);
+      if (
+        block.difficulty !== expectedDifficulty ||
+        !DifficultyService.meetsDifficulty(block.hash, block.difficulty)
+      ) {
+        throw createOperationalError(
+          `Block ${block.index} must be mined at difficulty ${expectedDifficulty}.`,
+          422,
+          "INVALID_BLOCK"
+        );
+      }
+
+      block.isMainChain = false;
+      block.chainWork = parent.chainWork + DifficultyService.getBlockWork(block);
+      await this.safeBlockSave(block);
 
-      if (current.previousHash !== previous.hash) {
-        return false;
+      const tip = await this.getLatestBlock();
+      if (block.chainWork <= tip.chainWork) {
+        console.log(`Block ${block.index} stored on a competing branch.`);
+        return { status: "side-branch", block };
       }
-      if (!(await current.hasValidTransactions())) {
-        return false;
+
+      await this.reorganize(block);
+      // A block being mined on the previous tip can no longer extend the main chain
+      this.proofOfWorkService.cancelIfStale(block);
+      return {
+        status: parent.hash === tip.hash ? "extended" : "reorganized",
+        block,
+      };
+    });
+  }
+
+  /**
+   * Runs a task once every chain update queued before it has finished, and before any queued after it starts.
+   * @param {Function} task - An async function that reads or updates the chain.
+   * @returns {Promise<*>} The task's result.
+   */
+  runExclusive(task) {
+    const run = chainUpdateQueue.then(task);
+    // Keep the queue usable after a failed task
+    chainUpdateQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Makes the branch ending at newTip the main chain. Blocks of the current main chain are disconnected back to
+   * the common ancestor, then the new branch is connected block by block with full validation. If a new block is
+   * invalid, the previous main chain is restored and that block and the blocks built on it are flagged as invalid,
+   * so that they are never tried again. The pending pool is then reconciled with the new tip (see
+   * reconcileMempool).
+   * @param {BlockModel} newTip - The tip of the branch to switch to.
+   * @throws {Error} With code INVALID_BLOCK if a block of the new branch fails validation.
+   */
+  async reorganize(newTip) {
+    const branch = [];
+    let cursor = newTip;
+    while (!cursor.isMainChain) {
+      branch.unshift(cursor);
+      cursor = await BlockModel.findOne({ hash: cursor.previousHash });
+    }
+    const ancestor = cursor;
+    const previousValidatedTip = validatedTip;
+
+    const disconnected = await BlockModel.find({
+      isMainChain: true,
+      index: { $gt: ancestor.index },
+    }).sort({ index: -1 });
+    await this.disconnectBlocks(disconnected);
+    if (disconnected.length > 0) {
+      console.log(
+        `Reorganizing: disconnected ${disconnected.length} block(s) back to ancestor ${ancestor.index}.`
+      );
+    }
+
+    const connected = [];
+    try {
+      for (const block of branch) {
+        await ValidationService.validateBlock(block);
+        await this.connectBlock(block);
+        connected.push(block);
+        if (validatedTip && validatedTip.hash === block.previousHash) {
+          validatedTip = { index: block.index, hash: block.hash };
+        }
+      }
+    } catch (error) {
+      await this.disconnectBlocks(connected);
+      for (const block of [...disconnected].reverse()) {
+        await this.connectBlock(block);
       }
-      if (current.calculateHash() !== current.hash) {
-        return false;
+      validatedTip = previousValidatedTip;
+      const invalid = branch.slice(connected.length);
+      await BlockModel.updateMany({ _id: { $in: invalid.map((block) => block._id) } }, { isInvalid: true });
+      throw createOperationalError(
+        `Rejected branch ending at block ${newTip.index}: ${error.message}`,
+        422,
+        "INVALID_BLOCK",
+        error.details
+      );
+    }
+
+    const connectedIds = connected.flatMap((block) => block.transactions.map(String));
+    const connectedTransactions = await Transaction.find({ _id: { $in: connectedIds } });
+    await this.mempool.remove(connectedTransactions);
+
+    const confirmedIds = new Set(connectedIds);
+    const disconnectedIds = disconnected
+      .flatMap((block) => block.transactions.map(String))
+      .filter((id) => !confirmedIds.has(id));
+    const orphanedTransactions = await Transaction.find({
+      _id: { $in: disconnectedIds },
+      isReward: false,
+      isGenesis: false,
+    });
+    await this.reconcileMempool(connectedTransactions, orphanedTransactions);
+  }
+
+  /**
+   * Brings the pending pool in line with a chain update. Only the senders of the connected and disconnected
+   * transfers are looked at: for each, the pending transfers and the transfers that disconnected blocks gave back are
+   * taken in nonce order from the sender's new confirmed nonce, for as long as they follow on without a gap and the
+   * sender can pay for them. Pending entries that no longer fit (a nonce the new tip already used, or funds that are
+   * no longer there) leave the pool together with the sender's later entries, and given-back transfers that fit are
+   * admitted again. Every other entry is left as it is, expiry included.
+   * @param {TransactionModel[]} connectedTransactions - The transactions of the newly connected blocks.
+   * @param {TransactionModel[]} orphanedTransactions - Transfers of disconnected blocks that are not on the new
+   * main chain.
+   */
+  async reconcileMempool(connectedTransactions, orphanedTransactions) {
+    const senders = new Set(
+      [...connectedTransactions, ...orphanedTransactions]
+        .map((transaction) => transaction.fromAddress)
+        .filter(Boolean)
+    );
+    const orphaned = new Set(orphanedTransactions);
+    const dropped = [];
+    const readmitted = [];
+
+    for (const address of senders) {
+      const candidates = [...orphanedTransactions, ...this.pendingTransactions]
+        .filter((transaction) => transaction.fromAddress === address)
+        .sort((a, b) => a.nonce - b.nonce);
+      let nonce = await TransactionService.getConfirmedNonce(address);
+      let available = await TransactionService.getSpendableBalance(address);
+      let broken = false;
+      for (const transaction of candidates) {
+        const cost = TransactionService.getTransactionCost(transaction);
+        if (!broken && transaction.nonce === nonce && cost <= available) {
+          nonce++;
+          available -= cost;
+          if (orphaned.has(transaction)) {
+            readmitted.push(transaction);
+          }
+          continue;
+        }
+        // Past a gap or an unaffordable transfer, later nonces can no longer be mined either
+        broken = broken || transaction.nonce >= nonce;
+        dropped.push(transaction);
       }
     }
-    return true;
+
+    dropped.forEach((transaction) =>
+      console.log(`Dropped transaction ${transaction._id} after chain update: it no longer fits the new tip.`)
+    );
+    await this.mempool.remove(dropped.filter((transaction) => !orphaned.has(transaction)));
+    for (const transaction of readmitted) {
+      try {
+        await this.mempool.add(transaction);
+      } catch (error) {
+        console.log(`Dropped transaction ${transaction._id} after chain update: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Connects a block to the main chain: flags it and applies its transactions to the account state.
+   * @param {BlockModel} block - A block whose parent is the current tip.
+   */
+  async connectBlock(block) {
+    await this.setMainChain([block], true);
+    await AccountStateService.connectBlock(block);
+  }
+
+  /**
+   * Disconnects blocks from the main chain, tip first, taking their transactions off the account state.
+   * @param {BlockModel[]} blocks - The blocks at the top of the main chain.
+   */
+  async disconnectBlocks(blocks) {
+    const tipFirst = [...blocks].sort((a, b) => b.index - a.index);
+    for (const block of tipFirst) {
+      await this.setMainChain([block], false);
+      await AccountStateService.disconnectBlock(block);
+      if (validatedTip && validatedTip.index >= block.index) {
+        validatedTip = { index: block.index - 1, hash: block.previousHash };
+      }
+    }
+  }
+
+  /**
+   * Flags blocks as part of, or no longer part of, the main chain.
+   * @param {BlockModel[]} blocks - The blocks to update.
+   * @param {boolean} isMainChain - The new flag value.
+   */
+  async setMainChain(blocks, isMainChain) {
+    if (blocks.length === 0) {
+      return;
+    }
+    await BlockModel.updateMany(
+      { _id: { $in: blocks.map((block) => block._id) } },
+      { isMainChain }
+    );
+    blocks.forEach((block) => {
+      block.isMainChain = isMainChain;
+    });
   }
 
   /**
-   * Gets the balance of a given address by iterating through all transactions.
+   * Returns the latest main-chain block up to which the chain has been fully validated.
+   * @returns {{index: number, hash: string}|null} The validated tip, or null before initialization.
+   */
+  getValidatedTip() {
+    return validatedTip && { ...validatedTip };
+  }
+
+  /**
+   * Validates the main-chain blocks above the validated tip and advances it. Blocks connected by this node are
+   * validated as they are connected, so this usually has nothing to do; after a restart, the chain stored before is
+   * validated once.
+   * @returns {Promise<{index: number, hash: string}>} The new validated tip, i.e. the main-chain tip.
+   * @throws {Error} With code INVALID_BLOCK and the block's index in `details` if a block fails validation.
+   */
+  async validateNewBlocks() {
+    await this.initializeBlockchain();
+    return this.runExclusive(async () => {
+      const blocks = await BlockModel.find({
+        isMainChain: true,
+        index: { $gt: validatedTip.index },
+      }).sort({ index: 1 });
+
+      // The account state already includes these blocks; each block is checked against it with the changes of the
+      // block itself and of the blocks above it taken off
+      const blockChanges = [];
+      for (const block of blocks) {
+        blockChanges.push(
+          AccountStateService.getBlockChanges(await AccountStateService.loadTransactions(block))
+        );
+      }
+      const connectedChanges = blockChanges.reduce(
+        (total, changes) => AccountStateService.mergeChanges(total, changes),
+        new Map()
+      );
+
+      for (const [position, block] of blocks.entries()) {
+        try {
+          if (block.previousHash !== validatedTip.hash) {
+            throw new Error("Block does not extend the validated chain.");
+          }
+          await ValidationService.validateBlock(block, { connectedChanges });
+        } catch (error) {
+          throw createOperationalError(
+            `Block ${block.index} failed validation: ${error.message}`,
+            422,
+            "INVALID_BLOCK",
+            { index: block.index, hash: block.hash, ...error.details }
+          );
+        }
+        validatedTip = { index: block.index, hash: block.hash };
+        AccountStateService.mergeChanges(connectedChanges, blockChanges[position], -1);
+      }
+      return this.getValidatedTip();
+    });
+  }
+
+  /**
+   * Audits the entire main chain from the genesis block: the configured genesis hash, block linkage, the
+   * consensus rules of every block, then every sender's nonces and balances, stopping at the first corrupt block.
+   * @returns {Promise<{valid: boolean, height: number, firstInvalidIndex: number|null, message: string|null}>}
+   * The audit report.
+   */
+  async auditChain() {
+    // Read the chain between updates so that a reorganization in progress is not mistaken for corruption
+    const blocks = await this.runExclusive(() => this.getChain());
+    const height = blocks.length - 1;
+    const genesisHash = BlockchainService.buildGenesisBlock().block.hash;
+
+    // Re-check nonce ordering and that no sender spends more than they held before each block, leaving out
+    // rewards that had not matured yet
+    const balances = {};
+    const nonces = {};
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+      try {
+        if (i === 0) {
+          if (block.hash !== genesisHash) {
+            throw new Error("Genesis block does not match the configured genesis.");
+          }
+        } else {
+          if (block.previousHash !== blocks[i - 1].hash || block.index !== blocks[i - 1].index + 1) {
+            throw new Error("Chain is broken. Previous hash does not match.");
+          }
+          const rejections = await ValidationService.checkBlock(
+            block,
+            ValidationService.getChainContext(blocks, i)
+          );
+          if (rejections.length > 0) {
+            throw new Error(
+              `Broke consensus rule(s): ${rejections.map(({ rule }) => rule).join(", ")}.`
+            );
+          }
+        }
+
+        const locked = {};
+        blocks
+          .slice(Math.max(0, i - consensus.coinbaseMaturity + 1), i)
+          .flatMap((previous) => previous.transactions)
+          .filter((transaction) => transaction.isReward)
+          .forEach((reward) => {
+            locked[reward.toAddress] = (locked[reward.toAddress] || 0) + reward.amount;
+          });
+        TransactionService.applyBlockNonces(block.transactions, nonces);
+        TransactionService.applyBlockSpends(block.transactions, balances, locked);
+      } catch (error) {
+        console.error(`Block ${block.index} failed the chain audit:`, error.message);
+        return { valid: false, height, firstInvalidIndex: block.index, message: error.message };
+      }
+    }
+    return { valid: true, height, firstInvalidIndex: null, message: null };
+  }
+
+  /**
+   * Validates the entire blockchain's integrity (see auditChain).
+   * @returns {Promise<boolean>} True if the blockchain is valid, otherwise false.
+   */
+  async isChainValid() {
+    return (await this.auditChain()).valid;
+  }
+
+  /**
+   * Gets the confirmed balance of a given address from the account state.
    * @param {string} address - The address to query the balance for.
    * @returns {Promise<number>} The balance of the address.
    */
   async getBalanceOfAddress(address) {
-    const transactions = await Transaction.find({
-      $or: [{ fromAddress: address }, { toAddress: address }],
-    });
-    let balance = 0;
-    transactions.forEach((tx) => {
-      if (tx.fromAddress === address) balance -= tx.amount;
-      if (tx.toAddress === address) balance += tx.amount;
-    });
-    return balance;
+    return TransactionService.getConfirmedBalance(address);
   }
 
   /**
-   * Exposes the current state of the blockchain for querying or external operations.
+   * Gets the account state of an address, with the part of its balance that is spendable now.
+   * @param {string} address - The address to look up.
+   * @returns {Promise<Object>} The address's balance, spendable balance, nonce, transaction count and last activity.
+   */
+  async getAccount(address) {
+    const account = await AccountStateService.getAccount(address);
+    const immatureRewards = await TransactionService.getImmatureRewards(address);
+    return {
+      ...account,
+      spendableBalance: Number((account.balance - immatureRewards).toFixed(8)),
+    };
+  }
+
+  /**
+   * Exposes the current main chain for querying or external operations, with each block's transactions embedded.
    * @returns {Promise<BlockModel[]>} The current blockchain as an array of blocks.
    */
   async getChain() {
-    return await BlockModel.find().sort({ index: 1 });
+    return await BlockModel.find({ isMainChain: true })
+      .sort({ index: 1 })
+      .populate("transactions");
+  }
+
+  /**
+   * Returns a page of main-chain block headers, each with the block's hash, in index order.
+   * @param {number} from - Index of the first header.
+   * @param {number} limit - Maximum number of headers.
+   * @returns {Promise<Object[]>} The headers (see BlockModel.getHeader).
+   */
+  async getHeaders(from, limit) {
+    const blocks = await BlockModel.find({ isMainChain: true, index: { $gte: from } })
+      .sort({ index: 1 })
+      .limit(limit)
+      .select("-transactions");
+    return blocks.map((block) => ({ ...block.getHeader(), hash: block.hash }));
   }
 
   /**
-   * Calculates the hash for a block based on its properties using SHA-256.
+   * Finds a stored block by its hash, whichever branch it is on, with its transactions embedded.
+   * @param {string} hash - The block's hash.
+   * @returns {Promise<BlockModel|null>} The block, or null if it is unknown.
+   */
+  async getBlockByHash(hash) {
+    return BlockModel.findOne({ hash }).populate("transactions");
+  }
+
+  /**
+   * Calculates the hash for a block based on its properties, exactly as BlockModel.calculateHash does.
    * @param {number} index The block's index in the blockchain.
    * @param {string} previousHash The hash of the previous block in the chain.
-   * @param {number} timestamp The timestamp when the block was created.
+   * @param {Date|number} timestamp The timestamp when the block was created.
    * @param {string} merkleRoot The Merkle root of the block's transactions.
    * @param {number} nonce The nonce used in the mining process.
+   * @param {number} difficulty The difficulty the block is mined at.
    * @returns {string} The calculated hash as a hexadecimal string.
    */
-  calculateHashForBlock(index, previousHash, timestamp, merkleRoot, nonce) {
-    const hashData = `${index}${previousHash}${timestamp}${merkleRoot}${nonce}`;
-    return crypto.createHash("sha256").update(hashData).digest("hex");
+  calculateHashForBlock(index, previousHash, timestamp, merkleRoot, nonce, difficulty) {
+    return BlockModel.hashHeader({
+      index,
+      previousHash,
+      timestamp: new Date(timestamp),
+      merkleRoot,
+      nonce,
+      difficulty,
+    });
   }
 }
 
@@ -0,0 +1,113 @@
+const BlockchainService = require("./BlockchainService");
+
+let sharedAudit = null;
+
+/**
+ * @class ChainAuditService
+ * @description Periodically audits the whole main chain in the background (see BlockchainService.auditChain), so
+ * that corruption of blocks already validated, e.g. by direct edits to the database, is noticed without checking
+ * the full chain on every request. The outcome of the last audit is kept for the status endpoint.
+ */
+class ChainAuditService {
+  /**
+   * @param {BlockchainService} blockchainService - The blockchain service whose chain to audit.
+   * @param {Object} [options] - Audit settings.
+   * @param {number} [options.interval] - Time in milliseconds between audits. Defaults to CHAIN_AUDIT_INTERVAL or
+   * ten minutes.
+   */
+  constructor(blockchainService, { interval = Number(process.env.CHAIN_AUDIT_INTERVAL) || 10 * 60 * 1000 } = {}) {
+    if (!blockchainService || !(blockchainService instanceof BlockchainService)) {
+      throw new Error("Invalid BlockchainService provided.");
+    }
+    this.blockchainService = blockchainService;
+    this.interval = interval;
+    this.timer = null;
+    this.running = null; // Promise of the audit in progress
+    this.lastAudit = null;
+  }
+
+  /**
+   * Returns the audit service shared by every part of this node, creating it on first use.
+   * @returns {ChainAuditService} The shared audit service.
+   */
+  static shared() {
+    if (!sharedAudit) {
+      sharedAudit = new ChainAuditService(new BlockchainService());
+    }
+    return sharedAudit;
+  }
+
+  /**
+   * Runs an audit now, then one every interval until stopped.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const audit = () =>
+      this.runAudit().catch((error) => console.error("Chain audit failed to run:", error.message));
+    this.timer = setInterval(audit, this.interval);
+    // The schedule alone does not keep the process alive
+    this.timer.unref();
+    audit();
+  }
+
+  /**
+   * Stops the scheduled audits. An audit in progress runs to completion.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Audits the main chain, unless an audit is already running, in which case its outcome is returned.
+   * @returns {Promise<Object>} The audit report, with its start and finish times.
+   */
+  runAudit() {
+    if (!this.running) {
+      this.running = (async () => {
+        const startedAt = new Date();
+        const report = await this.blockchainService.auditChain();
+        const finishedAt = new Date();
+        this.lastAudit = { ...report, startedAt, finishedAt, durationMs: finishedAt - startedAt };
+        if (report.valid) {
+          console.log(`Chain audit passed up to block ${report.height}.`);
+        } else {
+          console.error(`Chain audit found block ${report.firstInvalidIndex} corrupt: ${report.message}`);
+        }
+        return this.lastAudit;
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Tells whether the last audit found the chain corrupt.
+   * @returns {boolean} True if the last completed audit failed.
+   */
+  hasFoundCorruption() {
+    return Boolean(this.lastAudit && !this.lastAudit.valid);
+  }
+
+  /**
+   * Reports the validity state of the chain: how far it has been validated block by block, and the outcome of the
+   * last full audit.
+   * @returns {Object} The validated tip, the audit schedule and the last audit report.
+   */
+  getStatus() {
+    return {
+      validatedTip: this.blockchainService.getValidatedTip(),
+      audit: {
+        scheduled: Boolean(this.timer),
+        interval: this.interval,
+        running: Boolean(this.running),
+        last: this.lastAudit,
+      },
+    };
+  }
+}
+
+module.exports = ChainAuditService;
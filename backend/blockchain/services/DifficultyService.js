@@ -0,0 +1,105 @@
+const Block = require("../models/BlockModel");
+const consensus = require("../config/consensus");
+
+/**
+ * @class DifficultyService
+ * @description Implements the proof-of-work difficulty rules. Each block records the difficulty it was mined at.
+ * The difficulty stays the same within a window of `difficultyAdjustmentInterval` blocks and is retargeted at
+ * every window boundary, based on how long the previous window took compared to the target block time.
+ */
+class DifficultyService {
+  /**
+   * Checks whether a block at the given height starts a new difficulty window.
+   * @param {number} height - The block index.
+   * @returns {boolean} True if the difficulty is retargeted at this height.
+   */
+  static isRetargetHeight(height) {
+    return height > 0 && height % consensus.difficultyAdjustmentInterval === 0;
+  }
+
+  /**
+   * Computes the difficulty a block must be mined at, given its parent and, at retarget heights, the first block
+   * of the window that just ended. Difficulty is counted in leading zero hex digits, so each step changes the
+   * expected work sixteenfold; it only moves when the window took less than a quarter or more than four times
+   * its target duration.
+   * @param {Block} parent - The block the new block builds on.
+   * @param {Block} [windowStart] - The block `difficultyAdjustmentInterval` heights below the new block.
+   * Only needed at retarget heights.
+   * @returns {number} The expected difficulty of the new block.
+   */
+  static calculateNextDifficulty(parent, windowStart) {
+    const height = parent.index + 1;
+    if (!this.isRetargetHeight(height)) {
+      return parent.difficulty;
+    }
+
+    const actualTimespan =
+      new Date(parent.timestamp).getTime() - new Date(windowStart.timestamp).getTime();
+    const targetTimespan =
+      consensus.targetBlockTime * consensus.difficultyAdjustmentInterval;
+
+    if (actualTimespan < targetTimespan / 4) {
+      return parent.difficulty + 1;
+    }
+    if (actualTimespan > targetTimespan * 4) {
+      return Math.max(1, parent.difficulty - 1);
+    }
+    return parent.difficulty;
+  }
+
+  /**
+   * Computes the difficulty of the block following the given parent, looking up the window start on the parent's
+   * own branch so that competing branches are retargeted independently.
+   * @param {Block} parent - The block the new block builds on.
+   * @returns {Promise<number>} The expected difficulty of the new block.
+   */
+  static async getNextDifficulty(parent) {
+    if (!this.isRetargetHeight(parent.index + 1)) {
+      return parent.difficulty;
+    }
+
+    let windowStart = parent;
+    for (let i = 1; i < consensus.difficultyAdjustmentInterval; i++) {
+      windowStart = await Block.findOne({ hash: windowStart.previousHash });
+    }
+    return this.calculateNextDifficulty(parent, windowStart);
+  }
+
+  /**
+   * Computes the expected difficulty of every block of a contiguous chain that starts at the genesis block.
+   * @param {Block[]} chain - The chain, ordered by index.
+   * @param {number} position - The position of the block in the chain.
+   * @returns {number} The expected difficulty of the block at that position.
+   */
+  static getExpectedDifficulty(chain, position) {
+    if (position === 0) {
+      return consensus.difficulty;
+    }
+    return this.calculateNextDifficulty(
+      chain[position - 1],
+      chain[position - consensus.difficultyAdjustmentInterval]
+    );
+  }
+
+  /**
+   * Checks whether a block hash satisfies a difficulty.
+   * @param {string} hash - The block hash.
+   * @param {number} difficulty - The required number of leading zero hex digits.
+   * @returns {boolean} True if the hash has enough leading zeros.
+   */
+  static meetsDifficulty(hash, difficulty) {
+    return typeof hash === "string" && hash.startsWith("0".repeat(difficulty));
+  }
+
+  /**
+   * Returns the expected amount of work that went into a block: the average number of hashes needed to find a
+   * hash with the block's number of leading zero hex digits.
+   * @param {Block} block - The block.
+   * @returns {number} The work represented by the block.
+   */
+  static getBlockWork(block) {
+    return 16 ** block.difficulty;
+  }
+}
+
+module.exports = DifficultyService;
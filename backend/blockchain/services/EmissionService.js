@@ -0,0 +1,120 @@
+const Block = require("../models/BlockModel");
+const Transaction = require("../models/TransactionModel");
+const consensus = require("../config/consensus");
+
+// Subsidies are computed in indivisible units of 10^-8 coins, so every node rounds them the same way
+const UNITS_PER_COIN = 1e8;
+
+/**
+ * @class EmissionService
+ * @description Implements the coin emission schedule. Each block after the genesis block may pay its miner a
+ * subsidy, which starts at `miningReward` and halves every `halvingInterval` blocks. The subsidies of all blocks
+ * together never exceed `maxMinedSupply`: the block that reaches the cap gets only what is left, and later blocks
+ * get nothing but their fees (see getBlockReward).
+ */
+class EmissionService {
+  /**
+   * Returns the uncapped subsidy of a halving era.
+   * @param {number} era - The number of halvings so far.
+   * @returns {number} The subsidy in units.
+   */
+  static getEraSubsidyUnits(era) {
+    return Math.floor(Math.round(consensus.miningReward * UNITS_PER_COIN) / 2 ** era);
+  }
+
+  /**
+   * Sums the uncapped subsidies of blocks 1 to height.
+   * @param {number} height - The last block height to include.
+   * @returns {number} The total subsidy in units.
+   */
+  static getScheduledUnits(height) {
+    let total = 0;
+    for (let era = 0; era * consensus.halvingInterval <= height; era++) {
+      const subsidy = this.getEraSubsidyUnits(era);
+      if (subsidy === 0) {
+        break;
+      }
+      const first = Math.max(1, era * consensus.halvingInterval);
+      const last = Math.min(height, (era + 1) * consensus.halvingInterval - 1);
+      total += subsidy * (last - first + 1);
+    }
+    return total;
+  }
+
+  /**
+   * Returns the most that block subsidies can have created up to and including a height, cap applied.
+   * @param {number} height - The block height.
+   * @returns {number} The mined supply in units.
+   */
+  static getMinedUnits(height) {
+    const capUnits = Math.round(consensus.maxMinedSupply * UNITS_PER_COIN);
+    return Math.min(this.getScheduledUnits(height), capUnits);
+  }
+
+  /**
+   * Returns the most that block subsidies can have created up to and including a height, in coins.
+   * @param {number} height - The block height.
+   * @returns {number} The mined supply in coins.
+   */
+  static getMinedSupply(height) {
+    return this.getMinedUnits(height) / UNITS_PER_COIN;
+  }
+
+  /**
+   * Returns the subsidy a block at the given height may claim, on top of the fees it collects.
+   * @param {number} height - The block height.
+   * @returns {number} The block subsidy in coins; 0 for the genesis block and once the supply cap is reached.
+   */
+  static getBlockSubsidy(height) {
+    if (height <= 0) {
+      return 0;
+    }
+    return (this.getMinedUnits(height) - this.getMinedUnits(height - 1)) / UNITS_PER_COIN;
+  }
+
+  /**
+   * Returns the reward a block at the given height claims: its subsidy plus the fees it collects. A reward below the
+   * minimum transaction amount cannot be paid out, so a block that would claim one, such as a block without fees
+   * once the subsidy is exhausted, has no reward transaction at all.
+   * @param {number} height - The block height.
+   * @param {number} fees - The fees paid by the block's transactions.
+   * @returns {number} The reward in coins, or 0 if the block has no reward transaction.
+   */
+  static getBlockReward(height, fees) {
+    const reward = Number((this.getBlockSubsidy(height) + fees).toFixed(8));
+    return reward < Transaction.MIN_AMOUNT ? 0 : reward;
+  }
+
+  /**
+   * Returns the height of the next halving after a given height.
+   * @param {number} height - The block height.
+   * @returns {number} The first height of the next halving era.
+   */
+  static getNextHalvingHeight(height) {
+    return (Math.floor(height / consensus.halvingInterval) + 1) * consensus.halvingInterval;
+  }
+
+  /**
+   * Computes the number of coins in existence on the main chain: the genesis allocations plus the subsidies that
+   * miners actually claimed. Fees only move existing coins to miners, so they are subtracted from the rewards.
+   * @returns {Promise<number>} The circulating supply.
+   */
+  static async getCirculatingSupply() {
+    const confirmedIds = await Block.distinct("transactions", { isMainChain: true });
+    const [totals] = await Transaction.aggregate([
+      { $match: { _id: { $in: confirmedIds } } },
+      {
+        $group: {
+          _id: null,
+          minted: {
+            $sum: { $cond: [{ $or: ["$isGenesis", "$isReward"] }, "$amount", 0] },
+          },
+          fees: { $sum: "$fee" },
+        },
+      },
+    ]);
+    return totals ? Number((totals.minted - totals.fees).toFixed(8)) : 0;
+  }
+}
+
+module.exports = EmissionService;
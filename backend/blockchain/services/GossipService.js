@@ -0,0 +1,374 @@
+const BlockchainService = require("./BlockchainService");
+const SynchronizationService = require("./SynchronizationService");
+const PeerService = require("./PeerService");
+const PeerTransportService = require("./PeerTransportService");
+const BlockModel = require("../models/BlockModel");
+const Transaction = require("../models/TransactionModel");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+let sharedGossip = null;
+
+/**
+ * @class GossipService
+ * @description Spreads new blocks and transactions across the network. Blocks mined by this node are announced to
+ * every registered peer; blocks announced by a peer are validated and attached, then passed on to the other peers. A
+ * node that receives a block whose parent it does not have catches up with the announcing peer first. Blocks already
+ * known are not passed on, which stops an announcement from circling the network.
+ *
+ * Every transaction admitted to the mempool, whether submitted locally or relayed by a peer, is relayed to the peers.
+ * Transaction ids already seen are ignored, and each peer's inventory (the ids it sent us or we sent it) is tracked so
+ * that a transaction is never sent back to a peer that already has it.
+ *
+ * Peers with an open connection (see PeerTransportService) are first sent an inventory message listing the block
+ * hash or transaction id, and are sent the block or transaction only if they answer that they lack it. Other peers
+ * are sent it directly over their HTTP routes.
+ *
+ * Requests from banned peers are refused, and peers that send malformed payloads, invalid blocks or invalid
+ * transactions are penalized (see PeerService.penalize).
+ */
+class GossipService {
+  /**
+   * @param {BlockchainService} blockchainService - The blockchain service that received blocks are attached to.
+   * @param {Object} [options] - Gossip settings.
+   * @param {PeerService} [options.peerService] - The peers to announce to. Defaults to the shared peer list.
+   * @param {SynchronizationService} [options.synchronizationService] - Used to fetch missing parents.
+   * @param {PeerTransportService} [options.transport] - Long-lived peer connections. Defaults to the shared
+   * transport.
+   * @param {number} [options.timeout] - Time in milliseconds to wait for a peer to answer. Defaults to
+   * GOSSIP_TIMEOUT or five seconds.
+   * @param {number} [options.seenCacheSize] - Number of transaction ids remembered, overall and per peer. Defaults to
+   * GOSSIP_SEEN_CACHE_SIZE or 10000.
+   */
+  constructor(
+    blockchainService,
+    {
+      peerService = PeerService.shared(),
+      synchronizationService = new SynchronizationService(blockchainService, { peerService }),
+      transport = PeerTransportService.shared(),
+      timeout = Number(process.env.GOSSIP_TIMEOUT) || 5000,
+      seenCacheSize = Number(process.env.GOSSIP_SEEN_CACHE_SIZE) || 10000,
+    } = {}
+  ) {
+    if (!blockchainService || !(blockchainService instanceof BlockchainService)) {
+      throw new Error("A valid BlockchainService instance is required.");
+    }
+    this.blockchainService = blockchainService;
+    this.peerService = peerService;
+    this.synchronizationService = synchronizationService;
+    this.transport = transport;
+    this.timeout = timeout;
+    this.seenCacheSize = seenCacheSize;
+    this.seenTransactions = new Set(); // Transaction ids received or relayed, oldest first
+    this.peerInventory = new Map(); // Peer URL -> ids of transactions the peer is known to have
+
+    // Relay every transaction the mempool admits, whichever way it arrived
+    this.blockchainService.mempool.on("added", (transaction) => {
+      this.announceTransaction(transaction).catch((error) =>
+        console.error(`Failed to relay transaction ${transaction._id}: ${error.message}`)
+      );
+    });
+
+    // Messages arriving over the peer connections
+    this.transport.handle("inventory", (inventory, nodeUrl) => this.receiveInventory(inventory, nodeUrl));
+    this.transport.handle("block", async (payload, nodeUrl) => {
+      const { status, block } = await this.receiveBlock(payload && payload.block, nodeUrl);
+      return { status, index: block.index, hash: block.hash };
+    });
+    this.transport.handle("transaction", (payload, nodeUrl) =>
+      this.receiveTransaction(payload && payload.transaction, nodeUrl)
+    );
+  }
+
+  /**
+   * Returns the gossip service shared by every part of this node, creating it on first use.
+   * @returns {GossipService} The shared gossip service.
+   */
+  static shared() {
+    if (!sharedGossip) {
+      sharedGossip = new GossipService(new BlockchainService());
+    }
+    return sharedGossip;
+  }
+
+  /**
+   * Announces a block to every registered peer. Peers that cannot be reached or reject the block are logged and
+   * skipped.
+   * @param {BlockModel} block - A stored block.
+   * @param {Object} [options] - Announcement options.
+   * @param {string} [options.except] - URL of a peer not to announce to, typically the one the block came from.
+   * @returns {Promise<Object[]>} One `{ url, status }` or `{ url, error }` entry per peer.
+   */
+  async announceBlock(block, { except } = {}) {
+    const peers = (await this.peerService.getUrls()).filter(
+      (url) => url !== PeerService.normalizeUrl(except)
+    );
+    if (peers.length === 0) {
+      return [];
+    }
+
+    // Peers need the transactions themselves, not only their ids
+    const stored = await BlockModel.findOne({ hash: block.hash }).populate("transactions");
+    const payload = { block: stored.toJSON(), nodeUrl: PeerService.getSelfUrl() };
+    const results = await Promise.all(
+      peers.map(async (url) => {
+        try {
+          const { status } = await this.sendToPeer(url, "block", block.hash, payload);
+          return { url, status };
+        } catch (error) {
+          console.error(`Failed to announce block ${block.index} to ${url}: ${error.message}`);
+          return { url, error: error.message };
+        }
+      })
+    );
+    console.log(`Block ${block.index} announced to ${peers.length} peer(s).`);
+    return results;
+  }
+
+  /**
+   * Handles a block announced by a peer: validates and attaches it, fetching its missing parents from the peer if
+   * the block is ahead of the local chain, and passes new blocks on to the other peers.
+   * @param {Object} blockData - The block as JSON, with its transactions embedded as full objects.
+   * @param {string} [fromUrl] - URL of the announcing peer.
+   * @returns {Promise<{status: string, block: BlockModel}>} The outcome (see BlockchainService.acceptBlock).
+   * @throws {Error} With code INVALID_BLOCK if the block is invalid, ORPHAN_BLOCK if its parents cannot be
+   * fetched, or PEER_BANNED if the peer is banned.
+   */
+  async receiveBlock(blockData, fromUrl) {
+    if (fromUrl) {
+      await this.peerService.assertNotBanned(fromUrl);
+    }
+    if (!blockData || typeof blockData !== "object") {
+      await this.penalize(fromUrl, "malformedPayload");
+      throw createOperationalError("A block is required.", 400, "INVALID_BLOCK");
+    }
+
+    if (fromUrl) {
+      await this.peerService.recordSuccess(fromUrl, { height: blockData.index });
+    }
+
+    let result;
+    let caughtUp = false;
+    try {
+      try {
+        result = await this.blockchainService.acceptBlock(blockData);
+      } catch (error) {
+        if (error.code !== "ORPHAN_BLOCK" || !fromUrl) {
+          throw error;
+        }
+        // The block is ahead of the local chain: catch up with the announcing peer, which has its parents
+        console.log(`Block ${blockData.index} from ${fromUrl} is ahead of the local chain; synchronizing.`);
+        await this.synchronizationService.synchronizeChain(fromUrl);
+        caughtUp = true;
+        result = await this.blockchainService.acceptBlock(blockData);
+      }
+    } catch (error) {
+      if (error.code === "INVALID_BLOCK") {
+        await this.penalize(fromUrl, "invalidBlock");
+      }
+      throw error;
+    }
+
+    if (result.status !== "duplicate" || caughtUp) {
+      this.announceBlock(result.block, { except: fromUrl }).catch((error) =>
+        console.error(`Failed to relay block ${result.block.index}: ${error.message}`)
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Relays a pending transaction to every peer that is not known to have it.
+   * @param {TransactionModel} transaction - A transaction admitted to the mempool.
+   * @returns {Promise<Object[]>} One `{ url, status }` or `{ url, error }` entry per peer it was sent to.
+   */
+  async announceTransaction(transaction) {
+    const id = String(transaction._id);
+    this.remember(this.seenTransactions, id);
+    const peers = (await this.peerService.getUrls()).filter((url) => !this.getInventory(url).has(id));
+    if (peers.length === 0) {
+      return [];
+    }
+
+    const payload = { transaction: transaction.toJSON(), nodeUrl: PeerService.getSelfUrl() };
+    return Promise.all(
+      peers.map(async (url) => {
+        // Recorded before sending so that concurrent relays do not send it twice
+        this.remember(this.getInventory(url), id);
+        try {
+          const { status } = await this.sendToPeer(url, "transaction", id, payload);
+          return { url, status };
+        } catch (error) {
+          this.getInventory(url).delete(id);
+          console.error(`Failed to relay transaction ${id} to ${url}: ${error.message}`);
+          return { url, error: error.message };
+        }
+      })
+    );
+  }
+
+  /**
+   * Handles a transaction relayed by a peer: transactions already seen are ignored, others go through the usual
+   * mempool admission checks and are then relayed on by the mempool's "added" event. A transaction is remembered as
+   * seen once admitted, or once refused for a reason that does not depend on this node's state.
+   * @param {Object} transactionData - The transaction as JSON.
+   * @param {string} [fromUrl] - URL of the relaying peer.
+   * @returns {Promise<{status: string, transactionId: string}>} "duplicate" if the transaction was already seen,
+   * otherwise "accepted".
+   * @throws {Error} If the transaction's id does not match its contents or it fails admission (see
+   * BlockchainService.addTransaction), or with code PEER_BANNED if the peer is banned.
+   */
+  async receiveTransaction(transactionData, fromUrl) {
+    if (fromUrl) {
+      await this.peerService.assertNotBanned(fromUrl);
+    }
+    let transaction;
+    let id;
+    try {
+      if (!transactionData || typeof transactionData !== "object") {
+        throw new Error("A transaction is required.");
+      }
+      transaction = new Transaction(transactionData);
+      id = transaction.calculateId();
+    } catch (error) {
+      await this.penalize(fromUrl, "malformedPayload");
+      throw createOperationalError(error.message, 400, "INVALID_TRANSACTION");
+    }
+    if (transactionData._id !== undefined && transactionData._id !== id) {
+      await this.penalize(fromUrl, "invalidTransaction");
+      throw createOperationalError(
+        "Transaction id does not match the transaction's contents.",
+        422,
+        "INVALID_TRANSACTION"
+      );
+    }
+    transaction._id = id;
+
+    if (fromUrl) {
+      this.remember(this.getInventory(PeerService.normalizeUrl(fromUrl)), id);
+      await this.peerService.recordSuccess(fromUrl);
+    }
+    if (this.seenTransactions.has(id) || this.blockchainService.mempool.has(id)) {
+      return { status: "duplicate", transactionId: id };
+    }
+
+    try {
+      await this.blockchainService.addTransaction(transaction);
+    } catch (error) {
+      // Errors with a code (nonce, balance, full mempool) depend on this node's state, not on the peer's behaviour,
+      // and the transaction may be admitted later on, so it is not remembered as seen. A transaction without a valid
+      // signature or of another network is invalid wherever it is relayed from, and is not checked again.
+      if (!error.code || error.code === "WRONG_CHAIN") {
+        this.remember(this.seenTransactions, id);
+        await this.penalize(fromUrl, "invalidTransaction");
+      }
+      throw error;
+    }
+    this.remember(this.seenTransactions, id);
+    return { status: "accepted", transactionId: id };
+  }
+
+  /**
+   * Answers an inventory message: which of the listed blocks or transactions this node lacks. Transactions listed
+   * by a peer are added to its inventory.
+   * @param {Object} inventory - The message: its `type`, "block" or "transaction", and the block hashes or
+   * transaction ids in `ids`.
+   * @param {string} fromUrl - URL of the peer.
+   * @returns {Promise<{wanted: string[]}>} The hashes or ids to send.
+   * @throws {Error} With code INVALID_INVENTORY if the message is malformed.
+   */
+  async receiveInventory(inventory, fromUrl) {
+    await this.peerService.assertNotBanned(fromUrl);
+    const { type, ids } = inventory || {};
+    if (
+      !["block", "transaction"].includes(type) ||
+      !Array.isArray(ids) ||
+      ids.length > this.seenCacheSize ||
+      !ids.every((id) => typeof id === "string")
+    ) {
+      await this.penalize(fromUrl, "malformedPayload");
+      throw createOperationalError("Malformed inventory.", 400, "INVALID_INVENTORY");
+    }
+
+    if (type === "block") {
+      const known = (await BlockModel.find({ hash: { $in: ids } }).select("hash")).map(({ hash }) => hash);
+      return { wanted: ids.filter((hash) => !known.includes(hash)) };
+    }
+    const peerInventory = this.getInventory(PeerService.normalizeUrl(fromUrl));
+    ids.forEach((id) => this.remember(peerInventory, id));
+    return {
+      wanted: ids.filter((id) => !this.seenTransactions.has(id) && !this.blockchainService.mempool.has(id)),
+    };
+  }
+
+  /**
+   * Sends a block or transaction to a peer. A peer with an open connection is asked first whether it lacks it;
+   * other peers are sent it over HTTP.
+   * @param {string} url - The peer's URL.
+   * @param {string} type - "block" or "transaction".
+   * @param {string} id - The block hash or transaction id.
+   * @param {Object} payload - The message, as posted to the peer's HTTP route. It is signed by the transport used.
+   * @returns {Promise<Object>} The peer's answer; its status is "duplicate" if the peer already had it.
+   * @throws {Error} If the peer cannot be reached in time or rejects it.
+   */
+  async sendToPeer(url, type, id, payload) {
+    if (!this.transport.isConnected(url)) {
+      const path = type === "block" ? "/api/nodes/blocks" : "/api/nodes/transactions";
+      return this.postToPeer(url, path, this.peerService.identity.sign(type, payload));
+    }
+    const { wanted } = await this.transport.request(url, "inventory", { type, ids: [id] });
+    if (!Array.isArray(wanted) || !wanted.includes(id)) {
+      return { status: "duplicate" };
+    }
+    return this.transport.request(url, type, payload);
+  }
+
+  /**
+   * Penalizes the peer a payload came from, if it is known.
+   * @param {string} [fromUrl] - URL of the peer.
+   * @param {string} offence - The kind of misbehaviour (see PeerService.penalize).
+   */
+  async penalize(fromUrl, offence) {
+    if (fromUrl) {
+      await this.peerService.penalize(fromUrl, offence);
+    }
+  }
+
+  /**
+   * Returns the inventory of a peer, creating it on first use.
+   * @param {string} url - The peer's URL.
+   * @returns {Set<string>} The ids of the transactions the peer is known to have.
+   */
+  getInventory(url) {
+    if (!this.peerInventory.has(url)) {
+      this.peerInventory.set(url, new Set());
+    }
+    return this.peerInventory.get(url);
+  }
+
+  /**
+   * Adds an id to a bounded set, forgetting the oldest ids once the set is full.
+   * @param {Set<string>} ids - The set.
+   * @param {string} id - The id to add.
+   */
+  remember(ids, id) {
+    ids.delete(id);
+    ids.add(id);
+    while (ids.size > this.seenCacheSize) {
+      ids.delete(ids.values().next().value);
+    }
+  }
+
+  /**
+   * Posts JSON to a peer within the gossip timeout (see PeerService.post).
+   * @param {string} url - The peer's URL.
+   * @param {string} path - The endpoint path.
+   * @param {Object} body - The request body.
+   * @returns {Promise<Object>} The peer's answer.
+   * @throws {Error} If the peer cannot be reached in time or answers with an error status.
+   */
+  async postToPeer(url, path, body) {
+    return this.peerService.post(url, path, body, { timeout: this.timeout });
+  }
+}
+
+module.exports = GossipService;
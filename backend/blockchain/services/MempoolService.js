@@ -0,0 +1,268 @@
+const EventEmitter = require("events");
+const Mempool = require("../models/MempoolModel");
+const Transaction = require("../models/TransactionModel");
+const Block = require("../models/BlockModel");
+const consensus = require("../config/consensus");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+let sharedMempool = null;
+
+/**
+ * @class MempoolService
+ * @description Holds the node's pending transactions. The pool is kept in memory for fast access by the mining and
+ * admission code, and mirrored to the Mempool collection so it survives restarts. The pool is bounded in size,
+ * entries expire after a configurable time, and when it is full the lowest-fee entries are evicted first.
+ * A "change" event carrying the number of transactions added or removed is emitted whenever the pool changes, and an
+ * "added" event carrying the transaction whenever one is admitted.
+ */
+class MempoolService extends EventEmitter {
+  /**
+   * Creates a mempool with the given limits.
+   * @param {Object} [options] - Mempool limits.
+   * @param {number} [options.maxSize] - Maximum number of pending transactions. Defaults to MEMPOOL_MAX_SIZE or 5000.
+   * @param {number} [options.transactionTtl] - Time in milliseconds a transaction may stay pending.
+   * Defaults to MEMPOOL_TRANSACTION_TTL or three hours.
+   */
+  constructor({
+    maxSize = Number(process.env.MEMPOOL_MAX_SIZE) || 5000,
+    transactionTtl = Number(process.env.MEMPOOL_TRANSACTION_TTL) || 3 * 60 * 60 * 1000,
+  } = {}) {
+    super();
+    this.maxSize = maxSize;
+    this.transactionTtl = transactionTtl;
+    this.entries = []; // { transaction, fee, expiresAt } in admission order
+    this.loading = null;
+  }
+
+  /**
+   * Returns the mempool shared by every service of this node, creating it on first use.
+   * @returns {MempoolService} The shared mempool.
+   */
+  static shared() {
+    if (!sharedMempool) {
+      sharedMempool = new MempoolService();
+    }
+    return sharedMempool;
+  }
+
+  /**
+   * Reloads the pool from the database. Expired entries and transactions that have already been mined are dropped.
+   * The reload only happens once; later calls return the same promise.
+   * @returns {Promise<void>} Resolves once the pool is loaded.
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.reload();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Reads every persisted entry into memory, discarding stale ones.
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    const now = Date.now();
+    const minedIds = new Set(
+      (await Block.distinct("transactions", { isMainChain: true })).map(String)
+    );
+    const stored = await Mempool.find().sort({ receivedAt: 1 });
+
+    const stale = new Set(
+      stored.filter(
+        (entry) =>
+          entry.expiresAt.getTime() <= now ||
+          minedIds.has(String(entry.transactionId))
+      )
+    );
+    if (stale.size > 0) {
+      await Mempool.deleteMany({ _id: { $in: [...stale].map((entry) => entry._id) } });
+    }
+
+    this.entries = stored
+      .filter((entry) => !stale.has(entry))
+      .map((entry) => ({
+        transaction: new Transaction(entry.transaction),
+        fee: entry.fee,
+        expiresAt: entry.expiresAt.getTime(),
+      }));
+    console.log(`Mempool loaded with ${this.entries.length} pending transactions.`);
+  }
+
+  /**
+   * Returns the pending transactions in admission order, after dropping any that have expired.
+   * @returns {TransactionModel[]} The pending transactions.
+   */
+  getTransactions() {
+    this.pruneExpired();
+    return this.entries.map((entry) => entry.transaction);
+  }
+
+  /**
+   * Tells whether a transaction is pending.
+   * @param {string} transactionId - The transaction id.
+   * @returns {boolean} True if the transaction is in the pool.
+   */
+  has(transactionId) {
+    return this.getTransactions().some((transaction) => String(transaction._id) === transactionId);
+  }
+
+  /**
+   * Returns the number of pending transactions.
+   * @returns {number} The pool size.
+   */
+  size() {
+    return this.getTransactions().length;
+  }
+
+  /**
+   * Admits a transaction to the pool and persists it. When the pool is full, the lowest-fee entry is evicted to make
+   * room, provided the new transaction pays a higher fee.
+   * @param {TransactionModel} transaction - A transaction that has already passed admission checks.
+   * @throws {Error} With code MEMPOOL_FULL if the pool is full and the transaction does not outbid any entry.
+   */
+  async add(transaction) {
+    await this.load();
+    this.pruneExpired();
+
+    const fee = transaction.fee;
+    if (this.entries.length >= this.maxSize) {
+      const cheapest = this.entries.reduce((lowest, entry) =>
+        entry.fee < lowest.fee ? entry : lowest
+      );
+      if (cheapest.fee >= fee) {
+        throw createOperationalError(
+          "Mempool is full and the transaction fee is too low to replace a pending transaction.",
+          503,
+          "MEMPOOL_FULL"
+        );
+      }
+      await this.evict(cheapest);
+    }
+
+    const expiresAt = Date.now() + this.transactionTtl;
+    await Mempool.create({
+      transactionId: transaction._id,
+      transaction: transaction.toObject(),
+      fromAddress: transaction.fromAddress,
+      nonce: transaction.nonce,
+      fee,
+      expiresAt,
+    });
+    this.entries.push({ transaction, fee, expiresAt });
+    this.emit("change", 1);
+    this.emit("added", transaction);
+  }
+
+  /**
+   * Chooses the pending transactions for a new block, highest fee per byte first, until the size budget is used up.
+   * Each sender's transactions are taken strictly in nonce order starting at their confirmed nonce, so a cheap
+   * transaction can hold back later, better-paying ones from the same sender. A sender whose next transaction does
+   * not fit in the remaining space is skipped for this block. At most `maxBlockTransactions - 1` transactions are
+   * chosen, leaving room for the reward transaction.
+   * @param {number} maxBytes - The size budget for the selected transactions.
+   * @param {Object<string, number>} confirmedNonces - Next expected nonce per sender, as of the chain tip.
+   * @returns {TransactionModel[]} The selected transactions, in the order they should appear in the block.
+   */
+  selectForBlock(maxBytes, confirmedNonces) {
+    const queues = {};
+    this.getTransactions()
+      .filter((transaction) => transaction.nonce >= (confirmedNonces[transaction.fromAddress] || 0))
+      .sort((a, b) => a.nonce - b.nonce)
+      .forEach((transaction) => {
+        (queues[transaction.fromAddress] = queues[transaction.fromAddress] || []).push(transaction);
+      });
+
+    // A sender's queue is only minable if it starts exactly at their confirmed nonce and has no gaps
+    Object.entries(queues).forEach(([address, queue]) => {
+      let expected = confirmedNonces[address] || 0;
+      const runLength = queue.findIndex((transaction) => transaction.nonce !== expected++);
+      queues[address] = runLength === -1 ? queue : queue.slice(0, runLength);
+    });
+
+    const feeRate = (transaction) => transaction.fee / transaction.getSize();
+    const selected = [];
+    let remaining = maxBytes;
+    while (selected.length < consensus.maxBlockTransactions - 1) {
+      const candidates = Object.values(queues).filter((queue) => queue.length > 0);
+      if (candidates.length === 0) {
+        break;
+      }
+      const best = candidates.reduce((top, queue) =>
+        feeRate(queue[0]) > feeRate(top[0]) ? queue : top
+      );
+      const transaction = best.shift();
+      const size = transaction.getSize();
+      if (size > remaining) {
+        best.length = 0; // Later transactions from this sender depend on this one
+        continue;
+      }
+      selected.push(transaction);
+      remaining -= size;
+    }
+    return selected;
+  }
+
+  /**
+   * Removes transactions from the pool, typically because they have been mined.
+   * @param {TransactionModel[]} transactions - The transactions to remove.
+   */
+  async remove(transactions) {
+    const ids = transactions.map((transaction) => String(transaction._id));
+    const previousSize = this.entries.length;
+    this.entries = this.entries.filter(
+      (entry) => !ids.includes(String(entry.transaction._id))
+    );
+    if (this.entries.length < previousSize) {
+      this.emit("change", previousSize - this.entries.length);
+    }
+    await Mempool.deleteMany({ transactionId: { $in: ids } });
+  }
+
+  /**
+   * Evicts an entry together with every later transaction from the same sender, since those can no longer be mined
+   * without the evicted nonce.
+   * @param {Object} evicted - The pool entry to evict.
+   */
+  async evict(evicted) {
+    const { fromAddress, nonce } = evicted.transaction;
+    const dropped = this.entries.filter(
+      (entry) =>
+        entry.transaction.fromAddress === fromAddress &&
+        entry.transaction.nonce >= nonce
+    );
+    console.log(
+      `Evicting ${dropped.length} pending transaction(s) from ${fromAddress} starting at nonce ${nonce}.`
+    );
+    await this.remove(dropped.map((entry) => entry.transaction));
+  }
+
+  /**
+   * Drops expired entries from memory, together with later transactions from the same sender to keep nonce
+   * sequences gap-free. Expired database copies are also removed by the collection's TTL index.
+   */
+  pruneExpired() {
+    const now = Date.now();
+    const expired = this.entries.filter((entry) => entry.expiresAt <= now);
+    if (expired.length === 0) {
+      return;
+    }
+
+    const dropped = this.entries.filter((entry) =>
+      expired.some(
+        (gone) =>
+          gone.transaction.fromAddress === entry.transaction.fromAddress &&
+          gone.transaction.nonce <= entry.transaction.nonce
+      )
+    );
+    this.entries = this.entries.filter((entry) => !dropped.includes(entry));
+    this.emit("change", dropped.length);
+    Mempool.deleteMany({
+      transactionId: { $in: dropped.map((entry) => entry.transaction._id) },
+    }).catch((error) =>
+      console.error("Failed to remove expired mempool entries:", error.message)
+    );
+  }
+}
+
+module.exports = MempoolService;
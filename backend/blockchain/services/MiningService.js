@@ -1,4 +1,10 @@
 const BlockchainService = require("./BlockchainService");
+const DifficultyService = require("./DifficultyService");
+const GossipService = require("./GossipService");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+// Number of times a block is reassembled after its nonce search was cancelled before giving up
+const MAX_MINING_ATTEMPTS = 3;
 
 /**
  * @class MiningService
@@ -9,9 +15,10 @@ class MiningService {
   /**
    * Constructs the mining service and injects the blockchain service dependency.
    * @param {BlockchainService} blockchainService - The blockchain service instance used for accessing blockchain operations.
+   * @param {GossipService} [gossipService] - Announces mined blocks to peers. Defaults to the shared service.
    * @throws {Error} If the provided service is not an instance of BlockchainService.
    */
-  constructor(blockchainService) {
+  constructor(blockchainService, gossipService = GossipService.shared()) {
     if (
       !blockchainService ||
       !(blockchainService instanceof BlockchainService)
@@ -19,11 +26,16 @@ class MiningService {
       throw new Error("Invalid BlockchainService provided.");
     }
     this.blockchainService = blockchainService;
+    this.gossipService = gossipService;
   }
 
   /**
    * Mines a new block with the pending transactions and applies the reward to the specified address.
+   * If the nonce search is cancelled because the chain tip or the mempool changed, the block is reassembled from
+   * the current state and mined again. A block that joins the main chain is announced to the registered peers in the
+   * background.
    * @param {string} miningRewardAddress - The address that will receive the mining reward.
+   * @returns {Promise<{status: string, block: BlockModel}>} The mined block and how it was attached.
    * @throws {Error} If the mining reward address is invalid or if the mining process fails.
    */
   async mineBlock(miningRewardAddress) {
@@ -34,28 +46,47 @@ class MiningService {
       throw new Error("Invalid mining reward address.");
     }
 
-    try {
-      await this.blockchainService.minePendingTransactions(miningRewardAddress);
-      console.log("Mining successful. New block added to the blockchain.");
-    } catch (error) {
-      console.error("Mining failed:", error.message);
-      throw new Error("Failed to mine new block: " + error.message);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.blockchainService.minePendingTransactions(miningRewardAddress);
+        console.log("Mining successful. New block added to the blockchain.");
+        if (result.status !== "side-branch") {
+          this.gossipService
+            .announceBlock(result.block)
+            .catch((error) => console.error(`Failed to announce block ${result.block.index}: ${error.message}`));
+        }
+        return result;
+      } catch (error) {
+        if (error.code === "MINING_CANCELLED" && attempt < MAX_MINING_ATTEMPTS) {
+          console.log(`${error.message} Reassembling the block.`);
+          continue;
+        }
+        console.error("Mining failed:", error.message);
+        throw createOperationalError(
+          "Failed to mine new block: " + error.message,
+          error.statusCode || 500,
+          error.code
+        );
+      }
     }
   }
 
   /**
-   * Adjusts the mining difficulty based on the time taken to mine the last block.
-   * This is to ensure that block generation time remains consistent despite varying network loads.
-   * @param {number} blockTime - The time taken (in milliseconds) to mine the previous block.
+   * Reports the progress of the running nonce search, or the outcome of the last one.
+   * @returns {Object} The mining status, including hashes tried and hashrate.
+   */
+  getStatus() {
+    return this.blockchainService.proofOfWorkService.getStatus();
+  }
+
+  /**
+   * Returns the difficulty the next block must be mined at. Difficulty is part of consensus: it is recorded in
+   * every block and retargeted by DifficultyService, so miners cannot choose it.
+   * @returns {Promise<number>} The difficulty of the next block.
    */
-  adjustDifficulty(blockTime) {
-    const currentDifficulty = this.blockchainService.difficulty;
-    const newDifficulty =
-      blockTime < 2000 ? currentDifficulty + 1 : currentDifficulty - 1;
-    this.blockchainService.difficulty = Math.max(1, newDifficulty);
-    console.log(
-      `Mining difficulty adjusted to ${this.blockchainService.difficulty}.`
-    );
+  async getNextDifficulty() {
+    const latestBlock = await this.blockchainService.getLatestBlock();
+    return DifficultyService.getNextDifficulty(latestBlock);
   }
 }
 
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Wallet = require("../../lib/Wallet");
+const canonical = require("../../lib/canonical");
+const consensus = require("../config/consensus");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+let sharedIdentity = null;
+
+/**
+ * @class NodeIdentityService
+ * @description Holds this node's identity: a secp256k1 key pair whose public key identifies the node to its
+ * peers. The key is taken from NODE_PRIVATE_KEY, or else from a key file that is created on first start, so a node
+ * keeps its identity across restarts.
+ *
+ * Messages between nodes carry a `proof`: the sender's identity, the time of signing, a random nonce and a signature
+ * over the canonical hash of the chain id, the message type, the message, the identity, the time and the nonce. A
+ * proof older than the maximum message age is refused, and the nonces of the messages accepted within that window are
+ * remembered, so a captured message cannot be replayed. A message signed on another network never verifies here.
+ */
+class NodeIdentityService {
+  /**
+   * @param {Object} [options] - Identity settings.
+   * @param {string} [options.privateKey] - The node's private key in hexadecimal. Defaults to NODE_PRIVATE_KEY.
+   * @param {string} [options.keyFile] - File the private key is read from, or written to if it does not exist, when
+   * no private key is given. Defaults to NODE_KEY_FILE or `.node-key.json` in the backend directory.
+   * @param {number} [options.maxMessageAge] - Age in milliseconds, either way, beyond which a signed message is
+   * refused. Defaults to NODE_MESSAGE_MAX_AGE or one minute.
+   * @param {string} [options.chainId] - The network messages are signed for. Defaults to the configured chain id.
+   */
+  constructor({
+    privateKey = process.env.NODE_PRIVATE_KEY,
+    keyFile = process.env.NODE_KEY_FILE || path.join(__dirname, "../../.node-key.json"),
+    maxMessageAge = Number(process.env.NODE_MESSAGE_MAX_AGE) || 60 * 1000,
+    chainId = consensus.chainId,
+  } = {}) {
+    this.wallet = new Wallet(privateKey || NodeIdentityService.loadKeyFile(keyFile));
+    this.maxMessageAge = maxMessageAge;
+    this.chainId = chainId;
+    this.acceptedMessages = new Map(); // "identity:nonce" of accepted messages -> time they expire, oldest first
+  }
+
+  /**
+   * Returns the identity of this node, loading it on first use.
+   * @returns {NodeIdentityService} The shared identity.
+   */
+  static shared() {
+    if (!sharedIdentity) {
+      sharedIdentity = new NodeIdentityService();
+    }
+    return sharedIdentity;
+  }
+
+  /**
+   * Reads the private key from a key file, generating the key and writing the file if it does not exist yet.
+   * @param {string} keyFile - Path of the key file.
+   * @returns {string} The private key in hexadecimal.
+   */
+  static loadKeyFile(keyFile) {
+    if (fs.existsSync(keyFile)) {
+      return JSON.parse(fs.readFileSync(keyFile, "utf8")).privateKey;
+    }
+    const wallet = Wallet.generate();
+    const privateKey = wallet.keyPair.getPrivate("hex");
+    fs.writeFileSync(keyFile, JSON.stringify({ publicKey: wallet.publicKey, privateKey }, null, 2), { mode: 0o600 });
+    console.log(`Generated a node identity key in ${keyFile}.`);
+    return privateKey;
+  }
+
+  /**
+   * Returns the node's identity, its public key.
+   * @returns {string} The public key in hexadecimal.
+   */
+  get publicKey() {
+    return this.wallet.publicKey;
+  }
+
+  /**
+   * Computes the hash a proof signs. The message is taken as it travels, in JSON, so that dates and documents hash
+   * the same on both ends.
+   * @param {string} type - The message type, e.g. "handshake" or "block".
+   * @param {Object} message - The message, without its proof.
+   * @param {string} identity - The signer's public key.
+   * @param {number} timestamp - The time of signing, in milliseconds.
+   * @param {string} nonce - The random nonce that tells the message apart from any other.
+   * @returns {string} The hash.
+   */
+  digest(type, message, identity, timestamp, nonce) {
+    return canonical.hash({
+      chainId: this.chainId,
+      type,
+      message: JSON.parse(JSON.stringify(message)),
+      identity,
+      timestamp,
+      nonce,
+    });
+  }
+
+  /**
+   * Signs a message as this node.
+   * @param {string} type - The message type.
+   * @param {Object} message - The message.
+   * @returns {Object} The message with its `proof`.
+   */
+  sign(type, message) {
+    const { proof, ...content } = message;
+    const identity = this.publicKey;
+    const timestamp = Date.now();
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const signature = this.wallet.sign(this.digest(type, content, identity, timestamp, nonce));
+    return { ...content, proof: { identity, timestamp, nonce, signature } };
+  }
+
+  /**
+   * Checks the proof of a message.
+   * @param {string} type - The message type.
+   * @param {Object} message - The message with its `proof`.
+   * @returns {string} The identity that signed the message.
+   * @throws {Error} With code INVALID_SIGNATURE if the proof is missing, expired, does not match the message or was
+   * already accepted once.
+   */
+  verify(type, message) {
+    const { proof, ...content } = message || {};
+    const { identity, timestamp, nonce, signature } = proof || {};
+    if (
+      typeof identity !== "string" ||
+      typeof signature !== "string" ||
+      typeof nonce !== "string" ||
+      !Number.isInteger(timestamp)
+    ) {
+      throw createOperationalError(`The ${type} message is not signed.`, 401, "INVALID_SIGNATURE");
+    }
+    if (Math.abs(Date.now() - timestamp) > this.maxMessageAge) {
+      throw createOperationalError(`The ${type} message was signed too long ago.`, 401, "INVALID_SIGNATURE");
+    }
+    let valid;
+    try {
+      valid = Wallet.verifySignature(this.digest(type, content, identity, timestamp, nonce), signature, identity);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw createOperationalError(`The ${type} message has an invalid signature.`, 401, "INVALID_SIGNATURE");
+    }
+    this.rememberMessage(type, identity, nonce, timestamp);
+    return identity;
+  }
+
+  /**
+   * Remembers a message as accepted until it expires, and forgets the messages that have expired.
+   * @param {string} type - The message type.
+   * @param {string} identity - The signer's public key.
+   * @param {string} nonce - The message's nonce.
+   * @param {number} timestamp - The time of signing, in milliseconds.
+   * @throws {Error} With code INVALID_SIGNATURE if the message was already accepted.
+   */
+  rememberMessage(type, identity, nonce, timestamp) {
+    const now = Date.now();
+    // Entries are roughly in expiry order; an entry kept a little too long only costs memory
+    for (const [key, expiresAt] of this.acceptedMessages) {
+      if (expiresAt > now) {
+        break;
+      }
+      this.acceptedMessages.delete(key);
+    }
+    const key = `${identity}:${nonce}`;
+    if (this.acceptedMessages.has(key)) {
+      throw createOperationalError(`The ${type} message was already received.`, 401, "INVALID_SIGNATURE");
+    }
+    this.acceptedMessages.set(key, timestamp + this.maxMessageAge);
+  }
+}
+
+module.exports = NodeIdentityService;
@@ -0,0 +1,102 @@
+const PeerService = require("./PeerService");
+
+let sharedHealth = null;
+
+/**
+ * @class PeerHealthService
+ * @description Periodically pings every registered peer with a handshake, so that the stored last-seen time, height
+ * and failure count of each peer stay current even when no blocks or transactions are exchanged. A peer found
+ * incompatible is penalized, and bans that have expired are lifted before each round.
+ */
+class PeerHealthService {
+  /**
+   * @param {PeerService} peerService - The peers to ping.
+   * @param {Object} [options] - Health check settings.
+   * @param {number} [options.interval] - Time in milliseconds between rounds. Defaults to PEER_HEALTH_INTERVAL or one
+   * minute.
+   */
+  constructor(peerService, { interval = Number(process.env.PEER_HEALTH_INTERVAL) || 60 * 1000 } = {}) {
+    if (!peerService || !(peerService instanceof PeerService)) {
+      throw new Error("Invalid PeerService provided.");
+    }
+    this.peerService = peerService;
+    this.interval = interval;
+    this.timer = null;
+    this.running = null; // Promise of the round in progress
+    this.lastCheck = null;
+  }
+
+  /**
+   * Returns the health check service shared by every part of this node, creating it on first use.
+   * @returns {PeerHealthService} The shared health check service.
+   */
+  static shared() {
+    if (!sharedHealth) {
+      sharedHealth = new PeerHealthService(PeerService.shared());
+    }
+    return sharedHealth;
+  }
+
+  /**
+   * Pings the peers now, then every interval until stopped.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const check = () =>
+      this.checkPeers().catch((error) => console.error("Peer health check failed to run:", error.message));
+    this.timer = setInterval(check, this.interval);
+    // The schedule alone does not keep the process alive
+    this.timer.unref();
+    check();
+  }
+
+  /**
+   * Stops the scheduled rounds. A round in progress runs to completion.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Pings every peer that is not banned, unless a round is already running, in which case its outcome is returned.
+   * @returns {Promise<Object>} The round's results, one `{ url, height }` or `{ url, error }` entry per peer.
+   */
+  checkPeers() {
+    if (!this.running) {
+      this.running = (async () => {
+        const startedAt = new Date();
+        const unbanned = await this.peerService.liftExpiredBans();
+        if (unbanned > 0) {
+          console.log(`Lifted the ban on ${unbanned} peer(s).`);
+        }
+
+        const urls = await this.peerService.getUrls();
+        const results = await Promise.all(
+          urls.map(async (url) => {
+            try {
+              const { height } = await this.peerService.handshake(url);
+              return { url, height };
+            } catch (error) {
+              if (error.code === "INCOMPATIBLE_PEER") {
+                await this.peerService.penalize(url, "incompatible");
+              }
+              return { url, error: error.message };
+            }
+          })
+        );
+        const failed = results.filter((result) => result.error).length;
+        console.log(`Peer health check: ${results.length - failed} of ${results.length} peer(s) healthy.`);
+        this.lastCheck = { startedAt, finishedAt: new Date(), results };
+        return this.lastCheck;
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+}
+
+module.exports = PeerHealthService;
@@ -0,0 +1,680 @@
+const dns = require("dns").promises;
+const net = require("net");
+const mongoose = require("mongoose");
+const fetch = require("../../lib/fetch");
+const Node = require("../models/NodeModel");
+const BlockModel = require("../models/BlockModel");
+const BlockchainService = require("./BlockchainService");
+const NodeIdentityService = require("./NodeIdentityService");
+const consensus = require("../config/consensus");
+const protocol = require("../config/protocol");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+let sharedPeers = null;
+let genesisHash = null;
+
+// Misbehaviour points a peer collects for each kind of offence
+const PENALTIES = Object.freeze({
+  invalidBlock: 50,
+  invalidTransaction: 20,
+  malformedPayload: 20,
+  incompatible: 100,
+  timeout: 5,
+});
+
+// Loopback, private, link-local, shared, benchmarking, multicast and reserved ranges, which a node asking to be
+// registered may not make this node connect to (see assertPublicAddress)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+// Window in milliseconds over which handshakes back to untrusted nodes are counted
+const REGISTRATION_WINDOW = 60 * 1000;
+
+/**
+ * @class PeerService
+ * @description Keeps the list of peer nodes this node talks to, shared by node registration, block gossip and
+ * synchronization. Peers are stored in the Node collection, so they survive restarts, and each one carries what
+ * was last learned about it (see NodeModel).
+ *
+ * Before a peer is registered or synchronized with, the two nodes shake hands: each sends its chain id, genesis
+ * hash, protocol version, best height and advertised address, and refuses a peer of another network or of a
+ * protocol version it no longer speaks. A node may ask the peer to register it in return, so that registration
+ * happens in both directions.
+ *
+ * Peers that misbehave (send invalid blocks, transactions or malformed payloads, time out, or turn out to be
+ * incompatible) collect points on their score. A peer whose score reaches the ban threshold is banned for a while:
+ * it is left out of gossip and its requests are refused. Its score starts over once the ban is lifted.
+ *
+ * Handshakes and gossip messages are signed with the sender's node identity (see NodeIdentityService). A peer is
+ * bound to the identity of its first signed handshake, and messages claiming to come from its URL must carry that
+ * identity. A node that asks to be registered is only registered once a handshake sent back to the URL it advertises
+ * is answered with the same identity, so a node cannot claim another's URL. Gossip is only accepted from a known
+ * identity: a registered peer's, or one listed in TRUSTED_NODE_IDENTITIES. On a private network, operators list the
+ * trusted identities there; nodes with any other identity are then refused altogether.
+ *
+ * Asking to be registered makes this node send a handshake to an address chosen by the asking node. Unless that node
+ * is trusted, the address must therefore resolve to public addresses only (PEER_ALLOW_PRIVATE_ADDRESSES lifts this
+ * on local networks), and only so many such handshakes are sent per minute (PEER_REGISTRATION_RATE_LIMIT), so that
+ * handshakes cannot be used to reach internal hosts or to flood others.
+ */
+class PeerService {
+  /**
+   * @param {Object} [options] - Peer settings.
+   * @param {number} [options.banThreshold] - Score at which a peer is banned. Defaults to PEER_BAN_THRESHOLD or 100.
+   * @param {number} [options.banDuration] - Time in milliseconds a ban lasts. Defaults to PEER_BAN_DURATION or one
+   * hour.
+   * @param {NodeIdentityService} [options.identity] - This node's identity. Defaults to the shared identity.
+   * @param {string[]} [options.trustedIdentities] - Public keys of the only nodes to talk to; empty to talk to any
+   * node. Defaults to the comma-separated TRUSTED_NODE_IDENTITIES.
+   * @param {boolean} [options.allowPrivateAddresses] - Whether untrusted nodes asking to be registered may advertise
+   * private addresses. Defaults to whether PEER_ALLOW_PRIVATE_ADDRESSES is "true".
+   * @param {number} [options.registrationRateLimit] - Handshakes sent per minute to untrusted nodes asking to be
+   * registered. Defaults to PEER_REGISTRATION_RATE_LIMIT or 10.
+   */
+  constructor({
+    banThreshold = Number(process.env.PEER_BAN_THRESHOLD) || 100,
+    banDuration = Number(process.env.PEER_BAN_DURATION) || 60 * 60 * 1000,
+    identity = NodeIdentityService.shared(),
+    trustedIdentities = (process.env.TRUSTED_NODE_IDENTITIES || "").split(","),
+    allowPrivateAddresses = process.env.PEER_ALLOW_PRIVATE_ADDRESSES === "true",
+    registrationRateLimit = Number(process.env.PEER_REGISTRATION_RATE_LIMIT) || 10,
+  } = {}) {
+    this.banThreshold = banThreshold;
+    this.banDuration = banDuration;
+    this.identity = identity;
+    this.trustedIdentities = new Set(trustedIdentities.map((key) => key.trim()).filter(Boolean));
+    this.allowPrivateAddresses = allowPrivateAddresses;
+    this.registrationRateLimit = registrationRateLimit;
+    // When the latest handshakes back to untrusted nodes were sent
+    this.registrationTimes = [];
+  }
+
+  /**
+   * Returns the peer list shared by every service of this node, creating it on first use.
+   * @returns {PeerService} The shared peer list.
+   */
+  static shared() {
+    if (!sharedPeers) {
+      sharedPeers = new PeerService();
+    }
+    return sharedPeers;
+  }
+
+  /**
+   * Returns the URL peers reach this node at, taken from NODE_URL or derived from PORT.
+   * @returns {string} The node's own URL.
+   */
+  static getSelfUrl() {
+    return PeerService.normalizeUrl(process.env.NODE_URL || `http://localhost:${process.env.PORT || 3000}`);
+  }
+
+  /**
+   * Brings a node URL to the one form it is stored in, so the same peer cannot be registered twice under different
+   * spellings: http is assumed when no scheme is given, the scheme and host are lower-cased, and trailing slashes are
+   * dropped.
+   * @param {string} nodeUrl - The URL as given.
+   * @returns {string} The normalized URL, or the trimmed input if it cannot be parsed.
+   */
+  static normalizeUrl(nodeUrl) {
+    const trimmed = String(nodeUrl || "").trim();
+    try {
+      const url = new URL(/^[a-z]+:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`);
+      return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, "")}`;
+    } catch (error) {
+      return trimmed;
+    }
+  }
+
+  /**
+   * Describes this node for a handshake.
+   * @returns {Promise<Object>} The node's chain id, genesis hash, protocol and software versions, best height and
+   * advertised address.
+   */
+  async getLocalInfo() {
+    if (!genesisHash) {
+      genesisHash = BlockchainService.buildGenesisBlock().block.hash;
+    }
+    const tip = await BlockModel.findOne({ isMainChain: true }).sort({ index: -1 }).select("index");
+    return {
+      chainId: consensus.chainId,
+      genesisHash,
+      protocolVersion: protocol.protocolVersion,
+      version: protocol.softwareVersion,
+      height: tip ? tip.index : 0,
+      nodeUrl: PeerService.getSelfUrl(),
+    };
+  }
+
+  /**
+   * Ensures a peer's handshake describes a node this node can talk to.
+   * @param {Object} info - The peer's handshake.
+   * @throws {Error} With code INCOMPATIBLE_PEER if the peer is on another chain or speaks an unsupported protocol.
+   */
+  async assertCompatible(info) {
+    const local = await this.getLocalInfo();
+    const problems = [];
+    if (!info || typeof info !== "object") {
+      problems.push("the handshake is missing");
+    } else {
+      if (info.chainId !== local.chainId) {
+        problems.push(`chain id ${info.chainId} differs from ${local.chainId}`);
+      }
+      if (info.genesisHash !== local.genesisHash) {
+        problems.push(`genesis block ${info.genesisHash} differs from ${local.genesisHash}`);
+      }
+      if (!Number.isInteger(info.protocolVersion) || info.protocolVersion < protocol.minProtocolVersion) {
+        problems.push(
+          `protocol version ${info.protocolVersion} is older than the supported ${protocol.minProtocolVersion}`
+        );
+      }
+      if (!Number.isInteger(info.height) || info.height < 0) {
+        problems.push("the reported height is not a block index");
+      }
+    }
+    if (problems.length > 0) {
+      throw createOperationalError(`Incompatible peer: ${problems.join("; ")}.`, 409, "INCOMPATIBLE_PEER");
+    }
+  }
+
+  /**
+   * Shakes hands with a peer, sending this node's signed handshake and checking the peer's (see
+   * checkHandshakeReply).
+   * @param {string} nodeUrl - The peer's URL.
+   * @param {Object} [options] - Handshake options.
+   * @param {boolean} [options.register=false] - Whether to ask the peer to register this node in return.
+   * @returns {Promise<Object>} The peer's handshake, with the `identity` that signed it.
+   * @throws {Error} With code INCOMPATIBLE_PEER if either node refuses the other, INVALID_SIGNATURE,
+   * UNTRUSTED_PEER or PEER_IDENTITY_MISMATCH if either node refuses the other's identity, or PEER_UNREACHABLE if
+   * the peer does not answer.
+   */
+  async handshake(nodeUrl, { register = false } = {}) {
+    const url = PeerService.normalizeUrl(nodeUrl);
+    let remote;
+    try {
+      const local = this.identity.sign("handshake", { ...(await this.getLocalInfo()), register });
+      // The route adds a success flag that is not part of the signed handshake
+      const { success, ...reply } = await this.post(url, "/api/nodes/handshake", local);
+      remote = reply;
+    } catch (error) {
+      if (["INCOMPATIBLE_PEER", "INVALID_SIGNATURE", "PEER_IDENTITY_MISMATCH", "UNTRUSTED_PEER"].includes(error.code)) {
+        throw error;
+      }
+      throw createOperationalError(`Handshake with ${url} failed: ${error.message}`, 502, "PEER_UNREACHABLE");
+    }
+    return this.checkHandshakeReply(url, remote);
+  }
+
+  /**
+   * Checks the handshake a peer answered with: its signature, its compatibility and the peer's identity.
+   * @param {string} url - The peer's URL.
+   * @param {Object} remote - The peer's signed handshake.
+   * @returns {Promise<Object>} The peer's handshake, with the `identity` that signed it.
+   * @throws {Error} With code INVALID_SIGNATURE, INCOMPATIBLE_PEER, UNTRUSTED_PEER or PEER_IDENTITY_MISMATCH if
+   * the peer is refused.
+   */
+  async checkHandshakeReply(url, remote) {
+    const identity = this.identity.verify("handshake", remote);
+    await this.assertCompatible(remote);
+    await this.assertIdentity(url, identity);
+    await this.recordSuccess(url, remote);
+    return { ...remote, identity };
+  }
+
+  /**
+   * Ensures an identity may speak for a peer URL: it must be trusted, and if the peer is registered, it must be the
+   * identity the peer is bound to. A registered peer not bound to an identity yet is bound to this one.
+   * @param {string} url - The peer's URL.
+   * @param {string} identity - The public key a message from the peer was signed with.
+   * @throws {Error} With code UNTRUSTED_PEER if the identity is not trusted, or PEER_IDENTITY_MISMATCH if the peer
+   * is bound to another identity.
+   */
+  async assertIdentity(url, identity) {
+    this.assertTrusted(identity);
+    const node = await Node.findOne({ url: PeerService.normalizeUrl(url) }).select("identity");
+    if (!node) {
+      return;
+    }
+    if (!node.identity) {
+      await Node.updateOne({ _id: node._id, identity: null }, { $set: { identity } });
+    } else if (node.identity !== identity) {
+      throw createOperationalError(
+        `Message for ${url} is signed by another identity than the peer's.`,
+        401,
+        "PEER_IDENTITY_MISMATCH"
+      );
+    }
+  }
+
+  /**
+   * Ensures a node identity is on the allow-list, if one is configured.
+   * @param {string} identity - The node's public key.
+   * @throws {Error} With code UNTRUSTED_PEER if the identity is not trusted.
+   */
+  assertTrusted(identity) {
+    if (this.trustedIdentities.size > 0 && !this.trustedIdentities.has(identity)) {
+      throw createOperationalError("The node's identity is not trusted.", 403, "UNTRUSTED_PEER");
+    }
+  }
+
+  /**
+   * Ensures an identity is known to speak for a peer URL: it is the identity a registered peer at that URL is bound
+   * to, or it is on the allow-list.
+   * @param {string} [url] - The peer's URL, if it gave one.
+   * @param {string} identity - The public key a message from the peer was signed with.
+   * @throws {Error} With code UNTRUSTED_PEER if the identity is not trusted, PEER_IDENTITY_MISMATCH if the peer is
+   * bound to another identity, or UNKNOWN_PEER if the identity is neither a registered peer's nor trusted.
+   */
+  async assertKnown(url, identity) {
+    if (url) {
+      await this.assertIdentity(url, identity);
+    } else {
+      this.assertTrusted(identity);
+    }
+    if (this.trustedIdentities.has(identity)) {
+      return;
+    }
+    const node = url && (await Node.findOne({ url: PeerService.normalizeUrl(url) }).select("identity"));
+    if (!node || node.identity !== identity) {
+      throw createOperationalError("The node is not a registered peer.", 403, "UNKNOWN_PEER");
+    }
+  }
+
+  /**
+   * Checks the signature of a message from a peer and that its signer is known to speak for the URL it claims to
+   * come from (see assertKnown).
+   * @param {string} type - The message type, e.g. "block" or "transaction".
+   * @param {Object} message - The signed message, with the sender's URL in `nodeUrl` if it gives one.
+   * @returns {Promise<string|undefined>} The normalized URL of the sender, if it gave one.
+   * @throws {Error} With code INVALID_SIGNATURE, UNTRUSTED_PEER, PEER_IDENTITY_MISMATCH or UNKNOWN_PEER if the
+   * message is refused.
+   */
+  async authenticate(type, message) {
+    const identity = this.identity.verify(type, message);
+    await this.assertKnown(message.nodeUrl, identity);
+    return message.nodeUrl ? PeerService.normalizeUrl(message.nodeUrl) : undefined;
+  }
+
+  /**
+   * Answers a handshake from a peer. If the peer asks to be registered and advertises its address, it is
+   * registered once a handshake sent back to that address is answered with the same identity, which proves that the
+   * address is the peer's; an already registered peer only has its registration refreshed. The handshake back is
+   * only sent to an untrusted peer's address if it passes assertRegistrationAllowed.
+   * @param {Object} info - The peer's signed handshake.
+   * @returns {Promise<Object>} This node's signed handshake, and whether the peer is now registered.
+   * @throws {Error} With code INVALID_SIGNATURE, UNTRUSTED_PEER or PEER_IDENTITY_MISMATCH if the handshake is not
+   * signed by an identity allowed to speak for the peer, INCOMPATIBLE_PEER if the peer is incompatible,
+   * INVALID_NODE if it asks to be registered under an invalid address, PRIVATE_NODE_ADDRESS or
+   * REGISTRATION_RATE_LIMITED if the handshake back is not allowed, or PEER_UNREACHABLE if it fails.
+   */
+  async acceptHandshake(info) {
+    const identity = this.identity.verify("handshake", info);
+    if (info.nodeUrl) {
+      await this.assertNotBanned(info.nodeUrl);
+    }
+    await this.assertCompatible(info);
+    let registered = false;
+    if (info.nodeUrl) {
+      const url = PeerService.normalizeUrl(info.nodeUrl);
+      await this.assertIdentity(url, identity);
+      if (info.register && !(await Node.exists({ url }))) {
+        await this.validateUrl(url);
+        await this.assertRegistrationAllowed(url, identity);
+        const remote = await this.handshake(url);
+        if (remote.identity !== identity) {
+          throw createOperationalError(
+            `${url} answers with another identity than the node asking to be registered.`,
+            401,
+            "PEER_IDENTITY_MISMATCH"
+          );
+        }
+        await this.save(url, remote);
+      } else {
+        await this.recordSuccess(url, info);
+      }
+      registered = Boolean(await Node.exists({ url }));
+    } else {
+      this.assertTrusted(identity);
+    }
+    return this.identity.sign("handshake", { ...(await this.getLocalInfo()), registered });
+  }
+
+  /**
+   * Ensures this node may send a handshake back to a node asking to be registered. A trusted node always may;
+   * otherwise its address must be public (see assertPublicAddress) and fewer than `registrationRateLimit` such
+   * handshakes may have been sent in the last minute.
+   * @param {string} url - The normalized URL the node advertises.
+   * @param {string} identity - The node's public key.
+   * @throws {Error} With code PRIVATE_NODE_ADDRESS if the address is not public, or REGISTRATION_RATE_LIMITED if too
+   * many nodes asked to be registered lately.
+   */
+  async assertRegistrationAllowed(url, identity) {
+    if (this.trustedIdentities.has(identity)) {
+      return;
+    }
+    if (!this.allowPrivateAddresses) {
+      await this.assertPublicAddress(url);
+    }
+    const now = Date.now();
+    this.registrationTimes = this.registrationTimes.filter((time) => time > now - REGISTRATION_WINDOW);
+    if (this.registrationTimes.length >= this.registrationRateLimit) {
+      throw createOperationalError(
+        "Too many nodes asked to be registered lately; try again later.",
+        429,
+        "REGISTRATION_RATE_LIMITED"
+      );
+    }
+    this.registrationTimes.push(now);
+  }
+
+  /**
+   * Ensures a URL is an http(s) URL whose host resolves to public addresses only.
+   * @param {string} url - The normalized URL.
+   * @throws {Error} With code PRIVATE_NODE_ADDRESS if the URL is not http(s), its host cannot be resolved or any of
+   * its addresses is loopback, private, link-local or otherwise not public.
+   */
+  async assertPublicAddress(url) {
+    const refuse = (reason) =>
+      createOperationalError(`Cannot register ${url} in return: ${reason}.`, 403, "PRIVATE_NODE_ADDRESS");
+    const { protocol, hostname } = new URL(url);
+    if (!["http:", "https:"].includes(protocol)) {
+      throw refuse("only http and https addresses are allowed");
+    }
+    const host = hostname.replace(/^\[|\]$/g, "");
+    let addresses;
+    try {
+      addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw refuse("its host cannot be resolved");
+    }
+    if (addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4"))) {
+      throw refuse("its host is not at a public address");
+    }
+  }
+
+  /**
+   * Registers a new peer if it's not already registered, is valid and accepts a handshake.
+   * @param {string} nodeUrl - The URL of the node to register.
+   * @param {Object} [options] - Registration options.
+   * @param {boolean} [options.bidirectional=false] - Whether the peer should register this node in return.
+   * @returns {Promise<Node>} The registered node.
+   * @throws {Error} With code INVALID_NODE if the URL is invalid or is this node's own, NODE_EXISTS if the peer
+   * is already registered, or INCOMPATIBLE_PEER / PEER_UNREACHABLE if the handshake fails.
+   */
+  async register(nodeUrl, { bidirectional = false } = {}) {
+    const url = PeerService.normalizeUrl(nodeUrl);
+    await this.validateUrl(url);
+    if (await Node.exists({ url })) {
+      throw createOperationalError("Node already exists.", 409, "NODE_EXISTS");
+    }
+    const remote = await this.handshake(url, { register: bidirectional });
+    return this.save(url, remote);
+  }
+
+  /**
+   * Ensures a URL may be registered as a peer.
+   * @param {string} url - The normalized URL.
+   * @throws {Error} With code INVALID_NODE if the URL is invalid or is this node's own.
+   */
+  async validateUrl(url) {
+    try {
+      await new Node({ url }).validate();
+    } catch (error) {
+      throw createOperationalError("Invalid node URL.", 400, "INVALID_NODE");
+    }
+    if (url === PeerService.getSelfUrl()) {
+      throw createOperationalError("A node cannot register itself as a peer.", 400, "INVALID_NODE");
+    }
+  }
+
+  /**
+   * Stores a new peer along with its handshake details.
+   * @param {string} url - The normalized URL.
+   * @param {Object} info - The peer's handshake.
+   * @returns {Promise<Node>} The registered node.
+   * @throws {Error} With code INVALID_NODE if the URL is invalid, or NODE_EXISTS if the peer is already registered.
+   */
+  async save(url, info) {
+    await this.validateUrl(url);
+    const node = new Node({
+      url,
+      lastSeen: new Date(),
+      height: info.height,
+      chainId: info.chainId,
+      version: info.version,
+      protocolVersion: info.protocolVersion,
+      identity: info.identity,
+    });
+    try {
+      await node.validate();
+    } catch (error) {
+      throw createOperationalError("Invalid node URL.", 400, "INVALID_NODE");
+    }
+    try {
+      await node.save();
+    } catch (error) {
+      // Another request registered the same URL in the meantime
+      if (error.code === 11000) {
+        throw createOperationalError("Node already exists.", 409, "NODE_EXISTS");
+      }
+      throw error;
+    }
+    return node;
+  }
+
+  /**
+   * Removes a registered peer.
+   * @param {string} id - The peer's id.
+   * @returns {Promise<Node>} The removed node.
+   * @throws {Error} With code INVALID_NODE if the id is malformed, or NODE_NOT_FOUND if no such peer is registered.
+   */
+  async remove(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw createOperationalError("Invalid node id.", 400, "INVALID_NODE");
+    }
+    const node = await Node.findByIdAndDelete(id);
+    if (!node) {
+      throw createOperationalError("Node not found.", 404, "NODE_NOT_FOUND");
+    }
+    return node;
+  }
+
+  /**
+   * Lists all registered peers, oldest first, banned ones included.
+   * @returns {Promise<Object[]>} The registered nodes, each with a `banned` flag.
+   */
+  async list() {
+    const nodes = await Node.find().sort({ createdAt: 1 });
+    return nodes.map((node) => ({ ...node.toJSON(), banned: this.isBanned(node) }));
+  }
+
+  /**
+   * Lists the URLs of the registered peers that are not banned.
+   * @returns {Promise<string[]>} The peer URLs.
+   */
+  async getUrls() {
+    const nodes = await Node.find({
+      $or: [{ bannedUntil: null }, { bannedUntil: { $lte: new Date() } }],
+    })
+      .sort({ createdAt: 1 })
+      .select("url");
+    return nodes.map((node) => node.url);
+  }
+
+  /**
+   * Tells whether a peer is currently banned.
+   * @param {Node} node - The peer.
+   * @returns {boolean} True if the peer's ban has not expired yet.
+   */
+  isBanned(node) {
+    return Boolean(node.bannedUntil && node.bannedUntil.getTime() > Date.now());
+  }
+
+  /**
+   * Ensures a request does not come from a banned peer.
+   * @param {string} url - The URL the requesting peer advertises.
+   * @throws {Error} With code PEER_BANNED if the peer is banned.
+   */
+  async assertNotBanned(url) {
+    const node = await Node.findOne({ url: PeerService.normalizeUrl(url) });
+    if (node && this.isBanned(node)) {
+      throw createOperationalError(
+        `Peer ${node.url} is banned until ${node.bannedUntil.toISOString()}.`,
+        403,
+        "PEER_BANNED"
+      );
+    }
+  }
+
+  /**
+   * Adds misbehaviour points to a peer's score, banning it once the score reaches the threshold. Only registered
+   * peers are scored.
+   * @param {string} url - The peer's URL.
+   * @param {string} offence - The kind of misbehaviour, a key of PENALTIES.
+   * @returns {Promise<Node|null>} The updated peer, or null if it is not registered.
+   */
+  async penalize(url, offence) {
+    const points = PENALTIES[offence];
+    if (!points) {
+      throw new Error(`Unknown peer offence: ${offence}`);
+    }
+    const node = await Node.findOneAndUpdate(
+      { url: PeerService.normalizeUrl(url) },
+      { $inc: { score: points } },
+      { new: true }
+    );
+    if (!node) {
+      return null;
+    }
+    console.log(`Peer ${node.url} penalized ${points} point(s) for ${offence}; score is now ${node.score}.`);
+
+    if (node.score >= this.banThreshold && !this.isBanned(node)) {
+      node.bannedUntil = new Date(Date.now() + this.banDuration);
+      await node.save();
+      console.log(`Peer ${node.url} banned until ${node.bannedUntil.toISOString()}.`);
+    }
+    return node;
+  }
+
+  /**
+   * Lifts the bans that have expired, letting those peers start over with a clean score.
+   * @returns {Promise<number>} The number of peers unbanned.
+   */
+  async liftExpiredBans() {
+    const { modifiedCount } = await Node.updateMany(
+      { bannedUntil: { $ne: null, $lte: new Date() } },
+      { $set: { bannedUntil: null, score: 0 } }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Records that a peer answered, along with anything it reported about itself.
+   * @param {string} url - The peer's URL.
+   * @param {Object} [report] - What the peer reported: its `height`, `chainId`, `version` and `protocolVersion`.
+   */
+  async recordSuccess(url, { height, chainId, version, protocolVersion } = {}) {
+    const update = { lastSeen: new Date(), failureCount: 0 };
+    Object.entries({ height, chainId, version, protocolVersion }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        update[key] = value;
+      }
+    });
+    await Node.updateOne({ url: PeerService.normalizeUrl(url) }, { $set: update });
+  }
+
+  /**
+   * Records that a request to a peer failed.
+   * @param {string} url - The peer's URL.
+   */
+  async recordFailure(url) {
+    await Node.updateOne({ url: PeerService.normalizeUrl(url) }, { $inc: { failureCount: 1 } });
+  }
+
+  /**
+   * Posts JSON to a peer and returns its JSON answer (see request).
+   * @param {string} url - The peer's URL.
+   * @param {string} path - The endpoint path.
+   * @param {Object} body - The request body.
+   * @param {Object} [options] - Request options.
+   * @param {number} [options.timeout=5000] - Time in milliseconds to wait for the answer.
+   * @returns {Promise<Object>} The peer's answer.
+   */
+  async post(url, path, body, { timeout = 5000 } = {}) {
+    return this.request(url, path, { method: "POST", body, timeout });
+  }
+
+  /**
+   * Fetches JSON from a peer (see request).
+   * @param {string} url - The peer's URL.
+   * @param {string} path - The endpoint path, with its query string.
+   * @param {Object} [options] - Request options.
+   * @param {number} [options.timeout=5000] - Time in milliseconds to wait for the answer.
+   * @returns {Promise<Object>} The peer's answer.
+   */
+  async get(url, path, { timeout = 5000 } = {}) {
+    return this.request(url, path, { method: "GET", timeout });
+  }
+
+  /**
+   * Sends a request to a peer and returns its JSON answer. Whether the peer answered is recorded on its
+   * registration, and a peer that times out is penalized.
+   * @param {string} url - The peer's URL.
+   * @param {string} path - The endpoint path.
+   * @param {Object} options - Request options.
+   * @param {string} options.method - The HTTP method.
+   * @param {Object} [options.body] - The request body, sent as JSON.
+   * @param {number} options.timeout - Time in milliseconds to wait for the answer.
+   * @returns {Promise<Object>} The peer's answer.
+   * @throws {Error} If the peer cannot be reached in time, or with the peer's status and code if it answers with
+   * an error.
+   */
+  async request(url, path, { method, body, timeout }) {
+    let response;
+    try {
+      response = await fetch(`${url}${path}`, {
+        method,
+        headers: body === undefined ? {} : { "Content-Type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout),
+      });
+    } catch (error) {
+      await this.recordFailure(url);
+      if (error.name === "TimeoutError" || error.name === "AbortError") {
+        await this.penalize(url, "timeout");
+      }
+      throw error;
+    }
+    // A peer that answers is alive, even if it rejects what it was sent
+    await this.recordSuccess(url);
+    const answer = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw createOperationalError(
+        answer.message || `${response.status} ${response.statusText}`,
+        response.status,
+        answer.code
+      );
+    }
+    return answer;
+  }
+}
+
+module.exports = PeerService;
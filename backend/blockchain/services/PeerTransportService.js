@@ -0,0 +1,346 @@
+const { io: connectSocket } = require("socket.io-client");
+const PeerService = require("./PeerService");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+let sharedTransport = null;
+
+// Messages peers send each other once they have shaken hands
+const MESSAGE_TYPES = ["inventory", "block", "transaction"];
+
+/**
+ * @class PeerTransportService
+ * @description Keeps a long-lived Socket.IO connection with every registered peer, on the `/peers` namespace of
+ * the node's Socket.IO server. Each node connects out to its peers and accepts their connections in; either way
+ * the connecting side opens with a handshake (see PeerService.handshake) and the connection carries messages only
+ * once it has been accepted. An inbound connection is only accepted from a known identity (see
+ * PeerService.assertKnown): a peer registered at the URL it advertises, whose registration proved that the URL is
+ * its own, or a trusted node. Outbound connections reconnect on their own and shake hands again each time. Every
+ * message is signed, and is only accepted if signed by the identity the connection's handshake was signed with.
+ *
+ * Messages are acknowledged with `{ ok: true, data }` or `{ ok: false, error }`. The transport does not interpret
+ * them: inventory, block and transaction messages are passed to the handlers registered with `handle`, with the
+ * URL of the peer the connection belongs to. When a peer has no open connection, callers fall back to its HTTP
+ * routes.
+ */
+class PeerTransportService {
+  /**
+   * @param {PeerService} peerService - The registered peers.
+   * @param {Object} [options] - Transport settings.
+   * @param {number} [options.timeout] - Time in milliseconds to wait for a message to be acknowledged. Defaults to
+   * GOSSIP_TIMEOUT or five seconds.
+   * @param {number} [options.reconnectDelay] - Time in milliseconds before the first reconnection attempt, doubled
+   * on each further attempt. Defaults to PEER_RECONNECT_DELAY or one second.
+   * @param {number} [options.reconnectDelayMax] - Longest time in milliseconds between reconnection attempts.
+   * Defaults to PEER_RECONNECT_DELAY_MAX or thirty seconds.
+   * @param {number} [options.refreshInterval] - Time in milliseconds between checks for peers registered, removed
+   * or banned since the last one. Defaults to PEER_CONNECTIONS_REFRESH_INTERVAL or thirty seconds.
+   */
+  constructor(
+    peerService,
+    {
+      timeout = Number(process.env.GOSSIP_TIMEOUT) || 5000,
+      reconnectDelay = Number(process.env.PEER_RECONNECT_DELAY) || 1000,
+      reconnectDelayMax = Number(process.env.PEER_RECONNECT_DELAY_MAX) || 30 * 1000,
+      refreshInterval = Number(process.env.PEER_CONNECTIONS_REFRESH_INTERVAL) || 30 * 1000,
+    } = {}
+  ) {
+    if (!peerService || !(peerService instanceof PeerService)) {
+      throw new Error("Invalid PeerService provided.");
+    }
+    this.peerService = peerService;
+    this.timeout = timeout;
+    this.reconnectDelay = reconnectDelay;
+    this.reconnectDelayMax = reconnectDelayMax;
+    this.refreshInterval = refreshInterval;
+    this.handlers = {}; // Message type -> async (payload, nodeUrl) => reply data
+    this.outbound = new Map(); // Peer URL -> client socket, whether connected or reconnecting
+    this.connections = new Map(); // Peer URL -> socket that has shaken hands, inbound or outbound
+    this.socketIdentities = new WeakMap(); // Socket -> identity its handshake was signed with
+    this.timer = null;
+  }
+
+  /**
+   * Returns the transport shared by every part of this node, creating it on first use.
+   * @returns {PeerTransportService} The shared transport.
+   */
+  static shared() {
+    if (!sharedTransport) {
+      sharedTransport = new PeerTransportService(PeerService.shared());
+    }
+    return sharedTransport;
+  }
+
+  /**
+   * Registers the handler of a message type.
+   * @param {string} type - "inventory", "block" or "transaction".
+   * @param {Function} handler - Async function of the message payload and the sending peer's URL, whose result is
+   * sent back as the acknowledgement.
+   */
+  handle(type, handler) {
+    if (!MESSAGE_TYPES.includes(type)) {
+      throw new Error(`Unknown peer message type: ${type}`);
+    }
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Accepts peer connections on the `/peers` namespace of a Socket.IO server.
+   * @param {Server} io - The node's Socket.IO server.
+   */
+  attach(io) {
+    io.of("/peers").on("connection", (socket) => {
+      let nodeUrl = null;
+      socket.on("handshake", async (info, ack) => {
+        try {
+          const reply = await this.peerService.acceptHandshake(info);
+          if (!info.nodeUrl) {
+            throw createOperationalError("The handshake does not give the peer's address.", 400, "INVALID_NODE");
+          }
+          // The handshake is signed by this identity (see PeerService.acceptHandshake), but only a registered peer or
+          // a trusted node is known to own the URL it advertises
+          await this.peerService.assertKnown(info.nodeUrl, info.proof.identity);
+          nodeUrl = PeerService.normalizeUrl(info.nodeUrl);
+          this.socketIdentities.set(socket, info.proof.identity);
+          this.connections.set(nodeUrl, socket);
+          console.log(`Peer ${nodeUrl} connected.`);
+          this.acknowledge(ack, { ok: true, data: reply });
+        } catch (error) {
+          this.acknowledge(ack, PeerTransportService.toFailure(error));
+          socket.disconnect(true);
+        }
+      });
+      this.listen(socket, () => nodeUrl);
+      socket.on("disconnect", () => {
+        if (nodeUrl && this.connections.get(nodeUrl) === socket) {
+          this.connections.delete(nodeUrl);
+          console.log(`Peer ${nodeUrl} disconnected.`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Connects to every registered peer now, then checks for new, removed and banned peers every interval until
+   * stopped.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    const refresh = () =>
+      this.refresh().catch((error) => console.error("Failed to refresh peer connections:", error.message));
+    this.timer = setInterval(refresh, this.refreshInterval);
+    // The schedule alone does not keep the process alive
+    this.timer.unref();
+    refresh();
+  }
+
+  /**
+   * Stops the scheduled checks and closes every outbound connection.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    [...this.outbound.keys()].forEach((url) => this.disconnect(url));
+  }
+
+  /**
+   * Opens connections to the registered peers that have none, and closes those to peers no longer registered or
+   * now banned.
+   */
+  async refresh() {
+    const urls = await this.peerService.getUrls();
+    urls.forEach((url) => this.connect(url));
+    [...this.outbound.keys()].filter((url) => !urls.includes(url)).forEach((url) => this.disconnect(url));
+  }
+
+  /**
+   * Opens a long-lived connection to a peer, unless one is already open. The connection reconnects on its own
+   * until it is closed with disconnect, or the peer turns out to be incompatible.
+   * @param {string} nodeUrl - The peer's URL.
+   */
+  connect(nodeUrl) {
+    const url = PeerService.normalizeUrl(nodeUrl);
+    if (this.outbound.has(url)) {
+      return;
+    }
+    const socket = connectSocket(`${url}/peers`, {
+      reconnectionDelay: this.reconnectDelay,
+      reconnectionDelayMax: this.reconnectDelayMax,
+    });
+    this.outbound.set(url, socket);
+
+    socket.on("connect", () => {
+      this.shakeHands(url, socket).catch((error) =>
+        console.error(`Handshake over the connection to ${url} failed: ${error.message}`)
+      );
+    });
+    socket.on("disconnect", (reason) => {
+      if (this.connections.get(url) === socket) {
+        this.connections.delete(url);
+      }
+      console.log(`Connection to peer ${url} lost (${reason}).`);
+    });
+    this.listen(socket, () => (this.connections.get(url) === socket ? url : null));
+  }
+
+  /**
+   * Closes the outbound connection to a peer, if any.
+   * @param {string} nodeUrl - The peer's URL.
+   */
+  disconnect(nodeUrl) {
+    const url = PeerService.normalizeUrl(nodeUrl);
+    const socket = this.outbound.get(url);
+    if (!socket) {
+      return;
+    }
+    this.outbound.delete(url);
+    if (this.connections.get(url) === socket) {
+      this.connections.delete(url);
+    }
+    socket.disconnect();
+  }
+
+  /**
+   * Shakes hands over a freshly opened outbound connection. A peer found incompatible is penalized and no longer
+   * reconnected to.
+   * @param {string} url - The peer's URL.
+   * @param {Socket} socket - The client socket.
+   * @throws {Error} With code INCOMPATIBLE_PEER if either node refuses the other, or INVALID_SIGNATURE,
+   * UNTRUSTED_PEER, PEER_IDENTITY_MISMATCH or UNKNOWN_PEER if either node refuses the other's identity.
+   */
+  async shakeHands(url, socket) {
+    try {
+      const local = this.peerService.identity.sign("handshake", await this.peerService.getLocalInfo());
+      const reply = await socket.timeout(this.timeout).emitWithAck("handshake", local);
+      const { identity } = await this.peerService.checkHandshakeReply(url, PeerTransportService.unwrap(reply));
+      this.socketIdentities.set(socket, identity);
+    } catch (error) {
+      if (error.code === "INCOMPATIBLE_PEER") {
+        await this.peerService.penalize(url, "incompatible");
+        this.disconnect(url);
+      }
+      throw error;
+    }
+    this.connections.set(url, socket);
+    console.log(`Connected to peer ${url}.`);
+  }
+
+  /**
+   * Tells whether a peer can be reached over an open connection.
+   * @param {string} nodeUrl - The peer's URL.
+   * @returns {boolean} True if the peer has shaken hands over a connection that is still open.
+   */
+  isConnected(nodeUrl) {
+    const socket = this.connections.get(PeerService.normalizeUrl(nodeUrl));
+    return Boolean(socket && socket.connected);
+  }
+
+  /**
+   * Sends a message to a peer over its open connection and waits for the acknowledgement. Whether the peer
+   * answered is recorded on its registration, and a peer that times out is penalized.
+   * @param {string} nodeUrl - The peer's URL.
+   * @param {string} type - The message type.
+   * @param {Object} payload - The message.
+   * @returns {Promise<Object>} The data the peer acknowledged with.
+   * @throws {Error} If the peer has no open connection or does not answer in time, or with the peer's status and
+   * code if it rejects the message.
+   */
+  async request(nodeUrl, type, payload) {
+    const url = PeerService.normalizeUrl(nodeUrl);
+    const socket = this.connections.get(url);
+    if (!socket || !socket.connected) {
+      throw new Error(`No open connection to ${url}.`);
+    }
+    let reply;
+    try {
+      reply = await socket.timeout(this.timeout).emitWithAck(type, this.peerService.identity.sign(type, payload));
+    } catch (error) {
+      await this.peerService.recordFailure(url);
+      await this.peerService.penalize(url, "timeout");
+      throw error;
+    }
+    await this.peerService.recordSuccess(url);
+    return PeerTransportService.unwrap(reply);
+  }
+
+  /**
+   * Dispatches the messages arriving on a socket to their handlers, once the socket has shaken hands.
+   * @param {Socket} socket - An inbound or outbound socket.
+   * @param {Function} getNodeUrl - Returns the URL of the peer behind the socket, or null before the handshake.
+   */
+  listen(socket, getNodeUrl) {
+    MESSAGE_TYPES.forEach((type) => {
+      socket.on(type, async (payload, ack) => {
+        const nodeUrl = getNodeUrl();
+        if (!nodeUrl) {
+          return this.acknowledge(
+            ack,
+            PeerTransportService.toFailure(createOperationalError("Handshake required.", 403, "HANDSHAKE_REQUIRED"))
+          );
+        }
+        try {
+          if (this.peerService.identity.verify(type, payload) !== this.socketIdentities.get(socket)) {
+            throw createOperationalError(
+              `The ${type} message is not signed by the connected peer.`,
+              401,
+              "PEER_IDENTITY_MISMATCH"
+            );
+          }
+        } catch (error) {
+          return this.acknowledge(ack, PeerTransportService.toFailure(error));
+        }
+        if (!this.handlers[type]) {
+          return this.acknowledge(ack, PeerTransportService.toFailure(new Error(`Cannot handle ${type} messages.`)));
+        }
+        try {
+          this.acknowledge(ack, { ok: true, data: await this.handlers[type](payload, nodeUrl) });
+        } catch (error) {
+          this.acknowledge(ack, PeerTransportService.toFailure(error));
+        }
+      });
+    });
+  }
+
+  /**
+   * Sends an acknowledgement, if the sender asked for one.
+   * @param {Function} [ack] - The acknowledgement callback.
+   * @param {Object} reply - The acknowledgement.
+   */
+  acknowledge(ack, reply) {
+    if (typeof ack === "function") {
+      ack(reply);
+    }
+  }
+
+  /**
+   * Turns an error into a negative acknowledgement.
+   * @param {Error} error - The error.
+   * @returns {Object} The acknowledgement.
+   */
+  static toFailure(error) {
+    return {
+      ok: false,
+      error: { message: error.message, statusCode: error.statusCode || 500, code: error.code },
+    };
+  }
+
+  /**
+   * Extracts the data of an acknowledgement.
+   * @param {Object} reply - The acknowledgement.
+   * @returns {*} The data.
+   * @throws {Error} With the peer's status and code if the acknowledgement is negative or malformed.
+   */
+  static unwrap(reply) {
+    if (!reply || typeof reply !== "object") {
+      throw createOperationalError("Malformed acknowledgement.", 502);
+    }
+    if (!reply.ok) {
+      const { message, statusCode, code } = reply.error || {};
+      throw createOperationalError(message || "Message rejected.", statusCode || 500, code);
+    }
+    return reply.data;
+  }
+}
+
+module.exports = PeerTransportService;
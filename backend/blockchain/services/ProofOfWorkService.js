@@ -0,0 +1,210 @@
+const { Worker } = require("worker_threads");
+const os = require("os");
+const path = require("path");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+const WORKER_PATH = path.join(__dirname, "../workers/proofOfWorkWorker.js");
+
+let sharedProofOfWork = null;
+
+/**
+ * @class ProofOfWorkService
+ * @description Runs the nonce search for a block in worker threads, so that the API stays responsive while a block is
+ * mined. The nonce space is interleaved across the workers. Only one job runs at a time; it reports its progress
+ * through getStatus() and can be cancelled, e.g. when the chain tip moves or the mempool changes substantially.
+ */
+class ProofOfWorkService {
+  /**
+   * Creates a proof-of-work runner.
+   * @param {Object} [options] - Runner settings.
+   * @param {number} [options.workerCount] - Number of worker threads per job. Defaults to MINING_WORKERS, or one
+   * less than the number of CPUs.
+   * @param {number} [options.mempoolChangeLimit] - Number of mempool additions and removals during a job after
+   * which the job is cancelled so the block can be reassembled. Defaults to MINING_MEMPOOL_CHANGE_LIMIT or 100.
+   * @param {number} [options.progressInterval] - Number of hashes between progress reports from each worker.
+   */
+  constructor({
+    workerCount = Number(process.env.MINING_WORKERS) || Math.max(1, os.cpus().length - 1),
+    mempoolChangeLimit = Number(process.env.MINING_MEMPOOL_CHANGE_LIMIT) || 100,
+    progressInterval = 10000,
+  } = {}) {
+    this.workerCount = workerCount;
+    this.mempoolChangeLimit = mempoolChangeLimit;
+    this.progressInterval = progressInterval;
+    this.job = null; // The running job, if any
+    this.lastJob = null; // Summary of the most recent finished job
+  }
+
+  /**
+   * Returns the proof-of-work runner shared by every service of this node, creating it on first use.
+   * @returns {ProofOfWorkService} The shared runner.
+   */
+  static shared() {
+    if (!sharedProofOfWork) {
+      sharedProofOfWork = new ProofOfWorkService();
+    }
+    return sharedProofOfWork;
+  }
+
+  /**
+   * Searches for a nonce that gives the block a hash meeting its difficulty, and sets the block's nonce and hash.
+   * @param {BlockModel} block - The block to mine. Every field except nonce and hash must be final.
+   * @param {Object} [options] - Job options.
+   * @param {EventEmitter} [options.mempool] - A mempool whose "change" events count towards mempoolChangeLimit.
+   * @returns {Promise<BlockModel>} The mined block.
+   * @throws {Error} With code MINING_IN_PROGRESS if another job is running, or MINING_CANCELLED if the job is
+   * cancelled before a nonce is found.
+   */
+  mine(block, { mempool } = {}) {
+    if (this.job) {
+      return Promise.reject(
+        createOperationalError(
+          `Already mining block ${this.job.height}.`,
+          409,
+          "MINING_IN_PROGRESS"
+        )
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const { prefix, suffix } = block.getHashTemplate();
+      const job = {
+        height: block.index,
+        previousHash: block.previousHash,
+        difficulty: block.difficulty,
+        startedAt: Date.now(),
+        hashes: new Array(this.workerCount).fill(0),
+        mempoolChanges: 0,
+        workers: [],
+      };
+
+      job.finish = (status, details = {}) => {
+        if (this.job !== job) {
+          return;
+        }
+        this.job = null;
+        job.workers.forEach((worker) => worker.terminate());
+        if (mempool) {
+          mempool.off("change", job.onMempoolChange);
+        }
+        this.lastJob = { ...this.describe(job), status, ...details };
+        console.log(
+          `Mining of block ${job.height} ${status} after ${this.lastJob.hashes} hashes ` +
+            `(${this.lastJob.hashrate} H/s).`
+        );
+      };
+
+      job.cancel = (reason) => {
+        job.finish("cancelled", { reason });
+        reject(
+          createOperationalError(
+            `Mining of block ${job.height} was cancelled: ${reason}`,
+            409,
+            "MINING_CANCELLED"
+          )
+        );
+      };
+
+      job.onMempoolChange = (count) => {
+        job.mempoolChanges += count;
+        if (job.mempoolChanges >= this.mempoolChangeLimit) {
+          job.cancel(`${job.mempoolChanges} mempool changes since the block was assembled`);
+        }
+      };
+
+      this.job = job;
+      if (mempool) {
+        mempool.on("change", job.onMempoolChange);
+      }
+
+      for (let i = 0; i < this.workerCount; i++) {
+        const worker = new Worker(WORKER_PATH, {
+          workerData: {
+            prefix,
+            suffix,
+            difficulty: block.difficulty,
+            startNonce: i,
+            step: this.workerCount,
+            progressInterval: this.progressInterval,
+          },
+        });
+        worker.on("message", (message) => {
+          job.hashes[i] = message.hashes;
+          if (message.type === "found" && this.job === job) {
+            block.nonce = message.nonce;
+            block.hash = message.hash;
+            job.finish("found", { nonce: message.nonce, hash: message.hash });
+            resolve(block);
+          }
+        });
+        worker.on("error", (error) => {
+          if (this.job === job) {
+            job.finish("failed", { reason: error.message });
+            reject(error);
+          }
+        });
+        job.workers.push(worker);
+      }
+    });
+  }
+
+  /**
+   * Cancels the running job, if any.
+   * @param {string} reason - Why the job is cancelled, reported to the caller of mine().
+   * @returns {boolean} True if a job was cancelled.
+   */
+  cancel(reason) {
+    if (!this.job) {
+      return false;
+    }
+    this.job.cancel(reason);
+    return true;
+  }
+
+  /**
+   * Cancels the running job if it no longer builds on the tip of the main chain, e.g. because a peer's block for
+   * the same height was connected first.
+   * @param {BlockModel} tip - The new tip of the main chain.
+   * @returns {boolean} True if a job was cancelled.
+   */
+  cancelIfStale(tip) {
+    if (!this.job || this.job.previousHash === tip.hash) {
+      return false;
+    }
+    return this.cancel(`the chain tip moved to block ${tip.index} (${tip.hash})`);
+  }
+
+  /**
+   * Reports on the running job, or on the last finished one.
+   * @returns {Object} The mining status, with hashes tried and hashrate in hashes per second.
+   */
+  getStatus() {
+    return {
+      mining: this.job !== null,
+      workers: this.workerCount,
+      current: this.job ? this.describe(this.job) : null,
+      last: this.lastJob,
+    };
+  }
+
+  /**
+   * Summarizes the progress of a job.
+   * @param {Object} job - The job.
+   * @returns {Object} Height, difficulty, hashes tried, elapsed time and hashrate.
+   */
+  describe(job) {
+    const elapsedMs = Date.now() - job.startedAt;
+    const hashes = job.hashes.reduce((sum, count) => sum + count, 0);
+    return {
+      height: job.height,
+      difficulty: job.difficulty,
+      startedAt: new Date(job.startedAt),
+      elapsedMs,
+      hashes,
+      hashrate: elapsedMs > 0 ? Math.round((hashes * 1000) / elapsedMs) : 0,
+      mempoolChanges: job.mempoolChanges,
+    };
+  }
+}
+
+module.exports = ProofOfWorkService;
@@ -1,16 +1,45 @@
 // Import other necessary services
 const BlockchainService = require("./BlockchainService");
-const ValidationService = require("./ValidationService");
+const PeerService = require("./PeerService");
+const DifficultyService = require("./DifficultyService");
+const Block = require("../models/BlockModel");
+const consensus = require("../config/consensus");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
+
+// Downloads cut short by a peer that stopped answering, by peer URL: the headers and how many of their blocks were
+// accepted, so the next synchronization with the peer carries on from there
+const pendingDownloads = new Map();
 
 /**
  * Service responsible for synchronizing the local blockchain with the network.
+ *
+ * Synchronization is headers-first: the peer's headers are downloaded in pages from the highest block both nodes
+ * have (the common ancestor), and their linkage, difficulty and proof-of-work are checked before any block body is
+ * fetched. Bodies are only fetched if the peer's chain carries more cumulative proof-of-work than the local tip; they
+ * are then fetched in batches and each block is checked in full and attached as it comes. If the peer
+ * stops answering part-way, the download resumes after the last accepted block the next time.
  */
 class SynchronizationService {
   /**
    * Initializes the synchronization service with a reference to the blockchain service.
    * @param {BlockchainService} blockchainService The blockchain service instance.
+   * @param {Object} [options] Synchronization settings.
+   * @param {PeerService} [options.peerService] Used to query peers. Defaults to the shared peer list.
+   * @param {number} [options.headersPerRequest] Headers asked for per request. Defaults to SYNC_HEADERS_PER_REQUEST
+   * or 500.
+   * @param {number} [options.batchSize] Block bodies fetched at once. Defaults to SYNC_BATCH_SIZE or 20.
+   * @param {number} [options.timeout] Time in milliseconds to wait for each answer. Defaults to SYNC_TIMEOUT or ten
+   * seconds.
    */
-  constructor(blockchainService) {
+  constructor(
+    blockchainService,
+    {
+      peerService = PeerService.shared(),
+      headersPerRequest = Number(process.env.SYNC_HEADERS_PER_REQUEST) || 500,
+      batchSize = Number(process.env.SYNC_BATCH_SIZE) || 20,
+      timeout = Number(process.env.SYNC_TIMEOUT) || 10000,
+    } = {}
+  ) {
     if (
       !blockchainService ||
       !(blockchainService instanceof BlockchainService)
@@ -18,81 +47,332 @@ class SynchronizationService {
       throw new Error("A valid BlockchainService instance is required.");
     }
     this.blockchainService = blockchainService;
+    this.peerService = peerService;
+    this.headersPerRequest = headersPerRequest;
+    this.batchSize = batchSize;
+    this.timeout = timeout;
   }
 
   /**
-   * Synchronizes the local blockchain with the network.
+   * Synchronizes the local blockchain with the network. If the peer's chain carries more cumulative proof-of-work
+   * than the local one, the blocks the peer has that are unknown locally are stored and the node switches to the
+   * peer's branch; otherwise no block is fetched.
    * @param {string} networkNodeUrl The URL of a network node to synchronize with.
-   * @returns {Promise<void>} A promise that resolves when synchronization is complete.
+   * @returns {Promise<Object>} A summary of the blocks processed and whether the local chain was reorganized.
+   * @throws {Error} With code INVALID_BLOCK if the peer sends an invalid header or block, or INCOMPATIBLE_PEER if
+   * it does not share our genesis block.
    */
   async synchronizeChain(networkNodeUrl) {
+    const url = PeerService.normalizeUrl(networkNodeUrl);
     try {
-      const { default: fetch } = await import("node-fetch");
-      const response = await fetch(`${networkNodeUrl}/chain`);
-      if (!response.ok) {
-        throw new Error(
-          `Failed to fetch the chain from ${networkNodeUrl}: ${response.statusText}`
-        );
-      }
-      const networkChain = await response.json();
-
-      // Validate the fetched chain before updating the local one
-      if (!this.validateNetworkChain(networkChain)) {
-        throw new Error(
-          "The fetched chain is invalid or not longer than the current chain."
-        );
+      const { ancestor, headers, networkHeight, chainWork } = await this.downloadHeaders(url);
+      const tip = await this.blockchainService.getLatestBlock();
+      if (chainWork <= tip.chainWork) {
+        console.log(`The chain of ${url} carries no more work than the local chain; no block fetched.`);
+        return {
+          added: 0,
+          reorganized: false,
+          tipHash: tip.hash,
+          tipIndex: tip.index,
+          commonAncestor: ancestor.index,
+          networkHeight,
+        };
       }
-
-      // Update the local chain with the network chain block by block
-      this.updateLocalChain(networkChain);
+      const summary = await this.downloadBlocks(url, headers);
       console.log(
         "Local blockchain successfully synchronized with the network."
       );
+      return { ...summary, commonAncestor: ancestor.index, networkHeight };
     } catch (error) {
       console.error("Synchronization failed:", error.message);
-      if (error.response) {
-        console.error("Failed with status code:", error.response.status);
-        console.error("Failed with response body:", error.response.statusText);
-      }
       throw error; // Re-throw the error to be handled by the caller if necessary
     }
   }
 
   /**
-   * Validates the fetched network chain before synchronization.
-   * @param {Array} networkChain The blockchain fetched from the network.
-   * @returns {boolean} True if the fetched chain is valid and longer than the local chain, otherwise false.
+   * Downloads and checks the headers of the peer's chain above the common ancestor, carrying on with an
+   * interrupted download if there is one. If the peer's chain changes between two pages, the download starts over
+   * from a new common ancestor.
+   * @param {string} url The peer's URL.
+   * @param {boolean} [restarted=false] Whether the download already started over once.
+   * @returns {Promise<Object>} The common `ancestor` header, the checked `headers` above it in order, the peer's
+   * `networkHeight` and the `chainWork` of the peer's chain.
+   * @throws {Error} With code INVALID_BLOCK if a header is malformed, unlinked, at the wrong difficulty or lacks its
+   * proof-of-work, or an error if the peer's chain keeps changing.
    */
-  validateNetworkChain(networkChain) {
-    if (
-      !Array.isArray(networkChain) ||
-      networkChain.length <= this.blockchainService.getChain().length
-    ) {
-      return false;
+  async downloadHeaders(url, restarted = false) {
+    let headers = await this.resumeDownload(url);
+    const ancestor = headers
+      ? { index: headers[0].index - 1, hash: headers[0].previousHash }
+      : await this.findCommonAncestor(url);
+    const ancestors = await this.loadAncestors(ancestor.hash);
+    // Headers left from an interrupted download are checked again, which also rebuilds the ancestors of the rest
+    headers = headers || [];
+    this.checkHeaders(headers, ancestors);
+
+    for (;;) {
+      const previous = headers.length > 0 ? headers[headers.length - 1] : ancestor;
+      const page = await this.fetchHeaders(url, previous.index + 1, this.headersPerRequest);
+      if (page.headers.length > 0 && page.headers[0].previousHash !== previous.hash) {
+        // The peer switched branches since the download began
+        if (restarted) {
+          throw new Error(`The chain of ${url} keeps changing; try again later.`);
+        }
+        console.log(`The chain of ${url} changed during synchronization; starting over.`);
+        return this.downloadHeaders(url, true);
+      }
+      this.checkHeaders(page.headers, ancestors);
+      headers.push(...page.headers);
+      if (page.headers.length < this.headersPerRequest) {
+        console.log(`Downloaded ${headers.length} header(s) from ${url} above block ${ancestor.index}.`);
+        const { chainWork } = ancestors[ancestors.length - 1];
+        return { ancestor, headers, networkHeight: page.height, chainWork };
+      }
+    }
+  }
+
+  /**
+   * Finds the highest block of the peer's main chain that is stored locally. The peer is probed at the local tip's
+   * height, then at exponentially growing distances below it, and the gap above the first known block is narrowed
+   * down by bisection.
+   * @param {string} url The peer's URL.
+   * @returns {Promise<Object>} The header of the common ancestor.
+   * @throws {Error} With code INCOMPATIBLE_PEER if the peer's genesis block differs from ours.
+   */
+  async findCommonAncestor(url) {
+    const tip = await this.blockchainService.getLatestBlock();
+    let height = tip.index;
+    let step = 1;
+    let unknownHeight = null; // Lowest height probed whose block is not stored locally
+    let ancestor = null;
+
+    while (!ancestor) {
+      const page = await this.fetchHeaders(url, height, 1);
+      const [header] = page.headers;
+      if (header && header.index !== height) {
+        throw createOperationalError(`${url} sent header ${header.index} for height ${height}.`, 422, "INVALID_BLOCK");
+      }
+      if (!header) {
+        if (page.height >= height) {
+          throw createOperationalError(`${url} sent no header at height ${height}.`, 422, "INVALID_BLOCK");
+        }
+        // The peer's chain is shorter than the probed height
+        height = page.height;
+      } else if (await Block.exists({ hash: header.hash })) {
+        ancestor = header;
+      } else if (height === 0) {
+        throw createOperationalError(`${url} does not share our genesis block.`, 409, "INCOMPATIBLE_PEER");
+      } else {
+        unknownHeight = height;
+        height = Math.max(0, height - step);
+        step *= 2;
+      }
+    }
+
+    while (unknownHeight !== null && unknownHeight - ancestor.index > 1) {
+      const middle = Math.floor((ancestor.index + unknownHeight) / 2);
+      const [header] = (await this.fetchHeaders(url, middle, 1)).headers;
+      if (header && (await Block.exists({ hash: header.hash }))) {
+        ancestor = header;
+      } else {
+        unknownHeight = middle;
+      }
     }
+    return ancestor;
+  }
 
-    // Use the ValidationService to validate each block and its transactions in the network chain
-    return ValidationService.validateChain(networkChain);
+  /**
+   * Loads a stored block and the stored blocks below it on its own branch, as many as a difficulty window holds,
+   * which is all that is needed to check the headers that follow it.
+   * @param {string} hash The hash of the block.
+   * @returns {Promise<Object[]>} The blocks, oldest first, ending with the given one.
+   */
+  async loadAncestors(hash) {
+    const ancestors = [];
+    let block = await Block.findOne({ hash }).lean();
+    while (block) {
+      ancestors.unshift(block);
+      if (ancestors.length === consensus.difficultyAdjustmentInterval || block.index === 0) {
+        break;
+      }
+      block = await Block.findOne({ hash: block.previousHash }).lean();
+    }
+    return ancestors;
   }
 
   /**
-   * Updates the local blockchain with the blocks from the network chain.
-   * This method assumes that the provided network chain is valid and has been
-   * properly validated before calling this method.
-   * @param {Array} networkChain The validated network blockchain chain.
+   * Returns what is left of an interrupted download from a peer, if it still continues the local block tree.
+   * @param {string} url The peer's URL.
+   * @returns {Promise<Object[]|null>} The headers whose blocks are still to be fetched, or null.
    */
-  updateLocalChain(networkChain) {
-    // Reset the current chain to the genesis block
-    this.blockchainService.chain = [
-      this.blockchainService.createGenesisBlock(),
-    ];
-
-    // Iterate through the network chain and add each block
-    for (let blockData of networkChain) {
-      this.blockchainService.addBlock(blockData);
+  async resumeDownload(url) {
+    const download = pendingDownloads.get(url);
+    pendingDownloads.delete(url);
+    if (!download) {
+      return null;
+    }
+    const remaining = download.headers.slice(download.accepted);
+    if (remaining.length === 0 || !(await Block.exists({ hash: remaining[0].previousHash }))) {
+      return null;
     }
+    console.log(`Resuming the download from ${url} at block ${remaining[0].index}.`);
+    return remaining;
+  }
 
-    console.log("Blockchain successfully updated from the network.");
+  /**
+   * Fetches the blocks of checked headers in batches and attaches them in order. Each block is checked in full
+   * when it is accepted (see BlockchainService.acceptBlock). Progress is kept if the peer stops answering, and
+   * dropped if it sends an invalid block.
+   * @param {string} url The peer's URL.
+   * @param {Object[]} headers The checked headers, in index order.
+   * @returns {Promise<Object>} Counts of new blocks, whether a reorganization happened and the local tip.
+   * @throws {Error} With code INVALID_BLOCK if a block does not match its header or is invalid.
+   */
+  async downloadBlocks(url, headers) {
+    const download = { headers, accepted: 0 };
+    pendingDownloads.set(url, download);
+    let added = 0;
+    let reorganized = false;
+
+    try {
+      while (download.accepted < headers.length) {
+        const batch = headers.slice(download.accepted, download.accepted + this.batchSize);
+        const blocks = await Promise.all(batch.map((header) => this.fetchBlock(url, header)));
+        for (const blockData of blocks) {
+          const { status } = await this.blockchainService.acceptBlock(blockData);
+          if (status !== "duplicate") {
+            added++;
+          }
+          if (status === "reorganized") {
+            reorganized = true;
+          }
+          download.accepted++;
+        }
+      }
+      pendingDownloads.delete(url);
+    } catch (error) {
+      if (error.code === "INVALID_BLOCK") {
+        pendingDownloads.delete(url);
+      }
+      throw error;
+    }
+
+    const tip = await this.blockchainService.getLatestBlock();
+    console.log(
+      `Blockchain updated from the network: ${added} new block(s), tip at ${tip.index}.`
+    );
+    return {
+      added,
+      reorganized,
+      tipHash: tip.hash,
+      tipIndex: tip.index,
+    };
+  }
+
+  /**
+   * Fetches a page of the peer's main-chain headers.
+   * @param {string} url The peer's URL.
+   * @param {number} from Index of the first header.
+   * @param {number} limit Maximum number of headers.
+   * @returns {Promise<{height: number, headers: Object[]}>} The peer's height and the headers.
+   * @throws {Error} With code INVALID_BLOCK if the answer is malformed.
+   */
+  async fetchHeaders(url, from, limit) {
+    const page = await this.peerService.get(url, `/api/blockchain/headers?from=${from}&limit=${limit}`, {
+      timeout: this.timeout,
+    });
+    const wellFormed =
+      page &&
+      Number.isInteger(page.height) &&
+      Array.isArray(page.headers) &&
+      page.headers.length <= limit &&
+      page.headers.every(
+        (header) =>
+          header &&
+          Number.isInteger(header.index) &&
+          typeof header.hash === "string" &&
+          typeof header.previousHash === "string" &&
+          typeof header.merkleRoot === "string" &&
+          Number.isInteger(header.nonce) &&
+          Number.isInteger(header.difficulty) &&
+          header.difficulty >= 1 &&
+          !Number.isNaN(new Date(header.timestamp).getTime())
+      );
+    if (!wellFormed) {
+      throw createOperationalError(`${url} sent malformed headers.`, 422, "INVALID_BLOCK");
+    }
+    return page;
+  }
+
+  /**
+   * Checks that headers form a chain on top of known ancestors, that each is at the difficulty its ancestors call
+   * for (see DifficultyService.calculateNextDifficulty) and that each carries its proof-of-work. This is cheap, so a
+   * peer cannot make the node fetch block bodies of a chain it could not have mined.
+   * @param {Object[]} headers The headers, in index order.
+   * @param {Object[]} ancestors The checked headers or stored blocks directly below the first header, oldest first,
+   * with their `chainWork`: the last `difficultyAdjustmentInterval` of them, or all of them down to the genesis
+   * block. Each checked header is appended, with its `chainWork`, and older entries are dropped.
+   * @throws {Error} With code INVALID_BLOCK and the header's index in `details` for the first header that fails.
+   */
+  checkHeaders(headers, ancestors) {
+    headers.forEach((header) => {
+      const previous = ancestors[ancestors.length - 1];
+      let problem = null;
+      if (header.index !== previous.index + 1 || header.previousHash !== previous.hash) {
+        problem = "does not follow the previous header";
+      } else if (
+        Block.hashHeader({
+          index: header.index,
+          previousHash: header.previousHash,
+          timestamp: new Date(header.timestamp),
+          merkleRoot: header.merkleRoot,
+          nonce: header.nonce,
+          difficulty: header.difficulty,
+        }) !== header.hash
+      ) {
+        problem = "does not match its hash";
+      } else if (
+        header.difficulty !==
+        DifficultyService.calculateNextDifficulty(
+          previous,
+          ancestors[ancestors.length - consensus.difficultyAdjustmentInterval]
+        )
+      ) {
+        problem = "is not at the expected difficulty";
+      } else if (!DifficultyService.meetsDifficulty(header.hash, header.difficulty)) {
+        problem = "does not meet its difficulty";
+      }
+      if (problem) {
+        throw createOperationalError(`Header ${header.index} ${problem}.`, 422, "INVALID_BLOCK", {
+          index: header.index,
+          hash: header.hash,
+        });
+      }
+      ancestors.push({ ...header, chainWork: previous.chainWork + DifficultyService.getBlockWork(header) });
+      ancestors.splice(0, ancestors.length - consensus.difficultyAdjustmentInterval);
+    });
+  }
+
+  /**
+   * Fetches the block of a checked header from the peer, with its transactions embedded.
+   * @param {string} url The peer's URL.
+   * @param {Object} header The block's header.
+   * @returns {Promise<Object>} The block as JSON.
+   * @throws {Error} With code INVALID_BLOCK if the peer sends another block.
+   */
+  async fetchBlock(url, header) {
+    const blockData = await this.peerService.get(url, `/api/blockchain/blocks/${header.hash}`, {
+      timeout: this.timeout,
+    });
+    if (!blockData || blockData.hash !== header.hash) {
+      throw createOperationalError(
+        `${url} sent another block than ${header.hash}.`,
+        422,
+        "INVALID_BLOCK",
+        { index: header.index, hash: header.hash }
+      );
+    }
+    return blockData;
   }
 }
 
@@ -1,4 +1,8 @@
 const Transaction = require('../models/TransactionModel');
+const Block = require('../models/BlockModel');
+const Account = require('../models/AccountModel');
+const consensus = require('../config/consensus');
+const { createOperationalError } = require('../../middleware/errorMiddleware');
 
 /**
  * @class TransactionService
@@ -6,32 +10,47 @@ const Transaction = require('../models/TransactionModel');
  */
 class TransactionService {
   /**
-   * Creates and saves a new transaction, considering cases where the fromAddress can be null.
-   * @param {string|null} fromAddress - The wallet address of the sender, or null for genesis/reward transactions.
+   * Creates and signs a new transfer from the wallet owning the given private key. The transaction is only stored
+   * once it is admitted to the pending pool (see BlockchainService.addTransaction), so a refused transfer leaves
+   * nothing behind.
+   * @param {string} fromAddress - The wallet address (public key) of the sender.
    * @param {string} toAddress - The wallet address of the recipient.
    * @param {number} amount - The amount to be transferred.
-   * @param {string} signature - The signature to verify the transaction, required for all transactions.
-   * @returns {Promise<TransactionModel>} A new signed and saved transaction.
+   * @param {string} privateKey - The sender's private key, used to sign the transaction.
+   * @param {Object} [options] - Additional transaction options.
+   * @param {number} [options.fee] - The fee paid to the miner. Defaults to the suggested fee for the amount.
+   * @param {number} [options.nonce] - The sender's sequence number. Defaults to the next expected nonce.
+   * @param {TransactionModel[]} [options.pendingTransactions=[]] - The pending pool, used to compute the default nonce.
+   * @returns {Promise<TransactionModel>} A new signed, unsaved transaction.
    */
-  static async createTransaction(fromAddress, toAddress, amount, signature) {
-    if (!toAddress || amount <= 0 || !signature) {
+  static async createTransaction(
+    fromAddress,
+    toAddress,
+    amount,
+    privateKey,
+    { fee, nonce, pendingTransactions = [] } = {}
+  ) {
+    if (!fromAddress || !toAddress || amount <= 0 || !privateKey) {
       throw new Error(
         "Missing or invalid parameters for transaction creation."
       );
     }
 
     const transaction = new Transaction({
+      chainId: consensus.chainId,
       fromAddress,
       toAddress,
       amount,
-      signature,
+      fee: fee === undefined ? this.calculateTransactionFee({ amount }) : fee,
+      nonce:
+        nonce === undefined
+          ? await this.getNextNonce(fromAddress, pendingTransactions)
+          : nonce,
     });
+    transaction.signTransaction(privateKey);
     if (!(await transaction.isValid())) {
       throw new Error("Failed to create a valid transaction.");
     }
-    await transaction.save().catch((error) => {
-      throw new Error(`Failed to save the transaction: ${error.message}`);
-    });
     return transaction;
   }
 
@@ -73,20 +92,323 @@ class TransactionService {
     return volume;
   }
 
+  /**
+   * Computes the net balance of an address from transactions that have been included in a main-chain block.
+   * Senders are debited the amount plus the fee; the fees reach the miner through the block's reward transaction.
+   * Transactions that are still pending are ignored. The balance at the tip is read from the account state; earlier
+   * balances are recomputed from the blocks.
+   * @param {string} address - The wallet address to compute the balance for.
+   * @param {Object} [options] - Query options.
+   * @param {number} [options.beforeIndex] - Only count main-chain blocks with an index lower than this one.
+   * @returns {Promise<number>} The confirmed balance of the address.
+   */
+  static async getConfirmedBalance(address, { beforeIndex } = {}) {
+    if (beforeIndex === undefined) {
+      const account = await Account.findOne({ address }).lean();
+      return account ? account.balance : 0;
+    }
+    const confirmedIds = await Block.distinct('transactions', {
+      isMainChain: true,
+      index: { $lt: beforeIndex },
+    });
+    const transactions = await Transaction.find({
+      _id: { $in: confirmedIds },
+      $or: [{ fromAddress: address }, { toAddress: address }],
+    }).exec();
+
+    return transactions.reduce((balance, transaction) => {
+      if (transaction.fromAddress === address) balance -= this.getTransactionCost(transaction);
+      if (transaction.toAddress === address) balance += transaction.amount;
+      return balance;
+    }, 0);
+  }
+
+  /**
+   * Sums the rewards an address received in main-chain blocks that do not yet have `coinbaseMaturity`
+   * confirmations. A reward mined at height r can first be spent in the block at height r + coinbaseMaturity.
+   * @param {string} address - The wallet address.
+   * @param {Object} [options] - Query options.
+   * @param {number} [options.beforeIndex] - Height of the block the coins would be spent in. Defaults to the
+   * block after the current tip.
+   * @returns {Promise<number>} The total of the address's immature rewards.
+   */
+  static async getImmatureRewards(address, { beforeIndex } = {}) {
+    let height = beforeIndex;
+    if (height === undefined) {
+      const tip = await Block.findOne({ isMainChain: true }).sort({ index: -1 });
+      height = tip ? tip.index + 1 : 0;
+    }
+    const recentIds = await Block.distinct('transactions', {
+      isMainChain: true,
+      index: { $gt: height - consensus.coinbaseMaturity, $lt: height },
+    });
+    const rewards = await Transaction.find({
+      _id: { $in: recentIds },
+      isReward: true,
+      toAddress: address,
+    }).exec();
+    return rewards.reduce((total, reward) => total + reward.amount, 0);
+  }
+
+  /**
+   * Computes the part of an address's confirmed balance it may spend, i.e. without its immature rewards.
+   * @param {string} address - The wallet address.
+   * @param {Object} [options] - Query options.
+   * @param {number} [options.beforeIndex] - Height of the block the coins would be spent in. Defaults to the
+   * block after the current tip.
+   * @returns {Promise<number>} The spendable balance.
+   */
+  static async getSpendableBalance(address, { beforeIndex } = {}) {
+    const balance = await this.getConfirmedBalance(address, { beforeIndex });
+    return balance - (await this.getImmatureRewards(address, { beforeIndex }));
+  }
+
+  /**
+   * Sums what a sender has already committed in a list of pending transactions, fees included.
+   * @param {string} address - The sender's address.
+   * @param {TransactionModel[]} pendingTransactions - The pending transaction pool.
+   * @returns {number} The total amount and fees spent by the address in the pool.
+   */
+  static getPendingSpend(address, pendingTransactions) {
+    return pendingTransactions
+      .filter((transaction) => transaction.fromAddress === address)
+      .reduce((acc, transaction) => acc + this.getTransactionCost(transaction), 0);
+  }
+
+  /**
+   * Returns what a transaction costs its sender, i.e. its amount plus its fee.
+   * @param {Object} transaction - The transaction data.
+   * @returns {number} The total cost of the transaction.
+   */
+  static getTransactionCost(transaction) {
+    return transaction.amount + (transaction.fee || 0);
+  }
+
   /**
    * Validates the sufficiency of balance for transaction creation, including fees.
+   * The sender's spendable balance is reduced by whatever they already spend in the pending pool.
    * @param {string} fromAddress - The sender's address.
    * @param {number} amount - The amount to be sent.
+   * @param {TransactionModel[]} [pendingTransactions=[]] - The pending transaction pool.
+   * @param {number} [fee] - The fee the transaction will pay. Defaults to the suggested fee for the amount.
    * @returns {Promise<boolean>} True if the balance is sufficient, false otherwise.
    */
-  static async isBalanceSufficient(fromAddress, amount) {
-    const balance = await this.aggregateTransactionVolume(fromAddress);
-    const fee = this.calculateTransactionFee({ amount }); // Assuming a function to calculate fee
-    return balance - amount - fee >= 0;
+  static async isBalanceSufficient(
+    fromAddress,
+    amount,
+    pendingTransactions = [],
+    fee = this.calculateTransactionFee({ amount })
+  ) {
+    const balance = await this.getSpendableBalance(fromAddress);
+    const pendingSpend = this.getPendingSpend(fromAddress, pendingTransactions);
+    return balance - pendingSpend - this.getTransactionCost({ amount, fee }) >= 0;
+  }
+
+  /**
+   * Ensures a transaction can be admitted to the pending pool. The sender must be able to cover the amount
+   * and fee from their spendable balance once everything they already have pending is deducted. Rewards that
+   * have not reached coinbase maturity are not spendable.
+   * @param {TransactionModel} transaction - The transaction being admitted.
+   * @param {TransactionModel[]} pendingTransactions - The current pending transaction pool.
+   * @throws {Error} With code INSUFFICIENT_FUNDS if the spendable balance cannot cover the transaction,
+   * or DOUBLE_SPEND if it only fails because of funds already committed in the pool.
+   */
+  static async assertSpendable(transaction, pendingTransactions) {
+    const { fromAddress } = transaction;
+    const balance = await this.getSpendableBalance(fromAddress);
+    const cost = this.getTransactionCost(transaction);
+    if (balance < cost) {
+      throw createOperationalError(
+        `Insufficient balance: ${balance} spendable, ${cost} required.`,
+        422,
+        'INSUFFICIENT_FUNDS'
+      );
+    }
+
+    const pendingSpend = this.getPendingSpend(fromAddress, pendingTransactions);
+    if (balance - pendingSpend < cost) {
+      throw createOperationalError(
+        `Double spend: ${pendingSpend} of the sender's ${balance} balance is already committed to pending transactions.`,
+        409,
+        'DOUBLE_SPEND'
+      );
+    }
+  }
+
+  /**
+   * Counts the transfers an address has sent in main-chain blocks, which is the nonce its next transfer must carry.
+   * The nonce at the tip is read from the account state; earlier nonces are recounted from the blocks.
+   * @param {string} address - The sender's address.
+   * @param {Object} [options] - Query options.
+   * @param {number} [options.beforeIndex] - Only count main-chain blocks with an index lower than this one.
+   * @returns {Promise<number>} The confirmed nonce of the address.
+   */
+  static async getConfirmedNonce(address, { beforeIndex } = {}) {
+    if (beforeIndex === undefined) {
+      const account = await Account.findOne({ address }).lean();
+      return account ? account.nonce : 0;
+    }
+    const confirmedIds = await Block.distinct('transactions', {
+      isMainChain: true,
+      index: { $lt: beforeIndex },
+    });
+    return Transaction.countDocuments({
+      _id: { $in: confirmedIds },
+      fromAddress: address,
+    }).exec();
+  }
+
+  /**
+   * Returns the nonce the next transaction from an address must carry, taking pending transactions into account.
+   * @param {string} address - The sender's address.
+   * @param {TransactionModel[]} [pendingTransactions=[]] - The pending transaction pool.
+   * @returns {Promise<number>} The next expected nonce.
+   */
+  static async getNextNonce(address, pendingTransactions = []) {
+    const confirmedNonce = await this.getConfirmedNonce(address);
+    const pendingCount = pendingTransactions.filter(
+      (transaction) => transaction.fromAddress === address
+    ).length;
+    return confirmedNonce + pendingCount;
+  }
+
+  /**
+   * Ensures a transaction carries exactly the next nonce expected from its sender.
+   * @param {TransactionModel} transaction - The transaction being admitted.
+   * @param {TransactionModel[]} pendingTransactions - The current pending transaction pool.
+   * @throws {Error} With code NONCE_TOO_LOW if the nonce was already used (a replay), or NONCE_TOO_HIGH if
+   * it skips ahead of the sender's sequence.
+   */
+  static async assertNextNonce(transaction, pendingTransactions) {
+    const expected = await this.getNextNonce(
+      transaction.fromAddress,
+      pendingTransactions
+    );
+    if (transaction.nonce < expected) {
+      throw createOperationalError(
+        `Nonce ${transaction.nonce} has already been used; expected ${expected}.`,
+        409,
+        'NONCE_TOO_LOW'
+      );
+    }
+    if (transaction.nonce > expected) {
+      throw createOperationalError(
+        `Nonce ${transaction.nonce} is ahead of the sender's sequence; expected ${expected}.`,
+        409,
+        'NONCE_TOO_HIGH'
+      );
+    }
+  }
+
+  /**
+   * Checks that every sender's transfers in a block continue their nonce sequence without gaps or repeats,
+   * then advances the nonces.
+   * @param {TransactionModel[]} transactions - The block's transactions.
+   * @param {Object<string, number>} nonces - Next expected nonce per address before the block. Updated in place.
+   * @throws {Error} With code INVALID_NONCE if a sender's nonces are out of order.
+   */
+  static applyBlockNonces(transactions, nonces) {
+    const bySender = {};
+    transactions
+      .filter((transaction) => !transaction.isCoinbase())
+      .forEach((transaction) => {
+        (bySender[transaction.fromAddress] = bySender[transaction.fromAddress] || []).push(
+          transaction.nonce
+        );
+      });
+
+    Object.entries(bySender).forEach(([address, senderNonces]) => {
+      let expected = nonces[address] || 0;
+      senderNonces
+        .sort((a, b) => a - b)
+        .forEach((nonce) => {
+          if (nonce !== expected) {
+            throw createOperationalError(
+              `Address ${address} uses nonce ${nonce} where ${expected} was expected.`,
+              422,
+              'INVALID_NONCE'
+            );
+          }
+          expected++;
+        });
+      nonces[address] = expected;
+    });
+  }
+
+  /**
+   * Checks that no sender in a block spends more than their balance before the block, then applies the
+   * block's transfers to the balances. Spends are checked against the balance before the block, so coins
+   * received in a block cannot be spent within that same block.
+   * @param {TransactionModel[]} transactions - The block's transactions.
+   * @param {Object<string, number>} balances - Balances before the block, keyed by address. Updated in place.
+   * @param {Object<string, number>} [locked={}] - Part of each balance that cannot be spent in this block,
+   * such as immature rewards.
+   * @throws {Error} With code INSUFFICIENT_FUNDS if a sender overspends.
+   */
+  static applyBlockSpends(transactions, balances, locked = {}) {
+    const spent = {};
+    transactions
+      .filter((transaction) => !transaction.isCoinbase())
+      .forEach((transaction) => {
+        spent[transaction.fromAddress] =
+          (spent[transaction.fromAddress] || 0) + this.getTransactionCost(transaction);
+      });
+
+    Object.entries(spent).forEach(([address, cost]) => {
+      const balance = (balances[address] || 0) - (locked[address] || 0);
+      if (balance < cost) {
+        throw createOperationalError(
+          `Address ${address} spends ${cost} with a spendable balance of ${balance}.`,
+          422,
+          'INSUFFICIENT_FUNDS'
+        );
+      }
+    });
+
+    transactions.forEach((transaction) => {
+      if (transaction.fromAddress) {
+        balances[transaction.fromAddress] =
+          (balances[transaction.fromAddress] || 0) - this.getTransactionCost(transaction);
+      }
+      balances[transaction.toAddress] =
+        (balances[transaction.toAddress] || 0) + transaction.amount;
+    });
+  }
+
+  /**
+   * Sums the fees paid by the transactions of a block, rounded to 8 decimal places so that the result does not
+   * depend on the order in which the transactions are added up.
+   * @param {TransactionModel[]} transactions - The block's transactions.
+   * @returns {number} The total fees available to the block's miner.
+   */
+  static getBlockFees(transactions) {
+    const fees = transactions.reduce((acc, transaction) => acc + (transaction.fee || 0), 0);
+    return Number(fees.toFixed(8));
+  }
+
+  /**
+   * Ensures a block's reward transaction pays no more than the block subsidy plus the fees it collected.
+   * @param {TransactionModel[]} transactions - The block's transactions.
+   * @param {number} subsidy - The block subsidy.
+   * @throws {Error} With code INVALID_REWARD if the reward is too large.
+   */
+  static assertRewardAmount(transactions, subsidy) {
+    const reward = transactions.find((transaction) => transaction.isReward);
+    if (!reward) {
+      return;
+    }
+    const maxReward = Number((subsidy + this.getBlockFees(transactions)).toFixed(8));
+    if (reward.amount > maxReward) {
+      throw createOperationalError(
+        `Reward of ${reward.amount} exceeds the allowed ${maxReward}.`,
+        422,
+        'INVALID_REWARD'
+      );
+    }
   }
 
   /**
-   * Calculates the transaction fee based on the transaction details.
+   * Calculates the suggested fee for a transaction, used when the sender does not set one explicitly.
    * @param {Object} transaction - The transaction data.
    * @returns {number} The calculated fee.
    */
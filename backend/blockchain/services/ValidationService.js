@@ -1,47 +1,209 @@
 const Transaction = require("../models/TransactionModel");
 const Block = require('../models/BlockModel');
+const TransactionService = require("./TransactionService");
+const AccountStateService = require("./AccountStateService");
+const DifficultyService = require("./DifficultyService");
+const consensus = require("../config/consensus");
+const blockRules = require("../rules/blockRules");
+const { createOperationalError } = require("../../middleware/errorMiddleware");
 
+// Most recent block rejections, newest first, kept so they can be shown by the explorer
+const recentRejections = [];
+const MAX_RECENT_REJECTIONS = 100;
 
 /**
  * Class providing validation services for the blockchain.
  */
 class ValidationService {
   /**
-   * Validates a transaction.
+   * Validates a transaction, including verification of the sender's signature.
+   * Genesis and reward transactions are checked by their own rules and carry no sender or signature.
    * @param {Transaction} transaction - The transaction to validate.
-   * @returns {boolean} True if the transaction is valid, otherwise throws an error.
+   * @returns {Promise<boolean>} Resolves to true if the transaction is valid, otherwise throws an error.
    */
-  static validateTransaction(transaction) {
+  static async validateTransaction(transaction) {
     if (!(transaction instanceof Transaction)) {
       throw new Error("Invalid transaction type.");
     }
 
-    if (!transaction.fromAddress || !transaction.toAddress) {
-      throw new Error("Transaction must include from and to address.");
+    if (!transaction.toAddress) {
+      throw new Error("Transaction must include a to address.");
     }
 
     if (!Number.isFinite(transaction.amount) || transaction.amount <= 0) {
       throw new Error("Transaction amount must be a positive number.");
     }
 
-    if (!transaction.signature || transaction.signature.length === 0) {
-      throw new Error("Transaction must be signed.");
+    if (!transaction.isCoinbase()) {
+      if (!transaction.fromAddress) {
+        throw new Error("Transaction must include from and to address.");
+      }
+
+      if (!transaction.signature || transaction.signature.length === 0) {
+        throw new Error("Transaction must be signed.");
+      }
     }
 
-    if (!transaction.isValid()) {
-      throw new Error("Invalid transaction signature.");
+    if (!(await transaction.isValid())) {
+      throw new Error(
+        transaction.isCoinbase()
+          ? "Invalid genesis or reward transaction."
+          : "Invalid transaction signature."
+      );
     }
 
     return true;
   }
 
   /**
-   * Validates the sequence of blocks in the blockchain.
-   * Checks for proper linkage and integrity of each block.
-   * @param {Block[]} chain - The blockchain to validate.
-   * @returns {boolean} True if the chain is valid, otherwise throws an error.
+   * Runs every consensus rule of blockRules against a block.
+   * @param {Object} block - The block, as a document or plain JSON, with its transactions embedded.
+   * @param {Object} [context] - What is known about the block's position in the chain (see blockRules).
+   * @returns {Promise<Object[]>} One `{ rule, message, details }` rejection per broken rule; empty if the block
+   * passes.
+   */
+  static async checkBlock(block, context = {}) {
+    const candidate = this.toRuleInput(block);
+    const ruleContext = { now: Date.now(), ...context };
+    const rejections = [];
+    for (const rule of blockRules) {
+      try {
+        const rejection = await rule.check(candidate, ruleContext);
+        if (rejection) {
+          rejections.push({ rule: rule.name, ...rejection });
+        }
+      } catch (error) {
+        rejections.push({ rule: rule.name, message: error.message, details: {} });
+      }
+    }
+    return rejections;
+  }
+
+  /**
+   * Runs every consensus rule against a block and throws if any of them is broken. Rejections are also kept in a
+   * short log, so they can be inspected later.
+   * @param {Object} block - The block, as a document or plain JSON, with its transactions embedded.
+   * @param {Object} [context] - What is known about the block's position in the chain (see blockRules).
+   * @throws {Error} With code INVALID_BLOCK and the rejections in `details` if the block breaks a rule.
+   */
+  static async assertValidBlock(block, context = {}) {
+    const rejections = await this.checkBlock(block, context);
+    if (rejections.length === 0) {
+      return;
+    }
+
+    const details = { index: block.index, hash: block.hash, rejections };
+    recentRejections.unshift({ ...details, rejectedAt: new Date() });
+    recentRejections.length = Math.min(recentRejections.length, MAX_RECENT_REJECTIONS);
+    throw createOperationalError(
+      `Block ${block.index} broke consensus rule(s): ${rejections.map(({ rule }) => rule).join(", ")}.`,
+      422,
+      "INVALID_BLOCK",
+      details
+    );
+  }
+
+  /**
+   * Lists the most recent block rejections, newest first.
+   * @returns {Object[]} The rejected blocks' index and hash, the time of rejection and the broken rules.
    */
-  static validateChain(chain) {
+  static getRecentRejections() {
+    return [...recentRejections];
+  }
+
+  /**
+   * Converts a block into the shape the consensus rules work on: plain header fields, the timestamp in
+   * milliseconds, and the transactions as TransactionModel instances.
+   * @param {Object} block - The block, as a document or plain JSON, with its transactions embedded.
+   * @returns {Object} The block to check.
+   * @throws {Error} If the block does not embed its transactions.
+   */
+  static toRuleInput(block) {
+    const data = typeof block.toObject === "function" ? block.toObject() : block;
+    const transactions = (data.transactions || []).map((transaction) => {
+      if (transaction instanceof Transaction) {
+        return transaction;
+      }
+      if (!transaction || typeof transaction !== "object") {
+        throw new Error(`Block ${data.index} must embed its transactions.`);
+      }
+      return new Transaction(transaction);
+    });
+    return {
+      index: data.index,
+      previousHash: data.previousHash,
+      timestamp: new Date(data.timestamp).getTime(),
+      merkleRoot: data.merkleRoot,
+      nonce: data.nonce,
+      difficulty: data.difficulty,
+      hash: data.hash,
+      transactions,
+    };
+  }
+
+  /**
+   * Looks up the rule context of a block from its stored ancestors: the difficulty its branch requires and the
+   * median time of the preceding blocks. Nothing is known about blocks whose parent is not stored.
+   * @param {Object} block - The block.
+   * @returns {Promise<Object>} The rule context.
+   */
+  static async getBlockContext(block) {
+    const parent = await Block.findOne({ hash: block.previousHash });
+    if (!parent) {
+      return {};
+    }
+
+    const timestamps = [];
+    for (
+      let ancestor = parent;
+      ancestor && timestamps.length < consensus.medianTimeBlocks;
+      ancestor = await Block.findOne({ hash: ancestor.previousHash })
+    ) {
+      timestamps.push(ancestor.timestamp.getTime());
+    }
+    return {
+      expectedDifficulty: await DifficultyService.getNextDifficulty(parent),
+      medianTimePast: this.getMedian(timestamps),
+    };
+  }
+
+  /**
+   * Computes the rule context of the block at a position of a contiguous chain that starts at the genesis block.
+   * @param {Object[]} chain - The chain, ordered by index.
+   * @param {number} position - The position of the block in the chain.
+   * @returns {Object} The rule context.
+   */
+  static getChainContext(chain, position) {
+    if (position === 0) {
+      return {};
+    }
+    const timestamps = chain
+      .slice(Math.max(0, position - consensus.medianTimeBlocks), position)
+      .map((block) => new Date(block.timestamp).getTime());
+    return {
+      expectedDifficulty: DifficultyService.getExpectedDifficulty(chain, position),
+      medianTimePast: this.getMedian(timestamps),
+    };
+  }
+
+  /**
+   * Returns the median of a list of timestamps.
+   * @param {number[]} timestamps - The timestamps, in milliseconds.
+   * @returns {number} The median; for an even count, the higher of the two middle values.
+   */
+  static getMedian(timestamps) {
+    const sorted = [...timestamps].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * Validates the sequence of blocks in the blockchain, which must start at the genesis block.
+   * Checks for proper linkage, and runs the consensus rules on every block after the genesis block.
+   * @param {Object[]} chain - The blockchain to validate, as documents or plain JSON with embedded transactions.
+   * @returns {Promise<boolean>} True if the chain is valid, otherwise throws an error.
+   * @throws {Error} With code INVALID_BLOCK and the broken rules in `details` if a block breaks a rule.
+   */
+  static async validateChain(chain) {
     if (!Array.isArray(chain) || chain.length === 0) {
       throw new Error('Invalid blockchain.');
     }
@@ -50,45 +212,74 @@ class ValidationService {
       const currentBlock = chain[i];
       const previousBlock = chain[i - 1];
 
-      if (!(currentBlock instanceof Block) || !(previousBlock instanceof Block)) {
-        throw new Error('Invalid block type.');
-      }
-
-      if (currentBlock.previousHash !== previousBlock.hash) {
+      if (currentBlock.previousHash !== previousBlock.hash || currentBlock.index !== previousBlock.index + 1) {
         throw new Error('Chain is broken. Previous hash does not match.');
       }
 
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        throw new Error('Invalid hash on block ' + currentBlock.index);
-      }
-
+      await this.assertValidBlock(currentBlock, this.getChainContext(chain, i));
     }
 
     return true;
   }
 
   /**
-   * Validates a single block.
-   * @param {Block} block - The block to validate.
-   * @returns {boolean} True if the block is valid, otherwise throws an error.
+   * Validates a single block against the consensus rules and against the account state of its parent. The parent's
+   * nonces and balances are read from the account state (see AccountStateService), so the cost does not grow with
+   * the chain. The account state must end at the parent, or include on top of it the blocks whose changes are given
+   * in `connectedChanges`.
+   * @param {Object} block - The block, as a document or plain JSON. Transactions that are not embedded are
+   * loaded from the database.
+   * @param {Object} [options] - Validation options.
+   * @param {Map<string, Object>} [options.connectedChanges] - Summed changes of the main-chain blocks the account
+   * state already includes above the parent (see AccountStateService.getBlockChanges).
+   * @returns {Promise<boolean>} Resolves to true if the block is valid, otherwise throws an error.
    */
-  static validateBlock(block) {
-    if (!(block instanceof Block)) {
-      throw new Error('Invalid block type.');
-    }
+  static async validateBlock(block, { connectedChanges = new Map() } = {}) {
+    const data = typeof block.toObject === "function" ? block.toObject() : block;
+    const candidate = this.toRuleInput({ ...data, transactions: await this.loadTransactions(data) });
+    await this.assertValidBlock(candidate, await this.getBlockContext(candidate));
+    const { transactions } = candidate;
 
-    if (block.hash !== block.calculateHash()) {
-      throw new Error(`Invalid hash on block ${block.index}`);
+    // Re-check nonces and spends against each sender's state as of the previous block, immature rewards excluded
+    const balances = {};
+    const nonces = {};
+    for (const transaction of transactions) {
+      const sender = transaction.fromAddress;
+      if (sender && balances[sender] === undefined) {
+        const account = await AccountStateService.getAccount(sender);
+        const connected = connectedChanges.get(sender) || { balance: 0, nonce: 0 };
+        const immature = await TransactionService.getImmatureRewards(sender, { beforeIndex: block.index });
+        balances[sender] = Number((account.balance - connected.balance - immature).toFixed(8));
+        nonces[sender] = account.nonce - connected.nonce;
+      }
     }
+    TransactionService.applyBlockNonces(transactions, nonces);
+    TransactionService.applyBlockSpends(transactions, balances);
+
+    return true;
+  }
+
+  /**
+   * Returns a block's transactions in block order, loading those that are only referenced by id.
+   * @param {Object} block - The block.
+   * @returns {Promise<Object[]>} The transactions.
+   * @throws {Error} If a referenced transaction is not stored.
+   */
+  static async loadTransactions(block) {
+    const references = block.transactions || [];
+    const ids = references.filter((transaction) => typeof transaction === "string");
+    const stored = ids.length > 0 ? await Transaction.find({ _id: { $in: ids } }) : [];
 
-    // Validate each transaction in the block
-    block.transactions.forEach(transaction => {
-      if (!this.validateTransaction(transaction)) {
-        throw new Error(`Invalid transaction in block ${block.index}`);
+    return references.map((transaction) => {
+      if (typeof transaction !== "string") {
+        return transaction;
       }
+      const found = stored.find((candidate) => candidate._id === transaction);
+      if (!found) {
+        throw new Error(`Transaction ${transaction} of block ${block.index} is unknown.`);
+      }
+      return found;
     });
-
-    return true;
   }
 
   /**
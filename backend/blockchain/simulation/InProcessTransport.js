@@ -0,0 +1,506 @@
+/**
+ * @file InProcessTransport.js
+ * @description Carries the traffic between simulated nodes without sockets. Each node gets a fetch function in
+ * place of node-fetch, which hands requests to the target node's Express app, and a Socket.IO client whose
+ * connections end on the target node's `/peers` namespace, so the nodes' own routes and PeerTransportService
+ * handlers answer them. Every message waits out the latency of the link it crosses, on the network's VirtualClock,
+ * and nothing crosses a link that is down or split by a partition: requests fail as if the connection were refused,
+ * and open connections close and reconnect with backoff, as Socket.IO's do, once the link is back.
+ */
+
+const http = require("http");
+const net = require("net");
+
+/**
+ * Builds the error fetch rejects with when the target cannot be reached.
+ * @param {string} url - The requested URL.
+ * @returns {Error} A FetchError-like error with code ECONNREFUSED.
+ */
+function connectionRefused(url) {
+  const error = new Error(`request to ${url} failed, reason: connect ECONNREFUSED`);
+  error.name = "FetchError";
+  error.type = "system";
+  error.code = "ECONNREFUSED";
+  return error;
+}
+
+/**
+ * Builds the error emitWithAck rejects with when no acknowledgement arrives in time.
+ * @returns {Error} The error.
+ */
+function ackTimeout() {
+  return new Error("operation has timed out");
+}
+
+/**
+ * Waits for a promise, unless an abort signal fires first.
+ * @param {Promise} promise - The promise.
+ * @param {AbortSignal} [signal] - The signal.
+ * @returns {Promise} The promise's outcome, or a rejection with the signal's reason.
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason);
+    signal.addEventListener("abort", abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", abort));
+  });
+}
+
+/**
+ * @class InProcessSocket
+ * @description One end of a connection between two nodes, offering the part of the Socket.IO socket API the
+ * nodes use: `on`, `emit` with an acknowledgement callback, `timeout(ms).emitWithAck`, `connected` and `disconnect`.
+ */
+class InProcessSocket {
+  /**
+   * @param {InProcessTransport} transport - The transport carrying the connection.
+   * @param {string} name - Name of the node holding this end.
+   */
+  constructor(transport, name) {
+    this.transport = transport;
+    this.name = name;
+    this.peer = null; // The other end, while connected
+    this.connected = false;
+    this.listeners = new Map(); // Event -> handlers
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(handler);
+    return this;
+  }
+
+  /**
+   * Calls the local handlers of an event.
+   * @param {string} event - The event.
+   * @param {...*} args - Its arguments.
+   * @returns {Promise} Settles once every handler has.
+   */
+  fire(event, ...args) {
+    return Promise.allSettled((this.listeners.get(event) || []).map(async (handler) => handler(...args)));
+  }
+
+  /**
+   * Sends an event to the other end. A trailing function argument is called with the other end's acknowledgement.
+   * The event is lost if the connection closes before it arrives.
+   * @param {string} event - The event.
+   * @param {...*} args - Its arguments, copied as JSON like Socket.IO encodes them.
+   * @returns {InProcessSocket} The socket.
+   */
+  emit(event, ...args) {
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    const peer = this.peer;
+    if (!this.connected || !peer) {
+      return this;
+    }
+    const payload = JSON.parse(JSON.stringify(args));
+    this.transport.send(this.name, peer.name, () => {
+      if (!peer.connected || peer.peer !== this) {
+        return;
+      }
+      const reply = ack
+        ? (...answer) => {
+            const copy = JSON.parse(JSON.stringify(answer));
+            this.transport.send(peer.name, this.name, () => this.connected && ack(...copy));
+          }
+        : undefined;
+      return peer.fire(event, ...payload, ...(reply ? [reply] : []));
+    });
+    return this;
+  }
+
+  /**
+   * Sets how long the next emitWithAck waits for its acknowledgement.
+   * @param {number} ms - Time in milliseconds.
+   * @returns {{emitWithAck: Function}} The timed emitter.
+   */
+  timeout(ms) {
+    return {
+      emitWithAck: (event, ...args) =>
+        new Promise((resolve, reject) => {
+          const timer = this.transport.clock.schedule(ms, () => reject(ackTimeout()));
+          this.emit(event, ...args, (reply) => {
+            this.transport.clock.cancel(timer);
+            resolve(reply);
+          });
+        }),
+    };
+  }
+
+  /**
+   * Closes the connection from this end.
+   * @param {boolean} [close] - Accepted for compatibility with server sockets.
+   * @returns {InProcessSocket} The socket.
+   */
+  disconnect() {
+    this.transport.close(this, this.isClient ? "io client disconnect" : "io server disconnect");
+    return this;
+  }
+}
+
+/**
+ * @class InProcessClientSocket
+ * @description The connecting end of a connection. It keeps trying to connect until it succeeds, and reconnects
+ * after a lost connection, waiting `reconnectionDelay` doubled on each attempt up to `reconnectionDelayMax`, until
+ * either end closes it on purpose.
+ */
+class InProcessClientSocket extends InProcessSocket {
+  /**
+   * @param {InProcessTransport} transport - The transport carrying the connection.
+   * @param {string} name - Name of the connecting node.
+   * @param {string} url - URL of the node to connect to.
+   * @param {Object} options - Socket.IO client options: `reconnectionDelay` and `reconnectionDelayMax`.
+   */
+  constructor(transport, name, url, { reconnectionDelay = 1000, reconnectionDelayMax = 5000 } = {}) {
+    super(transport, name);
+    this.isClient = true;
+    this.url = url;
+    this.reconnectionDelay = reconnectionDelay;
+    this.reconnectionDelayMax = reconnectionDelayMax;
+    this.attempts = 0;
+    this.active = true; // False once closed on purpose
+    this.timer = null;
+  }
+
+  /**
+   * Tries to connect, and schedules the next attempt if the target cannot be reached.
+   */
+  open() {
+    this.timer = null;
+    if (!this.active || this.connected) {
+      return;
+    }
+    this.transport.connect(this).catch(() => this.retry());
+  }
+
+  /**
+   * Schedules a connection attempt with backoff.
+   */
+  retry() {
+    if (!this.active || this.timer) {
+      return;
+    }
+    const delay = Math.min(this.reconnectionDelay * 2 ** this.attempts, this.reconnectionDelayMax);
+    this.attempts++;
+    this.timer = this.transport.clock.schedule(delay, () => this.open());
+  }
+
+  disconnect() {
+    this.active = false;
+    this.transport.clock.cancel(this.timer);
+    this.timer = null;
+    return super.disconnect();
+  }
+}
+
+/**
+ * @class InProcessTransport
+ * @description The traffic between the nodes of a NetworkSimulator.
+ */
+class InProcessTransport {
+  /**
+   * @param {NetworkSimulator} network - The network, which knows the nodes, their URLs and the links between them.
+   */
+  constructor(network) {
+    this.network = network;
+    this.sockets = new Set(); // Every connected socket end
+    this.clients = new Set(); // Every client socket not closed on purpose
+    this.inFlight = 0; // Requests and messages on their way, or being handled
+    this.held = null; // Deliveries waiting for resume(), while paused
+  }
+
+  /**
+   * Returns the clock the traffic is scheduled on.
+   * @returns {VirtualClock} The network's clock.
+   */
+  get clock() {
+    return this.network.clock;
+  }
+
+  /**
+   * Delivers a message after the latency of the link between two nodes, unless the link is down at either end of
+   * the trip.
+   * @param {string} from - Name of the sending node.
+   * @param {string} to - Name of the receiving node.
+   * @param {Function} deliver - Called on arrival; may return a promise, which counts as traffic until it settles.
+   * @returns {Promise<boolean>} Whether the message arrived.
+   */
+  send(from, to, deliver) {
+    const latency = this.network.getLatency(from, to);
+    if (latency === null) {
+      return Promise.resolve(false);
+    }
+    this.inFlight++;
+    return new Promise((resolve) => {
+      const arrive = () =>
+        this.clock.schedule(latency, async () => {
+          try {
+            if (this.network.getLatency(from, to) === null) {
+              return resolve(false);
+            }
+            await deliver();
+            resolve(true);
+          } catch (error) {
+            resolve(false);
+          } finally {
+            this.inFlight--;
+          }
+        });
+      if (this.held) {
+        this.held.push(arrive);
+      } else {
+        arrive();
+      }
+    });
+  }
+
+  /**
+   * Holds every message sent from now on until resume() is called.
+   */
+  pause() {
+    this.held = this.held || [];
+  }
+
+  /**
+   * Sends the messages held since pause(), each with its link's latency from now on.
+   */
+  resume() {
+    const held = this.held || [];
+    this.held = null;
+    held.forEach((arrive) => arrive());
+  }
+
+  /**
+   * Builds the fetch function of a node.
+   * @param {string} name - The node's name.
+   * @returns {Function} A fetch taking `method`, `headers`, `body` and `signal` options.
+   */
+  createFetch(name) {
+    return async (url, { method = "GET", headers = {}, body, signal } = {}) => {
+      const { origin, pathname, search } = new URL(url);
+      const target = this.network.findNode(origin);
+      if (!target || this.network.getLatency(name, target.name) === null) {
+        throw connectionRefused(url);
+      }
+
+      let answer = null;
+      const trip = this.send(name, target.name, async () => {
+        const response = await target.handle({ method, path: `${pathname}${search}`, headers, body });
+        await this.send(target.name, name, () => {
+          answer = response;
+        });
+      });
+      await abortable(trip, signal);
+      if (!answer) {
+        throw connectionRefused(url);
+      }
+      const { status, body: text } = answer;
+      return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: http.STATUS_CODES[status] || "",
+        json: async () => JSON.parse(text),
+        text: async () => text,
+      };
+    };
+  }
+
+  /**
+   * Builds the Socket.IO client module of a node.
+   * @param {string} name - The node's name.
+   * @returns {{io: Function}} A module whose `io(uri, options)` opens a connection to another node's namespace.
+   */
+  createSocketClient(name) {
+    return {
+      io: (uri, options) => {
+        const { origin } = new URL(uri);
+        const socket = new InProcessClientSocket(this, name, origin, options);
+        this.clients.add(socket);
+        this.clock.schedule(0, () => socket.open());
+        return socket;
+      },
+    };
+  }
+
+  /**
+   * Builds the Socket.IO server of a node, on which it accepts connections in.
+   * @returns {Object} A server whose `of("/peers").on("connection", handler)` registers the connection handler.
+   */
+  createSocketServer() {
+    const handlers = [];
+    return {
+      handlers,
+      of: () => ({
+        on: (event, handler) => {
+          if (event === "connection") {
+            handlers.push(handler);
+          }
+        },
+      }),
+    };
+  }
+
+  /**
+   * Connects a client socket to its target node.
+   * @param {InProcessClientSocket} client - The client socket.
+   * @returns {Promise} Resolves once connected.
+   * @throws {Error} If the target cannot be reached.
+   */
+  async connect(client) {
+    const target = this.network.findNode(client.url);
+    if (!target || this.network.getLatency(client.name, target.name) === null) {
+      throw connectionRefused(client.url);
+    }
+    const server = new InProcessSocket(this, target.name);
+    const arrived = await this.send(client.name, target.name, () => {
+      server.peer = client;
+      server.connected = true;
+      this.sockets.add(server);
+      target.io.handlers.forEach((handler) => handler(server));
+    });
+    const answered = arrived && (await this.send(target.name, client.name, () => {}));
+    if (!answered || !server.connected || !client.active) {
+      this.close(server, "transport close");
+      throw connectionRefused(client.url);
+    }
+    client.peer = server;
+    client.connected = true;
+    client.attempts = 0;
+    this.sockets.add(client);
+    client.fire("connect");
+  }
+
+  /**
+   * Closes a connection at both ends, firing their disconnect events. A client socket reconnects afterwards unless
+   * it was closed on purpose.
+   * @param {InProcessSocket} socket - Either end.
+   * @param {string} reason - Why it closed, as reported by the end it was closed from.
+   */
+  close(socket, reason) {
+    const ends = [socket, socket.peer].filter(Boolean);
+    ends.forEach((end) => {
+      const wasConnected = end.connected;
+      end.connected = false;
+      end.peer = null;
+      this.sockets.delete(end);
+      if (end.isClient && reason === "io server disconnect") {
+        end.active = false;
+      }
+      if (wasConnected) {
+        end.fire("disconnect", reason);
+      }
+      if (end.isClient) {
+        if (end.active) {
+          end.retry();
+        } else {
+          this.clients.delete(end);
+        }
+      }
+    });
+  }
+
+  /**
+   * Closes every connection whose link is down, e.g. after the network was partitioned.
+   */
+  dropBrokenConnections() {
+    [...this.sockets]
+      .filter((socket) => socket.isClient && this.network.getLatency(socket.name, socket.peer.name) === null)
+      .forEach((socket) => this.close(socket, "transport close"));
+  }
+
+  /**
+   * Retries right away every client socket waiting to reconnect whose link is up again, e.g. after the network was
+   * healed.
+   */
+  reconnect() {
+    [...this.clients]
+      .filter((client) => client.timer && this.isReachable(client))
+      .forEach((client) => {
+        this.clock.cancel(client.timer);
+        client.attempts = 0;
+        client.open();
+      });
+  }
+
+  /**
+   * Tells whether traffic is on its way or a client socket is about to reconnect over a link that is up.
+   * @returns {boolean} True if the network is busy.
+   */
+  isBusy() {
+    return (
+      this.inFlight > 0 ||
+      Boolean(this.held && this.held.length > 0) ||
+      [...this.clients].some((client) => !client.connected && this.isReachable(client))
+    );
+  }
+
+  /**
+   * Tells whether the node a client socket connects to can be reached from the client's node.
+   * @param {InProcessClientSocket} client - The client socket.
+   * @returns {boolean} True if the target exists and the link to it is up.
+   */
+  isReachable(client) {
+    const target = this.network.findNode(client.url);
+    return Boolean(target) && this.network.getLatency(client.name, target.name) !== null;
+  }
+
+  /**
+   * Closes every connection and stops every reconnection attempt.
+   */
+  stop() {
+    [...this.clients].forEach((client) => client.disconnect());
+    [...this.sockets].forEach((socket) => this.close(socket, "transport close"));
+  }
+}
+
+/**
+ * Hands a request to an Express app and collects its answer.
+ * @param {Function} app - The Express app.
+ * @param {Object} request - The request.
+ * @param {string} request.method - The HTTP method.
+ * @param {string} request.path - The path, with its query string.
+ * @param {Object} [request.headers] - The request headers.
+ * @param {string} [request.body] - The request body.
+ * @returns {Promise<{status: number, body: string}>} The answer.
+ */
+function dispatch(app, { method, path, headers = {}, body }) {
+  return new Promise((resolve) => {
+    const req = new http.IncomingMessage(new net.Socket());
+    req.method = method;
+    req.url = path;
+    req.headers = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+    if (body !== undefined) {
+      req.headers["content-length"] = String(Buffer.byteLength(body));
+      req.push(body);
+    }
+    req.push(null);
+
+    const res = new http.ServerResponse(req);
+    const chunks = [];
+    res.write = (chunk) => {
+      if (chunk) {
+        chunks.push(Buffer.from(chunk));
+      }
+      return true;
+    };
+    res.end = (chunk) => {
+      if (chunk && typeof chunk !== "function") {
+        chunks.push(Buffer.from(chunk));
+      }
+      resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString("utf8") });
+      return res;
+    };
+    app(req, res);
+  });
+}
+
+module.exports = InProcessTransport;
+module.exports.dispatch = dispatch;
@@ -0,0 +1,870 @@
+/**
+ * @file MemoryStore.js
+ * @description An in-memory stand-in for MongoDB, so that the real models and services can run without a database:
+ * many simulated nodes in one process, or tests. The store poses as a connected MongoClient and is handed to a
+ * Mongoose connection with `setClient`, so Mongoose casts, validates and hydrates documents as usual and only the
+ * driver calls end up here.
+ *
+ * Only the part of the query language the backend uses is supported: filters with $and, $or, $nor and the field
+ * operators $eq, $ne, $in, $nin, $lt, $lte, $gt, $gte and $exists; updates with $set, $unset, $inc, $setOnInsert
+ * and $push, optionally as upserts; unique indexes; and aggregation pipelines of $match, $group, $sort, $skip,
+ * $limit and $project stages. TTL indexes are accepted but never expire documents.
+ */
+
+const path = require("path");
+const mongoose = require("mongoose");
+
+// The driver Mongoose itself uses, so that the store passes its `instanceof MongoClient` check
+const { MongoClient } = require(require.resolve("mongodb", { paths: [path.dirname(require.resolve("mongoose"))] }));
+
+/**
+ * Copies a value, so that stored documents never share objects with their callers. ObjectIds are immutable and
+ * kept as they are.
+ * @param {*} value - The value.
+ * @returns {*} The copy.
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+  if (value && typeof value === "object" && !value._bsontype) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+}
+
+/**
+ * Turns a value into one that compares with === and < like MongoDB compares it: ObjectIds by their hex string and
+ * dates by their time.
+ * @param {*} value - The value.
+ * @returns {*} The comparable value.
+ */
+function comparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value && value._bsontype === "ObjectId") {
+    return value.toHexString();
+  }
+  return value;
+}
+
+/**
+ * Checks whether two values are equal the way a filter compares them.
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ * @returns {boolean} True if they are equal.
+ */
+function equals(a, b) {
+  if (a === undefined || a === null) {
+    return b === undefined || b === null;
+  }
+  if (Array.isArray(a) || Array.isArray(b) || (typeof a === "object" && !(a instanceof Date) && !a._bsontype)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return comparable(a) === comparable(b);
+}
+
+/**
+ * Orders two values for sorting: missing values first, then numbers, strings and anything else by <.
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ * @returns {number} Negative, zero or positive.
+ */
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) {
+    return 0;
+  }
+  if (left === undefined || left === null) {
+    return -1;
+  }
+  if (right === undefined || right === null) {
+    return 1;
+  }
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Reads a field of a document, following dotted paths.
+ * @param {Object} document - The document.
+ * @param {string} field - The field name or dotted path.
+ * @returns {*} The value, or undefined if it is missing.
+ */
+function getField(document, field) {
+  return field.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), document);
+}
+
+/**
+ * Writes a field of a document, creating the objects along a dotted path.
+ * @param {Object} document - The document, changed in place.
+ * @param {string} field - The field name or dotted path.
+ * @param {*} value - The value; undefined removes the field.
+ */
+function setField(document, field, value) {
+  const keys = field.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== "object") {
+      object[key] = {};
+    }
+    return object[key];
+  }, document);
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = value;
+  }
+}
+
+// Field operators, each given the field's value and the operand; array fields match if any element does
+const OPERATORS = {
+  $eq: (value, operand) => matchesValue(value, operand),
+  $ne: (value, operand) => !matchesValue(value, operand),
+  $in: (value, operand) => operand.some((candidate) => matchesValue(value, candidate)),
+  $nin: (value, operand) => !operand.some((candidate) => matchesValue(value, candidate)),
+  $lt: (value, operand) => someValue(value, (item) => item !== undefined && item !== null && compare(item, operand) < 0),
+  $lte: (value, operand) => someValue(value, (item) => item !== undefined && item !== null && compare(item, operand) <= 0),
+  $gt: (value, operand) => someValue(value, (item) => item !== undefined && item !== null && compare(item, operand) > 0),
+  $gte: (value, operand) => someValue(value, (item) => item !== undefined && item !== null && compare(item, operand) >= 0),
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+};
+
+/**
+ * Checks a condition against a value, or against each element if the value is an array.
+ * @param {*} value - The value.
+ * @param {Function} test - The condition.
+ * @returns {boolean} True if the value or one of its elements passes.
+ */
+function someValue(value, test) {
+  return Array.isArray(value) ? value.some(test) : test(value);
+}
+
+/**
+ * Checks whether a field's value equals an operand, or contains it if the field is an array.
+ * @param {*} value - The field's value.
+ * @param {*} operand - The value to match.
+ * @returns {boolean} True if it matches.
+ */
+function matchesValue(value, operand) {
+  if (Array.isArray(value) && !Array.isArray(operand)) {
+    return value.some((item) => equals(item, operand));
+  }
+  return equals(value, operand);
+}
+
+/**
+ * Checks whether a condition is an object of field operators rather than a value to equal.
+ * @param {*} condition - The condition.
+ * @returns {boolean} True if it is an operator object.
+ */
+function isOperatorObject(condition) {
+  return (
+    condition !== null &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    !(condition instanceof Date) &&
+    !condition._bsontype &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every((key) => key.startsWith("$"))
+  );
+}
+
+/**
+ * Checks whether a document matches a filter.
+ * @param {Object} document - The document.
+ * @param {Object} [filter={}] - The filter.
+ * @returns {boolean} True if every condition holds.
+ * @throws {Error} If the filter uses an operator the store does not support.
+ */
+function matches(document, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === "$and") {
+      return condition.every((part) => matches(document, part));
+    }
+    if (field === "$or") {
+      return condition.some((part) => matches(document, part));
+    }
+    if (field === "$nor") {
+      return !condition.some((part) => matches(document, part));
+    }
+    const value = getField(document, field);
+    if (!isOperatorObject(condition)) {
+      return matchesValue(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`Unsupported query operator ${operator}.`);
+      }
+      return OPERATORS[operator](value, operand);
+    });
+  });
+}
+
+/**
+ * Sorts documents in place.
+ * @param {Object[]} documents - The documents.
+ * @param {Object|Array} [sort] - The sort order, as `{ field: 1 | -1 }` or `[[field, 1 | -1]]`.
+ * @returns {Object[]} The documents.
+ */
+function sortDocuments(documents, sort) {
+  if (!sort) {
+    return documents;
+  }
+  const keys = (Array.isArray(sort) ? sort : Object.entries(sort)).map(([field, direction]) => [
+    field,
+    direction === -1 || direction === "desc" || direction === "descending" ? -1 : 1,
+  ]);
+  return documents.sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const order = compare(getField(a, field), getField(b, field));
+      if (order !== 0) {
+        return order * direction;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keeps or leaves out fields of a document, following a top-level projection.
+ * @param {Object} document - The document.
+ * @param {Object} [projection] - The projection, as `{ field: 1 }` to keep fields or `{ field: 0 }` to leave them
+ * out.
+ * @returns {Object} The projected copy.
+ */
+function project(document, projection) {
+  const fields = Object.entries(projection || {});
+  if (fields.length === 0) {
+    return clone(document);
+  }
+  const including = fields.some(([field, keep]) => field !== "_id" && keep);
+  if (!including) {
+    const copy = clone(document);
+    fields.forEach(([field]) => setField(copy, field, undefined));
+    return copy;
+  }
+  const copy = {};
+  if (!fields.some(([field, keep]) => field === "_id" && !keep)) {
+    copy._id = clone(document._id);
+  }
+  fields
+    .filter(([field, keep]) => field !== "_id" && keep)
+    .forEach(([field]) => {
+      const value = getField(document, field);
+      if (value !== undefined) {
+        setField(copy, field, clone(value));
+      }
+    });
+  return copy;
+}
+
+/**
+ * Applies an update to a document.
+ * @param {Object} document - The document, changed in place.
+ * @param {Object} update - The update operators.
+ * @param {boolean} [inserting=false] - Whether the document is being inserted by an upsert, which applies
+ * $setOnInsert.
+ * @throws {Error} If the update uses an operator the store does not support.
+ */
+function applyUpdate(document, update, inserting = false) {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields || {}).forEach(([field, operand]) => {
+      switch (operator) {
+        case "$set":
+          setField(document, field, clone(operand));
+          break;
+        case "$setOnInsert":
+          if (inserting) {
+            setField(document, field, clone(operand));
+          }
+          break;
+        case "$unset":
+          setField(document, field, undefined);
+          break;
+        case "$inc":
+          setField(document, field, (getField(document, field) || 0) + operand);
+          break;
+        case "$push": {
+          const items = operand && operand.$each ? operand.$each : [operand];
+          setField(document, field, [...(getField(document, field) || []), ...clone(items)]);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${operator}.`);
+      }
+    });
+  });
+}
+
+/**
+ * Evaluates an aggregation expression against a document.
+ * @param {*} expression - The expression: a "$field" reference, a literal, or one of $cond, $or, $and, $eq,
+ * $ifNull and $add.
+ * @param {Object} document - The document.
+ * @returns {*} The value.
+ * @throws {Error} If the expression uses an operator the store does not support.
+ */
+function evaluate(expression, document) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getField(document, expression.slice(1));
+  }
+  if (!isOperatorObject(expression)) {
+    return expression;
+  }
+  const [[operator, operand]] = Object.entries(expression);
+  const args = Array.isArray(operand) ? operand.map((part) => evaluate(part, document)) : null;
+  switch (operator) {
+    case "$cond": {
+      const [condition, then, otherwise] = Array.isArray(operand)
+        ? operand
+        : [operand.if, operand.then, operand.else];
+      return evaluate(condition, document) ? evaluate(then, document) : evaluate(otherwise, document);
+    }
+    case "$or":
+      return args.some(Boolean);
+    case "$and":
+      return args.every(Boolean);
+    case "$eq":
+      return equals(args[0], args[1]);
+    case "$ifNull":
+      return args[0] === undefined || args[0] === null ? args[1] : args[0];
+    case "$add":
+      return args.reduce((sum, value) => sum + (value || 0), 0);
+    default:
+      throw new Error(`Unsupported aggregation operator ${operator}.`);
+  }
+}
+
+/**
+ * Runs a $group stage.
+ * @param {Object[]} documents - The input documents.
+ * @param {Object} stage - The stage: the `_id` expression and an accumulator ($sum, $min, $max, $first, $last or
+ * $push) per output field.
+ * @returns {Object[]} One document per group.
+ * @throws {Error} If an accumulator is not supported.
+ */
+function group(documents, { _id: key, ...fields }) {
+  const groups = new Map();
+  documents.forEach((document) => {
+    const id = evaluate(key, document);
+    const groupKey = JSON.stringify(comparable(id));
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { _id: id, documents: [] });
+    }
+    groups.get(groupKey).documents.push(document);
+  });
+
+  return [...groups.values()].map(({ _id, documents: members }) => {
+    const output = { _id };
+    Object.entries(fields).forEach(([field, accumulator]) => {
+      const [[operator, expression]] = Object.entries(accumulator);
+      const values = members.map((document) => evaluate(expression, document));
+      switch (operator) {
+        case "$sum":
+          output[field] = values.reduce((sum, value) => sum + (typeof value === "number" ? value : 0), 0);
+          break;
+        case "$min":
+          output[field] = values.reduce((min, value) => (min === undefined || compare(value, min) < 0 ? value : min), undefined);
+          break;
+        case "$max":
+          output[field] = values.reduce((max, value) => (max === undefined || compare(value, max) > 0 ? value : max), undefined);
+          break;
+        case "$first":
+          output[field] = values[0];
+          break;
+        case "$last":
+          output[field] = values[values.length - 1];
+          break;
+        case "$push":
+          output[field] = values;
+          break;
+        default:
+          throw new Error(`Unsupported accumulator ${operator}.`);
+      }
+    });
+    return output;
+  });
+}
+
+/**
+ * Builds the error MongoDB reports for a duplicate key.
+ * @param {string} collection - The collection name.
+ * @param {Object} keyValue - The duplicate key.
+ * @returns {Error} The error, with code 11000.
+ */
+function duplicateKeyError(collection, keyValue) {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} dup key: ${JSON.stringify(keyValue)}`);
+  error.name = "MongoServerError";
+  error.code = 11000;
+  error.keyValue = keyValue;
+  return error;
+}
+
+/**
+ * @class MemoryCursor
+ * @description The result of a find or aggregate, computed when it is first read.
+ */
+class MemoryCursor {
+  /**
+   * @param {Function} load - Returns the result documents.
+   */
+  constructor(load) {
+    this.load = load;
+    this.documents = null;
+  }
+
+  /**
+   * Returns every remaining document.
+   * @returns {Promise<Object[]>} The documents.
+   */
+  async toArray() {
+    const documents = this.read();
+    this.documents = [];
+    return documents;
+  }
+
+  /**
+   * Returns the next document.
+   * @returns {Promise<Object|null>} The document, or null once the cursor is exhausted.
+   */
+  async next() {
+    return this.read().shift() || null;
+  }
+
+  /**
+   * Tells whether documents remain.
+   * @returns {Promise<boolean>} True if next() would return a document.
+   */
+  async hasNext() {
+    return this.read().length > 0;
+  }
+
+  /**
+   * Closes the cursor; nothing needs releasing.
+   */
+  async close() {}
+
+  /**
+   * Computes the result on first use.
+   * @returns {Object[]} The documents not read yet.
+   */
+  read() {
+    if (!this.documents) {
+      this.documents = this.load();
+    }
+    return this.documents;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let document;
+    while ((document = await this.next())) {
+      yield document;
+    }
+  }
+}
+
+/**
+ * @class MemoryCollection
+ * @description One collection, offering the methods of the MongoDB driver's Collection that Mongoose calls.
+ */
+class MemoryCollection {
+  /**
+   * @param {string} name - The collection name.
+   */
+  constructor(name) {
+    this.collectionName = name;
+    this.documents = [];
+    this.indexes = [{ name: "_id_", key: { _id: 1 }, unique: true }];
+  }
+
+  /**
+   * Returns the documents matching a filter, sorted, skipped, limited and projected as asked.
+   * @param {Object} [filter] - The filter.
+   * @param {Object} [options] - `sort`, `skip`, `limit` and `projection`.
+   * @returns {Object[]} Copies of the documents.
+   */
+  query(filter, { sort, skip, limit, projection } = {}) {
+    let found = sortDocuments(this.documents.filter((document) => matches(document, filter)), sort);
+    if (skip) {
+      found = found.slice(skip);
+    }
+    if (limit) {
+      found = found.slice(0, Math.abs(limit));
+    }
+    return found.map((document) => project(document, projection));
+  }
+
+  /**
+   * Ensures a document would not duplicate a unique index.
+   * @param {Object} document - The document to store.
+   * @param {Object} [replacing] - The stored document it replaces, if any.
+   * @throws {Error} With code 11000 if another document has the same key.
+   */
+  assertUnique(document, replacing) {
+    this.indexes
+      .filter((index) => index.unique)
+      .forEach(({ key }) => {
+        const fields = Object.keys(key);
+        const keyValue = Object.fromEntries(fields.map((field) => [field, getField(document, field)]));
+        const duplicate = this.documents.some(
+          (stored) =>
+            stored !== replacing && fields.every((field) => equals(getField(stored, field), keyValue[field]))
+        );
+        if (duplicate) {
+          throw duplicateKeyError(this.collectionName, keyValue);
+        }
+      });
+  }
+
+  /**
+   * Stores a new document, giving it an ObjectId if it has no _id.
+   * @param {Object} document - The document.
+   * @returns {Object} The stored document.
+   * @throws {Error} With code 11000 if it duplicates a unique index.
+   */
+  insert(document) {
+    const stored = clone(document);
+    if (stored._id === undefined) {
+      stored._id = new mongoose.Types.ObjectId();
+    }
+    this.assertUnique(stored);
+    this.documents.push(stored);
+    return stored;
+  }
+
+  /**
+   * Updates the documents matching a filter, or inserts one if none matches and `upsert` is set.
+   * @param {Object} filter - The filter.
+   * @param {Object} update - The update operators, or a replacement document.
+   * @param {Object} options - `upsert`, and `multi` to update every match instead of the first.
+   * @returns {Object} The counts, the upserted id and the documents before and after the update.
+   * @throws {Error} With code 11000 if the update duplicates a unique index.
+   */
+  update(filter, update, { upsert = false, multi = false } = {}) {
+    const replacing = !Object.keys(update).some((key) => key.startsWith("$"));
+    const targets = this.documents.filter((document) => matches(document, filter));
+    const selected = multi ? targets : targets.slice(0, 1);
+    const result = { matchedCount: selected.length, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+
+    selected.forEach((document) => {
+      const updated = replacing ? { _id: document._id, ...clone(update) } : clone(document);
+      if (!replacing) {
+        applyUpdate(updated, update);
+      }
+      this.assertUnique(updated, document);
+      if (JSON.stringify(updated) !== JSON.stringify(document)) {
+        result.modifiedCount++;
+      }
+      result.before = clone(document);
+      Object.keys(document).forEach((key) => delete document[key]);
+      Object.assign(document, updated);
+      result.after = clone(document);
+    });
+
+    if (selected.length === 0 && upsert) {
+      const document = {};
+      Object.entries(filter).forEach(([field, condition]) => {
+        if (!field.startsWith("$") && !isOperatorObject(condition)) {
+          setField(document, field, clone(condition));
+        }
+      });
+      if (replacing) {
+        Object.assign(document, clone(update));
+      } else {
+        applyUpdate(document, update, true);
+      }
+      const stored = this.insert(document);
+      result.upsertedCount = 1;
+      result.upsertedId = stored._id;
+      result.after = clone(stored);
+    }
+    return result;
+  }
+
+  /**
+   * Removes the documents matching a filter.
+   * @param {Object} filter - The filter.
+   * @param {boolean} [multi=true] - Whether to remove every match or only the first.
+   * @returns {Object[]} The removed documents.
+   */
+  remove(filter, multi = true) {
+    const targets = this.documents.filter((document) => matches(document, filter));
+    const removed = multi ? targets : targets.slice(0, 1);
+    this.documents = this.documents.filter((document) => !removed.includes(document));
+    return removed;
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => this.query(filter, options));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.query(filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  async countDocuments(filter = {}, options = {}) {
+    return this.query(filter, options).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    this.documents
+      .filter((document) => matches(document, filter))
+      .forEach((document) => {
+        const value = getField(document, field);
+        (Array.isArray(value) ? value : [value]).forEach((item) => {
+          if (item !== undefined && !values.some((known) => equals(known, item))) {
+            values.push(clone(item));
+          }
+        });
+      });
+    return values;
+  }
+
+  async insertOne(document) {
+    const stored = this.insert(document);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(documents, { ordered = true } = {}) {
+    const insertedIds = {};
+    const errors = [];
+    documents.forEach((document, position) => {
+      if (ordered && errors.length > 0) {
+        return;
+      }
+      try {
+        insertedIds[position] = this.insert(document)._id;
+      } catch (error) {
+        errors.push(error);
+      }
+    });
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+    return { acknowledged: true, insertedCount: documents.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { before, after, ...result } = this.update(filter, update, { ...options, multi: false });
+    return { acknowledged: true, ...result };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { before, after, ...result } = this.update(filter, update, { ...options, multi: true });
+    return { acknowledged: true, ...result };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const sorted = options.sort ? this.query(filter, { sort: options.sort, limit: 1 })[0] : null;
+    const { before, after, upsertedId } = this.update(sorted ? { _id: sorted._id } : filter, update, {
+      upsert: options.upsert,
+    });
+    const value = options.returnDocument === "after" || options.new ? after : before;
+    const document = value ? project(value, options.projection) : null;
+    return options.includeResultMetadata
+      ? { value: document, ok: 1, lastErrorObject: { n: before || after ? 1 : 0, upserted: upsertedId } }
+      : document;
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [removed] = this.remove(options.sort ? { _id: (this.query(filter, options)[0] || {})._id } : filter, false);
+    const document = removed ? project(removed, options.projection) : null;
+    return options.includeResultMetadata ? { value: document, ok: 1 } : document;
+  }
+
+  async deleteOne(filter = {}) {
+    return { acknowledged: true, deletedCount: this.remove(filter, false).length };
+  }
+
+  async deleteMany(filter = {}) {
+    return { acknowledged: true, deletedCount: this.remove(filter).length };
+  }
+
+  async bulkWrite(operations, { ordered = true } = {}) {
+    const result = {
+      ok: 1,
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+      insertedIds: {},
+      upsertedIds: {},
+    };
+    for (const [position, operation] of operations.entries()) {
+      const [[type, spec]] = Object.entries(operation);
+      try {
+        if (type === "insertOne") {
+          result.insertedIds[position] = this.insert(spec.document)._id;
+          result.insertedCount++;
+        } else if (["updateOne", "updateMany", "replaceOne"].includes(type)) {
+          const { matchedCount, modifiedCount, upsertedCount, upsertedId } = this.update(
+            spec.filter,
+            type === "replaceOne" ? spec.replacement : spec.update,
+            { upsert: spec.upsert, multi: type === "updateMany" }
+          );
+          result.matchedCount += matchedCount;
+          result.modifiedCount += modifiedCount;
+          result.upsertedCount += upsertedCount;
+          if (upsertedId) {
+            result.upsertedIds[position] = upsertedId;
+          }
+        } else if (type === "deleteOne" || type === "deleteMany") {
+          result.deletedCount += this.remove(spec.filter, type === "deleteMany").length;
+        } else {
+          throw new Error(`Unsupported bulk operation ${type}.`);
+        }
+      } catch (error) {
+        if (ordered) {
+          throw error;
+        }
+      }
+    }
+    return result;
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() =>
+      pipeline.reduce((documents, stage) => {
+        const [[operator, spec]] = Object.entries(stage);
+        switch (operator) {
+          case "$match":
+            return documents.filter((document) => matches(document, spec));
+          case "$group":
+            return group(documents, spec);
+          case "$sort":
+            return sortDocuments(documents, spec);
+          case "$skip":
+            return documents.slice(spec);
+          case "$limit":
+            return documents.slice(0, spec);
+          case "$project":
+            return documents.map((document) => project(document, spec));
+          default:
+            throw new Error(`Unsupported aggregation stage ${operator}.`);
+        }
+      }, this.documents.map(clone))
+    );
+  }
+
+  async createIndex(key, options = {}) {
+    const fields = typeof key === "string" ? { [key]: 1 } : key;
+    const name = options.name || Object.entries(fields).map(([field, direction]) => `${field}_${direction}`).join("_");
+    if (!this.indexes.some((index) => index.name === name)) {
+      this.indexes.push({ name, key: fields, unique: Boolean(options.unique) });
+    }
+    return name;
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(specs.map(({ key, ...options }) => this.createIndex(key, options)));
+  }
+
+  listIndexes() {
+    return new MemoryCursor(() => this.indexes.map(clone));
+  }
+
+  async indexes() {
+    return this.indexes.map(clone);
+  }
+
+  async dropIndex(name) {
+    this.indexes = this.indexes.filter((index) => index.name !== name);
+  }
+
+  async drop() {
+    this.documents = [];
+    return true;
+  }
+}
+
+/**
+ * @class MemoryStore
+ * @description The database of one node: its collections, and the MongoClient it poses as.
+ *
+ * @example
+ * const store = MemoryStore.connect(mongoose.connection);
+ * await Block.create({ ... }); // Stored in store.collection("blocks")
+ */
+class MemoryStore {
+  /**
+   * @param {string} [name="memory"] - The database name.
+   */
+  constructor(name = "memory") {
+    this.name = name;
+    this.collections = new Map();
+  }
+
+  /**
+   * Creates a store and makes a Mongoose connection use it.
+   * @param {Connection} connection - A Mongoose connection that is not connected yet, e.g. `mongoose.connection`.
+   * @param {string} [name] - The database name.
+   * @returns {MemoryStore} The store.
+   */
+  static connect(connection, name) {
+    const store = new MemoryStore(name);
+    connection.setClient(store.createClient());
+    return store;
+  }
+
+  /**
+   * Returns a collection, creating it on first use.
+   * @param {string} name - The collection name.
+   * @returns {MemoryCollection} The collection.
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Builds the object Mongoose sees as its connected MongoClient and database.
+   * @returns {MongoClient} The client.
+   */
+  createClient() {
+    const db = {
+      databaseName: this.name,
+      collection: (name) => this.collection(name),
+      createCollection: async (name) => this.collection(name),
+      dropCollection: async (name) => this.collections.delete(name),
+      dropDatabase: async () => {
+        this.collections.clear();
+        return true;
+      },
+      listCollections: () => new MemoryCursor(() => [...this.collections.keys()].map((name) => ({ name }))),
+    };
+    return Object.assign(Object.create(MongoClient.prototype), {
+      topology: { description: { type: "Memory" } },
+      s: { url: `memory://${this.name}`, options: { dbName: this.name, hosts: [] } },
+      db: () => db,
+      on: () => {},
+      close: async () => {},
+    });
+  }
+}
+
+module.exports = MemoryStore;
+module.exports.MemoryCollection = MemoryCollection;
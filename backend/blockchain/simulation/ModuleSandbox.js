@@ -0,0 +1,146 @@
+/**
+ * @file ModuleSandbox.js
+ * @description Loads the node's modules once per simulated node, so that several nodes can run in one process.
+ * Everything a node keeps in module scope — the shared services, the chain update queue, the Mongoose models and
+ * the connection under them — lives in the modules under blockchain/, so those are loaded afresh in each sandbox,
+ * with the node's own environment variables and console. Other modules (packages and the stateless helpers under
+ * lib/ and middleware/) are shared with the host process, and any module can be replaced with `overrides`, e.g.
+ * to hand the node its own Mongoose instance. The sandboxed modules can also be handed their own globals for time
+ * (`Date`, the timer functions and `AbortSignal`), e.g. to run them on a VirtualClock.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const Module = require("module");
+
+const BACKEND_ROOT = path.join(__dirname, "../..");
+const SANDBOXED_ROOT = path.join(BACKEND_ROOT, "blockchain") + path.sep;
+
+// Globals a sandbox may replace for its modules; they are passed to the module wrapper like `require`
+const REPLACEABLE_GLOBALS = ["Date", "setTimeout", "clearTimeout", "setInterval", "clearInterval", "AbortSignal"];
+
+// Module wrappers compiled so far, by file name; every sandbox runs the same compiled code
+const compiled = new Map();
+
+/**
+ * @class ModuleSandbox
+ * @description One node's copy of the blockchain modules.
+ *
+ * @example
+ * const sandbox = new ModuleSandbox({ env: { NODE_URL: "http://a.sim" }, overrides: { mongoose: nodeMongoose } });
+ * const BlockchainService = sandbox.require("blockchain/services/BlockchainService");
+ */
+class ModuleSandbox {
+  /**
+   * @param {Object} [options] - Sandbox settings.
+   * @param {Object<string, string>} [options.env={}] - Environment variables of the node, on top of the host's.
+   * @param {Console} [options.console=console] - Console the node's modules log to.
+   * @param {Object<string, *>} [options.overrides={}] - Exports to use instead of loading a module, by package name
+   * or by path relative to the backend directory, e.g. "lib/fetch.js".
+   * @param {Object} [options.globals={}] - Globals the node's modules see instead of the host's, among `Date`,
+   * `setTimeout`, `clearTimeout`, `setInterval`, `clearInterval` and `AbortSignal`.
+   */
+  constructor({ env = {}, console: nodeConsole = console, overrides = {}, globals = {} } = {}) {
+    this.process = Object.create(process, { env: { value: { ...process.env, ...env }, enumerable: true } });
+    this.console = nodeConsole;
+    this.globals = REPLACEABLE_GLOBALS.map((name) => (name in globals ? globals[name] : globalThis[name]));
+    this.overrides = new Map(
+      Object.entries(overrides).map(([request, exports]) => [
+        request.startsWith(".") || request.includes("/") ? path.join(BACKEND_ROOT, request) : request,
+        exports,
+      ])
+    );
+    this.cache = new Map(); // File name -> module loaded in this sandbox
+  }
+
+  /**
+   * Loads a module in the sandbox.
+   * @param {string} request - The module, as a path relative to the backend directory.
+   * @returns {*} Its exports.
+   */
+  require(request) {
+    return this.load(request.startsWith(".") ? request : `./${request}`, path.join(BACKEND_ROOT, "index.js"));
+  }
+
+  /**
+   * Resolves and loads a module required from a sandboxed file.
+   * @param {string} request - The module, as given to require.
+   * @param {string} parent - File name of the requiring module.
+   * @returns {*} Its exports.
+   */
+  load(request, parent) {
+    if (this.overrides.has(request)) {
+      return this.overrides.get(request);
+    }
+    const filename = ModuleSandbox.resolve(request, parent);
+    if (this.overrides.has(filename)) {
+      return this.overrides.get(filename);
+    }
+    if (!filename.startsWith(SANDBOXED_ROOT) || !filename.endsWith(".js")) {
+      return require(filename);
+    }
+    if (this.cache.has(filename)) {
+      return this.cache.get(filename).exports;
+    }
+
+    const module = { id: filename, filename, exports: {}, loaded: false };
+    this.cache.set(filename, module);
+    const localRequire = (child) => this.load(child, filename);
+    localRequire.resolve = (child) => ModuleSandbox.resolve(child, filename);
+    try {
+      ModuleSandbox.compile(filename).call(
+        module.exports,
+        module.exports,
+        localRequire,
+        module,
+        filename,
+        path.dirname(filename),
+        this.process,
+        this.console,
+        ...this.globals
+      );
+    } catch (error) {
+      this.cache.delete(filename);
+      throw error;
+    }
+    module.loaded = true;
+    return module.exports;
+  }
+
+  /**
+   * Resolves a module the way require does from a given file.
+   * @param {string} request - The module, as given to require.
+   * @param {string} parent - File name of the requiring module.
+   * @returns {string} The module's file name, or its name if it is built in.
+   */
+  static resolve(request, parent) {
+    return Module._resolveFilename(request, {
+      id: parent,
+      filename: parent,
+      paths: Module._nodeModulePaths(path.dirname(parent)),
+    });
+  }
+
+  /**
+   * Compiles a module into a function of the CommonJS wrapper arguments, plus `process`, `console` and the
+   * replaceable globals, so that the sandbox can hand in its own.
+   * @param {string} filename - The module's file name.
+   * @returns {Function} The module wrapper.
+   */
+  static compile(filename) {
+    if (!compiled.has(filename)) {
+      compiled.set(
+        filename,
+        vm.compileFunction(
+          fs.readFileSync(filename, "utf8"),
+          ["exports", "require", "module", "__filename", "__dirname", "process", "console", ...REPLACEABLE_GLOBALS],
+          { filename }
+        )
+      );
+    }
+    return compiled.get(filename);
+  }
+}
+
+module.exports = ModuleSandbox;
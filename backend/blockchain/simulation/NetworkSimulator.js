@@ -0,0 +1,510 @@
+const assert = require("assert");
+const Wallet = require("../../lib/Wallet");
+const canonical = require("../../lib/canonical");
+const genesis = require("../config/genesis");
+const InProcessTransport = require("./InProcessTransport");
+const SimulatedNode = require("./SimulatedNode");
+const VirtualClock = require("./VirtualClock");
+
+// Account funded at genesis that pays for the transfers the simulator mines when a node's pool is empty
+const TREASURY = "treasury";
+
+// Event loop turns given to the nodes before the clock moves on, so that the work a task set off, such as a route
+// reading the store, is done before the next task runs
+const TURNS_PER_STEP = 5;
+
+/**
+ * Lets the host's event loop run for a number of turns.
+ * @param {number} turns - The number of turns.
+ */
+async function yieldTurns(turns) {
+  for (let turn = 0; turn < turns; turn++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+/**
+ * @class NetworkSimulator
+ * @description Runs a network of nodes in one process, without MongoDB or sockets, so that synchronization can be
+ * exercised without starting servers by hand. Each node runs the node's own code in a SimulatedNode, and the nodes
+ * reach each other through an InProcessTransport: links between nodes have a latency, and scripts can split the
+ * network into partitions, heal it, stage mining races and then check that every node ends up on the same tip.
+ * Scripts act on the nodes the way an operator would, through their HTTP routes: nodes are registered with each
+ * other with `bidirectional` registration, blocks are mined with the mining route and transfers submitted to the
+ * transaction route.
+ *
+ * The simulated network shares the chain id and reward schedule of the configured genesis, but starts from its own
+ * genesis block: accounts named in the options, and a treasury, are funded from deterministic keys, and the
+ * initial difficulty is low so that blocks are mined at once.
+ *
+ * Time is virtual (see VirtualClock): the nodes' clocks and timers and the links' latencies all run on the network's
+ * clock, which starts a day after the genesis block and only moves while the script waits on the network, in run(),
+ * settle() or any of the calls that act on the nodes. It then jumps from one scheduled event to the next, once the
+ * nodes are done with the previous one, so a script runs the same way whatever the machine's speed or load, and
+ * long latencies and timeouts cost no real time. Mining is the exception: the nonce search runs in real worker
+ * threads, and the clock stands still until it ends; mine() then counts each block as a millisecond of virtual time,
+ * so that blocks mined one after another, and their rewards, are not dated alike.
+ *
+ * @example
+ * const network = await NetworkSimulator.create({ nodes: ["a", "b", "c"], accounts: { alice: 1000, bob: 0 } });
+ * network.partition(["a"], ["b", "c"]);
+ * await network.mine("a");
+ * await network.mine("b");
+ * await network.mine("c");
+ * await network.heal();
+ * await network.settle();
+ * await network.assertConverged();
+ * network.stop();
+ */
+class NetworkSimulator {
+  /**
+   * @param {Object} [options] - Network settings.
+   * @param {Object<string, number>} [options.accounts={}] - Genesis allocations by account name.
+   * @param {number} [options.difficulty=1] - Difficulty of the genesis block, and so of blocks until a retarget.
+   * @param {number} [options.latency=20] - Default one-way link latency, in milliseconds.
+   * @param {Object<string, string>} [options.env={}] - Environment variables given to every node.
+   * @param {boolean} [options.verbose=false] - Whether to print what the nodes log.
+   */
+  constructor({ accounts = {}, difficulty = 1, latency = 20, env = {}, verbose = false } = {}) {
+    this.clock = new VirtualClock(genesis.timestamp + 24 * 60 * 60 * 1000);
+    this.wallets = new Map();
+    this.genesis = Object.freeze({
+      ...genesis,
+      file: "simulation",
+      difficulty,
+      allocations: Object.freeze(
+        Object.entries({ ...accounts, [TREASURY]: 1000000 })
+          .filter(([, amount]) => amount > 0)
+          .map(([name, amount]) => Object.freeze({ address: this.getWallet(name).publicKey, amount }))
+      ),
+    });
+    this.latency = latency;
+    this.env = env;
+    this.verbose = verbose;
+    this.transport = new InProcessTransport(this);
+    this.nodes = new Map();
+    this.links = new Map(); // "a|b" -> latency, for each linked pair
+    this.partitions = null; // node name -> partition number while the network is split
+  }
+
+  /**
+   * Creates a network whose nodes are all linked to each other.
+   * @param {Object} [options] - Network settings, as for the constructor.
+   * @param {string[]} [options.nodes=[]] - Nodes to create.
+   * @returns {Promise<NetworkSimulator>} The network, once its nodes have registered each other.
+   */
+  static async create({ nodes = [], ...options } = {}) {
+    const network = new NetworkSimulator(options);
+    for (const name of nodes) {
+      await network.addNode(name);
+    }
+    await network.connectAll();
+    return network;
+  }
+
+  /**
+   * Adds a node. It starts at the genesis block and is not linked to any other node.
+   * @param {string} name - The node's name.
+   * @param {Object} [options] - Node settings.
+   * @param {Object<string, string>} [options.env] - Environment variables of this node.
+   * @returns {Promise<SimulatedNode>} The node, once started.
+   */
+  async addNode(name, { env = {} } = {}) {
+    if (this.nodes.has(name)) {
+      throw new Error(`Node ${name} already exists.`);
+    }
+    const node = new SimulatedNode(name, {
+      transport: this.transport,
+      genesis: this.genesis,
+      env: { ...this.env, ...env },
+      verbose: this.verbose,
+    });
+    this.nodes.set(name, node);
+    return node.start();
+  }
+
+  /**
+   * Returns a node.
+   * @param {string} name - The node's name.
+   * @returns {SimulatedNode} The node.
+   * @throws {Error} If there is no such node.
+   */
+  getNode(name) {
+    const node = this.nodes.get(name);
+    if (!node) {
+      throw new Error(`Unknown node ${name}.`);
+    }
+    return node;
+  }
+
+  /**
+   * Returns the node serving a URL.
+   * @param {string} url - The node's URL.
+   * @returns {SimulatedNode|undefined} The node, if any.
+   */
+  findNode(url) {
+    return [...this.nodes.values()].find((node) => node.url === url);
+  }
+
+  /**
+   * Returns the wallet of an account, creating it from its name on first use.
+   * @param {string} name - The account name.
+   * @returns {Wallet} The wallet.
+   */
+  getWallet(name) {
+    if (!this.wallets.has(name)) {
+      this.wallets.set(name, new Wallet(canonical.hash(`simulation:${name}`)));
+    }
+    return this.wallets.get(name);
+  }
+
+  /**
+   * Returns the key identifying the link between two nodes, whichever way round they are given.
+   * @param {string} a - A node name.
+   * @param {string} b - Another node name.
+   * @returns {string} The link key.
+   */
+  static linkKey(a, b) {
+    return [a, b].sort().join("|");
+  }
+
+  /**
+   * Links two nodes, or changes the latency of their link. Nodes linked for the first time register each other.
+   * @param {string} a - A node name.
+   * @param {string} b - Another node name.
+   * @param {Object} [options] - Link settings.
+   * @param {number} [options.latency] - One-way latency in milliseconds. Defaults to the network's.
+   */
+  async connect(a, b, { latency = this.latency } = {}) {
+    const key = NetworkSimulator.linkKey(a, b);
+    const linked = this.links.has(key);
+    this.links.set(key, latency);
+    if (!linked) {
+      await this.drive(
+        this.getNode(a).request("POST", "/api/nodes/register", { nodeUrl: this.getNode(b).url, bidirectional: true })
+      );
+    }
+  }
+
+  /**
+   * Links every pair of nodes that is not linked yet.
+   * @param {Object} [options] - Link settings, as for connect().
+   */
+  async connectAll(options) {
+    const names = [...this.nodes.keys()];
+    for (const [position, a] of names.entries()) {
+      for (const b of names.slice(position + 1)) {
+        if (!this.links.has(NetworkSimulator.linkKey(a, b))) {
+          await this.connect(a, b, options);
+        }
+      }
+    }
+  }
+
+  /**
+   * Takes the link between two nodes down. Their connection closes and messages already on the way are lost; they
+   * stay registered with each other.
+   * @param {string} a - A node name.
+   * @param {string} b - Another node name.
+   */
+  disconnect(a, b) {
+    this.links.delete(NetworkSimulator.linkKey(a, b));
+    this.transport.dropBrokenConnections();
+  }
+
+  /**
+   * Returns the nodes linked to a node, whether or not a partition currently separates them.
+   * @param {string} name - The node's name.
+   * @returns {string[]} The peers' names.
+   */
+  getPeers(name) {
+    return [...this.nodes.keys()].filter(
+      (peer) => peer !== name && this.links.has(NetworkSimulator.linkKey(name, peer))
+    );
+  }
+
+  /**
+   * Splits the network: from now on, traffic only reaches nodes of the same group, connections between groups
+   * close and messages on the way to another group are lost. Nodes left out of every group form a group of their
+   * own.
+   * @param {...string[]} groups - The node names of each group.
+   */
+  partition(...groups) {
+    this.partitions = new Map();
+    groups.forEach((group, number) =>
+      group.forEach((name) => {
+        this.getNode(name);
+        this.partitions.set(name, number);
+      })
+    );
+    this.transport.dropBrokenConnections();
+  }
+
+  /**
+   * Ends a partition. The nodes reconnect, and each one is asked to synchronize with its peers, as an operator
+   * would after a network outage.
+   */
+  async heal() {
+    this.partitions = null;
+    this.transport.reconnect();
+    for (const [name, node] of this.nodes) {
+      for (const peer of this.getPeers(name)) {
+        const synchronizing = node.request("POST", "/api/nodes/synchronize", { nodeUrl: this.getNode(peer).url });
+        await this.drive(synchronizing).catch((error) => this.verbose && console.error(error.message));
+      }
+    }
+  }
+
+  /**
+   * Returns the latency of the link between two nodes, if they can currently reach each other.
+   * @param {string} a - A node name.
+   * @param {string} b - Another node name.
+   * @returns {number|null} The one-way latency in milliseconds, or null if they are not linked or are separated by
+   * a partition.
+   */
+  getLatency(a, b) {
+    const key = NetworkSimulator.linkKey(a, b);
+    if (!this.links.has(key)) {
+      return null;
+    }
+    if (this.partitions) {
+      const groupOf = (name) => (this.partitions.has(name) ? this.partitions.get(name) : `own:${name}`);
+      if (groupOf(a) !== groupOf(b)) {
+        return null;
+      }
+    }
+    return this.links.get(key);
+  }
+
+  /**
+   * Has a node mine a block on its tip now; the node announces it to its peers. A node with no pending
+   * transactions is first sent a transfer from the treasury, since the mining route does not mine empty blocks.
+   * @param {string} name - The node's name.
+   * @returns {Promise<{index: number, hash: string}>} The mined block.
+   */
+  async mine(name) {
+    const node = this.getNode(name);
+    if ((await node.models.Mempool.countDocuments()) === 0) {
+      await this.submitTransaction(name, { from: TREASURY, to: name, amount: 1 });
+    }
+    await this.run(1);
+    const { index, hash } = await this.drive(
+      node.request("POST", "/api/blockchain/mine", { rewardAddress: this.getWallet(name).publicKey })
+    );
+    return { index, hash };
+  }
+
+  /**
+   * Has several nodes mine a block before any of them hears of the others' blocks: traffic is held while they mine
+   * and released at once afterwards.
+   * @param {string[]} names - The racing nodes.
+   * @returns {Promise<Object[]>} The mined blocks, in the order of the names.
+   */
+  async mineRace(names) {
+    this.transport.pause();
+    try {
+      const blocks = [];
+      for (const name of names) {
+        blocks.push(await this.mine(name));
+      }
+      return blocks;
+    } finally {
+      this.transport.resume();
+    }
+  }
+
+  /**
+   * Submits a transfer between two accounts to a node's transaction route; the node relays it to its peers.
+   * @param {string} name - The node the transaction is submitted to.
+   * @param {Object} transfer - The transfer.
+   * @param {string} transfer.from - The sending account's name.
+   * @param {string} transfer.to - The receiving account's name.
+   * @param {number} transfer.amount - The amount.
+   * @param {number} [transfer.fee] - The fee. Defaults to the suggested fee for the amount.
+   * @returns {Promise<Object>} The transaction, as the node returned it.
+   * @throws {Error} If the node refuses the transaction.
+   */
+  async submitTransaction(name, { from, to, amount, fee }) {
+    const sender = this.getWallet(from);
+    const { transaction } = await this.drive(
+      this.getNode(name).request("POST", "/api/blockchain/transactions", {
+        fromAddress: sender.publicKey,
+        toAddress: this.getWallet(to).publicKey,
+        amount,
+        fee,
+        privateKey: sender.keyPair.getPrivate("hex"),
+      })
+    );
+    return transaction;
+  }
+
+  /**
+   * Tells whether a node is searching for a nonce, which takes real time.
+   * @returns {boolean} True if a node is mining.
+   */
+  isMining() {
+    return [...this.nodes.values()].some(
+      (node) => node.require("blockchain/services/ProofOfWorkService").shared().job
+    );
+  }
+
+  /**
+   * Lets the nodes finish what they are doing, then runs the next task on the clock if it is due by a given time.
+   * While a node is mining, the clock stands still and real time passes instead.
+   * @param {number} [until=Infinity] - The latest virtual time to move the clock to.
+   * @returns {Promise<boolean>} Whether a task ran.
+   */
+  async step(until = Infinity) {
+    await yieldTurns(TURNS_PER_STEP);
+    if (this.isMining()) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return false;
+    }
+    const next = this.clock.nextTime();
+    if (next === null || next > until) {
+      return false;
+    }
+    this.clock.runNext();
+    return true;
+  }
+
+  /**
+   * Runs the clock until a promise settles, e.g. the answer of a route that talks to other nodes.
+   * @param {Promise} promise - The promise.
+   * @returns {Promise} The promise's outcome.
+   */
+  async drive(promise) {
+    let settled = false;
+    promise.then(
+      () => (settled = true),
+      () => (settled = true)
+    );
+    while (!settled) {
+      if (!(await this.step()) && !settled) {
+        // Only real work is left, such as a nonce search
+        await new Promise((resolve) => setTimeout(resolve, 1));
+      }
+    }
+    return promise;
+  }
+
+  /**
+   * Lets the network run for a while of virtual time.
+   * @param {number} duration - Time in milliseconds.
+   * @returns {Promise} Resolves once the time has passed and what was due in it has run.
+   */
+  async run(duration) {
+    const until = this.clock.now() + duration;
+    while ((await this.step(until)) || this.isMining()) {
+      // Run what is due until then
+    }
+    this.clock.moveTo(until);
+  }
+
+  /**
+   * Runs the clock until no traffic has been on the way for a while, no node is mining and no connection is about
+   * to be reopened.
+   * @param {Object} [options] - Settle options.
+   * @param {number} [options.quiet=200] - Virtual time in milliseconds the network must stay idle.
+   * @param {number} [options.timeout=60000] - Virtual time in milliseconds after which to give up.
+   * @throws {Error} If the network is still busy after the timeout.
+   */
+  async settle({ quiet = 200, timeout = 60000 } = {}) {
+    const deadline = this.clock.now() + timeout;
+    let idleSince = null;
+    for (;;) {
+      await yieldTurns(TURNS_PER_STEP);
+      const busy = this.transport.isBusy() || this.isMining();
+      idleSince = busy ? null : idleSince === null ? this.clock.now() : idleSince;
+      if (idleSince !== null && this.clock.now() - idleSince >= quiet) {
+        return;
+      }
+      if (this.clock.now() > deadline) {
+        throw new Error(`The network did not settle within ${timeout}ms.`);
+      }
+      const target = idleSince === null ? deadline + 1 : idleSince + quiet;
+      if (!(await this.step(target)) && !this.isMining()) {
+        if (busy) {
+          // Nothing is scheduled until then, but a node is still at work
+          await new Promise((resolve) => setTimeout(resolve, 1));
+        } else {
+          this.clock.moveTo(target);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the balance of an account on a node's main chain, from the node's balance route.
+   * @param {string} name - The node's name.
+   * @param {string} account - The account name.
+   * @returns {Promise<number>} The balance.
+   */
+  async getBalance(name, account) {
+    const { balance } = await this.drive(
+      this.getNode(name).request("GET", `/api/blockchain/balance/${this.getWallet(account).publicKey}`)
+    );
+    return balance;
+  }
+
+  /**
+   * Returns every node's tip.
+   * @returns {Promise<Object<string, {hash: string, height: number, chainWork: number}>>} The tips by node name.
+   */
+  async getTips() {
+    const tips = {};
+    for (const [name, node] of this.nodes) {
+      tips[name] = await node.getTip();
+    }
+    return tips;
+  }
+
+  /**
+   * Asserts that the nodes agree on one tip, and that no node knows of a block with more cumulative work.
+   * @param {string[]} [names] - The nodes to compare. Defaults to every node.
+   * @returns {Promise<Object>} The common tip.
+   * @throws {AssertionError} If the nodes disagree, or settled on a chain with less work than one they know of.
+   */
+  async assertConverged(names = [...this.nodes.keys()]) {
+    const tips = {};
+    for (const name of names) {
+      tips[name] = await this.getNode(name).getTip();
+    }
+    const hashes = new Set(Object.values(tips).map(({ hash }) => hash));
+    if (hashes.size !== 1) {
+      throw new assert.AssertionError({
+        message: `Nodes did not converge: ${Object.entries(tips)
+          .map(([name, { height, hash }]) => `${name} at ${height} ${hash.slice(0, 12)}`)
+          .join(", ")}.`,
+        actual: tips,
+        operator: "assertConverged",
+      });
+    }
+
+    const tip = Object.values(tips)[0];
+    let mostWork = 0;
+    for (const name of names) {
+      const best = await this.getNode(name).models.Block.findOne().sort({ chainWork: -1 }).lean();
+      mostWork = Math.max(mostWork, best.chainWork);
+    }
+    if (tip.chainWork < mostWork) {
+      throw new assert.AssertionError({
+        message: `Nodes converged on a tip with ${tip.chainWork} work while a branch with ${mostWork} is known.`,
+        actual: tip.chainWork,
+        expected: mostWork,
+        operator: "assertConverged",
+      });
+    }
+    return tip;
+  }
+
+  /**
+   * Closes every connection, so that the process can exit.
+   */
+  stop() {
+    this.nodes.forEach((node) => node.stop());
+    this.transport.stop();
+  }
+}
+
+module.exports = NetworkSimulator;
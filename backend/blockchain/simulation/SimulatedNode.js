@@ -0,0 +1,172 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const canonical = require("../../lib/canonical");
+const { errorMiddleware } = require("../../middleware/errorMiddleware");
+const MemoryStore = require("./MemoryStore");
+const ModuleSandbox = require("./ModuleSandbox");
+const { dispatch } = require("./InProcessTransport");
+
+// A console for nodes that are not verbose
+const SILENT_CONSOLE = Object.freeze({
+  log: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+});
+
+/**
+ * @class SimulatedNode
+ * @description One node of a NetworkSimulator, running the node's own code: its models, services, controllers and
+ * routes are loaded in a ModuleSandbox of their own, on a Mongoose instance backed by a MemoryStore instead of
+ * MongoDB, and its HTTP routes and peer connections are served through the network's InProcessTransport. The node
+ * is set up like app.js sets up a server, without the wallet, faucet and explorer routes, rate limiting and the
+ * scheduled audits and peer health checks.
+ */
+class SimulatedNode {
+  /**
+   * @param {string} name - The node's name in the simulation; its URL is `http://<name>.sim`.
+   * @param {Object} options - Node settings.
+   * @param {InProcessTransport} options.transport - Carries the node's traffic.
+   * @param {Object} options.genesis - The genesis configuration the node's chain starts from (see genesis.js).
+   * @param {Object<string, string>} [options.env={}] - Environment variables of the node, on top of the defaults
+   * below.
+   * @param {boolean} [options.verbose=false] - Whether to print what the node logs, prefixed with its name.
+   */
+  constructor(name, { transport, genesis, env = {}, verbose = false }) {
+    this.name = name;
+    this.url = `http://${name}.sim`;
+    this.mongoose = new mongoose.Mongoose();
+    this.store = MemoryStore.connect(this.mongoose.connection, name);
+    this.io = transport.createSocketServer();
+    this.sandbox = new ModuleSandbox({
+      env: {
+        NODE_URL: this.url,
+        NODE_PRIVATE_KEY: canonical.hash(`simulation-node:${name}`),
+        MINING_WORKERS: "1",
+        // The simulated nodes' made-up addresses resolve nowhere
+        PEER_ALLOW_PRIVATE_ADDRESSES: "true",
+        PEER_RECONNECT_DELAY: "100",
+        PEER_RECONNECT_DELAY_MAX: "1000",
+        PEER_CONNECTIONS_REFRESH_INTERVAL: String(60 * 60 * 1000),
+        ...env,
+      },
+      console: verbose ? SimulatedNode.prefixConsole(name) : SILENT_CONSOLE,
+      globals: transport.clock.createGlobals(),
+      overrides: {
+        mongoose: this.mongoose,
+        "socket.io-client": transport.createSocketClient(name),
+        "lib/fetch.js": transport.createFetch(name),
+        "blockchain/config/genesis.js": genesis,
+      },
+    });
+
+    this.app = express();
+    this.app.use(express.json());
+    this.app.use("/api/blockchain", this.require("blockchain/routes/blockchainRoutes"));
+    this.app.use("/api/transactions", this.require("blockchain/routes/transactionRoutes"));
+    this.app.use("/api/nodes", this.require("blockchain/routes/nodeRoutes"));
+    this.app.use(errorMiddleware);
+    this.require("blockchain/services/PeerTransportService").shared().attach(this.io);
+
+    this.models = {
+      Block: this.require("blockchain/models/BlockModel"),
+      Transaction: this.require("blockchain/models/TransactionModel"),
+      Mempool: this.require("blockchain/models/MempoolModel"),
+      Account: this.require("blockchain/models/AccountModel"),
+      Node: this.require("blockchain/models/NodeModel"),
+    };
+  }
+
+  /**
+   * Builds a console that prints with the node's name in front.
+   * @param {string} name - The node's name.
+   * @returns {Object} The console.
+   */
+  static prefixConsole(name) {
+    const prefix = `[${name}]`;
+    return {
+      log: (...args) => console.log(prefix, ...args),
+      info: (...args) => console.info(prefix, ...args),
+      warn: (...args) => console.warn(prefix, ...args),
+      error: (...args) => console.error(prefix, ...args),
+      debug: (...args) => console.debug(prefix, ...args),
+    };
+  }
+
+  /**
+   * Loads one of the node's modules.
+   * @param {string} request - The module, as a path relative to the backend directory.
+   * @returns {*} Its exports.
+   */
+  require(request) {
+    return this.sandbox.require(request);
+  }
+
+  /**
+   * Waits until the node has stored its genesis block, built its account state and loaded its pending pool.
+   * @returns {Promise<SimulatedNode>} The node.
+   */
+  async start() {
+    const BlockchainService = this.require("blockchain/services/BlockchainService");
+    await new BlockchainService().ready;
+    return this;
+  }
+
+  /**
+   * Closes the node's outbound peer connections.
+   */
+  stop() {
+    this.require("blockchain/services/PeerTransportService").shared().stop();
+  }
+
+  /**
+   * Serves an HTTP request with the node's routes.
+   * @param {Object} request - The request: `method`, `path` with its query string, `headers` and the `body` as text.
+   * @returns {Promise<{status: number, body: string}>} The answer.
+   */
+  handle(request) {
+    return dispatch(this.app, request);
+  }
+
+  /**
+   * Calls one of the node's routes directly, as its operator would.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The path, with its query string.
+   * @param {Object} [body] - The request body, sent as JSON.
+   * @returns {Promise<Object>} The JSON answer.
+   * @throws {Error} With the answer's message and status if the route fails.
+   */
+  async request(method, path, body) {
+    const { status, body: text } = await this.handle({
+      method,
+      path,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    let answer;
+    try {
+      answer = JSON.parse(text);
+    } catch (error) {
+      answer = { message: text };
+    }
+    if (status < 200 || status >= 300) {
+      const error = new Error(`${this.name}: ${method} ${path} failed with ${status}: ${answer.message || text}`);
+      error.statusCode = status;
+      error.code = answer.code;
+      throw error;
+    }
+    return answer;
+  }
+
+  /**
+   * Returns the tip of the node's main chain.
+   * @returns {Promise<{hash: string, height: number, chainWork: number}>} The tip.
+   */
+  async getTip() {
+    const tip = await this.models.Block.findOne({ isMainChain: true }).sort({ index: -1 }).lean();
+    return { hash: tip.hash, height: tip.index, chainWork: tip.chainWork };
+  }
+}
+
+module.exports = SimulatedNode;
@@ -0,0 +1,191 @@
+/**
+ * @file VirtualClock.js
+ * @description A clock for simulations that only moves when told to. The simulated nodes' timers, `Date` and
+ * `AbortSignal.timeout`, and the latencies of the InProcessTransport, are all scheduled on it, so a simulation takes
+ * as long in virtual time as its script says, however fast or loaded the machine is, and replays the same way.
+ */
+
+/**
+ * @class VirtualClock
+ * @description Keeps the virtual time and the tasks scheduled on it. Tasks run in time order, tasks due at the same
+ * time in the order they were scheduled. A task is called and not awaited: what it starts may itself wait for later
+ * tasks, such as a request waiting for its answer.
+ *
+ * @example
+ * const clock = new VirtualClock(Date.parse("2024-05-02T00:00:00Z"));
+ * const sandbox = new ModuleSandbox({ globals: clock.createGlobals() });
+ * clock.schedule(1000, () => console.log("a second later"));
+ * clock.runNext();
+ */
+class VirtualClock {
+  /**
+   * @param {number} [start=0] - The initial time, in milliseconds since the Unix epoch.
+   */
+  constructor(start = 0) {
+    this.time = start;
+    this.queue = []; // { id, at, sequence, task, interval } ordered by time, then sequence
+    this.sequence = 0;
+  }
+
+  /**
+   * Returns the current virtual time.
+   * @returns {number} The time, in milliseconds since the Unix epoch.
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Schedules a task.
+   * @param {number} delay - Milliseconds from now until the task runs; negative delays run it at the current time.
+   * @param {Function} task - The task.
+   * @param {number} [interval] - If given, the task runs again every `interval` milliseconds until cancelled.
+   * @returns {number} An id that can be passed to cancel().
+   */
+  schedule(delay, task, interval) {
+    const sequence = ++this.sequence;
+    this.enqueue({ id: sequence, at: this.time + Math.max(0, Number(delay) || 0), sequence, task, interval });
+    return sequence;
+  }
+
+  /**
+   * Inserts a task in the queue at its place.
+   * @param {Object} entry - The queue entry.
+   */
+  enqueue(entry) {
+    const position = this.queue.findIndex(
+      (queued) => queued.at > entry.at || (queued.at === entry.at && queued.sequence > entry.sequence)
+    );
+    this.queue.splice(position === -1 ? this.queue.length : position, 0, entry);
+  }
+
+  /**
+   * Cancels a scheduled task that has not run yet, or stops a repeating one.
+   * @param {number} id - The id returned by schedule().
+   */
+  cancel(id) {
+    this.queue = this.queue.filter((entry) => entry.id !== id);
+  }
+
+  /**
+   * Returns the time the next task is due at.
+   * @returns {number|null} The time, or null if no task is scheduled.
+   */
+  nextTime() {
+    return this.queue.length > 0 ? this.queue[0].at : null;
+  }
+
+  /**
+   * Returns the number of tasks waiting to run.
+   * @returns {number} The number of scheduled tasks.
+   */
+  pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Moves the clock to the earliest scheduled task and runs it. A failing task is logged and does not stop the
+   * simulation.
+   */
+  runNext() {
+    const entry = this.queue.shift();
+    this.time = Math.max(this.time, entry.at);
+    if (entry.interval !== undefined) {
+      // A repeating task keeps its id, so that cancelling it also stops the later runs
+      this.enqueue({ ...entry, at: this.time + Math.max(1, entry.interval), sequence: ++this.sequence });
+    }
+    try {
+      Promise.resolve(entry.task()).catch((error) =>
+        console.error(`Simulated task at ${entry.at} failed:`, error.message)
+      );
+    } catch (error) {
+      console.error(`Simulated task at ${entry.at} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Moves the clock forward without running anything, but not past the next task.
+   * @param {number} time - The time to move to, in milliseconds since the Unix epoch.
+   */
+  moveTo(time) {
+    const next = this.nextTime();
+    this.time = Math.max(this.time, next === null ? time : Math.min(time, next));
+  }
+
+  /**
+   * Builds a timer handle like the ones Node.js returns, for code that calls `unref()` on its timers.
+   * @param {number} id - The task id.
+   * @returns {Object} The handle.
+   */
+  static createHandle(id) {
+    return {
+      id,
+      ref() {
+        return this;
+      },
+      unref() {
+        return this;
+      },
+      hasRef() {
+        return false;
+      },
+    };
+  }
+
+  /**
+   * Cancels the task behind a timer handle, ignoring anything else, like clearTimeout does.
+   * @param {Object} [handle] - The handle returned by the clock's setTimeout or setInterval.
+   */
+  clear(handle) {
+    if (handle && handle.id !== undefined) {
+      this.cancel(handle.id);
+    }
+  }
+
+  /**
+   * Builds the globals that make code run on the clock: `Date`, whose current time is the virtual time, the timer
+   * functions and an `AbortSignal` whose `timeout()` fires on the clock.
+   * @returns {Object} The globals, by name.
+   */
+  createGlobals() {
+    const clock = this;
+
+    class VirtualDate extends Date {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.now());
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.now();
+      }
+    }
+    // Mongoose tells schema types by constructor name, so that `type: Date` still declares a date path
+    Object.defineProperty(VirtualDate, "name", { value: "Date" });
+
+    class VirtualAbortSignal extends AbortSignal {
+      static timeout(ms) {
+        const controller = new AbortController();
+        clock.schedule(ms, () =>
+          controller.abort(new DOMException("The operation was aborted due to timeout", "TimeoutError"))
+        );
+        return controller.signal;
+      }
+    }
+
+    return {
+      Date: VirtualDate,
+      AbortSignal: VirtualAbortSignal,
+      setTimeout: (task, delay, ...args) => VirtualClock.createHandle(clock.schedule(delay, () => task(...args))),
+      setInterval: (task, delay, ...args) =>
+        VirtualClock.createHandle(clock.schedule(delay, () => task(...args), Number(delay) || 0)),
+      clearTimeout: (handle) => clock.clear(handle),
+      clearInterval: (handle) => clock.clear(handle),
+    };
+  }
+}
+
+module.exports = VirtualClock;
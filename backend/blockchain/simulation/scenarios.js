@@ -0,0 +1,167 @@
+/**
+ * @file scenarios.js
+ * @description Synchronization scenarios run on the NetworkSimulator. Each scenario scripts a network, lets it settle
+ * and asserts that the nodes converge on the tip with the most work. They run with `npm test`; run them alone with
+ * `npm run simulate`, or some of them by name, e.g. `npm run simulate -- mining-race`. Pass `--verbose` to see what
+ * the nodes log.
+ */
+
+const assert = require("assert");
+const NetworkSimulator = require("./NetworkSimulator");
+
+const scenarios = {
+  /**
+   * A minority and a majority partition mine separately; once healed, the minority reorganizes onto the longer
+   * branch.
+   */
+  async "partition-heal"(options) {
+    const network = await NetworkSimulator.create({ ...options, nodes: ["a", "b", "c"] });
+    try {
+      await network.settle();
+      network.partition(["a"], ["b", "c"]);
+      await network.mine("a");
+      await network.settle();
+      for (const miner of ["b", "c", "b"]) {
+        await network.mine(miner);
+        await network.settle();
+      }
+      const tips = await network.getTips();
+      assert.notStrictEqual(tips.a.hash, tips.b.hash);
+
+      await network.heal();
+      await network.settle();
+      const tip = await network.assertConverged();
+      assert.strictEqual(tip.height, 3);
+    } finally {
+      network.stop();
+    }
+  },
+
+  /**
+   * Two nodes find a block at the same time. Each keeps the block it saw first until the next block breaks the tie.
+   */
+  async "mining-race"(options) {
+    const network = await NetworkSimulator.create({ ...options, nodes: ["a", "b", "c"] });
+    try {
+      await network.connect("a", "c", { latency: 10 });
+      await network.connect("b", "c", { latency: 150 });
+      await network.settle();
+
+      const [blockA, blockB] = await network.mineRace(["a", "b"]);
+      await network.settle();
+      const tips = await network.getTips();
+      assert.strictEqual(tips.a.hash, blockA.hash);
+      assert.strictEqual(tips.b.hash, blockB.hash);
+      assert.strictEqual(tips.c.hash, blockA.hash, "c should keep the block it heard of first");
+
+      await network.mine("b");
+      await network.settle();
+      const tip = await network.assertConverged();
+      assert.strictEqual(tip.height, 2);
+    } finally {
+      network.stop();
+    }
+  },
+
+  /**
+   * A transfer mined only on a minority branch is returned to the pool by the reorganization and mined again on the
+   * winning branch.
+   */
+  async "reorg-transaction"(options) {
+    const network = await NetworkSimulator.create({
+      ...options,
+      nodes: ["a", "b", "c"],
+      accounts: { alice: 1000, bob: 0 },
+    });
+    try {
+      await network.settle();
+      network.partition(["a"], ["b", "c"]);
+      await network.submitTransaction("a", { from: "alice", to: "bob", amount: 100, fee: 1 });
+      await network.mine("a");
+      await network.settle();
+      assert.strictEqual(await network.getBalance("a", "bob"), 100);
+      await network.mine("b");
+      await network.settle();
+      await network.mine("c");
+
+      await network.heal();
+      await network.settle();
+      await network.assertConverged();
+      assert.strictEqual(await network.getBalance("a", "bob"), 0, "the transfer should be undone by the reorganization");
+      const { Mempool } = network.getNode("a").models;
+      assert.strictEqual(await Mempool.countDocuments(), 1);
+
+      await network.mine("a");
+      await network.settle();
+      await network.assertConverged();
+      for (const name of ["a", "b", "c"]) {
+        assert.strictEqual(await network.getBalance(name, "bob"), 100);
+        assert.strictEqual(await network.getBalance(name, "alice"), 899);
+      }
+    } finally {
+      network.stop();
+    }
+  },
+
+  /**
+   * Blocks mined at the ends of a slow line of nodes reach every node, and late blocks trigger catch-up through the
+   * intermediate nodes.
+   */
+  async "slow-line"(options) {
+    const network = new NetworkSimulator({ ...options, latency: 150 });
+    try {
+      for (const name of ["a", "b", "c", "d", "e"]) {
+        await network.addNode(name);
+      }
+      await network.connect("a", "b");
+      await network.connect("b", "c");
+      await network.connect("c", "d");
+      await network.connect("d", "e");
+      await network.settle();
+
+      for (let round = 0; round < 8; round++) {
+        await network.mine(round % 3 === 0 ? "e" : "a");
+        await network.run(round % 2 === 0 ? 100 : 800);
+      }
+      await network.settle();
+      await network.assertConverged();
+      const { Block } = network.getNode("c").models;
+      assert.ok((await Block.countDocuments({ isMainChain: false })) > 0, "the slow links should have caused forks");
+    } finally {
+      network.stop();
+    }
+  },
+};
+
+/**
+ * Runs the scenarios named on the command line, or all of them, and sets a failing exit code if one fails.
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes("--verbose");
+  const names = args.filter((arg) => !arg.startsWith("--"));
+  const selected = names.length > 0 ? names : Object.keys(scenarios);
+
+  let failed = 0;
+  for (const name of selected) {
+    if (!scenarios[name]) {
+      console.error(`Unknown scenario ${name}; available: ${Object.keys(scenarios).join(", ")}.`);
+      failed++;
+      continue;
+    }
+    try {
+      await scenarios[name]({ verbose });
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      console.error(`FAIL ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = scenarios;
@@ -0,0 +1,29 @@
+/**
+ * @file proofOfWorkWorker.js
+ * @description Searches a slice of the nonce space for a block hash that meets the block's difficulty. Runs in a
+ * worker thread so that mining does not block the API. Each worker tries the nonces startNonce,
+ * startNonce + step, startNonce + 2 * step, ..., so that workers sharing a job never try the same nonce.
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const crypto = require("crypto");
+
+const { prefix, suffix, difficulty, startNonce, step, progressInterval } = workerData;
+const target = "0".repeat(difficulty);
+
+let hashes = 0;
+for (let nonce = startNonce; ; nonce += step) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${prefix}${nonce}${suffix}`)
+    .digest("hex");
+  hashes++;
+
+  if (hash.startsWith(target)) {
+    parentPort.postMessage({ type: "found", nonce, hash, hashes });
+    break;
+  }
+  if (hashes % progressInterval === 0) {
+    parentPort.postMessage({ type: "progress", hashes });
+  }
+}
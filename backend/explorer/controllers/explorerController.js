@@ -85,6 +85,65 @@ class ExplorerController {
     }
   }
 
+  /**
+   * Retrieves a Merkle inclusion proof for a confirmed transaction.
+   * @param {Request} req - The HTTP request object.
+   * @param {Response} res - The HTTP response object.
+   */
+  static async getTransactionProof(req, res) {
+    try {
+      const proof = await explorerService.getTransactionProof(req.params.txId);
+
+      if (!proof) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found in a confirmed block.",
+        });
+      }
+
+      res.json({ success: true, ...proof });
+    } catch (error) {
+      console.error(`Error retrieving transaction proof: ${error.message}`);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to retrieve transaction proof." });
+    }
+  }
+
+  /**
+   * Retrieves the blocks most recently rejected by the consensus rules, with a structured reason per broken rule.
+   * @param {Request} req - The HTTP request object.
+   * @param {Response} res - The HTTP response object.
+   */
+  static async getRejectedBlocks(req, res) {
+    try {
+      const rejections = explorerService.getRecentRejections();
+      res.json({ success: true, rejections });
+    } catch (error) {
+      console.error(`Error retrieving rejected blocks: ${error.message}`);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to retrieve rejected blocks." });
+    }
+  }
+
+  /**
+   * Retrieves the circulating supply and the current block subsidy.
+   * @param {Request} req - The HTTP request object.
+   * @param {Response} res - The HTTP response object.
+   */
+  static async getSupply(req, res) {
+    try {
+      const supply = await explorerService.getSupply();
+      res.json({ success: true, ...supply });
+    } catch (error) {
+      console.error(`Error retrieving supply: ${error.message}`);
+      res
+        .status(500)
+        .json({ success: false, message: "Failed to retrieve supply data." });
+    }
+  }
+
   /**
    * Retrieves the balance of a given blockchain address.
    * @param {Request} req - The HTTP request object.
@@ -10,6 +10,14 @@ router.get('/blocks', (req, res) => {
   ExplorerController.getBlockchain(req, res);
 });
 
+/**
+ * GET /blocks/rejected
+ * Fetches the blocks most recently rejected by the consensus rules, with the reason given by each broken rule.
+ */
+router.get('/blocks/rejected', (req, res) => {
+  ExplorerController.getRejectedBlocks(req, res);
+});
+
 /**
  * GET /blocks/:index
  * Fetches a specific block by its index.
@@ -26,6 +34,22 @@ router.get('/transactions/:address', (req, res) => {
   ExplorerController.getTransactionsForAddress(req, res);
 });
 
+/**
+ * GET /transactions/:txId/proof
+ * Fetches a Merkle inclusion proof for a confirmed transaction: the block header, the proof path and the leaf index.
+ */
+router.get('/transactions/:txId/proof', (req, res) => {
+  ExplorerController.getTransactionProof(req, res);
+});
+
+/**
+ * GET /supply
+ * Retrieves the circulating supply, the subsidy of the next block and the emission schedule.
+ */
+router.get('/supply', (req, res) => {
+  ExplorerController.getSupply(req, res);
+});
+
 /**
  * GET /balance/:address
  * Retrieves the balance of a specific blockchain address.
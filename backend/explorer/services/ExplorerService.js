@@ -1,4 +1,9 @@
 const BlockchainService = require("../../blockchain/services/BlockchainService");
+const ValidationService = require("../../blockchain/services/ValidationService");
+const EmissionService = require("../../blockchain/services/EmissionService");
+const consensus = require("../../blockchain/config/consensus");
+const Block = require("../../blockchain/models/BlockModel");
+const MerkleTree = require("../../lib/merkleTree");
 
 /**
  * @class ExplorerService
@@ -73,14 +78,80 @@ class ExplorerService {
   }
 
   /**
-   * Computes the balance of a given address by iterating through the blockchain.
+   * Builds a Merkle inclusion proof for a confirmed transaction. The response carries everything a light client
+   * needs to verify inclusion offline: hashing the canonical encoding of the header must give the block hash, and
+   * MerkleTree.verifyProof(proof, header.merkleRoot, transactionId, leafIndex) must hold.
+   * @param {string} transactionId - The id of the transaction.
+   * @returns {Promise<Object|null>} The proof, or null if the transaction is not in a block of the main chain.
+   * @throws {Error} Throws an error if the proof cannot be built.
+   */
+  async getTransactionProof(transactionId) {
+    try {
+      const block = await Block.findOne({ isMainChain: true, transactions: transactionId });
+      if (!block) {
+        return null;
+      }
+
+      const transactionIds = block.transactions.map(String);
+      const merkleTree = new MerkleTree(transactionIds);
+      const latestBlock = await this.blockchainService.getLatestBlock();
+      return {
+        transactionId,
+        blockHash: block.hash,
+        // Timestamp in milliseconds, as it is encoded for hashing
+        header: { ...block.getHeader(), timestamp: block.timestamp.getTime() },
+        leafIndex: transactionIds.indexOf(transactionId),
+        proof: merkleTree.generateProof(transactionId),
+        confirmations: latestBlock.index - block.index + 1,
+      };
+    } catch (error) {
+      console.error(`Error building the proof for transaction ${transactionId}:`, error);
+      throw new Error(`Failed to build the proof for transaction ${transactionId}.`);
+    }
+  }
+
+  /**
+   * Lists the blocks most recently rejected by the consensus rules, with the reason each rule gave.
+   * @returns {Object[]} The rejections, newest first.
+   */
+  getRecentRejections() {
+    return ValidationService.getRecentRejections();
+  }
+
+  /**
+   * Reports the coin supply: the circulating supply on the main chain, the subsidy the next block may claim and
+   * the emission schedule parameters.
+   * @returns {Promise<Object>} The supply figures.
+   * @throws {Error} Throws an error if the supply cannot be computed.
+   */
+  async getSupply() {
+    try {
+      const latestBlock = await this.blockchainService.getLatestBlock();
+      const nextHeight = latestBlock.index + 1;
+      return {
+        height: latestBlock.index,
+        circulatingSupply: await EmissionService.getCirculatingSupply(),
+        blockSubsidy: EmissionService.getBlockSubsidy(nextHeight),
+        nextHalvingHeight: EmissionService.getNextHalvingHeight(nextHeight),
+        halvingInterval: consensus.halvingInterval,
+        maxMinedSupply: consensus.maxMinedSupply,
+        coinbaseMaturity: consensus.coinbaseMaturity,
+      };
+    } catch (error) {
+      console.error("Error computing the coin supply:", error);
+      throw new Error("Failed to compute the coin supply.");
+    }
+  }
+
+  /**
+   * Reads the confirmed balance of a given address from the account state.
    * @param {string} address - The address to query the balance for.
-   * @returns {number} The balance of the address.
+   * @returns {Promise<number>} The balance of the address.
    * @throws {Error} Throws an error if the balance cannot be retrieved.
    */
-  getAddressBalance(address) {
+  async getAddressBalance(address) {
     try {
-      return this.blockchainService.getBalanceOfAddress(address);
+      return await this.blockchainService.getBalanceOfAddress(address);
     } catch (error) {
       console.error(`Error retrieving balance for address ${address}:`, error);
       throw new Error(`Failed to retrieve balance for address ${address}.`);
@@ -7,10 +7,9 @@ const WalletService = require("../../wallet/services/WalletService");
  * are injected into the FaucetService, which this controller will utilize.
  */
 const blockchainService = new BlockchainService();
-const walletService = new WalletService();
 
-// Initialize the FaucetService with the required services
-const faucetService = new FaucetService(blockchainService, walletService);
+// Initialize the FaucetService with the required services; WalletService only exposes static methods
+const faucetService = new FaucetService(blockchainService, WalletService);
 
 /**
  * Controller class for handling faucet-related requests to distribute tokens.
@@ -1,6 +1,9 @@
 const BlockchainService = require("../../blockchain/services/BlockchainService");
 const WalletService = require("../../wallet/services/WalletService");
 const TransactionModel = require("../../blockchain/models/TransactionModel"); // Assuming you have a model for Transactions
+const TransactionService = require("../../blockchain/services/TransactionService");
+const MiningService = require("../../blockchain/services/MiningService");
+const consensus = require("../../blockchain/config/consensus");
 
 /**
  * @class FaucetService
@@ -10,11 +13,12 @@ class FaucetService {
   /**
    * Initializes the FaucetService with dependencies on BlockchainService and WalletService.
    * @param {BlockchainService} blockchainService An instance of BlockchainService.
-   * @param {WalletService} walletService An instance of WalletService.
+   * @param {typeof WalletService} walletService The WalletService class, used for key derivation.
    */
   constructor(blockchainService, walletService) {
     this.blockchainService = blockchainService;
     this.walletService = walletService;
+    this.miningService = new MiningService(blockchainService);
   }
 
   /**
@@ -38,30 +42,35 @@ class FaucetService {
       faucetPrivateKey
     );
 
-    // Verify if the faucet has enough balance
-    const faucetBalance = await this.blockchainService.getBalanceOfAddress(
-      faucetPublicKey
+    // Verify if the faucet has enough balance, net of its own pending payouts
+    const hasSufficientBalance = await TransactionService.isBalanceSufficient(
+      faucetPublicKey,
+      amount,
+      this.blockchainService.pendingTransactions
     );
-    if (faucetBalance < amount) {
+    if (!hasSufficientBalance) {
       throw new Error("Insufficient faucet balance.");
     }
 
     // Create and sign a transaction from the faucet to the recipient
     const transaction = new TransactionModel({
+      chainId: consensus.chainId,
       fromAddress: faucetPublicKey,
       toAddress: recipientAddress,
       amount: amount,
+      fee: TransactionService.calculateTransactionFee({ amount }),
+      nonce: await TransactionService.getNextNonce(
+        faucetPublicKey,
+        this.blockchainService.pendingTransactions
+      ),
     });
     transaction.signTransaction(faucetPrivateKey);
 
-    // Save transaction to the database
-    await transaction.save();
-
-    // Add the transaction to the blockchain
+    // Add the transaction to the pending pool, which also stores it once admitted
     await this.blockchainService.addTransaction(transaction);
 
-    // Mine the transaction to include it in the blockchain
-    await this.blockchainService.minePendingTransactions(faucetPublicKey);
+    // Mine the transaction to include it in the blockchain, and announce the block to peers
+    await this.miningService.mineBlock(faucetPublicKey);
 
     return {
       message: "Tokens sent successfully.",
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Provides the canonical encoding used for everything that is hashed or signed: block headers,
+ * transaction signing payloads and transaction ids. The same value always encodes to the same string, whichever
+ * node or code path produces it:
+ * - object keys are sorted and keys with undefined values are left out;
+ * - numbers are written in ECMAScript's shortest round-trip decimal form, -0 is written as 0, and non-finite
+ *   numbers are rejected;
+ * - dates are written as integer milliseconds since the Unix epoch;
+ * - only plain objects, arrays, strings, numbers, booleans, null and dates are accepted, so that documents with
+ *   extra bookkeeping fields (e.g. Mongoose's createdAt and updatedAt) cannot leak into a hash by accident.
+ */
+
+const { hashSHA256 } = require("./crypto");
+
+/**
+ * Encodes a value canonically.
+ * @param {*} value - The value to encode.
+ * @returns {string} - The canonical JSON encoding of the value.
+ * @throws {TypeError} If the value contains a non-finite number, an invalid date or an unsupported type.
+ */
+function encode(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (value instanceof Date) {
+    const time = value.getTime();
+    if (!Number.isFinite(time)) {
+      throw new TypeError("Cannot encode an invalid date.");
+    }
+    return String(time);
+  }
+
+  switch (typeof value) {
+    case "string":
+    case "boolean":
+      return JSON.stringify(value);
+    case "number":
+      if (!Number.isFinite(value)) {
+        throw new TypeError(`Cannot encode the non-finite number ${value}.`);
+      }
+      return Object.is(value, -0) ? "0" : String(value);
+    case "object":
+      if (Array.isArray(value)) {
+        return `[${value.map(encode).join(",")}]`;
+      }
+      if (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null) {
+        const fields = Object.keys(value)
+          .filter((key) => value[key] !== undefined)
+          .sort()
+          .map((key) => `${JSON.stringify(key)}:${encode(value[key])}`);
+        return `{${fields.join(",")}}`;
+      }
+      throw new TypeError(`Cannot encode an instance of ${value.constructor.name}; pass a plain object.`);
+    default:
+      throw new TypeError(`Cannot encode a value of type ${typeof value}.`);
+  }
+}
+
+/**
+ * Hashes the canonical encoding of a value with SHA-256.
+ * @param {*} value - The value to hash.
+ * @returns {string} - Hexadecimal representation of the hash.
+ */
+function hash(value) {
+  return hashSHA256(encode(value));
+}
+
+module.exports = {
+  encode,
+  hash,
+};
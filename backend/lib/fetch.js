@@ -0,0 +1,19 @@
+/**
+ * @file fetch.js
+ * @description Provides the fetch function nodes use to call each other's HTTP routes. node-fetch is an ES module,
+ * so it is loaded on first use; going through this module also lets the network simulator put its in-process
+ * transport in its place.
+ */
+
+/**
+ * Fetches a resource with node-fetch.
+ * @param {string} url - The URL.
+ * @param {Object} [options] - The fetch options.
+ * @returns {Promise<Response>} The response.
+ */
+async function fetch(url, options) {
+  const { default: nodeFetch } = await import("node-fetch");
+  return nodeFetch(url, options);
+}
+
+module.exports = fetch;
@@ -24,28 +24,28 @@ class MerkleTree {
       throw new Error("Transactions must be an array and cannot be empty.");
     }
     this.leaves = transactions.map(hashSHA256);
-    this.tree = this.buildTree(this.leaves);
+    this.levels = this.buildTree(this.leaves);
   }
 
   /**
-   * Builds the Merkle Tree using the transaction hashes. This method is recursive and constructs new tree levels
-   * until only one hash remains, the root.
+   * Builds the Merkle Tree using the transaction hashes. Each level pairs up the hashes of the level below it,
+   * left to right, until only one hash remains, the root.
    * @param {string[]} hashes - Transaction hashes to build the tree with.
-   * @returns {string[]} The complete Merkle Tree array, culminating in the root hash.
+   * @returns {string[][]} Every level of the tree, from the leaves up to the level holding only the root.
    */
   buildTree(hashes) {
-    if (hashes.length === 1) {
-      return hashes;
+    const levels = [hashes];
+    while (levels[levels.length - 1].length > 1) {
+      const level = levels[levels.length - 1];
+      const newLevel = [];
+      for (let i = 0; i < level.length; i += 2) {
+        const left = level[i];
+        const right = level[i + 1] || left; // Handles an odd number of hashes by duplicating the last hash
+        newLevel.push(hashSHA256(left + right));
+      }
+      levels.push(newLevel);
     }
-
-    const newLevel = [];
-    for (let i = 0; i < hashes.length; i += 2) {
-      const left = hashes[i];
-      const right = hashes[i + 1] || left; // Handles an odd number of hashes by duplicating the last hash
-      newLevel.push(hashSHA256(left + right));
-    }
-
-    return this.buildTree(newLevel);
+    return levels;
   }
 
   /**
@@ -53,35 +53,38 @@ class MerkleTree {
    * @returns {string} The root hash of the Merkle Tree.
    */
   getRoot() {
-    return this.tree[this.tree.length - 1];
+    return this.levels[this.levels.length - 1][0];
+  }
+
+  /**
+   * Finds the position of a transaction among the leaves of the tree.
+   * @param {string} transaction - The transaction data.
+   * @returns {number} The leaf index, or -1 if the transaction is not in the tree.
+   */
+  getLeafIndex(transaction) {
+    return this.leaves.indexOf(hashSHA256(transaction));
   }
 
   /**
    * Generates a Merkle proof for a given transaction, which is a series of hashes required to reconstruct the root hash for verification.
+   * The proof lists the sibling of the transaction's node on every level, from the leaves upwards. Whether each
+   * sibling sits on the left or the right follows from the bits of the leaf index, so the proof must be verified
+   * together with that index.
    * @param {string} transaction - The transaction data to generate a proof for.
    * @returns {string[]} The Merkle proof for the transaction, an array of hashes.
    * @throws {Error} If the transaction is not found in the leaves of the tree.
    */
   generateProof(transaction) {
-    const hash = hashSHA256(transaction);
-    let index = this.leaves.indexOf(hash);
+    let index = this.getLeafIndex(transaction);
     if (index === -1) {
       throw new Error("Transaction not found in the Merkle Tree.");
     }
 
     const proof = [];
-    let siblingIndex;
-
-    for (
-      let level = this.leaves;
-      level.length > 1;
-      level = this.buildTree(level)
-    ) {
-      siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
-      // Ensure sibling index is in bounds
-      siblingIndex = siblingIndex < level.length ? siblingIndex : index;
-      proof.push(level[siblingIndex]);
-      // Move up the tree
+    for (const level of this.levels.slice(0, -1)) {
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+      // The last node of an odd-sized level is paired with itself
+      proof.push(siblingIndex < level.length ? level[siblingIndex] : level[index]);
       index = Math.floor(index / 2);
     }
 
@@ -90,22 +93,29 @@ class MerkleTree {
 
   /**
    * Verifies a transaction against a Merkle proof and the root. It reconstructs the root using the provided proof and compares it.
+   * Needs nothing but its arguments, so a light client can check inclusion without the rest of the block.
    * @param {string[]} proof - The Merkle proof for the transaction.
    * @param {string} root - The root hash of the Merkle Tree.
    * @param {string} transaction - The transaction data to verify.
+   * @param {number} leafIndex - The position of the transaction in the block.
    * @returns {boolean} True if the proof is valid and the transaction is part of the tree, false otherwise.
    */
-  static verifyProof(proof, root, transaction) {
-    let computedHash = hashSHA256(transaction);
+  static verifyProof(proof, root, transaction, leafIndex) {
+    if (!Array.isArray(proof) || !Number.isInteger(leafIndex) || leafIndex < 0) {
+      return false;
+    }
 
+    let computedHash = hashSHA256(transaction);
+    let index = leafIndex;
     proof.forEach((siblingHash) => {
-      const isLeft = computedHash < siblingHash;
       computedHash = hashSHA256(
-        isLeft ? computedHash + siblingHash : siblingHash + computedHash
+        index % 2 === 0 ? computedHash + siblingHash : siblingHash + computedHash
       );
+      index = Math.floor(index / 2);
     });
 
-    return computedHash === root;
+    // Bits left over mean the index points beyond the tree the proof describes
+    return index === 0 && computedHash === root;
   }
 }
 
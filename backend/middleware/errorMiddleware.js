@@ -38,6 +38,12 @@ const errorMiddleware = (err, req, res, next) => {
 
   // Debug information in development mode
   const responsePayload = { error: message };
+  if (isOperationalError && err.code) {
+    responsePayload.code = err.code;
+  }
+  if (isOperationalError && err.details) {
+    responsePayload.details = err.details;
+  }
   if (!isOperationalError && process.env.NODE_ENV === "development") {
     responsePayload.stack = err.stack;
   }
@@ -53,12 +59,20 @@ const errorMiddleware = (err, req, res, next) => {
  *
  * @param {string} message - Descriptive error message.
  * @param {number} statusCode - HTTP status code appropriate for the error.
+ * @param {string} [code] - Optional machine-readable error code (e.g. "DOUBLE_SPEND").
+ * @param {Object} [details] - Optional structured data about the error, returned to the client as is.
  * @returns {Error} - An error object flagged as operational with a specific status code.
  */
-const createOperationalError = (message, statusCode) => {
+const createOperationalError = (message, statusCode, code, details) => {
   const error = new Error(message);
   error.statusCode = statusCode;
   error.isOperational = true;
+  if (code) {
+    error.code = code;
+  }
+  if (details) {
+    error.details = details;
+  }
   return error;
 };
 
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("assert");
+const { getWallet, useGenesis, useMemoryStore, signTransfer, sealBlock } = require("./helpers");
+
+useGenesis({ accounts: { alice: 100 } });
+useMemoryStore();
+const Account = require("../blockchain/models/AccountModel");
+const AccountStateTip = require("../blockchain/models/AccountStateTipModel");
+const Block = require("../blockchain/models/BlockModel");
+const AccountStateService = require("../blockchain/services/AccountStateService");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+
+const blockchain = new BlockchainService();
+const tip = () => blockchain.getLatestBlock();
+const recordedTip = async () => (await AccountStateTip.findById("accounts")).hash;
+const balanceOf = async (name) => (await AccountStateService.getAccount(getWallet(name).publicKey)).balance;
+
+test.before(() => blockchain.ready);
+
+test("the recorded tip follows the main chain as blocks are connected and disconnected", async () => {
+  assert.strictEqual(await recordedTip(), (await tip()).hash);
+  const fork = (await tip()).hash;
+  const a1 = await sealBlock(fork, [signTransfer("alice", { amount: 30, to: "bob" })]);
+  await blockchain.acceptBlock(a1);
+  assert.strictEqual(await recordedTip(), a1.hash);
+
+  const b1 = await sealBlock(fork, [], { miner: "other" });
+  await blockchain.acceptBlock(b1);
+  const b2 = await sealBlock(b1.hash, [], { miner: "other" });
+  assert.strictEqual((await blockchain.acceptBlock(b2)).status, "reorganized");
+  assert.strictEqual(await recordedTip(), b2.hash);
+  assert.strictEqual(await balanceOf("bob"), 0);
+});
+
+test("a state left behind the main chain is rebuilt at startup", async () => {
+  const parent = await tip();
+  const block = await sealBlock(parent.hash, [signTransfer("alice", { amount: 20, to: "carol" })]);
+  await blockchain.acceptBlock(block);
+  // As if the node stopped after flagging the block as main chain, before updating the account state for it
+  await AccountStateService.disconnectBlock(await Block.findOne({ hash: block.hash }));
+  assert.strictEqual(await balanceOf("carol"), 0);
+
+  assert.strictEqual(await AccountStateService.ensureBuilt(), true);
+  assert.strictEqual(await recordedTip(), block.hash);
+  assert.strictEqual(await balanceOf("carol"), 20);
+  assert.strictEqual(await AccountStateService.ensureBuilt(), false);
+});
+
+test("a state without a recorded tip is rebuilt", async () => {
+  const expected = await Account.find().sort({ address: 1 }).select("-_id address balance nonce txCount").lean();
+  await AccountStateTip.deleteMany({});
+
+  assert.strictEqual(await AccountStateService.ensureBuilt(), true);
+  assert.strictEqual(await recordedTip(), (await tip()).hash);
+  assert.deepStrictEqual(
+    await Account.find().sort({ address: 1 }).select("-_id address balance nonce txCount").lean(),
+    expected
+  );
+});
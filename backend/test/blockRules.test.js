@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("assert");
+
+// A small transaction count limit, so that blocks can exceed it
+process.env.MAX_BLOCK_TRANSACTIONS = "3";
+const Wallet = require("../lib/Wallet");
+const canonical = require("../lib/canonical");
+const MerkleTree = require("../lib/merkleTree");
+const consensus = require("../blockchain/config/consensus");
+const blockRules = require("../blockchain/rules/blockRules");
+const Block = require("../blockchain/models/BlockModel");
+const Transaction = require("../blockchain/models/TransactionModel");
+const DifficultyService = require("../blockchain/services/DifficultyService");
+const EmissionService = require("../blockchain/services/EmissionService");
+
+const NOW = Date.parse("2024-06-01T00:00:00.000Z");
+const alice = new Wallet(canonical.hash("block-rules-test:alice"));
+
+/**
+ * Signs a transfer from alice.
+ * @param {Object} [fields] - Fields to set on the transfer.
+ * @returns {TransactionModel} The transaction.
+ */
+function transfer(fields = {}) {
+  const transaction = new Transaction({
+    chainId: consensus.chainId,
+    fromAddress: alice.publicKey,
+    toAddress: "bob",
+    amount: 10,
+    fee: 1,
+    nonce: 0,
+    timestamp: NOW,
+    ...fields,
+  });
+  transaction.signTransaction(alice.keyPair.getPrivate("hex"));
+  return transaction;
+}
+
+/**
+ * Builds a coinbase transaction.
+ * @param {number} amount - The amount minted.
+ * @param {Object} [fields] - Fields to set, e.g. `isGenesis`.
+ * @returns {TransactionModel} The transaction.
+ */
+function coinbase(amount, fields = { isReward: true }) {
+  const transaction = new Transaction({ chainId: consensus.chainId, toAddress: "miner", amount, timestamp: NOW, ...fields });
+  transaction._id = transaction.calculateId();
+  return transaction;
+}
+
+/**
+ * Builds a block holding the given transactions and mines it.
+ * @param {TransactionModel[]} transactions - The block's transactions.
+ * @param {Object} [header] - Header fields to set.
+ * @returns {Object} The block, as the rules receive it.
+ */
+function mine(transactions, header = {}) {
+  const block = {
+    index: 1,
+    previousHash: "parent",
+    timestamp: NOW,
+    merkleRoot: new MerkleTree(transactions.map((transaction) => transaction._id)).getRoot(),
+    difficulty: 1,
+    ...header,
+  };
+  for (block.nonce = 0; ; block.nonce++) {
+    block.hash = Block.hashHeader({
+      index: block.index,
+      previousHash: block.previousHash,
+      timestamp: block.timestamp,
+      merkleRoot: block.merkleRoot,
+      nonce: block.nonce,
+      difficulty: block.difficulty,
+    });
+    if (DifficultyService.meetsDifficulty(block.hash, block.difficulty)) {
+      return { ...block, transactions };
+    }
+  }
+}
+
+const validBlock = () => mine([coinbase(EmissionService.getBlockSubsidy(1) + 1), transfer()]);
+const check = (name, block, context = {}) =>
+  blockRules.find((rule) => rule.name === name).check(block, { now: NOW, ...context });
+
+test("a valid block passes every rule", async () => {
+  const block = validBlock();
+  for (const rule of blockRules) {
+    assert.strictEqual(await rule.check(block, { now: NOW, expectedDifficulty: 1, medianTimePast: NOW - 1 }), null, rule.name);
+  }
+});
+
+test("blockHash refuses a block whose header changed after it was hashed", () => {
+  const block = { ...validBlock(), previousHash: "other" };
+  assert.match(check("blockHash", block).message, /does not match the block header/);
+});
+
+test("proofOfWork refuses a block at the wrong difficulty or without the work", () => {
+  assert.match(check("proofOfWork", validBlock(), { expectedDifficulty: 2 }).message, /difficulty 2/);
+  assert.match(check("proofOfWork", { ...validBlock(), difficulty: 8 }).message, /does not meet difficulty 8/);
+  assert.strictEqual(check("proofOfWork", { ...validBlock(), index: 0, hash: "f" }), null);
+});
+
+test("timestamp refuses blocks too far ahead or not after the median time past", () => {
+  const block = validBlock();
+  assert.strictEqual(check("timestamp", block, { now: NOW - consensus.maxFutureBlockTime }), null);
+  assert.match(check("timestamp", block, { now: NOW - consensus.maxFutureBlockTime - 1 }).message, /future/);
+  assert.match(check("timestamp", block, { medianTimePast: NOW }).message, /median time/);
+  assert.match(check("timestamp", { ...block, timestamp: NaN }).message, /not a valid time/);
+});
+
+test("maxTransactionCount allows up to the limit, reward included", () => {
+  const reward = coinbase(EmissionService.getBlockSubsidy(1));
+  const full = [reward, transfer({ nonce: 0 }), transfer({ nonce: 1 })];
+  assert.strictEqual(full.length, consensus.maxBlockTransactions);
+  assert.strictEqual(check("maxTransactionCount", mine(full)), null);
+
+  const rejection = check("maxTransactionCount", mine([...full, transfer({ nonce: 2 })]));
+  assert.deepStrictEqual(rejection.details, { count: 4, limit: 3 });
+  assert.deepStrictEqual(check("maxTransactionCount", { transactions: [] }).details, { count: 0, limit: 3 });
+});
+
+test("maxBlockSize refuses a block whose transactions are too large", () => {
+  const block = validBlock();
+  block.transactions[1].getSize = () => consensus.maxBlockSize;
+  assert.match(check("maxBlockSize", block).message, /more than the/);
+});
+
+test("coinbase requires exactly one reward, first, and genesis allocations only in the genesis block", () => {
+  const reward = coinbase(100);
+  assert.match(check("coinbase", mine([transfer()])).message, /exactly one reward/);
+  assert.deepStrictEqual(check("coinbase", mine([transfer(), reward])).details, { rewardPositions: [1] });
+  assert.deepStrictEqual(check("coinbase", mine([reward, coinbase(1)])).details, { rewardPositions: [0, 1] });
+  assert.match(check("coinbase", mine([reward, coinbase(5, { isGenesis: true })])).message, /only allowed in the genesis/);
+  assert.match(check("coinbase", mine([reward], { index: 0 })).message, /only contain genesis allocations/);
+  assert.strictEqual(check("coinbase", mine([coinbase(5, { isGenesis: true })], { index: 0 })), null);
+});
+
+test("rewardAmount caps the reward at the subsidy plus the fees", () => {
+  const subsidy = EmissionService.getBlockSubsidy(1);
+  assert.strictEqual(check("rewardAmount", mine([coinbase(subsidy + 1), transfer()])), null);
+  const rejection = check("rewardAmount", mine([coinbase(subsidy + 1.5), transfer()]));
+  assert.strictEqual(rejection.details.code, "INVALID_REWARD");
+});
+
+test("noDuplicateTransactions refuses a transaction included twice", () => {
+  const payment = transfer();
+  const rejection = check("noDuplicateTransactions", mine([coinbase(100), payment, payment]));
+  assert.deepStrictEqual(rejection.details, { duplicates: [payment._id] });
+});
+
+test("merkleRoot refuses a root that does not commit to the transactions", () => {
+  const block = validBlock();
+  block.transactions = [block.transactions[0], transfer({ nonce: 1 })];
+  assert.match(check("merkleRoot", block).message, /does not match/);
+});
+
+test("chainId refuses transactions of another network", () => {
+  const foreign = transfer({ chainId: "other-network" });
+  assert.deepStrictEqual(check("chainId", mine([coinbase(100), foreign])).details, { foreign: [foreign._id] });
+});
+
+test("validTransactions refuses a transaction altered after it was signed", async () => {
+  const altered = transfer();
+  altered.amount = 1000;
+  const rejection = await check("validTransactions", mine([coinbase(100), altered]));
+  assert.deepStrictEqual(rejection.details, { invalid: [altered._id] });
+});
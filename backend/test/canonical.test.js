@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("assert");
+const canonical = require("../lib/canonical");
+const { hashSHA256 } = require("../lib/crypto");
+const Block = require("../blockchain/models/BlockModel");
+
+test("objects encode the same whatever their key order, without undefined fields", () => {
+  const encoded = canonical.encode({ b: [1, { d: null, c: "x" }], a: true, skipped: undefined });
+  assert.strictEqual(encoded, '{"a":true,"b":[1,{"c":"x","d":null}]}');
+  assert.strictEqual(canonical.hash({ a: true, b: [1, { c: "x", d: null }] }), hashSHA256(encoded));
+});
+
+test("numbers are written in their shortest form and dates as milliseconds", () => {
+  assert.strictEqual(canonical.encode([0.1 + 0.2, 1e21, -0, 10.5]), "[0.30000000000000004,1e+21,0,10.5]");
+  assert.strictEqual(canonical.encode(new Date("2024-05-01T00:00:00.001Z")), "1714521600001");
+});
+
+test("values that have no single encoding are refused", () => {
+  assert.throws(() => canonical.encode({ amount: NaN }), TypeError);
+  assert.throws(() => canonical.encode([Infinity]), TypeError);
+  assert.throws(() => canonical.encode(new Date(NaN)), TypeError);
+  assert.throws(() => canonical.encode(new Map()), /instance of Map/);
+  assert.throws(() => canonical.encode(() => {}), /type function/);
+});
+
+test("a block document hashes the same as its plain header, and proof-of-work workers hash it the same way", () => {
+  const block = new Block({
+    index: 1,
+    previousHash: "0".repeat(64),
+    timestamp: Date.parse("2024-05-01T00:00:00.000Z"),
+    merkleRoot: "f".repeat(64),
+    nonce: 42,
+    difficulty: 1,
+  });
+  const header = { ...block.getHeader(), timestamp: block.timestamp.getTime() };
+  assert.strictEqual(block.calculateHash(), Block.hashHeader(header));
+
+  const { prefix, suffix } = block.getHashTemplate();
+  assert.strictEqual(hashSHA256(`${prefix}${block.nonce}${suffix}`), block.calculateHash());
+  assert.throws(() => canonical.encode(block), /pass a plain object/);
+});
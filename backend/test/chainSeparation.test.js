@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useGenesis, useMemoryStore, signTransfer, sealBlock } = require("./helpers");
+const canonical = require("../lib/canonical");
+
+useGenesis({ accounts: { alice: 100 } });
+useMemoryStore();
+const consensus = require("../blockchain/config/consensus");
+const Mempool = require("../blockchain/models/MempoolModel");
+const Node = require("../blockchain/models/NodeModel");
+const Transaction = require("../blockchain/models/TransactionModel");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+const GossipService = require("../blockchain/services/GossipService");
+const NodeIdentityService = require("../blockchain/services/NodeIdentityService");
+const PeerService = require("../blockchain/services/PeerService");
+
+const blockchain = new BlockchainService();
+// The same keys, used on another network
+const foreign = signTransfer("alice", { chainId: "other-chain" });
+
+test.before(() => blockchain.ready);
+
+test("a transfer signed for another network is refused, and cannot be relabelled for this one", async () => {
+  await assert.rejects(blockchain.addTransaction(foreign), {
+    code: "WRONG_CHAIN",
+    message: "Transaction belongs to network other-chain, not test-chain.",
+  });
+
+  const relabelled = new Transaction({ ...foreign.toObject(), chainId: consensus.chainId });
+  assert.strictEqual(await relabelled.isValid(), false);
+  await assert.rejects(blockchain.addTransaction(relabelled), /invalid transaction/);
+  assert.strictEqual(await Mempool.countDocuments(), 0);
+});
+
+test("a block carrying a transfer of another network is refused", async () => {
+  const tip = await blockchain.getLatestBlock();
+  await assert.rejects(blockchain.acceptBlock(await sealBlock(tip.hash, [foreign])), {
+    code: "INVALID_BLOCK",
+    message: /chainId/,
+  });
+  assert.strictEqual((await blockchain.getLatestBlock()).hash, tip.hash);
+});
+
+test("a peer relaying a transfer of another network is penalized, and the transfer is not checked again", async () => {
+  const peers = new PeerService({
+    identity: new NodeIdentityService({ privateKey: canonical.hash("chain-separation-test:local") }),
+    trustedIdentities: [],
+  });
+  const remote = new NodeIdentityService({ privateKey: canonical.hash("chain-separation-test:remote") });
+  peers.post = async (url) => remote.sign("handshake", { ...(await peers.getLocalInfo()), nodeUrl: url, height: 0 });
+  const gossip = new GossipService(blockchain, { peerService: peers });
+  const { url } = await peers.register("http://peer.example.com");
+
+  await assert.rejects(gossip.receiveTransaction(foreign.toJSON(), url), { code: "WRONG_CHAIN" });
+  assert.strictEqual((await Node.findOne({ url })).score, 20);
+  assert.strictEqual((await gossip.receiveTransaction(foreign.toJSON(), url)).status, "duplicate");
+  assert.strictEqual((await Node.findOne({ url })).score, 20);
+});
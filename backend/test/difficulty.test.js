@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useGenesis, useMemoryStore, sealBlock } = require("./helpers");
+
+// Short windows, so that a retarget is a few blocks away: a window of 4 blocks targets 4 seconds
+process.env.DIFFICULTY_ADJUSTMENT_INTERVAL = "4";
+process.env.TARGET_BLOCK_TIME = "1000";
+const genesis = useGenesis({ difficulty: 2 });
+useMemoryStore();
+const Block = require("../blockchain/models/BlockModel");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+const DifficultyService = require("../blockchain/services/DifficultyService");
+
+const blockchain = new BlockchainService();
+const GENESIS_TIME = Date.parse(genesis.timestamp);
+
+/**
+ * Seals and accepts blocks on top of a block, one per timestamp.
+ * @param {string} parentHash - The hash of the block to build on.
+ * @param {number[]} offsets - Block times, in milliseconds after the genesis block.
+ * @returns {Promise<Object>} The last block.
+ */
+async function extend(parentHash, offsets) {
+  let block = { hash: parentHash };
+  for (const offset of offsets) {
+    block = await sealBlock(block.hash, [], { timestamp: GENESIS_TIME + offset });
+    await blockchain.acceptBlock(block);
+  }
+  return block;
+}
+
+test.before(() => blockchain.ready);
+
+test("the difficulty only moves at window boundaries, by one step when a window was far off target", () => {
+  const windowStart = { index: 0, timestamp: GENESIS_TIME, difficulty: 2 };
+  const parentAt = (index, elapsed) => ({ index, timestamp: GENESIS_TIME + elapsed, difficulty: 2 });
+
+  assert.strictEqual(DifficultyService.calculateNextDifficulty(parentAt(2, 1)), 2);
+  assert.strictEqual(DifficultyService.calculateNextDifficulty(parentAt(3, 999), windowStart), 3);
+  assert.strictEqual(DifficultyService.calculateNextDifficulty(parentAt(3, 1000), windowStart), 2);
+  assert.strictEqual(DifficultyService.calculateNextDifficulty(parentAt(3, 16000), windowStart), 2);
+  assert.strictEqual(DifficultyService.calculateNextDifficulty(parentAt(3, 16001), windowStart), 1);
+  assert.strictEqual(
+    DifficultyService.calculateNextDifficulty({ ...parentAt(3, 16001), difficulty: 1 }, windowStart),
+    1,
+    "the difficulty never drops below one"
+  );
+});
+
+test("a block at the wrong difficulty is refused and the retargeted one is stored with its difficulty", async () => {
+  const genesisBlock = await blockchain.getLatestBlock();
+  const fast = await extend(genesisBlock.hash, [1, 2, 3]);
+  assert.strictEqual(await DifficultyService.getNextDifficulty(await Block.findOne({ hash: fast.hash })), 3);
+
+  const unadjusted = await sealBlock(fast.hash, [], { timestamp: GENESIS_TIME + 4, difficulty: 2 });
+  await assert.rejects(blockchain.acceptBlock(unadjusted), { code: "INVALID_BLOCK", message: /proofOfWork/ });
+
+  const retargeted = await sealBlock(fast.hash, [], { timestamp: GENESIS_TIME + 4 });
+  assert.strictEqual((await blockchain.acceptBlock(retargeted)).status, "extended");
+  assert.strictEqual((await blockchain.getLatestBlock()).difficulty, 3);
+});
+
+test("competing branches are retargeted from their own blocks", async () => {
+  const first = await Block.findOne({ index: 1, isMainChain: true });
+  const slow = await extend(first.hash, [20000, 40000]);
+  const slowTip = await Block.findOne({ hash: slow.hash });
+  assert.strictEqual(slowTip.isMainChain, false);
+  assert.strictEqual(await DifficultyService.getNextDifficulty(slowTip), 1);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const MemoryStore = require("../blockchain/simulation/MemoryStore");
+const { signTransfer } = require("./helpers");
+
+// A schedule short enough to reach the supply cap: 50 per block, halving every 10 blocks, at most 590 mined, which
+// the 15th block reaches with a partial subsidy
+const genesisFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "emission-")), "genesis.json");
+fs.writeFileSync(
+  genesisFile,
+  JSON.stringify({
+    chainId: "emission-test",
+    timestamp: "2024-05-01T00:00:00.000Z",
+    difficulty: 1,
+    allocations: [{ address: "alice", amount: 1000 }],
+    reward: { initialSubsidy: 50, halvingInterval: 10, maxMinedSupply: 590, coinbaseMaturity: 0 },
+  })
+);
+process.env.GENESIS_FILE = genesisFile;
+
+MemoryStore.connect(mongoose.connection);
+const EmissionService = require("../blockchain/services/EmissionService");
+const Block = require("../blockchain/models/BlockModel");
+const Transaction = require("../blockchain/models/TransactionModel");
+const blockRules = require("../blockchain/rules/blockRules");
+
+const coinbaseRule = blockRules.find((rule) => rule.name === "coinbase");
+const reward = (amount) => {
+  const transaction = new Transaction({ chainId: "emission-test", toAddress: "miner", amount, isReward: true });
+  transaction._id = transaction.calculateId();
+  return transaction;
+};
+
+test.after(() => fs.rmSync(path.dirname(genesisFile), { recursive: true, force: true }));
+
+test("the genesis block has no subsidy", () => {
+  assert.strictEqual(EmissionService.getBlockSubsidy(0), 0);
+});
+
+test("the subsidy halves every halving interval", () => {
+  assert.strictEqual(EmissionService.getBlockSubsidy(1), 50);
+  assert.strictEqual(EmissionService.getBlockSubsidy(9), 50);
+  assert.strictEqual(EmissionService.getBlockSubsidy(10), 25);
+  assert.strictEqual(EmissionService.getNextHalvingHeight(0), 10);
+  assert.strictEqual(EmissionService.getNextHalvingHeight(9), 10);
+  assert.strictEqual(EmissionService.getNextHalvingHeight(10), 20);
+});
+
+test("the block reaching the cap gets what is left, and later blocks nothing", () => {
+  assert.strictEqual(EmissionService.getBlockSubsidy(14), 25);
+  assert.strictEqual(EmissionService.getBlockSubsidy(15), 15);
+  assert.strictEqual(EmissionService.getBlockSubsidy(16), 0);
+  assert.strictEqual(EmissionService.getBlockSubsidy(1000), 0);
+  assert.strictEqual(EmissionService.getMinedSupply(15), 590);
+  assert.strictEqual(EmissionService.getMinedSupply(1000), 590);
+});
+
+test("once the subsidy is exhausted, blocks claim their fees if they reach the minimum amount", () => {
+  assert.strictEqual(EmissionService.getBlockReward(15, 0), 15);
+  assert.strictEqual(EmissionService.getBlockReward(16, 0.25), 0.25);
+  assert.strictEqual(EmissionService.getBlockReward(16, Transaction.MIN_AMOUNT / 2), 0);
+  assert.strictEqual(EmissionService.getBlockReward(16, 0), 0);
+});
+
+test("a block with nothing to claim is valid without a reward transaction, and only then", () => {
+  const unpaid = signTransfer("alice", { fee: 0 });
+  assert.strictEqual(coinbaseRule.check({ index: 16, transactions: [unpaid] }), null);
+  assert.deepStrictEqual(
+    coinbaseRule.check({ index: 16, transactions: [reward(Transaction.MIN_AMOUNT / 2), unpaid] }).details,
+    { rewardPositions: [0] }
+  );
+  assert.match(coinbaseRule.check({ index: 15, transactions: [unpaid] }).message, /exactly one reward/);
+
+  const paying = signTransfer("alice", { fee: 0.25 });
+  assert.match(coinbaseRule.check({ index: 16, transactions: [paying] }).message, /exactly one reward/);
+  assert.strictEqual(coinbaseRule.check({ index: 16, transactions: [reward(0.25), paying] }), null);
+});
+
+test("the subsidies add up to the mined supply at every height", () => {
+  let total = 0;
+  for (let height = 1; height <= 40; height++) {
+    total += EmissionService.getBlockSubsidy(height);
+    assert.strictEqual(Number(total.toFixed(8)), EmissionService.getMinedSupply(height), `height ${height}`);
+  }
+});
+
+test("era subsidies are rounded down to whole units", () => {
+  // 50 coins are 5e9 units; after 30 halvings that is 4.66 units, paid as 4
+  assert.strictEqual(EmissionService.getEraSubsidyUnits(30), 4);
+  assert.strictEqual(EmissionService.getEraSubsidyUnits(33), 0);
+});
+
+test("the circulating supply counts main-chain allocations and rewards, net of fees", async () => {
+  const transactions = [
+    { _id: "genesis", chainId: "emission-test", toAddress: "alice", amount: 1000, fee: 0, isGenesis: true },
+    { _id: "reward-1", chainId: "emission-test", toAddress: "miner", amount: 50.5, fee: 0, isReward: true },
+    { _id: "transfer", chainId: "emission-test", fromAddress: "alice", toAddress: "bob", amount: 10, fee: 0.5 },
+    { _id: "stale-reward", chainId: "emission-test", toAddress: "miner", amount: 50, fee: 0, isReward: true },
+  ];
+  await Transaction.collection.insertMany(transactions);
+  const block = (index, hash, ids, isMainChain) => ({
+    index,
+    hash,
+    previousHash: "parent",
+    merkleRoot: "root",
+    nonce: 0,
+    difficulty: 1,
+    transactions: ids,
+    isMainChain,
+  });
+  await Block.create([
+    block(0, "block-0", ["genesis"], true),
+    block(1, "block-1", ["reward-1", "transfer"], true),
+    block(1, "block-1-fork", ["stale-reward"], false),
+  ]);
+
+  assert.strictEqual(await EmissionService.getCirculatingSupply(), 1050);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("assert");
+const { getWallet, useGenesis, useMemoryStore } = require("./helpers");
+
+const configured = useGenesis({ accounts: { alice: 250 }, difficulty: 2 });
+useMemoryStore();
+const Block = require("../blockchain/models/BlockModel");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+
+const blockchain = new BlockchainService();
+
+/**
+ * Loads another genesis file, leaving the configured one in place for the rest of the tests.
+ * @param {Object} fields - Genesis fields to set (see useGenesis).
+ * @returns {Object} The genesis configuration loaded from the file.
+ */
+function loadGenesis(fields) {
+  const file = process.env.GENESIS_FILE;
+  const modulePath = require.resolve("../blockchain/config/genesis");
+  const loaded = require.cache[modulePath];
+  useGenesis(fields);
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    process.env.GENESIS_FILE = file;
+    require.cache[modulePath] = loaded;
+  }
+}
+
+test.before(() => blockchain.ready);
+
+test("the genesis block is built from the configured file", async () => {
+  const stored = await Block.findOne({ index: 0, isMainChain: true });
+  assert.strictEqual(stored.hash, BlockchainService.buildGenesisBlock().block.hash);
+  assert.strictEqual(stored.difficulty, 2);
+  assert.strictEqual(stored.timestamp.getTime(), Date.parse(configured.timestamp));
+  assert.strictEqual(await blockchain.getBalanceOfAddress(getWallet("alice").publicKey), 250);
+  assert.strictEqual(await blockchain.getBalanceOfAddress(getWallet("treasury").publicKey), 1000);
+});
+
+test("nodes with the same file derive the same genesis hash, and any change gives another", () => {
+  const hashOf = (fields) => BlockchainService.buildGenesisBlock(loadGenesis(fields)).block.hash;
+  const { hash } = BlockchainService.buildGenesisBlock().block;
+  assert.strictEqual(hashOf({ accounts: { alice: 250 }, difficulty: 2 }), hash);
+  assert.notStrictEqual(hashOf({ accounts: { alice: 251 }, difficulty: 2 }), hash);
+  assert.notStrictEqual(hashOf({ accounts: { alice: 250 }, difficulty: 2, chainId: "other-chain" }), hash);
+  assert.notStrictEqual(hashOf({ accounts: { alice: 250 }, difficulty: 2, timestamp: "2024-05-02" }), hash);
+});
+
+test("an invalid genesis file is refused with the field at fault", () => {
+  const alice = getWallet("alice").publicKey;
+  const invalid = [
+    [{ chainId: "" }, /chainId must be a non-empty string/],
+    [{ timestamp: "not a date" }, /timestamp must be a date/],
+    [{ allocations: [] }, /allocations must list at least one address/],
+    [{ allocations: [{ address: alice, amount: 0 }] }, /allocations\[0\]\.amount must be positive/],
+    [{ allocations: [{ address: alice, amount: 1 }, { address: alice, amount: 2 }] }, /funds .* a second time/],
+    [{ difficulty: 0 }, /difficulty must be an integer of at least 1/],
+    [{ reward: { halvingInterval: 1.5 } }, /reward\.halvingInterval must be an integer/],
+  ];
+  for (const [fields, message] of invalid) {
+    assert.throws(() => loadGenesis(fields), message);
+  }
+  assert.throws(() => loadGenesis({ chainId: "" }), /Invalid genesis configuration .*genesis\.json/);
+});
+
+test("a database holding another genesis block is refused", async () => {
+  const { hash } = await Block.findOne({ index: 0, isMainChain: true });
+  const other = BlockchainService.buildGenesisBlock(loadGenesis({ chainId: "other-chain" })).block.hash;
+  await Block.updateOne({ hash }, { hash: other });
+  try {
+    await assert.rejects(blockchain.ensureGenesisBlock(), { code: "GENESIS_MISMATCH", message: new RegExp(other) });
+  } finally {
+    await Block.updateOne({ hash: other }, { hash });
+  }
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("assert");
+const NetworkSimulator = require("../blockchain/simulation/NetworkSimulator");
+
+/**
+ * Records the outcome of every call to one of a node's gossip handlers: the status it answered, or the code of the
+ * error it threw.
+ * @param {NetworkSimulator} network - The network.
+ * @param {string} name - The node's name.
+ * @param {string} method - The handler, e.g. "receiveBlock".
+ * @returns {string[]} The outcomes, filled in as the handler is called.
+ */
+function recordOutcomes(network, name, method) {
+  const gossip = network.getNode(name).require("blockchain/services/GossipService").shared();
+  const handle = gossip[method].bind(gossip);
+  const outcomes = [];
+  gossip[method] = (...args) =>
+    handle(...args).then(
+      (result) => {
+        outcomes.push(result.status);
+        return result;
+      },
+      (error) => {
+        outcomes.push(error.code);
+        throw error;
+      }
+    );
+  return outcomes;
+}
+
+/**
+ * Builds a network whose nodes are linked in a ring, each one only to its two neighbours.
+ * @param {string[]} names - The node names, in ring order.
+ * @returns {Promise<NetworkSimulator>} The settled network.
+ */
+async function createRing(names) {
+  const network = new NetworkSimulator();
+  for (const name of names) {
+    await network.addNode(name);
+  }
+  for (const [position, name] of names.entries()) {
+    await network.connect(name, names[(position + 1) % names.length]);
+  }
+  await network.settle();
+  return network;
+}
+
+test("a mined block goes round a ring of peers, and each node takes it in once", async () => {
+  const network = await createRing(["a", "b", "c", "d"]);
+  try {
+    const received = Object.fromEntries(
+      ["a", "b", "c", "d"].map((name) => [name, recordOutcomes(network, name, "receiveBlock")])
+    );
+    const block = await network.mine("a");
+    await network.settle();
+
+    assert.strictEqual((await network.assertConverged()).hash, block.hash);
+    for (const name of ["b", "c", "d"]) {
+      assert.strictEqual(received[name].filter((status) => status !== "duplicate").length, 1, name);
+    }
+    assert.ok(received.a.every((status) => status === "duplicate"), "the block should not be taken in again");
+  } finally {
+    network.stop();
+  }
+});
+
+test("a node hearing of a block ahead of its chain catches up with the peer that announced it", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"] });
+  try {
+    network.partition(["a"], ["b"]);
+    await network.mine("a");
+    await network.mine("a");
+    // Back together, without the synchronization heal() would ask for
+    network.partition(["a", "b"]);
+    await network.settle();
+    assert.strictEqual((await network.getTips()).b.height, 0);
+
+    const received = recordOutcomes(network, "b", "receiveBlock");
+    const block = await network.mine("a");
+    await network.settle();
+    assert.strictEqual((await network.assertConverged()).hash, block.hash);
+    // Catching up fetched the announced block along with its parents
+    assert.deepStrictEqual(received, ["duplicate"]);
+  } finally {
+    network.stop();
+  }
+});
+
+test("a submitted transfer is relayed along a line of peers into every pool, once", async () => {
+  const network = new NetworkSimulator({ accounts: { alice: 100 } });
+  try {
+    for (const name of ["a", "b", "c"]) {
+      await network.addNode(name);
+    }
+    await network.connect("a", "b");
+    await network.connect("b", "c");
+    await network.settle();
+    const received = Object.fromEntries(
+      ["a", "b", "c"].map((name) => [name, recordOutcomes(network, name, "receiveTransaction")])
+    );
+
+    const transaction = await network.submitTransaction("a", { from: "alice", to: "bob", amount: 10, fee: 1 });
+    await network.settle();
+    for (const name of ["a", "b", "c"]) {
+      assert.deepStrictEqual(await network.getNode(name).models.Mempool.distinct("transactionId"), [transaction._id]);
+    }
+    assert.deepStrictEqual(received.b, ["accepted"]);
+    assert.deepStrictEqual(received.c, ["accepted"]);
+    assert.ok(received.a.every((status) => status === "duplicate"), "the transfer should not come back as new");
+  } finally {
+    network.stop();
+  }
+});
+
+test("a relayed transfer with a broken signature is refused once and not passed on", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b", "c"], accounts: { alice: 100 } });
+  try {
+    network.partition(["a"], ["b", "c"]);
+    const signed = await network.submitTransaction("a", { from: "alice", to: "bob", amount: 10, fee: 1 });
+    const altered = { ...signed, _id: undefined, amount: 90 };
+    const received = recordOutcomes(network, "c", "receiveTransaction");
+
+    const gossip = network.getNode("b").require("blockchain/services/GossipService").shared();
+    const from = network.getNode("a").url;
+    await assert.rejects(network.drive(gossip.receiveTransaction(altered, from)), /invalid transaction/);
+    assert.strictEqual((await network.drive(gossip.receiveTransaction(altered, from))).status, "duplicate");
+    await network.settle();
+
+    assert.strictEqual(await network.getNode("b").models.Mempool.countDocuments(), 0);
+    assert.deepStrictEqual(received, []);
+  } finally {
+    network.stop();
+  }
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useGenesis, useMemoryStore } = require("./helpers");
+const canonical = require("../lib/canonical");
+
+useGenesis();
+const store = useMemoryStore();
+const protocol = require("../blockchain/config/protocol");
+const Node = require("../blockchain/models/NodeModel");
+const NodeIdentityService = require("../blockchain/services/NodeIdentityService");
+const PeerService = require("../blockchain/services/PeerService");
+
+const local = new NodeIdentityService({ privateKey: canonical.hash("handshake-test:local") });
+const remote = new NodeIdentityService({ privateKey: canonical.hash("handshake-test:remote") });
+const peers = new PeerService({ identity: local, trustedIdentities: [] });
+
+/**
+ * Describes a remote node running the same chain and protocol, with some fields changed.
+ * @param {Object} [fields] - Handshake fields to set.
+ * @returns {Promise<Object>} The unsigned handshake.
+ */
+async function remoteInfo(fields = {}) {
+  return { ...(await peers.getLocalInfo()), nodeUrl: "http://peer.example.com", height: 3, ...fields };
+}
+
+test.beforeEach(() => store.collections.forEach((collection) => collection.drop()));
+
+test("the handshake reports the chain, genesis block, versions and height", async () => {
+  const info = await peers.getLocalInfo();
+  assert.strictEqual(info.chainId, "test-chain");
+  assert.match(info.genesisHash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(info.protocolVersion, protocol.protocolVersion);
+  assert.strictEqual(info.version, protocol.softwareVersion);
+  assert.strictEqual(info.height, 0);
+  await peers.assertCompatible(await remoteInfo());
+});
+
+test("peers of another chain or an older protocol are incompatible", async () => {
+  const refusals = [
+    [{ chainId: "other-chain" }, /chain id other-chain differs/],
+    [{ genesisHash: "f".repeat(64) }, /genesis block f+ differs/],
+    [{ protocolVersion: protocol.minProtocolVersion - 1 }, /protocol version 0 is older/],
+    [{ protocolVersion: "1" }, /protocol version 1 is older/],
+    [{ height: -1 }, /reported height is not a block index/],
+  ];
+  for (const [fields, message] of refusals) {
+    await assert.rejects(peers.assertCompatible(await remoteInfo(fields)), { code: "INCOMPATIBLE_PEER", message });
+  }
+  await assert.rejects(peers.assertCompatible(), /handshake is missing/);
+});
+
+test("an incompatible peer is neither registered nor answered", async () => {
+  const foreign = new PeerService({ identity: local, trustedIdentities: [] });
+  foreign.post = async () => remote.sign("handshake", await remoteInfo({ chainId: "other-chain" }));
+  await assert.rejects(foreign.register("http://peer.example.com"), { code: "INCOMPATIBLE_PEER" });
+
+  const handshake = remote.sign("handshake", { ...(await remoteInfo({ chainId: "other-chain" })), register: true });
+  await assert.rejects(peers.acceptHandshake(handshake), { code: "INCOMPATIBLE_PEER" });
+  assert.strictEqual(await Node.countDocuments(), 0);
+});
+
+test("a peer that does not answer the handshake is unreachable", async () => {
+  const unreachable = new PeerService({ identity: local, trustedIdentities: [] });
+  unreachable.post = async () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+  await assert.rejects(unreachable.register("http://peer.example.com"), {
+    code: "PEER_UNREACHABLE",
+    message: /ECONNREFUSED/,
+  });
+});
+
+test("a compatible peer's handshake is answered with this node's, and its height recorded", async () => {
+  const registering = new PeerService({ identity: local, trustedIdentities: [] });
+  registering.post = async () => remote.sign("handshake", await remoteInfo());
+  await registering.register("http://peer.example.com");
+
+  const answer = await peers.acceptHandshake(remote.sign("handshake", await remoteInfo({ height: 5 })));
+  assert.strictEqual(remote.verify("handshake", answer), local.publicKey);
+  assert.strictEqual(answer.registered, true);
+  assert.strictEqual(answer.chainId, "test-chain");
+  assert.strictEqual((await Node.findOne({ url: "http://peer.example.com" })).height, 5);
+});
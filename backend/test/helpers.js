@@ -0,0 +1,130 @@
+/**
+ * @file helpers.js
+ * @description Setup shared by the tests that run the node's models and services: a genesis file of their own, the
+ * in-memory MongoDB stand-in of the network simulator, deterministic wallets, signed transfers and sealed blocks. The
+ * configuration
+ * is read when the consensus modules are first required, so useGenesis must run before they are.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const mongoose = require("mongoose");
+const MemoryStore = require("../blockchain/simulation/MemoryStore");
+const Wallet = require("../lib/Wallet");
+const canonical = require("../lib/canonical");
+
+/**
+ * Returns the wallet of a named test account. The same name always gives the same keys.
+ * @param {string} name - The account name.
+ * @returns {Wallet} The wallet.
+ */
+function getWallet(name) {
+  return new Wallet(canonical.hash(`test-wallet:${name}`));
+}
+
+/**
+ * Writes a genesis file for this test process and points GENESIS_FILE at it. The file is removed once the tests
+ * of the file are done.
+ * @param {Object} [options] - Genesis fields to set.
+ * @param {Object<string, number>} [options.accounts] - Named test accounts to fund, with their amounts.
+ * @param {Object} [options.reward] - Reward parameters, merged over the defaults.
+ * @returns {Object} The genesis configuration written.
+ */
+function useGenesis({ accounts = {}, reward = {}, ...fields } = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "genesis-"));
+  const file = path.join(directory, "genesis.json");
+  const config = {
+    chainId: "test-chain",
+    timestamp: "2024-05-01T00:00:00.000Z",
+    difficulty: 1,
+    allocations: Object.entries({ treasury: 1000, ...accounts }).map(([name, amount]) => ({
+      address: getWallet(name).publicKey,
+      amount,
+    })),
+    reward: { initialSubsidy: 50, halvingInterval: 100, maxMinedSupply: 10000, coinbaseMaturity: 2, ...reward },
+    ...fields,
+  };
+  fs.writeFileSync(file, JSON.stringify(config));
+  process.env.GENESIS_FILE = file;
+  test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return config;
+}
+
+/**
+ * Connects the default mongoose connection to a fresh in-memory store.
+ * @returns {MemoryStore} The store.
+ */
+function useMemoryStore() {
+  return MemoryStore.connect(mongoose.connection);
+}
+
+/**
+ * Signs a transfer from a named test account on the configured chain.
+ * @param {string} sender - The sender's account name.
+ * @param {Object} [fields] - Transaction fields to set; `to` names the recipient's account.
+ * @returns {TransactionModel} The signed, unsaved transaction.
+ */
+function signTransfer(sender, { to = "treasury", ...fields } = {}) {
+  const Transaction = require("../blockchain/models/TransactionModel");
+  const consensus = require("../blockchain/config/consensus");
+  const wallet = getWallet(sender);
+  const transaction = new Transaction({
+    chainId: consensus.chainId,
+    fromAddress: wallet.publicKey,
+    toAddress: getWallet(to).publicKey,
+    amount: 10,
+    fee: 0.1,
+    nonce: 0,
+    ...fields,
+  });
+  transaction.signTransaction(wallet.keyPair.getPrivate("hex"));
+  return transaction;
+}
+
+/**
+ * Builds and seals a block on top of a stored block, as a peer would announce it.
+ * @param {string} parentHash - The hash of the block to build on.
+ * @param {TransactionModel[]} [transfers] - The block's transfers.
+ * @param {Object} [options] - Block options.
+ * @param {string} [options.miner] - The name of the account receiving the reward.
+ * @param {number} [options.timestamp] - The block time; by default the current time, or just after the parent's.
+ * @param {number} [options.difficulty] - The difficulty to mine at; by default the one the consensus rules expect.
+ * @returns {Promise<Object>} The block, with its transactions embedded.
+ */
+async function sealBlock(parentHash, transfers = [], { miner = "miner", timestamp, difficulty } = {}) {
+  const MerkleTree = require("../lib/merkleTree");
+  const consensus = require("../blockchain/config/consensus");
+  const Block = require("../blockchain/models/BlockModel");
+  const Transaction = require("../blockchain/models/TransactionModel");
+  const DifficultyService = require("../blockchain/services/DifficultyService");
+  const EmissionService = require("../blockchain/services/EmissionService");
+  const TransactionService = require("../blockchain/services/TransactionService");
+
+  const parent = await Block.findOne({ hash: parentHash });
+  const index = parent.index + 1;
+  const reward = new Transaction({
+    chainId: consensus.chainId,
+    toAddress: getWallet(miner).publicKey,
+    amount: EmissionService.getBlockReward(index, TransactionService.getBlockFees(transfers)),
+    isReward: true,
+  });
+  reward._id = reward.calculateId();
+  const transactions = reward.amount > 0 ? [reward, ...transfers] : transfers;
+  const header = {
+    index,
+    previousHash: parent.hash,
+    timestamp: timestamp ?? Math.max(Date.now(), parent.timestamp.getTime() + 1),
+    merkleRoot: new MerkleTree(transactions.map((transaction) => transaction._id)).getRoot(),
+    difficulty: difficulty ?? (await DifficultyService.getNextDifficulty(parent)),
+  };
+  for (header.nonce = 0; ; header.nonce++) {
+    const hash = Block.hashHeader(header);
+    if (DifficultyService.meetsDifficulty(hash, header.difficulty)) {
+      return { ...header, hash, transactions };
+    }
+  }
+}
+
+module.exports = { getWallet, useGenesis, useMemoryStore, signTransfer, sealBlock };
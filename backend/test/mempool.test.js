@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("assert");
+const mongoose = require("mongoose");
+const MemoryStore = require("../blockchain/simulation/MemoryStore");
+
+// A small transaction count limit, so that block templates can be filled up to it
+process.env.MAX_BLOCK_TRANSACTIONS = "4";
+const store = MemoryStore.connect(mongoose.connection);
+const Wallet = require("../lib/Wallet");
+const canonical = require("../lib/canonical");
+const consensus = require("../blockchain/config/consensus");
+const Mempool = require("../blockchain/models/MempoolModel");
+const Block = require("../blockchain/models/BlockModel");
+const Transaction = require("../blockchain/models/TransactionModel");
+const MempoolService = require("../blockchain/services/MempoolService");
+
+const wallets = {};
+
+/**
+ * Signs a transfer from a deterministic wallet.
+ * @param {string} sender - The sender's name.
+ * @param {number} nonce - The transfer's nonce.
+ * @param {number} fee - The transfer's fee.
+ * @returns {TransactionModel} The transaction.
+ */
+function transfer(sender, nonce, fee) {
+  wallets[sender] = wallets[sender] || new Wallet(canonical.hash(`mempool-test:${sender}`));
+  const wallet = wallets[sender];
+  const transaction = new Transaction({
+    chainId: consensus.chainId,
+    fromAddress: wallet.publicKey,
+    toAddress: "recipient",
+    amount: 1,
+    fee,
+    nonce,
+  });
+  transaction.signTransaction(wallet.keyPair.getPrivate("hex"));
+  return transaction;
+}
+
+const ids = (transactions) => transactions.map((transaction) => transaction._id);
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test.beforeEach(() => store.collections.forEach((collection) => collection.drop()));
+
+test("a full pool evicts its lowest-fee entry for a better-paying transaction", async () => {
+  const mempool = new MempoolService({ maxSize: 2 });
+  const cheap = transfer("alice", 0, 0.1);
+  const dear = transfer("bob", 0, 0.5);
+  await mempool.add(cheap);
+  await mempool.add(dear);
+
+  const better = transfer("carol", 0, 0.2);
+  await mempool.add(better);
+  assert.deepStrictEqual(ids(mempool.getTransactions()), ids([dear, better]));
+  assert.strictEqual(await Mempool.countDocuments({ transactionId: cheap._id }), 0);
+  assert.strictEqual(await Mempool.countDocuments(), 2);
+});
+
+test("a full pool refuses a transaction that does not outbid any entry", async () => {
+  const mempool = new MempoolService({ maxSize: 1 });
+  await mempool.add(transfer("alice", 0, 0.3));
+  await assert.rejects(mempool.add(transfer("bob", 0, 0.3)), { code: "MEMPOOL_FULL" });
+  assert.strictEqual(mempool.size(), 1);
+});
+
+test("evicting a transaction also drops the sender's later nonces", async () => {
+  const mempool = new MempoolService({ maxSize: 3 });
+  const first = transfer("alice", 0, 0.1);
+  await mempool.add(first);
+  await mempool.add(transfer("alice", 1, 0.9));
+  const other = transfer("bob", 0, 0.5);
+  await mempool.add(other);
+
+  const newcomer = transfer("carol", 0, 0.2);
+  await mempool.add(newcomer);
+  assert.deepStrictEqual(ids(mempool.getTransactions()), ids([other, newcomer]));
+  assert.strictEqual(await Mempool.countDocuments({ fromAddress: first.fromAddress }), 0);
+});
+
+test("expired transactions leave the pool together with the sender's later nonces", async () => {
+  const mempool = new MempoolService({ transactionTtl: 200 });
+  await mempool.add(transfer("alice", 0, 0.1));
+  await wait(120);
+  await mempool.add(transfer("alice", 1, 0.1));
+  const fresh = transfer("bob", 0, 0.1);
+  await mempool.add(fresh);
+  await wait(120);
+
+  assert.deepStrictEqual(ids(mempool.getTransactions()), ids([fresh]));
+  assert.strictEqual(mempool.has(fresh._id), true);
+  await wait(10);
+  assert.strictEqual(await Mempool.countDocuments(), 1);
+});
+
+test("reloading drops expired and already mined entries", async () => {
+  const writer = new MempoolService({ transactionTtl: 40 });
+  const expiring = transfer("alice", 0, 0.1);
+  await writer.add(expiring);
+  writer.transactionTtl = 60 * 1000;
+  const mined = transfer("bob", 0, 0.1);
+  const pending = transfer("carol", 0, 0.1);
+  await writer.add(mined);
+  await writer.add(pending);
+  await Block.create({
+    index: 1,
+    hash: "block-1",
+    previousHash: "genesis",
+    merkleRoot: "root",
+    nonce: 0,
+    difficulty: 1,
+    transactions: [mined._id],
+    isMainChain: true,
+  });
+  await wait(50);
+
+  const reader = new MempoolService();
+  await reader.load();
+  assert.deepStrictEqual(ids(reader.getTransactions()), ids([pending]));
+  assert.deepStrictEqual(await Mempool.distinct("transactionId"), [pending._id]);
+});
+
+test("a transaction pooled by another instance is reported as a duplicate key", async () => {
+  const transaction = transfer("alice", 0, 0.1);
+  await new MempoolService().add(transaction);
+  await assert.rejects(new MempoolService().add(transaction), {
+    code: 11000,
+    message: "Transaction is already in the mempool.",
+  });
+});
+
+test("block templates leave room for the reward within the transaction count limit", async () => {
+  const mempool = new MempoolService();
+  const limit = consensus.maxBlockTransactions;
+  for (let nonce = 0; nonce < limit + 2; nonce++) {
+    await mempool.add(transfer("alice", nonce, 0.1));
+  }
+
+  const selected = mempool.selectForBlock(Number.MAX_SAFE_INTEGER, {});
+  assert.strictEqual(selected.length, limit - 1);
+  assert.deepStrictEqual(
+    selected.map((transaction) => transaction.nonce),
+    Array.from({ length: limit - 1 }, (_, nonce) => nonce)
+  );
+});
+
+test("block templates take the best fee per byte first, each sender in nonce order", async () => {
+  const mempool = new MempoolService();
+  const [held, following, best, middle] = [
+    transfer("alice", 0, 0.1),
+    transfer("alice", 1, 0.9),
+    transfer("bob", 0, 0.5),
+    transfer("carol", 0, 0.3),
+  ];
+  for (const transaction of [held, following, best, middle]) {
+    await mempool.add(transaction);
+  }
+  // Alice's well-paying nonce 1 waits behind her cheap nonce 0, and the count limit leaves it out
+  assert.deepStrictEqual(ids(mempool.selectForBlock(Number.MAX_SAFE_INTEGER, {})), ids([best, middle, held]));
+  assert.deepStrictEqual(ids(mempool.selectForBlock(best.getSize(), {})), ids([best]));
+});
+
+test("block templates leave out senders whose pending nonces do not follow on from the confirmed one", async () => {
+  const mempool = new MempoolService();
+  const gap = transfer("alice", 1, 0.5);
+  const used = transfer("bob", 0, 0.5);
+  const next = transfer("bob", 1, 0.1);
+  for (const transaction of [gap, used, next]) {
+    await mempool.add(transaction);
+  }
+  const confirmedNonces = { [used.fromAddress]: 1 };
+  assert.deepStrictEqual(ids(mempool.selectForBlock(Number.MAX_SAFE_INTEGER, confirmedNonces)), ids([next]));
+});
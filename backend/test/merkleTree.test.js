@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("assert");
+const MerkleTree = require("../lib/merkleTree");
+const { hashSHA256 } = require("../lib/crypto");
+
+const transactions = (count) => Array.from({ length: count }, (_, position) => `tx${position}`);
+
+test("the root of a single transaction is its hash", () => {
+  assert.strictEqual(new MerkleTree(["tx0"]).getRoot(), hashSHA256("tx0"));
+});
+
+test("an odd level pairs its last hash with itself", () => {
+  const [a, b, c] = transactions(3).map(hashSHA256);
+  const expected = hashSHA256(hashSHA256(a + b) + hashSHA256(c + c));
+  assert.strictEqual(new MerkleTree(transactions(3)).getRoot(), expected);
+});
+
+test("a tree needs at least one transaction", () => {
+  assert.throws(() => new MerkleTree([]), /cannot be empty/);
+});
+
+test("every leaf of trees of various sizes has a proof that verifies", () => {
+  for (const count of [1, 2, 3, 4, 5, 7, 8, 13]) {
+    const tree = new MerkleTree(transactions(count));
+    transactions(count).forEach((transaction, position) => {
+      const proof = tree.generateProof(transaction);
+      assert.ok(
+        MerkleTree.verifyProof(proof, tree.getRoot(), transaction, position),
+        `proof of leaf ${position} of ${count}`
+      );
+    });
+  }
+});
+
+test("a proof does not verify at another position", () => {
+  const tree = new MerkleTree(transactions(5));
+  const proof = tree.generateProof("tx2");
+  assert.strictEqual(MerkleTree.verifyProof(proof, tree.getRoot(), "tx2", 3), false);
+  // Index 10 walks the same path as index 2 but points beyond the tree
+  assert.strictEqual(MerkleTree.verifyProof(proof, tree.getRoot(), "tx2", 10), false);
+});
+
+test("a proof does not verify another transaction or another root", () => {
+  const tree = new MerkleTree(transactions(4));
+  const proof = tree.generateProof("tx1");
+  assert.strictEqual(MerkleTree.verifyProof(proof, tree.getRoot(), "tx9", 1), false);
+  assert.strictEqual(MerkleTree.verifyProof(proof, new MerkleTree(transactions(3)).getRoot(), "tx1", 1), false);
+});
+
+test("a tampered proof does not verify", () => {
+  const tree = new MerkleTree(transactions(6));
+  const proof = tree.generateProof("tx4");
+  proof[1] = hashSHA256("forged");
+  assert.strictEqual(MerkleTree.verifyProof(proof, tree.getRoot(), "tx4", 4), false);
+});
+
+test("malformed proofs and indexes are refused", () => {
+  const tree = new MerkleTree(transactions(2));
+  assert.strictEqual(MerkleTree.verifyProof(null, tree.getRoot(), "tx0", 0), false);
+  assert.strictEqual(MerkleTree.verifyProof(tree.generateProof("tx0"), tree.getRoot(), "tx0", -1), false);
+  assert.strictEqual(MerkleTree.verifyProof(tree.generateProof("tx0"), tree.getRoot(), "tx0", 0.5), false);
+});
+
+test("no proof is generated for a transaction outside the tree", () => {
+  assert.throws(() => new MerkleTree(transactions(3)).generateProof("tx9"), /not found/);
+});
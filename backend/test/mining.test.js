@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("assert");
+const { getWallet, useGenesis, useMemoryStore, signTransfer, sealBlock } = require("./helpers");
+
+process.env.MINING_WORKERS = "1";
+useGenesis({ accounts: { alice: 100, bob: 100 } });
+useMemoryStore();
+const Transaction = require("../blockchain/models/TransactionModel");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+const EmissionService = require("../blockchain/services/EmissionService");
+const ValidationService = require("../blockchain/services/ValidationService");
+
+const blockchain = new BlockchainService();
+
+test.before(() => blockchain.ready);
+
+test("a block mined while the chain is ahead of the local clock is still after the median time past", async () => {
+  // Peers with clocks a minute ahead, which the timestamp rule tolerates
+  const ahead = Date.now() + 60 * 1000;
+  for (let offset = 0; offset < 3; offset++) {
+    const block = await sealBlock((await blockchain.getLatestBlock()).hash, [], { timestamp: ahead + offset });
+    assert.strictEqual((await blockchain.acceptBlock(block)).status, "extended");
+  }
+  const parent = await blockchain.getLatestBlock();
+  const { medianTimePast } = await ValidationService.getBlockContext({ previousHash: parent.hash });
+  assert.ok(medianTimePast > Date.now());
+
+  await blockchain.addTransaction(signTransfer("alice"));
+  const { status, block } = await blockchain.minePendingTransactions(getWallet("miner").publicKey);
+
+  assert.strictEqual(status, "extended");
+  assert.strictEqual(block.previousHash, parent.hash);
+  assert.ok(block.timestamp.getTime() > medianTimePast);
+});
+
+test("the miner collects the fees of the transfers it mines on top of the subsidy", async () => {
+  const transfers = [signTransfer("bob", { fee: 1.5 }), signTransfer("bob", { fee: 0.25, nonce: 1 })];
+  for (const transaction of transfers) {
+    await blockchain.addTransaction(transaction);
+  }
+  const { block } = await blockchain.minePendingTransactions(getWallet("fee-miner").publicKey);
+
+  const [rewardId, ...minedIds] = block.transactions;
+  const reward = await Transaction.findById(rewardId);
+  assert.strictEqual(reward.isReward, true);
+  assert.strictEqual(reward.toAddress, getWallet("fee-miner").publicKey);
+  assert.strictEqual(reward.amount, EmissionService.getBlockSubsidy(block.index) + 1.75);
+  assert.deepStrictEqual(minedIds, transfers.map((transaction) => transaction._id));
+});
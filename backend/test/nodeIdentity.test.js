@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useGenesis, useMemoryStore } = require("./helpers");
+const canonical = require("../lib/canonical");
+
+useGenesis();
+useMemoryStore();
+const Node = require("../blockchain/models/NodeModel");
+const NodeIdentityService = require("../blockchain/services/NodeIdentityService");
+const PeerService = require("../blockchain/services/PeerService");
+
+const identityOf = (name, options = {}) =>
+  new NodeIdentityService({ privateKey: canonical.hash(`test-node:${name}`), ...options });
+const local = identityOf("local");
+
+/**
+ * Sets up a peer list of this node whose requests to other nodes are answered by the given identities instead of
+ * going over the network.
+ * @param {Object<string, NodeIdentityService>} remotes - The identity answering at each URL.
+ * @param {Object} [options] - PeerService options.
+ * @returns {{peers: PeerService, posted: string[]}} The peer list, and the URLs it sent requests to.
+ */
+function usePeers(remotes, options = {}) {
+  const peers = new PeerService({ identity: local, trustedIdentities: [], ...options });
+  const posted = [];
+  peers.post = async (url) => {
+    posted.push(url);
+    return remotes[url].sign("handshake", { ...(await peers.getLocalInfo()), nodeUrl: url, registered: false });
+  };
+  return { peers, posted };
+}
+
+/**
+ * Signs a handshake asking this node to register the sender at an address.
+ * @param {NodeIdentityService} remote - The sender's identity.
+ * @param {string} nodeUrl - The address the sender advertises.
+ * @returns {Promise<Object>} The signed handshake.
+ */
+async function askToRegister(remote, nodeUrl) {
+  const info = await new PeerService({ identity: remote }).getLocalInfo();
+  return remote.sign("handshake", { ...info, nodeUrl, register: true });
+}
+
+test("a signed message verifies as its signer, and not once it is altered", () => {
+  const remote = identityOf("remote");
+  const message = remote.sign("block", { hash: "abc" });
+  assert.strictEqual(local.verify("block", message), remote.publicKey);
+  assert.throws(() => local.verify("block", { ...remote.sign("block", { hash: "abc" }), hash: "abd" }), {
+    code: "INVALID_SIGNATURE",
+  });
+  assert.throws(() => local.verify("transaction", remote.sign("block", { hash: "abc" })), /invalid signature/);
+  assert.throws(() => local.verify("block", { hash: "abc" }), /not signed/);
+});
+
+test("a message is accepted only once and only while fresh", () => {
+  const remote = identityOf("remote");
+  const message = remote.sign("transaction", { id: "1" });
+  local.verify("transaction", message);
+  assert.throws(() => local.verify("transaction", message), /already received/);
+
+  const stale = remote.sign("transaction", { id: "2" });
+  stale.proof.timestamp -= local.maxMessageAge + 1;
+  assert.throws(() => local.verify("transaction", stale), /too long ago/);
+});
+
+test("a message signed for another network never verifies", () => {
+  const foreign = identityOf("remote", { chainId: "other-chain" });
+  assert.throws(() => local.verify("block", foreign.sign("block", { hash: "abc" })), { code: "INVALID_SIGNATURE" });
+});
+
+test("an untrusted node cannot make this node shake hands with a private address", async () => {
+  const remote = identityOf("intruder");
+  const { peers, posted } = usePeers({ "http://localhost:4000": remote });
+  await assert.rejects(peers.acceptHandshake(await askToRegister(remote, "http://localhost:4000")), {
+    code: "PRIVATE_NODE_ADDRESS",
+  });
+  assert.deepStrictEqual(posted, []);
+  assert.strictEqual(await Node.exists({ url: "http://localhost:4000" }), null);
+});
+
+test("a trusted node is registered back at any address", async () => {
+  const remote = identityOf("partner");
+  const { peers, posted } = usePeers({ "http://localhost:4001": remote }, { trustedIdentities: [remote.publicKey] });
+  const answer = await peers.acceptHandshake(await askToRegister(remote, "http://localhost:4001"));
+
+  assert.strictEqual(answer.registered, true);
+  assert.deepStrictEqual(posted, ["http://localhost:4001"]);
+  assert.strictEqual((await Node.findOne({ url: "http://localhost:4001" })).identity, remote.publicKey);
+});
+
+test("handshakes back to untrusted nodes are rate limited", async () => {
+  const first = identityOf("first");
+  const second = identityOf("second");
+  const { peers, posted } = usePeers(
+    { "http://localhost:4002": first, "http://localhost:4003": second },
+    { allowPrivateAddresses: true, registrationRateLimit: 1 }
+  );
+  await peers.acceptHandshake(await askToRegister(first, "http://localhost:4002"));
+  await assert.rejects(peers.acceptHandshake(await askToRegister(second, "http://localhost:4003")), {
+    code: "REGISTRATION_RATE_LIMITED",
+  });
+  assert.deepStrictEqual(posted, ["http://localhost:4002"]);
+});
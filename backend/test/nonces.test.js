@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("assert");
+const { getWallet, useGenesis, useMemoryStore, signTransfer, sealBlock } = require("./helpers");
+
+useGenesis({ accounts: { alice: 100, bob: 100 } });
+useMemoryStore();
+const BlockchainService = require("../blockchain/services/BlockchainService");
+const TransactionService = require("../blockchain/services/TransactionService");
+
+const blockchain = new BlockchainService();
+
+const tip = () => blockchain.getLatestBlock();
+const nonceOf = (name) => TransactionService.getConfirmedNonce(getWallet(name).publicKey);
+
+test.before(() => blockchain.ready);
+
+test("a transfer must carry the sender's next nonce, counting pending transfers", async () => {
+  await assert.rejects(blockchain.addTransaction(signTransfer("alice", { nonce: 1 })), { code: "NONCE_TOO_HIGH" });
+  await blockchain.addTransaction(signTransfer("alice"));
+  await assert.rejects(blockchain.addTransaction(signTransfer("alice", { amount: 5 })), { code: "NONCE_TOO_LOW" });
+  await blockchain.addTransaction(signTransfer("alice", { nonce: 1 }));
+  const next = await TransactionService.getNextNonce(getWallet("alice").publicKey, blockchain.pendingTransactions);
+  assert.strictEqual(next, 2);
+});
+
+test("a confirmed transfer cannot be replayed, to the pool or in a block", async () => {
+  const payment = signTransfer("bob", { amount: 10 });
+  await blockchain.acceptBlock(await sealBlock((await tip()).hash, [payment]));
+  assert.strictEqual(await nonceOf("bob"), 1);
+
+  await assert.rejects(blockchain.addTransaction(payment), { code: "NONCE_TOO_LOW" });
+  const parent = await tip();
+  const replay = await sealBlock(parent.hash, [payment]);
+  await assert.rejects(blockchain.acceptBlock(replay), { code: "INVALID_BLOCK", message: /uses nonce 0 where 1/ });
+  assert.strictEqual((await tip()).hash, parent.hash);
+  assert.strictEqual(await nonceOf("bob"), 1);
+});
+
+test("blocks must continue each sender's nonces without gaps or repeats", () => {
+  const transfers = (name, nonces) => nonces.map((nonce) => signTransfer(name, { nonce }));
+  const nonces = { [getWallet("bob").publicKey]: 1 };
+  TransactionService.applyBlockNonces([...transfers("alice", [1, 0]), ...transfers("bob", [1])], nonces);
+  assert.deepStrictEqual(nonces, { [getWallet("alice").publicKey]: 2, [getWallet("bob").publicKey]: 2 });
+
+  assert.throws(() => TransactionService.applyBlockNonces(transfers("alice", [3]), nonces), { code: "INVALID_NONCE" });
+  assert.throws(() => TransactionService.applyBlockNonces(transfers("bob", [2, 2]), nonces), { code: "INVALID_NONCE" });
+  assert.throws(() => TransactionService.applyBlockNonces(transfers("bob", [1]), nonces), { code: "INVALID_NONCE" });
+});
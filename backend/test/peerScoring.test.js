@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useGenesis, useMemoryStore } = require("./helpers");
+const canonical = require("../lib/canonical");
+
+useGenesis();
+const store = useMemoryStore();
+const Node = require("../blockchain/models/NodeModel");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+const GossipService = require("../blockchain/services/GossipService");
+const NodeIdentityService = require("../blockchain/services/NodeIdentityService");
+const PeerHealthService = require("../blockchain/services/PeerHealthService");
+const PeerService = require("../blockchain/services/PeerService");
+
+const identityOf = (name) => new NodeIdentityService({ privateKey: canonical.hash(`peer-scoring-test:${name}`) });
+const local = identityOf("local");
+
+/**
+ * Creates a peer list of this node whose handshakes are answered without going over the network: by a compatible
+ * node at a height of 4, by a node of another chain at URLs containing "foreign", and not at all at URLs containing
+ * "down".
+ * @returns {PeerService} The peer list.
+ */
+function startPeers() {
+  const peers = new PeerService({ identity: local, trustedIdentities: [] });
+  peers.post = async (url) => {
+    if (url.includes("down")) {
+      throw new Error("connect ECONNREFUSED");
+    }
+    const info = { ...(await peers.getLocalInfo()), nodeUrl: url, height: 4 };
+    return identityOf(url).sign("handshake", url.includes("foreign") ? { ...info, chainId: "other-chain" } : info);
+  };
+  return peers;
+}
+
+test.beforeEach(() => store.collections.forEach((collection) => collection.drop()));
+
+test("a peer is banned once its misbehaviour reaches the threshold, and its requests are refused", async () => {
+  const peers = startPeers();
+  const { url } = await peers.register("http://peer.example.com");
+  assert.strictEqual((await peers.penalize(url, "invalidBlock")).score, 50);
+  assert.deepStrictEqual(await peers.getUrls(), [url]);
+
+  const banned = await peers.penalize(url, "invalidBlock");
+  assert.strictEqual(banned.score, 100);
+  assert.ok(banned.bannedUntil.getTime() > Date.now());
+  assert.deepStrictEqual(await peers.getUrls(), []);
+  assert.strictEqual((await peers.list())[0].banned, true);
+  await assert.rejects(peers.assertNotBanned(url), { code: "PEER_BANNED" });
+
+  assert.strictEqual(await peers.penalize("http://stranger.example.com", "timeout"), null);
+  await assert.rejects(peers.penalize(url, "rudeness"), /Unknown peer offence/);
+});
+
+test("an expired ban is lifted and the peer starts over with a clean score", async () => {
+  const peers = startPeers();
+  const { url } = await peers.register("http://peer.example.com");
+  await peers.penalize(url, "incompatible");
+  await Node.updateOne({ url }, { bannedUntil: new Date(Date.now() - 1) });
+
+  assert.strictEqual(await peers.liftExpiredBans(), 1);
+  const node = await Node.findOne({ url });
+  assert.strictEqual(node.score, 0);
+  assert.strictEqual(node.bannedUntil, null);
+  assert.deepStrictEqual(await peers.getUrls(), [url]);
+});
+
+test("health checks refresh healthy peers and penalize incompatible ones", async () => {
+  const peers = startPeers();
+  for (const url of ["http://healthy.example.com", "http://foreign.example.com", "http://down.example.com"]) {
+    await peers.save(url, { height: 0 });
+  }
+  const { results } = await new PeerHealthService(peers).checkPeers();
+
+  assert.deepStrictEqual(results[0], { url: "http://healthy.example.com", height: 4 });
+  assert.match(results[1].error, /chain id other-chain differs/);
+  assert.match(results[2].error, /ECONNREFUSED/);
+  assert.strictEqual((await Node.findOne({ url: "http://healthy.example.com" })).height, 4);
+  assert.deepStrictEqual(await peers.getUrls(), ["http://healthy.example.com", "http://down.example.com"]);
+});
+
+test("peers sending malformed gossip are penalized", async () => {
+  const peers = startPeers();
+  const gossip = new GossipService(new BlockchainService(), { peerService: peers });
+  const { url } = await peers.register("http://peer.example.com");
+
+  await assert.rejects(gossip.receiveBlock(null, url), { code: "INVALID_BLOCK" });
+  await assert.rejects(gossip.receiveInventory({ type: "blocks", ids: [] }, url), { code: "INVALID_INVENTORY" });
+  assert.strictEqual((await Node.findOne({ url })).score, 40);
+  for (let offence = 0; offence < 3; offence++) {
+    await assert.rejects(gossip.receiveTransaction("not a transaction", url), { code: "INVALID_TRANSACTION" });
+  }
+  await assert.rejects(gossip.receiveBlock({}, url), { code: "PEER_BANNED" });
+});
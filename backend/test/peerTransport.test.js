@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("assert");
+const canonical = require("../lib/canonical");
+const NetworkSimulator = require("../blockchain/simulation/NetworkSimulator");
+
+/**
+ * Records what a node sends its peers: the types of the messages over its open connections, and the paths it posts
+ * to over HTTP.
+ * @param {NetworkSimulator} network - The network.
+ * @param {string} name - The node's name.
+ * @returns {{messages: string[], posts: string[]}} The messages and posts, filled in as they are sent.
+ */
+function recordSends(network, name) {
+  const node = network.getNode(name);
+  const transport = node.require("blockchain/services/PeerTransportService").shared();
+  const peers = node.require("blockchain/services/PeerService").shared();
+  const request = transport.request.bind(transport);
+  const post = peers.post.bind(peers);
+  const sent = { messages: [], posts: [] };
+  transport.request = (url, type, payload) => {
+    sent.messages.push(type);
+    return request(url, type, payload);
+  };
+  peers.post = (url, path, body, options) => {
+    sent.posts.push(path);
+    return post(url, path, body, options);
+  };
+  return sent;
+}
+
+const transportOf = (network, name) =>
+  network.getNode(name).require("blockchain/services/PeerTransportService").shared();
+
+test("connected peers offer blocks and transactions by inventory over their sockets", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"], accounts: { alice: 100 } });
+  try {
+    await network.settle();
+    assert.ok(transportOf(network, "a").isConnected(network.getNode("b").url));
+    assert.ok(transportOf(network, "b").isConnected(network.getNode("a").url));
+    const sent = recordSends(network, "a");
+
+    const transaction = await network.submitTransaction("a", { from: "alice", to: "bob", amount: 10, fee: 1 });
+    await network.settle();
+    assert.deepStrictEqual(await network.getNode("b").models.Mempool.distinct("transactionId"), [transaction._id]);
+    const block = await network.mine("a");
+    await network.settle();
+
+    assert.strictEqual((await network.assertConverged()).hash, block.hash);
+    assert.deepStrictEqual(sent.messages, ["inventory", "transaction", "inventory", "block"]);
+    assert.deepStrictEqual(sent.posts, []);
+  } finally {
+    network.stop();
+  }
+});
+
+test("without an open connection, blocks are posted to the peer's HTTP route", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"] });
+  try {
+    transportOf(network, "a").stop();
+    transportOf(network, "b").stop();
+    await network.settle();
+    assert.strictEqual(transportOf(network, "a").isConnected(network.getNode("b").url), false);
+    const sent = recordSends(network, "a");
+
+    const block = await network.mine("a");
+    await network.settle();
+
+    assert.strictEqual((await network.assertConverged()).hash, block.hash);
+    assert.deepStrictEqual(sent.messages, []);
+    assert.ok(sent.posts.includes("/api/nodes/blocks"));
+  } finally {
+    network.stop();
+  }
+});
+
+test("a connection lost to a partition is reopened, with a new handshake, once the link is back", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"] });
+  try {
+    const b = network.getNode("b").url;
+    const handshakes = [];
+    const peers = network.getNode("b").require("blockchain/services/PeerService").shared();
+    const acceptHandshake = peers.acceptHandshake.bind(peers);
+    peers.acceptHandshake = (info) => {
+      handshakes.push(info.nodeUrl);
+      return acceptHandshake(info);
+    };
+
+    network.partition(["a"], ["b"]);
+    await network.settle();
+    assert.strictEqual(transportOf(network, "a").isConnected(b), false);
+
+    network.partition(["a", "b"]);
+    await network.settle();
+    assert.ok(transportOf(network, "a").isConnected(b));
+    assert.ok(handshakes.includes(network.getNode("a").url));
+
+    const block = await network.mine("a");
+    await network.settle();
+    assert.strictEqual((await network.assertConverged()).hash, block.hash);
+  } finally {
+    network.stop();
+  }
+});
+
+test("messages not signed by the identity that shook hands over the connection are refused", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"] });
+  try {
+    await network.settle();
+    const node = network.getNode("a");
+    const NodeIdentityService = node.require("blockchain/services/NodeIdentityService");
+    const stranger = new NodeIdentityService({ privateKey: canonical.hash("peer-transport-test:stranger") });
+    const socket = transportOf(network, "a").connections.get(network.getNode("b").url);
+    const inventory = { type: "block", ids: ["0".repeat(64)] };
+
+    const forged = stranger.sign("inventory", inventory);
+    const reply = await network.drive(socket.timeout(1000).emitWithAck("inventory", forged));
+    assert.strictEqual(reply.ok, false);
+    assert.strictEqual(reply.error.code, "PEER_IDENTITY_MISMATCH");
+
+    const signed = node.require("blockchain/services/PeerService").shared().identity.sign("inventory", inventory);
+    const accepted = await network.drive(socket.timeout(1000).emitWithAck("inventory", signed));
+    assert.deepStrictEqual(accepted, { ok: true, data: { wanted: inventory.ids } });
+  } finally {
+    network.stop();
+  }
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useGenesis, useMemoryStore } = require("./helpers");
+const canonical = require("../lib/canonical");
+
+useGenesis();
+const store = useMemoryStore();
+const Node = require("../blockchain/models/NodeModel");
+const NodeIdentityService = require("../blockchain/services/NodeIdentityService");
+const PeerService = require("../blockchain/services/PeerService");
+
+const local = new NodeIdentityService({ privateKey: canonical.hash("peers-test:local") });
+const remote = new NodeIdentityService({ privateKey: canonical.hash("peers-test:remote") });
+
+/**
+ * Creates a peer list of this node, as a node (re)started on the same database would. Its handshakes are answered
+ * by the remote identity, reporting a height of 7, instead of going over the network.
+ * @returns {PeerService} The peer list.
+ */
+function startPeers() {
+  const peers = new PeerService({ identity: local, trustedIdentities: [] });
+  peers.post = async (url) => remote.sign("handshake", { ...(await peers.getLocalInfo()), nodeUrl: url, height: 7 });
+  return peers;
+}
+
+test.beforeEach(() => store.collections.forEach((collection) => collection.drop()));
+
+test("a registered peer is stored with its handshake and still known after a restart", async () => {
+  const node = await startPeers().register("HTTP://Peer.Example.com:4000/");
+  assert.strictEqual(node.url, "http://peer.example.com:4000");
+
+  const [stored] = await startPeers().list();
+  assert.strictEqual(stored.url, "http://peer.example.com:4000");
+  assert.strictEqual(stored.height, 7);
+  assert.strictEqual(stored.identity, remote.publicKey);
+  assert.strictEqual(stored.banned, false);
+  assert.ok(stored.lastSeen instanceof Date);
+  assert.deepStrictEqual(await startPeers().getUrls(), ["http://peer.example.com:4000"]);
+});
+
+test("a peer is registered once, whatever the spelling of its URL", async () => {
+  const peers = startPeers();
+  await peers.register("peer.example.com");
+  await assert.rejects(peers.register("http://PEER.example.com/"), { code: "NODE_EXISTS" });
+  await assert.rejects(peers.save("http://peer.example.com", {}), { code: "NODE_EXISTS" });
+  assert.strictEqual(await Node.countDocuments(), 1);
+});
+
+test("invalid URLs and the node's own URL are refused", async () => {
+  const peers = startPeers();
+  await assert.rejects(peers.register("not a url"), { code: "INVALID_NODE" });
+  await assert.rejects(peers.register(PeerService.getSelfUrl()), { code: "INVALID_NODE", message: /itself/ });
+  assert.strictEqual(await Node.countDocuments(), 0);
+});
+
+test("a removed peer is forgotten", async () => {
+  const peers = startPeers();
+  const node = await peers.register("http://peer.example.com");
+  await assert.rejects(peers.remove("not an id"), { code: "INVALID_NODE" });
+  assert.strictEqual((await peers.remove(node.id)).url, node.url);
+  await assert.rejects(peers.remove(node.id), { code: "NODE_NOT_FOUND" });
+  assert.deepStrictEqual(await startPeers().getUrls(), []);
+});
+
+test("answers and failures of a peer are recorded on it", async () => {
+  const peers = startPeers();
+  const { url } = await peers.register("http://peer.example.com");
+  await peers.recordFailure(url);
+  await peers.recordFailure(url);
+  assert.strictEqual((await Node.findOne({ url })).failureCount, 2);
+
+  await peers.recordSuccess(url, { height: 9, version: null });
+  const node = await Node.findOne({ url });
+  assert.strictEqual(node.failureCount, 0);
+  assert.strictEqual(node.height, 9);
+  assert.notStrictEqual(node.version, null);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("assert");
+const { getWallet, useGenesis, useMemoryStore, signTransfer, sealBlock } = require("./helpers");
+
+useGenesis({ accounts: { alice: 100, carol: 100, dave: 100, erin: 100, frank: 100 } });
+useMemoryStore();
+const Block = require("../blockchain/models/BlockModel");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+
+const blockchain = new BlockchainService();
+
+const tip = () => blockchain.getLatestBlock();
+const balanceOf = (name) => blockchain.getBalanceOfAddress(getWallet(name).publicKey);
+const expiryOf = (transaction) =>
+  blockchain.mempool.entries.find((entry) => entry.transaction._id === transaction._id).expiresAt;
+
+test.before(() => blockchain.ready);
+
+test("a branch with more work replaces the main chain and gives its transfers back to the pool", async () => {
+  const fork = (await tip()).hash;
+  const payment = signTransfer("alice", { amount: 30, to: "bob" });
+  const a1 = await sealBlock(fork, [payment], { miner: "miner-a" });
+  assert.strictEqual((await blockchain.acceptBlock(a1)).status, "extended");
+  assert.strictEqual(await balanceOf("bob"), 30);
+
+  const b1 = await sealBlock(fork, [], { miner: "miner-b" });
+  assert.strictEqual((await blockchain.acceptBlock(b1)).status, "side-branch");
+  const b2 = await sealBlock(b1.hash, [], { miner: "miner-b" });
+  assert.strictEqual((await blockchain.acceptBlock(b2)).status, "reorganized");
+
+  assert.strictEqual((await tip()).hash, b2.hash);
+  assert.strictEqual((await Block.findOne({ hash: a1.hash })).isMainChain, false);
+  assert.strictEqual(await balanceOf("bob"), 0);
+  assert.ok(blockchain.mempool.has(payment._id));
+});
+
+test("connecting a block leaves the other pending entries and their expiry alone", async () => {
+  const first = signTransfer("carol", { amount: 10 });
+  const second = signTransfer("carol", { amount: 10, nonce: 1 });
+  const unrelated = signTransfer("dave", { amount: 10 });
+  for (const transaction of [first, second, unrelated]) {
+    await blockchain.addTransaction(transaction);
+  }
+  const expiries = [second, unrelated].map(expiryOf);
+  const added = [];
+  blockchain.mempool.on("added", (transaction) => added.push(transaction._id));
+
+  const block = await sealBlock((await tip()).hash, [first]);
+  assert.strictEqual((await blockchain.acceptBlock(block)).status, "extended");
+  blockchain.mempool.removeAllListeners("added");
+
+  assert.strictEqual(blockchain.mempool.has(first._id), false);
+  assert.deepStrictEqual([second, unrelated].map(expiryOf), expiries);
+  assert.deepStrictEqual(added, []);
+});
+
+test("pending entries that conflict with a connected block leave the pool", async () => {
+  // Erin's pending nonce 0 is replaced by another transfer; her nonce 1 still follows on and stays
+  const replaced = signTransfer("erin", { amount: 10, to: "alice" });
+  const following = signTransfer("erin", { amount: 10, nonce: 1 });
+  // Frank's pending nonce 1 can no longer be paid for once a larger nonce 0 is confirmed
+  const unaffordable = signTransfer("frank", { amount: 50, nonce: 1 });
+  for (const transaction of [replaced, following, signTransfer("frank", { amount: 10 }), unaffordable]) {
+    await blockchain.addTransaction(transaction);
+  }
+
+  const conflicting = [signTransfer("erin", { amount: 20, to: "bob" }), signTransfer("frank", { amount: 80 })];
+  await blockchain.acceptBlock(await sealBlock((await tip()).hash, conflicting));
+
+  assert.strictEqual(blockchain.mempool.has(replaced._id), false);
+  assert.strictEqual(blockchain.mempool.has(following._id), true);
+  assert.deepStrictEqual(
+    blockchain.pendingTransactions.filter((transaction) => transaction.fromAddress === getWallet("frank").publicKey),
+    []
+  );
+});
+
+test("a branch that fails validation is flagged and never tried again", async () => {
+  const mainTip = await tip();
+  const fork = mainTip.previousHash;
+  const c1 = await sealBlock(fork, [], { miner: "miner-c" });
+  await blockchain.acceptBlock(c1);
+  // Passes the block rules, but spends more than the sender holds
+  const overspend = signTransfer("dave", { amount: 500 });
+  const c2 = await sealBlock(c1.hash, [overspend], { miner: "miner-c" });
+  await assert.rejects(blockchain.acceptBlock(c2), { code: "INVALID_BLOCK" });
+
+  assert.strictEqual((await tip()).hash, mainTip.hash);
+  assert.strictEqual((await Block.findOne({ hash: c2.hash })).isInvalid, true);
+  assert.strictEqual((await Block.findOne({ hash: c1.hash })).isInvalid, false);
+  await assert.rejects(blockchain.acceptBlock(c2), /failed validation before/);
+  const c3 = await sealBlock(c2.hash, [], { miner: "miner-c" });
+  await assert.rejects(blockchain.acceptBlock(c3), /which failed validation/);
+  assert.strictEqual((await tip()).hash, mainTip.hash);
+});
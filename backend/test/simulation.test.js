@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("assert");
+const NetworkSimulator = require("../blockchain/simulation/NetworkSimulator");
+const scenarios = require("../blockchain/simulation/scenarios");
+
+for (const [name, run] of Object.entries(scenarios)) {
+  test(name, { timeout: 120 * 1000 }, () => run({}));
+}
+
+test("a script replays the same way on the virtual clock", async () => {
+  const script = async () => {
+    const network = await NetworkSimulator.create({ nodes: ["a", "b", "c"], latency: 1000 });
+    try {
+      const start = network.clock.now();
+      await network.mineRace(["a", "b"]);
+      await network.settle();
+      await network.mine("c");
+      await network.settle();
+      return { elapsed: network.clock.now() - start, tip: await network.assertConverged() };
+    } finally {
+      network.stop();
+    }
+  };
+
+  const first = await script();
+  assert.ok(first.elapsed >= 2 * 1000, "blocks should take the links' latency to spread");
+  assert.deepStrictEqual(await script(), first);
+});
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("assert");
+const NetworkSimulator = require("../blockchain/simulation/NetworkSimulator");
+
+// Small pages and batches, so that a short chain takes several of each
+const env = { SYNC_HEADERS_PER_REQUEST: "3", SYNC_BATCH_SIZE: "2" };
+
+/**
+ * Records the paths a node fetches from its peers, and lets a test make those fetches fail.
+ * @param {NetworkSimulator} network - The network.
+ * @param {string} name - The node's name.
+ * @returns {{paths: string[], failWhen: Function}} The paths fetched so far, and a setter for a predicate on the
+ * path that makes the fetch fail while it holds.
+ */
+function watchFetches(network, name) {
+  const peers = network.getNode(name).require("blockchain/services/PeerService").shared();
+  const get = peers.get.bind(peers);
+  const watch = { paths: [], fail: () => false };
+  peers.get = (url, path, options) => {
+    watch.paths.push(path);
+    return watch.fail(path) ? Promise.reject(new Error("socket hang up")) : get(url, path, options);
+  };
+  return { paths: watch.paths, failWhen: (predicate) => (watch.fail = predicate) };
+}
+
+const headerPages = (paths) =>
+  paths.filter((path) => path.endsWith("&limit=3")).map((path) => /from=(\d+)/.exec(path)[1]);
+const bodies = (paths) => paths.filter((path) => path.startsWith("/api/blockchain/blocks/"));
+
+/**
+ * Has a node synchronize with another one.
+ * @param {NetworkSimulator} network - The network.
+ * @param {string} name - The synchronizing node.
+ * @param {string} peer - The node to synchronize with.
+ * @returns {Promise<Object>} The synchronization summary.
+ */
+function synchronize(network, name, peer) {
+  const node = network.getNode(name);
+  return network.drive(node.request("POST", "/api/nodes/synchronize", { nodeUrl: network.getNode(peer).url }));
+}
+
+test("a node catches up on a heavier branch page by page, and fetches nothing from a lighter one", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"], env });
+  try {
+    network.partition(["a"], ["b"]);
+    for (let block = 0; block < 7; block++) {
+      await network.mine("a");
+    }
+    await network.mine("b");
+    const fetchedByA = watchFetches(network, "a");
+    const fetchedByB = watchFetches(network, "b");
+
+    network.partition(["a", "b"]);
+    const { added, reorganized, commonAncestor, networkHeight } = await synchronize(network, "b", "a");
+
+    assert.deepStrictEqual({ added, reorganized, commonAncestor, networkHeight }, {
+      added: 7,
+      reorganized: true,
+      commonAncestor: 0,
+      networkHeight: 7,
+    });
+    assert.deepStrictEqual(headerPages(fetchedByB.paths), ["1", "4", "7"]);
+    assert.strictEqual(bodies(fetchedByB.paths).length, 7);
+    const tips = await network.getTips();
+    assert.strictEqual(tips.b.hash, tips.a.hash);
+    assert.strictEqual(tips.b.chainWork, tips.a.chainWork);
+
+    const back = await synchronize(network, "a", "b");
+    assert.strictEqual(back.added, 0);
+    assert.strictEqual(back.reorganized, false);
+    assert.deepStrictEqual(bodies(fetchedByA.paths), []);
+  } finally {
+    network.stop();
+  }
+});
+
+test("a download cut short carries on after the last accepted block", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"], env });
+  try {
+    network.partition(["a"], ["b"]);
+    for (let block = 0; block < 5; block++) {
+      await network.mine("a");
+    }
+    network.partition(["a", "b"]);
+    const fetched = watchFetches(network, "b");
+    fetched.failWhen((path) => bodies(fetched.paths).length > 3 && path.startsWith("/api/blockchain/blocks/"));
+
+    await assert.rejects(synchronize(network, "b", "a"), /socket hang up/);
+    assert.strictEqual((await network.getTips()).b.height, 2);
+
+    fetched.failWhen(() => false);
+    fetched.paths.length = 0;
+    const { added } = await synchronize(network, "b", "a");
+    assert.strictEqual(added, 3);
+    assert.deepStrictEqual(headerPages(fetched.paths), ["6"], "only headers above the interrupted download");
+    assert.strictEqual(bodies(fetched.paths).length, 3);
+    await network.assertConverged();
+  } finally {
+    network.stop();
+  }
+});
+
+test("headers that do not link up, do not match their hash or lack their work are refused", async () => {
+  const network = await NetworkSimulator.create({ nodes: ["a", "b"], env });
+  try {
+    for (let block = 0; block < 3; block++) {
+      await network.mine("a");
+    }
+    await network.settle();
+    const node = network.getNode("b");
+    const { Block } = node.models;
+    const BlockchainService = node.require("blockchain/services/BlockchainService");
+    const SynchronizationService = node.require("blockchain/services/SynchronizationService");
+    const synchronization = new SynchronizationService(new BlockchainService());
+    const { headers } = await node.request("GET", "/api/blockchain/headers?from=1&limit=3");
+    const genesis = await Block.findOne({ index: 0 });
+    const check = async (page) => synchronization.checkHeaders(page, await synchronization.loadAncestors(genesis.hash));
+
+    /**
+     * Mines a copy of a header with changed fields until its hash does, or does not, meet its difficulty.
+     * @param {Object} header - The header.
+     * @param {Object} fields - The fields to change.
+     * @param {boolean} meets - Whether the hash must meet the difficulty.
+     * @returns {Object} The new header.
+     */
+    const remine = (header, fields, meets) => {
+      const changed = { ...header, ...fields };
+      for (changed.nonce = 0; ; changed.nonce++) {
+        const { index, previousHash, merkleRoot, nonce, difficulty } = changed;
+        changed.hash = Block.hashHeader({
+          index,
+          previousHash,
+          timestamp: new Date(changed.timestamp),
+          merkleRoot,
+          nonce,
+          difficulty,
+        });
+        if (changed.hash.startsWith("0".repeat(difficulty)) === meets) {
+          return changed;
+        }
+      }
+    };
+
+    const ancestors = await synchronization.loadAncestors(genesis.hash);
+    synchronization.checkHeaders(headers, ancestors);
+    assert.strictEqual(ancestors[ancestors.length - 1].chainWork, (await network.getTips()).a.chainWork);
+
+    const refusals = [
+      [[headers[0], headers[2]], 3, /does not follow/],
+      [[{ ...headers[0], timestamp: new Date(0).toISOString() }], 1, /does not match its hash/],
+      [[remine(headers[0], { difficulty: 2 }, true)], 1, /not at the expected difficulty/],
+      [[remine(headers[0], {}, false)], 1, /does not meet its difficulty/],
+    ];
+    for (const [page, index, message] of refusals) {
+      await assert.rejects(check(page), (error) => {
+        assert.strictEqual(error.code, "INVALID_BLOCK");
+        assert.strictEqual(error.details.index, index);
+        assert.match(error.message, message);
+        return true;
+      });
+    }
+  } finally {
+    network.stop();
+  }
+});
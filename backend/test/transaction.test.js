@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("assert");
+const { getWallet, useGenesis, signTransfer } = require("./helpers");
+
+useGenesis();
+const consensus = require("../blockchain/config/consensus");
+const Transaction = require("../blockchain/models/TransactionModel");
+
+/**
+ * Sets a field of a signed transaction and gives it the id of its new contents, as a forger would.
+ * @param {TransactionModel} transaction - The transaction.
+ * @param {Object} fields - The fields to set.
+ * @returns {TransactionModel} The transaction.
+ */
+function forge(transaction, fields) {
+  Object.assign(transaction, fields);
+  transaction._id = transaction.calculateId();
+  return transaction;
+}
+
+test("a transfer signed by its sender is valid", async () => {
+  assert.strictEqual(await signTransfer("alice").isValid(), true);
+});
+
+test("the id is the content hash, the same on every node", () => {
+  const transfer = signTransfer("alice");
+  assert.strictEqual(new Transaction(transfer.toObject()).calculateId(), transfer._id);
+  assert.notStrictEqual(signTransfer("alice", { nonce: 1 })._id, transfer._id);
+});
+
+test("a transfer altered after it was signed is invalid, even with a matching id", async () => {
+  const altered = signTransfer("alice");
+  altered.amount = 500;
+  assert.strictEqual(await altered.isValid(), false);
+  assert.strictEqual(await forge(altered, {}).isValid(), false);
+  const redirected = forge(signTransfer("alice"), { toAddress: getWallet("mallory").publicKey });
+  assert.strictEqual(await redirected.isValid(), false);
+});
+
+test("a signature only holds for the key behind the sender address", async () => {
+  const mallory = getWallet("mallory");
+  assert.throws(() => signTransfer("alice").signTransaction(mallory.keyPair.getPrivate("hex")), /other wallets/);
+
+  const stolen = forge(signTransfer("mallory"), { fromAddress: getWallet("alice").publicKey });
+  assert.strictEqual(await stolen.isValid(), false);
+});
+
+test("an id that does not match the contents is invalid", async () => {
+  const transfer = signTransfer("alice");
+  transfer._id = signTransfer("alice", { nonce: 1 })._id;
+  assert.strictEqual(await transfer.isValid(), false);
+});
+
+test("missing or malformed signatures are invalid rather than errors", async () => {
+  assert.strictEqual(await forge(signTransfer("alice"), { signature: undefined }).isValid(), false);
+  assert.strictEqual(await forge(signTransfer("alice"), { signature: "not a signature" }).isValid(), false);
+  assert.strictEqual(await forge(signTransfer("alice"), { signature: "30" + "ff".repeat(70) }).isValid(), false);
+  assert.strictEqual(await forge(signTransfer("alice"), { fromAddress: "not a key" }).isValid(), false);
+});
+
+test("reward transactions carry no sender, signature or fee", async () => {
+  const reward = () =>
+    forge(new Transaction({ chainId: consensus.chainId, toAddress: "miner", amount: 50, isReward: true }), {});
+  assert.strictEqual(await reward().isValid(), true);
+  assert.strictEqual(await forge(reward(), { signature: signTransfer("alice").signature }).isValid(), false);
+  assert.strictEqual(await forge(reward(), { fromAddress: getWallet("alice").publicKey }).isValid(), false);
+  assert.strictEqual(await forge(reward(), { fee: 1 }).isValid(), false);
+  assert.strictEqual(await forge(reward(), { isGenesis: true }).isValid(), false);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("assert");
+const { getWallet, useGenesis, useMemoryStore, signTransfer } = require("./helpers");
+
+useGenesis({ accounts: { alice: 100, bob: 100, carol: 100, dave: 100, erin: 100 } });
+useMemoryStore();
+const Transaction = require("../blockchain/models/TransactionModel");
+const Mempool = require("../blockchain/models/MempoolModel");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+
+const blockchain = new BlockchainService();
+const pendingFrom = (name) =>
+  blockchain.pendingTransactions.filter((transaction) => transaction.fromAddress === getWallet(name).publicKey);
+
+const admitted = signTransfer("alice", { amount: 50, fee: 1 });
+
+test.before(() => blockchain.ready);
+
+test("a transfer the sender can cover is admitted and stored", async () => {
+  await blockchain.addTransaction(admitted);
+  assert.ok(blockchain.mempool.has(admitted._id));
+  assert.ok(await Transaction.exists({ _id: admitted._id }));
+});
+
+test("resubmitting a pending transaction is a double spend", async () => {
+  const copy = new Transaction(admitted.toObject());
+  await assert.rejects(blockchain.addTransaction(copy), { code: "DOUBLE_SPEND" });
+  assert.strictEqual(pendingFrom("alice").length, 1);
+});
+
+test("a transfer above the confirmed balance is refused and not stored", async () => {
+  const transfer = signTransfer("bob", { amount: 100, fee: 1 });
+  await assert.rejects(blockchain.addTransaction(transfer), { code: "INSUFFICIENT_FUNDS" });
+  assert.strictEqual(pendingFrom("bob").length, 0);
+  assert.strictEqual(await Transaction.exists({ _id: transfer._id }), null);
+});
+
+test("funds committed to pending transfers cannot be spent again", async () => {
+  await blockchain.addTransaction(signTransfer("carol", { amount: 60, fee: 1 }));
+  const second = signTransfer("carol", { amount: 39, fee: 1, nonce: 1 });
+  await assert.rejects(blockchain.addTransaction(second), { code: "DOUBLE_SPEND" });
+  await blockchain.addTransaction(signTransfer("carol", { amount: 38, fee: 1, nonce: 1 }));
+  assert.strictEqual(pendingFrom("carol").length, 2);
+});
+
+test("concurrent submissions reusing a nonce admit only one of them", async () => {
+  const results = await Promise.allSettled([
+    blockchain.addTransaction(signTransfer("dave", { amount: 80, to: "alice" })),
+    blockchain.addTransaction(signTransfer("dave", { amount: 80, to: "bob" })),
+  ]);
+  assert.deepStrictEqual(results.map(({ status }) => status), ["fulfilled", "rejected"]);
+  assert.strictEqual(results[1].reason.code, "NONCE_TOO_LOW");
+  assert.strictEqual(pendingFrom("dave").length, 1);
+});
+
+test("a transfer below the minimum amount never reaches the pool", async () => {
+  const dust = signTransfer("erin", { amount: Transaction.MIN_AMOUNT / 2 });
+  assert.strictEqual(await dust.isValid(), false);
+  await assert.rejects(blockchain.addTransaction(dust), /invalid transaction/);
+  assert.strictEqual(pendingFrom("erin").length, 0);
+  assert.strictEqual(await Mempool.countDocuments({ fromAddress: dust.fromAddress }), 0);
+
+  await blockchain.addTransaction(signTransfer("erin", { amount: Transaction.MIN_AMOUNT }));
+  assert.strictEqual(pendingFrom("erin").length, 1);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("assert");
+const { useGenesis, useMemoryStore, signTransfer, sealBlock } = require("./helpers");
+
+useGenesis({ accounts: { alice: 100, bob: 100 } });
+useMemoryStore();
+const Block = require("../blockchain/models/BlockModel");
+const Transaction = require("../blockchain/models/TransactionModel");
+const AccountStateService = require("../blockchain/services/AccountStateService");
+const BlockchainService = require("../blockchain/services/BlockchainService");
+const ChainAuditService = require("../blockchain/services/ChainAuditService");
+
+const blockchain = new BlockchainService();
+
+const tip = () => blockchain.getLatestBlock();
+const summary = ({ index, hash }) => ({ index, hash });
+
+/**
+ * Stores a block on the main chain without validating it, as a chain written before a restart would be.
+ * @param {Object} sealed - The block, with its transactions embedded (see sealBlock).
+ * @returns {Promise<BlockModel>} The stored block.
+ */
+async function storeUnvalidated(sealed) {
+  await Transaction.insertMany(sealed.transactions);
+  const block = await Block.create({
+    ...sealed,
+    transactions: sealed.transactions.map((transaction) => transaction._id),
+    isMainChain: true,
+  });
+  await AccountStateService.connectBlock(block);
+  return block;
+}
+
+test.before(() => blockchain.ready);
+
+test("blocks connected by the node are validated as they are connected", async () => {
+  await blockchain.acceptBlock(await sealBlock((await tip()).hash, [signTransfer("alice")]));
+  assert.deepStrictEqual(blockchain.getValidatedTip(), summary(await tip()));
+  assert.deepStrictEqual(await blockchain.validateNewBlocks(), summary(await tip()));
+});
+
+test("a reorganization moves the validated tip to the new branch", async () => {
+  const fork = await tip();
+  await blockchain.acceptBlock(await sealBlock(fork.hash, [], { miner: "miner-a" }));
+  const b1 = await sealBlock(fork.hash, [], { miner: "miner-b" });
+  await blockchain.acceptBlock(b1);
+  const b2 = await sealBlock(b1.hash, [], { miner: "miner-b" });
+  assert.strictEqual((await blockchain.acceptBlock(b2)).status, "reorganized");
+  assert.deepStrictEqual(blockchain.getValidatedTip(), summary(b2));
+});
+
+test("stored blocks above the validated tip are validated once, up to the first invalid one", async () => {
+  const validated = blockchain.getValidatedTip();
+  const stored = await storeUnvalidated(await sealBlock(validated.hash, [signTransfer("bob")]));
+  const overspend = signTransfer("bob", { nonce: 1, amount: 500 });
+  const corrupt = await storeUnvalidated(await sealBlock(stored.hash, [overspend]));
+  assert.deepStrictEqual(blockchain.getValidatedTip(), validated);
+
+  await assert.rejects(blockchain.validateNewBlocks(), (error) => {
+    assert.strictEqual(error.code, "INVALID_BLOCK");
+    assert.deepStrictEqual(summary(error.details), summary(corrupt));
+    return true;
+  });
+  assert.deepStrictEqual(blockchain.getValidatedTip(), summary(stored));
+});
+
+test("the background audit finds blocks corrupted after they were validated", async () => {
+  const audit = new ChainAuditService(blockchain, { interval: 60 * 1000 });
+  const first = await Block.findOne({ index: 1, isMainChain: true });
+  const [, transferId] = first.transactions;
+  await Transaction.updateOne({ _id: transferId }, { amount: 90 });
+
+  const report = await audit.runAudit();
+  assert.strictEqual(report.valid, false);
+  assert.strictEqual(report.firstInvalidIndex, 1);
+  assert.strictEqual(audit.hasFoundCorruption(), true);
+  assert.strictEqual(audit.getStatus().audit.last, report);
+  assert.deepStrictEqual(audit.getStatus().validatedTip, blockchain.getValidatedTip());
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("assert");
+const VirtualClock = require("../blockchain/simulation/VirtualClock");
+
+test("tasks run in time order, and in scheduling order at the same time", () => {
+  const clock = new VirtualClock(1000);
+  const order = [];
+  clock.schedule(20, () => order.push(`b@${clock.now()}`));
+  clock.schedule(10, () => order.push(`a@${clock.now()}`));
+  clock.schedule(20, () => order.push(`c@${clock.now()}`));
+  const cancelled = clock.schedule(15, () => order.push("cancelled"));
+  clock.cancel(cancelled);
+  while (clock.pending() > 0) {
+    clock.runNext();
+  }
+  assert.deepStrictEqual(order, ["a@1010", "b@1020", "c@1020"]);
+});
+
+test("the clock only moves up to the next task", () => {
+  const clock = new VirtualClock(0);
+  clock.schedule(50, () => {});
+  clock.moveTo(80);
+  assert.strictEqual(clock.now(), 50);
+  clock.runNext();
+  clock.moveTo(80);
+  assert.strictEqual(clock.now(), 80);
+});
+
+test("the globals tell the virtual time and run timers on the clock", async () => {
+  const clock = new VirtualClock(Date.parse("2024-05-02T00:00:00.000Z"));
+  const { Date: VirtualDate, setTimeout, setInterval, clearInterval, AbortSignal } = clock.createGlobals();
+  assert.strictEqual(VirtualDate.now(), clock.now());
+  assert.strictEqual(new VirtualDate().toISOString(), "2024-05-02T00:00:00.000Z");
+  assert.ok(new VirtualDate(0) instanceof Date);
+
+  const ticks = [];
+  const interval = setInterval(() => ticks.push(clock.now()), 100).unref();
+  setTimeout(() => clearInterval(interval), 250);
+  const signal = AbortSignal.timeout(150);
+  while (clock.pending() > 0) {
+    clock.runNext();
+  }
+  assert.deepStrictEqual(ticks, [100, 200].map((offset) => Date.parse("2024-05-02T00:00:00.000Z") + offset));
+  assert.strictEqual(signal.aborted, true);
+  assert.strictEqual(signal.reason.name, "TimeoutError");
+});
@@ -1,4 +1,8 @@
 const WalletService = require("../services/WalletService");
+const TransactionService = require("../../blockchain/services/TransactionService");
+const BlockchainService = require("../../blockchain/services/BlockchainService");
+
+const blockchainService = new BlockchainService();
 
 /**
  * Controller for wallet operations, handling HTTP requests and responses.
@@ -24,6 +28,59 @@ class WalletController {
     }
   }
 
+  /**
+   * Signs a transfer with the sender's private key and submits it to the pending pool.
+   * The nonce is filled in from the sender's confirmed and pending transactions unless one is supplied.
+   * @param {Request} req - The request object from Express.
+   * @param {Response} res - The response object from Express.
+   */
+  static async createTransaction(req, res) {
+    const { fromAddress, toAddress, amount, privateKey, fee, nonce } = req.body;
+    try {
+      const transaction = await TransactionService.createTransaction(
+        fromAddress,
+        toAddress,
+        amount,
+        privateKey,
+        { fee, nonce, pendingTransactions: blockchainService.pendingTransactions }
+      );
+      await blockchainService.addTransaction(transaction);
+      res.status(201).json({
+        success: true,
+        message: "Transaction successfully created and submitted.",
+        transaction,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: `Error processing transaction: ${error.message}`,
+        code: error.code,
+      });
+    }
+  }
+
+  /**
+   * Returns the confirmed account state of a wallet address: its balance, the part of it that is spendable now,
+   * its nonce, transaction count and last activity. Pending transactions are not included.
+   * @param {Request} req - The request object from Express.
+   * @param {Response} res - The response object from Express.
+   */
+  static async getBalance(req, res) {
+    try {
+      const account = await blockchainService.getAccount(req.params.address);
+      res.json({
+        success: true,
+        ...account,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: `Error retrieving wallet balance: ${error.message}`,
+        code: error.code,
+      });
+    }
+  }
+
   /**
    * Signs data with a private key and returns the signature.
    * @param {Request} req - The request object from Express.
@@ -1,7 +1,8 @@
 /**
  * @file WalletModel.js
  * @description Defines the MongoDB model for wallets in the blockchain network.
- * Wallets store cryptographic keys and manage transactions.
+ * Wallets store cryptographic keys and manage transactions. Balances are kept in the account state
+ * (see AccountModel), which follows the main chain.
  */
 
 const mongoose = require("mongoose");
@@ -57,21 +58,6 @@ const walletSchema = new mongoose.Schema({
       message: "Invalid private key format"
     },
   },
-  balance: {
-    type: Number,
-    default: 0,
-    validate: {
-      /**
-       * Validator that ensures the wallet balance is non-negative.
-       * @param {number} value - The balance of the wallet.
-       * @returns {boolean} True if the balance is non-negative, otherwise false.
-       */
-      validator: function (value) {
-        return value >= 0;
-      },
-      message: props => `Balance cannot be negative: ${props.value}`,
-    },
-  },
 }, {
   timestamps: true,
 });
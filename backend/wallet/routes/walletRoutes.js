@@ -13,6 +13,7 @@ router.post('/create', (req, res) => {
 /**
  * POST /wallet/transaction
  * Route to perform a transaction from a wallet. Requires fromAddress, toAddress, amount, and privateKey.
+ * The suggested fee and the sender's next nonce are filled in automatically unless provided.
  */
 router.post('/transaction', (req, res) => {
   const { fromAddress, toAddress, amount, privateKey } = req.body;
@@ -35,7 +36,8 @@ router.post('/transaction', (req, res) => {
 
 /**
  * GET /wallet/balance/:address
- * Route to get the balance of a specific wallet using its address.
+ * Route to get the balance of a specific wallet using its address, along with its spendable balance, nonce,
+ * transaction count and last activity on the main chain.
  */
 router.get('/balance/:address', (req, res) => {
   const { address } = req.params;
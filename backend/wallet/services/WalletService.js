@@ -17,7 +17,6 @@ class WalletService {
       const walletModel = new WalletModel({
         publicKey: newWallet.publicKey,
         privateKey: newWallet.keyPair.getPrivate("hex"), // Extract private key in hexadecimal format
-        balance: 0, // Default balance set to 0
       });
       await walletModel.save();
       return {
@@ -30,6 +29,19 @@ class WalletService {
     }
   }
 
+  /**
+   * Derives the public key (wallet address) belonging to a private key.
+   * @param {string} privateKey The private key in hexadecimal format.
+   * @returns {Promise<string>} The public key in hexadecimal format.
+   */
+  static async getPublicKeyFromPrivateKey(privateKey) {
+    try {
+      return new Wallet(privateKey).publicKey;
+    } catch (error) {
+      throw new Error(`Failed to derive public key: ${error.message}`);
+    }
+  }
+
   /**
    * Signs data with the given wallet's private key.
    * @param {string} privateKey The private key of the wallet used for signing.